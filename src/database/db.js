@@ -6,6 +6,12 @@ class Database {
     constructor(dbPath = './data/whatsapp_sessions.db') {
         this.dbPath = dbPath;
         this.db = null;
+        this.connection = null;
+        // Transactions share the one connection, so they run one at a time
+        this.transactionChain = Promise.resolve();
+        // Statements issued while a transaction is open wait for it to end, so a ROLLBACK can't undo them
+        this.transactionOpen = false;
+        this.heldStatements = [];
         this.initializeDatabase();
     }
 
@@ -16,17 +22,41 @@ class Database {
             fs.mkdirSync(dir, { recursive: true });
         }
 
-        this.db = new sqlite3.Database(this.dbPath, (err) => {
+        this.connection = new sqlite3.Database(this.dbPath, (err) => {
             if (err) {
                 console.error('Error opening database:', err.message);
                 throw err;
             }
             console.log('Connected to SQLite database.');
         });
+        this.db = this.createStatementGate(this.connection);
 
         this.createTables();
     }
 
+    // Every query outside runTransaction goes through this gate instead of the raw connection
+    createStatementGate(connection) {
+        const gate = {};
+        ['run', 'get', 'all', 'each', 'exec'].forEach((method) => {
+            gate[method] = (...args) => {
+                if (this.transactionOpen) {
+                    this.heldStatements.push(() => connection[method](...args));
+                } else {
+                    connection[method](...args);
+                }
+                return gate;
+            };
+        });
+        gate.serialize = (callback) => connection.serialize(callback);
+        gate.close = (callback) => connection.close(callback);
+        return gate;
+    }
+
+    releaseHeldStatements() {
+        this.transactionOpen = false;
+        this.heldStatements.splice(0).forEach(issue => issue());
+    }
+
     createTables() {
         const createSessionsTable = `
             CREATE TABLE IF NOT EXISTS sessions (
@@ -57,6 +87,280 @@ class Database {
             );
         `;
 
+        const createMessageQueueTable = `
+            CREATE TABLE IF NOT EXISTS message_queue (
+                id TEXT PRIMARY KEY,
+                session_id TEXT NOT NULL,
+                receiver_id TEXT NOT NULL,
+                message_type TEXT NOT NULL,
+                payload TEXT NOT NULL,
+                status TEXT DEFAULT 'queued',
+                attempts INTEGER DEFAULT 0,
+                max_attempts INTEGER DEFAULT 5,
+                next_attempt_at INTEGER NOT NULL,
+                last_error TEXT,
+                message_id TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                sent_at DATETIME
+            );
+        `;
+
+        const createMessageStatusTable = `
+            CREATE TABLE IF NOT EXISTS message_status (
+                session_id TEXT NOT NULL,
+                message_id TEXT NOT NULL,
+                remote_jid TEXT,
+                status TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (session_id, message_id)
+            );
+        `;
+
+        const createMessageStatusEventsTable = `
+            CREATE TABLE IF NOT EXISTS message_status_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                session_id TEXT NOT NULL,
+                message_id TEXT NOT NULL,
+                status TEXT NOT NULL,
+                participant TEXT,
+                event_timestamp INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `;
+
+        const createWebhookEventsTable = `
+            CREATE TABLE IF NOT EXISTS webhook_events (
+                id TEXT PRIMARY KEY,
+                session_id TEXT NOT NULL,
+                user_id TEXT,
+                webhook_url TEXT NOT NULL,
+                event_type TEXT NOT NULL,
+                payload TEXT NOT NULL,
+                status TEXT DEFAULT 'pending',
+                attempts INTEGER DEFAULT 0,
+                last_error TEXT,
+                last_status_code INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                delivered_at DATETIME
+            );
+        `;
+
+        const createWebhookEventAttemptsTable = `
+            CREATE TABLE IF NOT EXISTS webhook_event_attempts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                event_id TEXT NOT NULL,
+                attempt INTEGER NOT NULL,
+                webhook_url TEXT,
+                success BOOLEAN DEFAULT 0,
+                status_code INTEGER,
+                error TEXT,
+                duration_ms INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `;
+
+        const createWebhookDeadLettersTable = `
+            CREATE TABLE IF NOT EXISTS webhook_dead_letters (
+                event_id TEXT PRIMARY KEY,
+                session_id TEXT NOT NULL,
+                event_type TEXT NOT NULL,
+                last_error TEXT,
+                replay_count INTEGER DEFAULT 0,
+                first_failed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_failed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `;
+
+        const createMediaFilesTable = `
+            CREATE TABLE IF NOT EXISTS media_files (
+                id TEXT PRIMARY KEY,
+                session_id TEXT NOT NULL,
+                message_id TEXT,
+                remote_jid TEXT,
+                file_path TEXT NOT NULL,
+                file_name TEXT,
+                mimetype TEXT,
+                size INTEGER,
+                sha256 TEXT,
+                expires_at INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `;
+
+        const createMessagesTable = `
+            CREATE TABLE IF NOT EXISTS messages (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                session_id TEXT NOT NULL,
+                chat_jid TEXT NOT NULL,
+                message_id TEXT NOT NULL,
+                from_me BOOLEAN DEFAULT 0,
+                sender_jid TEXT,
+                push_name TEXT,
+                message_type TEXT,
+                text TEXT,
+                content TEXT,
+                message_timestamp INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (session_id, chat_jid, message_id)
+            );
+        `;
+
+        // Encoded message protos handed back to Baileys' getMessage (retry re-encryption, poll vote decryption)
+        const createMessageStoreTable = `
+            CREATE TABLE IF NOT EXISTS message_store (
+                session_id TEXT NOT NULL,
+                chat_jid TEXT NOT NULL,
+                message_id TEXT NOT NULL,
+                message BLOB NOT NULL,
+                created_at INTEGER NOT NULL,
+                PRIMARY KEY (session_id, chat_jid, message_id)
+            );
+        `;
+
+        const createContactsTable = `
+            CREATE TABLE IF NOT EXISTS contacts (
+                session_id TEXT NOT NULL,
+                jid TEXT NOT NULL,
+                name TEXT,
+                notify TEXT,
+                verified_name TEXT,
+                img_url TEXT,
+                status TEXT,
+                last_message_at INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (session_id, jid)
+            );
+        `;
+
+        const createChatsTable = `
+            CREATE TABLE IF NOT EXISTS chats (
+                session_id TEXT NOT NULL,
+                jid TEXT NOT NULL,
+                name TEXT,
+                unread_count INTEGER DEFAULT 0,
+                marked_unread BOOLEAN DEFAULT 0,
+                archived BOOLEAN DEFAULT 0,
+                pinned_at INTEGER,
+                mute_end_time INTEGER,
+                last_message_id TEXT,
+                last_message_type TEXT,
+                last_message_preview TEXT,
+                last_message_from_me BOOLEAN,
+                last_message_at INTEGER,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (session_id, jid)
+            );
+        `;
+
+        // The autoincrement id is the resume cursor for /eventStream consumers
+        const createStreamEventsTable = `
+            CREATE TABLE IF NOT EXISTS stream_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                session_id TEXT NOT NULL,
+                event_type TEXT NOT NULL,
+                payload TEXT NOT NULL,
+                created_at INTEGER NOT NULL
+            );
+        `;
+
+        // Highest cursor pruned per session, so a resuming consumer can tell whether it missed any of its events
+        const createStreamPruneMarksTable = `
+            CREATE TABLE IF NOT EXISTS stream_prune_marks (
+                session_id TEXT PRIMARY KEY,
+                pruned_through INTEGER NOT NULL
+            );
+        `;
+
+        // Broadcast campaigns: one row per campaign, one per recipient (with its personalization variables)
+        const createCampaignsTable = `
+            CREATE TABLE IF NOT EXISTS campaigns (
+                id TEXT PRIMARY KEY,
+                session_id TEXT NOT NULL,
+                name TEXT,
+                status TEXT DEFAULT 'draft',
+                message_type TEXT NOT NULL,
+                message_template TEXT,
+                media_path TEXT,
+                media_type TEXT,
+                file_name TEXT,
+                start_at INTEGER,
+                window_start TEXT,
+                window_end TEXT,
+                timezone TEXT,
+                total_recipients INTEGER DEFAULT 0,
+                last_error TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                started_at DATETIME,
+                completed_at DATETIME
+            );
+        `;
+
+        const createCampaignRecipientsTable = `
+            CREATE TABLE IF NOT EXISTS campaign_recipients (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                campaign_id TEXT NOT NULL,
+                receiver_id TEXT NOT NULL,
+                variables TEXT,
+                status TEXT DEFAULT 'pending',
+                message_id TEXT,
+                error TEXT,
+                sent_at DATETIME,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(campaign_id, receiver_id)
+            );
+        `;
+
+        // Scheduled sends: one row per schedule; next_run_at is the next due time in ms (UTC)
+        const createScheduledMessagesTable = `
+            CREATE TABLE IF NOT EXISTS scheduled_messages (
+                id TEXT PRIMARY KEY,
+                session_id TEXT NOT NULL,
+                receiver_id TEXT NOT NULL,
+                message_type TEXT NOT NULL,
+                payload TEXT NOT NULL,
+                schedule_type TEXT NOT NULL,
+                schedule_rule TEXT NOT NULL,
+                cron_expression TEXT,
+                timezone TEXT DEFAULT 'UTC',
+                missed_policy TEXT DEFAULT 'catch_up',
+                end_at INTEGER,
+                status TEXT DEFAULT 'active',
+                next_run_at INTEGER,
+                last_run_at INTEGER,
+                run_count INTEGER DEFAULT 0,
+                last_status TEXT,
+                last_error TEXT,
+                last_message_id TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `;
+
+        // Named message templates owned by a session (scope 'session') or shared by a user_id (scope 'user')
+        const createMessageTemplatesTable = `
+            CREATE TABLE IF NOT EXISTS message_templates (
+                id TEXT PRIMARY KEY,
+                scope TEXT NOT NULL,
+                owner_id TEXT NOT NULL,
+                name TEXT NOT NULL,
+                body TEXT,
+                variables TEXT,
+                locale TEXT,
+                media_path TEXT,
+                media_type TEXT,
+                file_name TEXT,
+                media_size INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(scope, owner_id, name)
+            );
+        `;
+
         this.db.serialize(() => {
             this.db.run(createSessionsTable, (err) => {
                 if (err) {
@@ -74,73 +378,2161 @@ class Database {
                 }
             });
 
-            // Add admin_id column to existing sessions table if it doesn't exist
+            this.db.run(createMessageQueueTable, (err) => {
+                if (err) {
+                    console.error('Error creating message_queue table:', err.message);
+                } else {
+                    console.log('Message queue table created successfully');
+                }
+            });
+
             this.db.run(`
-                ALTER TABLE sessions ADD COLUMN admin_id TEXT;
+                CREATE INDEX IF NOT EXISTS idx_message_queue_due ON message_queue (status, next_attempt_at, session_id);
             `, (err) => {
-                if (err && !err.message.includes('duplicate column')) {
-                    console.error('Error adding admin_id column:', err.message);
-                } else if (!err) {
-                    console.log('Admin_id column added successfully');
+                if (err) {
+                    console.error('Error creating message_queue index:', err.message);
+                }
+            });
+
+            this.db.run(createMessageStatusTable, (err) => {
+                if (err) {
+                    console.error('Error creating message_status table:', err.message);
+                } else {
+                    console.log('Message status table created successfully');
+                }
+            });
+
+            this.db.run(createMessageStatusEventsTable, (err) => {
+                if (err) {
+                    console.error('Error creating message_status_events table:', err.message);
+                } else {
+                    console.log('Message status events table created successfully');
+                }
+            });
+
+            this.db.run(`
+                CREATE INDEX IF NOT EXISTS idx_message_status_events_message ON message_status_events (session_id, message_id);
+            `, (err) => {
+                if (err) {
+                    console.error('Error creating message_status_events index:', err.message);
+                }
+            });
+
+            this.db.run(createWebhookEventsTable, (err) => {
+                if (err) {
+                    console.error('Error creating webhook_events table:', err.message);
+                } else {
+                    console.log('Webhook events table created successfully');
+                }
+            });
+
+            this.db.run(createWebhookEventAttemptsTable, (err) => {
+                if (err) {
+                    console.error('Error creating webhook_event_attempts table:', err.message);
+                } else {
+                    console.log('Webhook event attempts table created successfully');
+                }
+            });
+
+            this.db.run(createWebhookDeadLettersTable, (err) => {
+                if (err) {
+                    console.error('Error creating webhook_dead_letters table:', err.message);
+                } else {
+                    console.log('Webhook dead letters table created successfully');
+                }
+            });
+
+            this.db.run(`
+                CREATE INDEX IF NOT EXISTS idx_webhook_events_session ON webhook_events (session_id, created_at);
+            `, (err) => {
+                if (err) {
+                    console.error('Error creating webhook_events index:', err.message);
+                }
+            });
+
+            this.db.run(`
+                CREATE INDEX IF NOT EXISTS idx_webhook_event_attempts_event ON webhook_event_attempts (event_id);
+            `, (err) => {
+                if (err) {
+                    console.error('Error creating webhook_event_attempts index:', err.message);
+                }
+            });
+
+            this.db.run(createMediaFilesTable, (err) => {
+                if (err) {
+                    console.error('Error creating media_files table:', err.message);
+                } else {
+                    console.log('Media files table created successfully');
+                }
+            });
+
+            this.db.run(`
+                CREATE INDEX IF NOT EXISTS idx_media_files_expires ON media_files (expires_at);
+            `, (err) => {
+                if (err) {
+                    console.error('Error creating media_files index:', err.message);
+                }
+            });
+
+            this.db.run(createMessagesTable, (err) => {
+                if (err) {
+                    console.error('Error creating messages table:', err.message);
+                } else {
+                    console.log('Messages table created successfully');
+                }
+            });
+
+            // Chat history pages by (chat, time); conversation lists and id lookups by session
+            this.db.run(`
+                CREATE INDEX IF NOT EXISTS idx_messages_chat ON messages (session_id, chat_jid, message_timestamp, id);
+            `, (err) => {
+                if (err) {
+                    console.error('Error creating messages chat index:', err.message);
+                }
+            });
+
+            this.db.run(`
+                CREATE INDEX IF NOT EXISTS idx_messages_message_id ON messages (session_id, message_id);
+            `, (err) => {
+                if (err) {
+                    console.error('Error creating messages id index:', err.message);
+                }
+            });
+
+            this.db.run(`
+                CREATE INDEX IF NOT EXISTS idx_messages_timestamp ON messages (session_id, message_timestamp);
+            `, (err) => {
+                if (err) {
+                    console.error('Error creating messages timestamp index:', err.message);
+                }
+            });
+
+            this.db.run(`
+                CREATE INDEX IF NOT EXISTS idx_messages_age ON messages (message_timestamp);
+            `, (err) => {
+                if (err) {
+                    console.error('Error creating messages age index:', err.message);
+                }
+            });
+
+            this.db.run(createMessageStoreTable, (err) => {
+                if (err) {
+                    console.error('Error creating message_store table:', err.message);
+                } else {
+                    console.log('Message store table created successfully');
+                }
+            });
+
+            this.db.run(`
+                CREATE INDEX IF NOT EXISTS idx_message_store_created ON message_store (session_id, created_at);
+            `, (err) => {
+                if (err) {
+                    console.error('Error creating message_store index:', err.message);
+                }
+            });
+
+            this.db.run(createContactsTable, (err) => {
+                if (err) {
+                    console.error('Error creating contacts table:', err.message);
+                } else {
+                    console.log('Contacts table created successfully');
+                }
+            });
+
+            this.db.run(`
+                CREATE INDEX IF NOT EXISTS idx_contacts_last_message ON contacts (session_id, last_message_at);
+            `, (err) => {
+                if (err) {
+                    console.error('Error creating contacts index:', err.message);
+                }
+            });
+
+            this.db.run(createChatsTable, (err) => {
+                if (err) {
+                    console.error('Error creating chats table:', err.message);
+                } else {
+                    console.log('Chats table created successfully');
+                }
+            });
+
+            this.db.run(createCampaignsTable, (err) => {
+                if (err) {
+                    console.error('Error creating campaigns table:', err.message);
+                } else {
+                    console.log('Campaigns table created successfully');
+                }
+            });
+
+            this.db.run(`
+                CREATE INDEX IF NOT EXISTS idx_campaigns_session ON campaigns (session_id, status, created_at);
+            `, (err) => {
+                if (err) {
+                    console.error('Error creating campaigns index:', err.message);
+                }
+            });
+
+            this.db.run(createCampaignRecipientsTable, (err) => {
+                if (err) {
+                    console.error('Error creating campaign_recipients table:', err.message);
+                } else {
+                    console.log('Campaign recipients table created successfully');
+                }
+            });
+
+            this.db.run(`
+                CREATE INDEX IF NOT EXISTS idx_campaign_recipients_status ON campaign_recipients (campaign_id, status, id);
+            `, (err) => {
+                if (err) {
+                    console.error('Error creating campaign_recipients index:', err.message);
+                }
+            });
+
+            this.db.run(createScheduledMessagesTable, (err) => {
+                if (err) {
+                    console.error('Error creating scheduled_messages table:', err.message);
+                } else {
+                    console.log('Scheduled messages table created successfully');
+                }
+            });
+
+            this.db.run(`
+                CREATE INDEX IF NOT EXISTS idx_scheduled_messages_due ON scheduled_messages (status, next_run_at);
+            `, (err) => {
+                if (err) {
+                    console.error('Error creating scheduled_messages index:', err.message);
+                }
+            });
+
+            this.db.run(`
+                CREATE INDEX IF NOT EXISTS idx_scheduled_messages_session ON scheduled_messages (session_id, status, created_at);
+            `, (err) => {
+                if (err) {
+                    console.error('Error creating scheduled_messages session index:', err.message);
+                }
+            });
+
+            this.db.run(createMessageTemplatesTable, (err) => {
+                if (err) {
+                    console.error('Error creating message_templates table:', err.message);
+                } else {
+                    console.log('Message templates table created successfully');
+                }
+            });
+
+            this.db.run(createStreamEventsTable, (err) => {
+                if (err) {
+                    console.error('Error creating stream_events table:', err.message);
+                } else {
+                    console.log('Stream events table created successfully');
+                }
+            });
+
+            this.db.run(`
+                CREATE INDEX IF NOT EXISTS idx_stream_events_session ON stream_events (session_id, id);
+            `, (err) => {
+                if (err) {
+                    console.error('Error creating stream_events index:', err.message);
+                }
+            });
+
+            this.db.run(`
+                CREATE INDEX IF NOT EXISTS idx_stream_events_created ON stream_events (created_at);
+            `, (err) => {
+                if (err) {
+                    console.error('Error creating stream_events created index:', err.message);
+                }
+            });
+
+            this.db.run(createStreamPruneMarksTable, (err) => {
+                if (err) {
+                    console.error('Error creating stream_prune_marks table:', err.message);
+                } else {
+                    console.log('Stream prune marks table created successfully');
+                }
+            });
+
+            // Add admin_id column to existing sessions table if it doesn't exist
+            this.db.run(`
+                ALTER TABLE sessions ADD COLUMN admin_id TEXT;
+            `, (err) => {
+                if (err && !err.message.includes('duplicate column')) {
+                    console.error('Error adding admin_id column:', err.message);
+                } else if (!err) {
+                    console.log('Admin_id column added successfully');
+                }
+            });
+
+            // Add send_group_messages column to existing sessions table if it doesn't exist
+            this.db.run(`
+                ALTER TABLE sessions ADD COLUMN send_group_messages BOOLEAN DEFAULT 0;
+            `, (err) => {
+                if (err && !err.message.includes('duplicate column')) {
+                    console.error('Error adding send_group_messages column:', err.message);
+                } else if (!err) {
+                    console.log('Send_group_messages column added successfully');
+                }
+            });
+
+            // Opt-in webhook event subscriptions, alongside send_group_messages
+            ['send_outgoing_messages', 'send_edited_messages', 'send_deleted_messages', 'send_reactions', 'send_group_events', 'send_call_events', 'send_message_status', 'send_poll_votes', 'event_stream_enabled'].forEach((column) => {
+                this.db.run(`ALTER TABLE sessions ADD COLUMN ${column} BOOLEAN DEFAULT 0;`, (err) => {
+                    if (err && !err.message.includes('duplicate column')) {
+                        console.error(`Error adding ${column} column:`, err.message);
+                    }
+                });
+            });
+
+            // Add webhook_secret column for HMAC-signed webhook payloads
+            this.db.run(`
+                ALTER TABLE sessions ADD COLUMN webhook_secret TEXT;
+            `, (err) => {
+                if (err && !err.message.includes('duplicate column')) {
+                    console.error('Error adding webhook_secret column:', err.message);
+                } else if (!err) {
+                    console.log('Webhook_secret column added successfully');
+                }
+            });
+
+            // Incoming call policy: 'ignore', 'reject' or 'reject_with_message' (replies with call_reject_message)
+            this.db.run(`
+                ALTER TABLE sessions ADD COLUMN call_policy TEXT DEFAULT 'ignore';
+            `, (err) => {
+                if (err && !err.message.includes('duplicate column')) {
+                    console.error('Error adding call_policy column:', err.message);
+                }
+            });
+
+            this.db.run(`
+                ALTER TABLE sessions ADD COLUMN call_reject_message TEXT;
+            `, (err) => {
+                if (err && !err.message.includes('duplicate column')) {
+                    console.error('Error adding call_reject_message column:', err.message);
+                }
+            });
+
+            // Per-session send limits; NULL means "use the env default", 0 means unlimited
+            const rateLimitColumns = [
+                'rate_limit_per_minute INTEGER',
+                'rate_limit_per_hour INTEGER',
+                'rate_limit_per_day INTEGER',
+                'send_delay_min_ms INTEGER',
+                'send_delay_max_ms INTEGER'
+            ];
+            rateLimitColumns.forEach((columnDefinition) => {
+                this.db.run(`ALTER TABLE sessions ADD COLUMN ${columnDefinition};`, (err) => {
+                    if (err && !err.message.includes('duplicate column')) {
+                        console.error(`Error adding ${columnDefinition.split(' ')[0]} column:`, err.message);
+                    }
+                });
+            });
+
+            // Per-session API tokens are looked up by hash on every request
+            this.db.run(`
+                CREATE INDEX IF NOT EXISTS idx_sessions_auth_token ON sessions (auth_token);
+            `, (err) => {
+                if (err) {
+                    console.error('Error creating auth_token index:', err.message);
+                }
+            });
+        });
+    }
+
+    // Runs [sql, params] statements in one transaction. Any failed statement rolls the whole batch back
+    // and rejects with the first error, so a batch is never committed partially
+    async runTransaction(statements) {
+        if (!statements.length) {
+            return 0;
+        }
+
+        const run = () => new Promise((resolve, reject) => {
+            const connection = this.connection;
+            let failure = null;
+            const recordFailure = (err) => {
+                if (err && !failure) {
+                    failure = err;
+                }
+            };
+
+            const end = (callback) => {
+                this.releaseHeldStatements();
+                callback();
+            };
+            const finish = () => {
+                if (failure) {
+                    connection.run('ROLLBACK', () => end(() => reject(failure)));
+                    return;
+                }
+                connection.run('COMMIT', (err) => {
+                    if (err) {
+                        connection.run('ROLLBACK', () => end(() => reject(err)));
+                    } else {
+                        end(() => resolve(statements.length));
+                    }
+                });
+            };
+
+            this.transactionOpen = true;
+            connection.serialize(() => {
+                connection.run('BEGIN TRANSACTION', recordFailure);
+                statements.forEach(([sql, params], index) => {
+                    connection.run(sql, params, (err) => {
+                        recordFailure(err);
+                        // Callbacks arrive in order, so the last one sees every earlier result
+                        if (index === statements.length - 1) {
+                            finish();
+                        }
+                    });
+                });
+            });
+        });
+
+        const result = this.transactionChain.then(run, run);
+        this.transactionChain = result.catch(() => {});
+        return result;
+    }
+
+    // Session operations
+    async createSession(sessionData) {
+        const { session_id, name, auth_token, user_id, admin_id, webhook_url, send_group_messages = 0 } = sessionData;
+        
+        return new Promise((resolve, reject) => {
+            this.db.run(`
+                INSERT INTO sessions (session_id, name, auth_token, user_id, admin_id, webhook_url, send_group_messages)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [session_id, name, auth_token, user_id, admin_id, webhook_url, send_group_messages], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.lastID);
+                }
+            });
+        });
+    }
+
+    async getSession(sessionId) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT * FROM sessions WHERE session_id = ?',
+                [sessionId],
+                (err, row) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(row);
+                    }
+                }
+            );
+        });
+    }
+
+    async getSessionByAuthToken(authToken) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT * FROM sessions WHERE auth_token = ?',
+                [authToken],
+                (err, row) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(row);
+                    }
+                }
+            );
+        });
+    }
+
+    async updateSessionStatus(sessionId, status) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE sessions SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE session_id = ?',
+                [status, sessionId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    async updateWebhookConfig(sessionId, webhookUrl, webhookStatus) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE sessions SET webhook_url = ?, webhook_status = ?, updated_at = CURRENT_TIMESTAMP WHERE session_id = ?',
+                [webhookUrl, webhookStatus, sessionId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    async updateWebhookEventSettings(sessionId, settings) {
+        const { send_outgoing_messages, send_edited_messages, send_deleted_messages, send_reactions, send_group_events, send_call_events, send_message_status, send_poll_votes } = settings;
+
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE sessions SET send_outgoing_messages = ?, send_edited_messages = ?, send_deleted_messages = ?,
+                 send_reactions = ?, send_group_events = ?, send_call_events = ?, send_message_status = ?, send_poll_votes = ?, updated_at = CURRENT_TIMESTAMP WHERE session_id = ?`,
+                [send_outgoing_messages, send_edited_messages, send_deleted_messages, send_reactions, send_group_events, send_call_events, send_message_status, send_poll_votes, sessionId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    async updateCallSettings(sessionId, callPolicy, callRejectMessage) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE sessions SET call_policy = ?, call_reject_message = ?, updated_at = CURRENT_TIMESTAMP WHERE session_id = ?',
+                [callPolicy, callRejectMessage, sessionId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    async updateEventStreamSetting(sessionId, enabled) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE sessions SET event_stream_enabled = ?, updated_at = CURRENT_TIMESTAMP WHERE session_id = ?',
+                [enabled ? 1 : 0, sessionId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    async updateWebhookSecret(sessionId, webhookSecret) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE sessions SET webhook_secret = ?, updated_at = CURRENT_TIMESTAMP WHERE session_id = ?',
+                [webhookSecret, sessionId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    async updateGroupMessageSetting(sessionId, sendGroupMessages) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE sessions SET send_group_messages = ?, updated_at = CURRENT_TIMESTAMP WHERE session_id = ?',
+                [sendGroupMessages, sessionId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    async updateRateLimitSettings(sessionId, settings) {
+        const { rate_limit_per_minute, rate_limit_per_hour, rate_limit_per_day, send_delay_min_ms, send_delay_max_ms } = settings;
+
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE sessions SET rate_limit_per_minute = ?, rate_limit_per_hour = ?, rate_limit_per_day = ?,
+                 send_delay_min_ms = ?, send_delay_max_ms = ?, updated_at = CURRENT_TIMESTAMP WHERE session_id = ?`,
+                [rate_limit_per_minute, rate_limit_per_hour, rate_limit_per_day, send_delay_min_ms, send_delay_max_ms, sessionId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    async updateSessionAuthToken(sessionId, authToken) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE sessions SET auth_token = ?, updated_at = CURRENT_TIMESTAMP WHERE session_id = ?',
+                [authToken, sessionId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    async getAllSessions() {
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT * FROM sessions', [], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    async getSessionsByUserId(userId) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT * FROM sessions WHERE user_id = ?',
+                [userId],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    }
+
+    async deleteSession(sessionId) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'DELETE FROM sessions WHERE session_id = ?',
+                [sessionId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    // Message queue operations
+    async enqueueMessage(queueData) {
+        const { id, session_id, receiver_id, message_type, payload, max_attempts = 5, next_attempt_at = Date.now() } = queueData;
+
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO message_queue (id, session_id, receiver_id, message_type, payload, max_attempts, next_attempt_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [id, session_id, receiver_id, message_type, JSON.stringify(payload), max_attempts, next_attempt_at],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(id);
+                    }
+                }
+            );
+        });
+    }
+
+    async getQueuedMessage(queueId) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT * FROM message_queue WHERE id = ?',
+                [queueId],
+                (err, row) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(row);
+                    }
+                }
+            );
+        });
+    }
+
+    async getQueuedMessagesBySession(sessionId, status = null, limit = 50) {
+        const query = status
+            ? 'SELECT * FROM message_queue WHERE session_id = ? AND status = ? ORDER BY created_at DESC LIMIT ?'
+            : 'SELECT * FROM message_queue WHERE session_id = ? ORDER BY created_at DESC LIMIT ?';
+        const params = status ? [sessionId, status, limit] : [sessionId, limit];
+
+        return new Promise((resolve, reject) => {
+            this.db.all(query, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    async getNextDueQueuedMessage(sessionId, now = Date.now()) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                `SELECT * FROM message_queue
+                 WHERE session_id = ? AND status = 'queued' AND next_attempt_at <= ?
+                 ORDER BY next_attempt_at ASC, created_at ASC LIMIT 1`,
+                [sessionId, now],
+                (err, row) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(row);
+                    }
+                }
+            );
+        });
+    }
+
+    async getSessionsWithDueMessages(now = Date.now()) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT DISTINCT session_id FROM message_queue WHERE status = 'queued' AND next_attempt_at <= ?`,
+                [now],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows.map(row => row.session_id));
+                    }
+                }
+            );
+        });
+    }
+
+    async markQueuedMessageSending(queueId) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE message_queue SET status = 'sending', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ? AND status = 'queued'`,
+                [queueId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    async markQueuedMessageSent(queueId, messageId) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE message_queue SET status = 'sent', message_id = ?, last_error = NULL,
+                 sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [messageId, queueId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    async markQueuedMessageRetry(queueId, errorMessage, nextAttemptAt) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE message_queue SET status = 'queued', last_error = ?, next_attempt_at = ?,
+                 updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [errorMessage, nextAttemptAt, queueId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    async markQueuedMessageFailed(queueId, errorMessage) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE message_queue SET status = 'failed', last_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [errorMessage, queueId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    // Messages left in 'sending' by a crash or restart may already have reached WhatsApp, so they fail rather than resend.
+    // Returns the failed rows so their media can be removed.
+    async failInterruptedMessages(errorMessage) {
+        const rows = await new Promise((resolve, reject) => {
+            this.db.all("SELECT id, message_type, payload FROM message_queue WHERE status = 'sending'", [], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+        if (rows.length === 0) {
+            return rows;
+        }
+
+        await this.runTransaction(rows.map(row => [
+            `UPDATE message_queue SET status = 'failed', last_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'sending'`,
+            [errorMessage, row.id]
+        ]));
+        return rows;
+    }
+
+    async deleteQueuedMessagesBySession(sessionId) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'DELETE FROM message_queue WHERE session_id = ?',
+                [sessionId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    // Message status (receipt) operations
+    async getMessageStatus(sessionId, messageId) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT * FROM message_status WHERE session_id = ? AND message_id = ?',
+                [sessionId, messageId],
+                (err, row) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(row);
+                    }
+                }
+            );
+        });
+    }
+
+    async upsertMessageStatus(sessionId, messageId, remoteJid, status) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO message_status (session_id, message_id, remote_jid, status)
+                 VALUES (?, ?, ?, ?)
+                 ON CONFLICT(session_id, message_id) DO UPDATE SET
+                    status = excluded.status,
+                    remote_jid = COALESCE(excluded.remote_jid, message_status.remote_jid),
+                    updated_at = CURRENT_TIMESTAMP`,
+                [sessionId, messageId, remoteJid, status],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    async addMessageStatusEvent(sessionId, messageId, status, participant = null, eventTimestamp = null) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO message_status_events (session_id, message_id, status, participant, event_timestamp)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [sessionId, messageId, status, participant, eventTimestamp],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.lastID);
+                    }
+                }
+            );
+        });
+    }
+
+    async getMessageStatusEvents(sessionId, messageId) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT * FROM message_status_events WHERE session_id = ? AND message_id = ? ORDER BY id ASC',
+                [sessionId, messageId],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    }
+
+    // Send times (ms) of our outgoing messages since a given time, oldest first
+    async getOutgoingMessageTimestamps(sessionId, sinceMs) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT CAST(strftime('%s', created_at) AS INTEGER) * 1000 AS sent_at FROM message_status
+                 WHERE session_id = ? AND created_at >= datetime(?, 'unixepoch') ORDER BY created_at ASC`,
+                [sessionId, Math.floor(sinceMs / 1000)],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows.map(row => row.sent_at));
+                    }
+                }
+            );
+        });
+    }
+
+    async deleteMessageStatusBySession(sessionId) {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM message_status_events WHERE session_id = ?', [sessionId], (eventsErr) => {
+                if (eventsErr) {
+                    return reject(eventsErr);
+                }
+                this.db.run('DELETE FROM message_status WHERE session_id = ?', [sessionId], function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                });
+            });
+        });
+    }
+
+    // Webhook event operations
+    async createWebhookEvent(eventData) {
+        const { id, session_id, user_id, webhook_url, event_type, payload } = eventData;
+
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO webhook_events (id, session_id, user_id, webhook_url, event_type, payload)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [id, session_id, user_id, webhook_url, event_type, JSON.stringify(payload)],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(id);
+                    }
+                }
+            );
+        });
+    }
+
+    async getWebhookEvent(eventId) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT * FROM webhook_events WHERE id = ?',
+                [eventId],
+                (err, row) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(row);
+                    }
+                }
+            );
+        });
+    }
+
+    async recordWebhookAttempt(eventId, attemptData) {
+        const { webhook_url, success, status_code = null, error = null, duration_ms = null } = attemptData;
+
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE webhook_events SET attempts = attempts + 1, webhook_url = ?, last_error = ?, last_status_code = ?,
+                 updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [webhook_url, error, status_code, eventId],
+                (updateErr) => {
+                    if (updateErr) {
+                        return reject(updateErr);
+                    }
+                    this.db.run(
+                        `INSERT INTO webhook_event_attempts (event_id, attempt, webhook_url, success, status_code, error, duration_ms)
+                         VALUES (?, (SELECT attempts FROM webhook_events WHERE id = ?), ?, ?, ?, ?, ?)`,
+                        [eventId, eventId, webhook_url, success ? 1 : 0, status_code, error, duration_ms],
+                        function(err) {
+                            if (err) {
+                                reject(err);
+                            } else {
+                                resolve(this.lastID);
+                            }
+                        }
+                    );
+                }
+            );
+        });
+    }
+
+    async getWebhookEventAttempts(eventId) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT * FROM webhook_event_attempts WHERE event_id = ? ORDER BY attempt ASC',
+                [eventId],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    }
+
+    async markWebhookEventDelivered(eventId) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE webhook_events SET status = 'delivered', last_error = NULL, delivered_at = CURRENT_TIMESTAMP,
+                 updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [eventId],
+                (updateErr) => {
+                    if (updateErr) {
+                        return reject(updateErr);
+                    }
+                    this.db.run('DELETE FROM webhook_dead_letters WHERE event_id = ?', [eventId], function(err) {
+                        if (err) {
+                            reject(err);
+                        } else {
+                            resolve(this.changes);
+                        }
+                    });
+                }
+            );
+        });
+    }
+
+    async markWebhookEventFailed(eventId, sessionId, eventType, errorMessage) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE webhook_events SET status = 'failed', last_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [errorMessage, eventId],
+                (updateErr) => {
+                    if (updateErr) {
+                        return reject(updateErr);
+                    }
+                    this.db.run(
+                        `INSERT INTO webhook_dead_letters (event_id, session_id, event_type, last_error)
+                         VALUES (?, ?, ?, ?)
+                         ON CONFLICT(event_id) DO UPDATE SET last_error = excluded.last_error, last_failed_at = CURRENT_TIMESTAMP`,
+                        [eventId, sessionId, eventType, errorMessage],
+                        function(err) {
+                            if (err) {
+                                reject(err);
+                            } else {
+                                resolve(this.changes);
+                            }
+                        }
+                    );
+                }
+            );
+        });
+    }
+
+    // Events still 'pending' at startup lost their delivery to a crash or restart; they become dead letters
+    // The events are selected once, so an event created meanwhile is neither counted nor moved
+    async deadLetterInterruptedWebhookEvents(errorMessage) {
+        const events = await new Promise((resolve, reject) => {
+            this.db.all("SELECT id, session_id, event_type FROM webhook_events WHERE status = 'pending'", [], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+
+        await this.runTransaction(events.flatMap(event => [
+            [
+                `INSERT INTO webhook_dead_letters (event_id, session_id, event_type, last_error)
+                 VALUES (?, ?, ?, ?)
+                 ON CONFLICT(event_id) DO UPDATE SET last_error = excluded.last_error, last_failed_at = CURRENT_TIMESTAMP`,
+                [event.id, event.session_id, event.event_type, errorMessage]
+            ],
+            [
+                `UPDATE webhook_events SET status = 'failed', last_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [errorMessage, event.id]
+            ]
+        ]));
+        return events.length;
+    }
+
+    async incrementDeadLetterReplayCount(eventId) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE webhook_dead_letters SET replay_count = replay_count + 1 WHERE event_id = ?',
+                [eventId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    // fromSeconds/toSeconds are unix times matched against when the event was first created
+    async getDeadLetters(sessionId, fromSeconds = null, toSeconds = null, limit = 100) {
+        let query = `
+            SELECT d.*, e.webhook_url, e.attempts, e.last_status_code, e.created_at
+            FROM webhook_dead_letters d
+            JOIN webhook_events e ON e.id = d.event_id
+            WHERE d.session_id = ?`;
+        const params = [sessionId];
+
+        if (fromSeconds !== null) {
+            query += ` AND e.created_at >= datetime(?, 'unixepoch')`;
+            params.push(fromSeconds);
+        }
+        if (toSeconds !== null) {
+            query += ` AND e.created_at <= datetime(?, 'unixepoch')`;
+            params.push(toSeconds);
+        }
+        query += ' ORDER BY e.created_at ASC LIMIT ?';
+        params.push(limit);
+
+        return new Promise((resolve, reject) => {
+            this.db.all(query, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    // Delivered events are only kept for inspection; failed ones stay until replayed or the session is deleted
+    async pruneDeliveredWebhookEvents(olderThanDays) {
+        const cutoff = `-${parseInt(olderThanDays)} days`;
+
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `DELETE FROM webhook_event_attempts WHERE event_id IN
+                 (SELECT id FROM webhook_events WHERE status = 'delivered' AND created_at < datetime('now', ?))`,
+                [cutoff],
+                (attemptsErr) => {
+                    if (attemptsErr) {
+                        return reject(attemptsErr);
+                    }
+                    this.db.run(
+                        `DELETE FROM webhook_events WHERE status = 'delivered' AND created_at < datetime('now', ?)`,
+                        [cutoff],
+                        function(err) {
+                            if (err) {
+                                reject(err);
+                            } else {
+                                resolve(this.changes);
+                            }
+                        }
+                    );
+                }
+            );
+        });
+    }
+
+    async deleteWebhookEventsBySession(sessionId) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'DELETE FROM webhook_event_attempts WHERE event_id IN (SELECT id FROM webhook_events WHERE session_id = ?)',
+                [sessionId],
+                (attemptsErr) => {
+                    if (attemptsErr) {
+                        return reject(attemptsErr);
+                    }
+                    this.db.run('DELETE FROM webhook_dead_letters WHERE session_id = ?', [sessionId], (deadLetterErr) => {
+                        if (deadLetterErr) {
+                            return reject(deadLetterErr);
+                        }
+                        this.db.run('DELETE FROM webhook_events WHERE session_id = ?', [sessionId], function(err) {
+                            if (err) {
+                                reject(err);
+                            } else {
+                                resolve(this.changes);
+                            }
+                        });
+                    });
+                }
+            );
+        });
+    }
+
+    // Inbound media operations
+    async createMediaFile(mediaData) {
+        const { id, session_id, message_id, remote_jid, file_path, file_name, mimetype, size, sha256, expires_at } = mediaData;
+
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO media_files (id, session_id, message_id, remote_jid, file_path, file_name, mimetype, size, sha256, expires_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [id, session_id, message_id, remote_jid, file_path, file_name, mimetype, size, sha256, expires_at],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(id);
+                    }
+                }
+            );
+        });
+    }
+
+    async getMediaFile(mediaId) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT * FROM media_files WHERE id = ?',
+                [mediaId],
+                (err, row) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(row);
+                    }
+                }
+            );
+        });
+    }
+
+    async getExpiredMediaFiles(now = Date.now(), limit = 500) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT * FROM media_files WHERE expires_at IS NOT NULL AND expires_at <= ? LIMIT ?',
+                [now, limit],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    }
+
+    async deleteMediaFile(mediaId) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'DELETE FROM media_files WHERE id = ?',
+                [mediaId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    async deleteMediaFilesBySession(sessionId) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'DELETE FROM media_files WHERE session_id = ?',
+                [sessionId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    // Message history operations
+    async saveMessage(messageData) {
+        const { session_id, chat_jid, message_id, from_me, sender_jid, push_name, message_type, text, content, message_timestamp } = messageData;
+
+        return new Promise((resolve, reject) => {
+            // The same message can arrive from the send path and from messages.upsert; keep one row
+            this.db.run(
+                `INSERT INTO messages (session_id, chat_jid, message_id, from_me, sender_jid, push_name, message_type, text, content, message_timestamp)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                 ON CONFLICT(session_id, chat_jid, message_id) DO UPDATE SET
+                    push_name = COALESCE(excluded.push_name, messages.push_name),
+                    message_type = excluded.message_type,
+                    text = excluded.text,
+                    content = excluded.content`,
+                [session_id, chat_jid, message_id, from_me ? 1 : 0, sender_jid, push_name, message_type, text,
+                    content ? JSON.stringify(content) : null, message_timestamp],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    // Rewrites a stored message in place after it was edited or deleted for everyone
+    async updateStoredMessageContent(sessionId, chatJid, messageId, messageType, text, content) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE messages SET message_type = ?, text = ?, content = ?
+                 WHERE session_id = ? AND chat_jid = ? AND message_id = ?`,
+                [messageType, text, content ? JSON.stringify(content) : null, sessionId, chatJid, messageId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    // Newest first; the cursor is the (message_timestamp, id) of the last row of the previous page
+    async getChatMessages(sessionId, chatJid, limit = 50, before = null) {
+        const params = [sessionId, chatJid];
+        let cursorClause = '';
+        if (before) {
+            cursorClause = 'AND (m.message_timestamp < ? OR (m.message_timestamp = ? AND m.id < ?))';
+            params.push(before.timestamp, before.timestamp, before.id);
+        }
+        params.push(limit);
+
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT m.*, s.status AS delivery_status FROM messages m
+                 LEFT JOIN message_status s ON s.session_id = m.session_id AND s.message_id = m.message_id
+                 WHERE m.session_id = ? AND m.chat_jid = ? ${cursorClause}
+                 ORDER BY m.message_timestamp DESC, m.id DESC LIMIT ?`,
+                params,
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    }
+
+    async getStoredMessage(sessionId, messageId, chatJid = null) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                `SELECT m.*, s.status AS delivery_status FROM messages m
+                 LEFT JOIN message_status s ON s.session_id = m.session_id AND s.message_id = m.message_id
+                 WHERE m.session_id = ? AND m.message_id = ? ${chatJid ? 'AND m.chat_jid = ?' : ''}
+                 ORDER BY m.id DESC LIMIT 1`,
+                chatJid ? [sessionId, messageId, chatJid] : [sessionId, messageId],
+                (err, row) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(row);
+                    }
+                }
+            );
+        });
+    }
+
+    // One row per chat with its latest message, most recently active first
+    async getRecentConversations(sessionId, limit = 20, offset = 0) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT m.*, c.message_count FROM (
+                    SELECT g.chat_jid, COUNT(*) AS message_count, (
+                        SELECT x.id FROM messages x WHERE x.session_id = g.session_id AND x.chat_jid = g.chat_jid
+                        ORDER BY x.message_timestamp DESC, x.id DESC LIMIT 1
+                    ) AS last_id
+                    FROM messages g WHERE g.session_id = ? GROUP BY g.session_id, g.chat_jid
+                 ) c JOIN messages m ON m.id = c.last_id
+                 ORDER BY m.message_timestamp DESC, m.id DESC LIMIT ? OFFSET ?`,
+                [sessionId, limit, offset],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    }
+
+    async deleteMessagesBySession(sessionId) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'DELETE FROM messages WHERE session_id = ?',
+                [sessionId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    // message_timestamp is in seconds, like WhatsApp's own timestamps
+    async pruneMessages(olderThanMs) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'DELETE FROM messages WHERE message_timestamp < ?',
+                [Math.floor(olderThanMs / 1000)],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    // Message store (getMessage) operations
+    async saveMessagePayload(sessionId, chatJid, messageId, messageBuffer, createdAt = Date.now()) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT OR REPLACE INTO message_store (session_id, chat_jid, message_id, message, created_at)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [sessionId, chatJid, messageId, messageBuffer, createdAt],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    async getMessagePayload(sessionId, chatJid, messageId) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT message FROM message_store WHERE session_id = ? AND chat_jid = ? AND message_id = ?',
+                [sessionId, chatJid, messageId],
+                (err, row) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(row ? row.message : null);
+                    }
+                }
+            );
+        });
+    }
+
+    // Drops entries older than the cutoff, then keeps only the newest maxPerSession per session (0 = no cap)
+    async pruneMessagePayloads(olderThanMs, maxPerSession = 0) {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM message_store WHERE created_at < ?', [olderThanMs], (err) => {
+                if (err) {
+                    return reject(err);
+                }
+                if (!maxPerSession) {
+                    return resolve();
+                }
+                this.db.run(
+                    `DELETE FROM message_store WHERE rowid IN (
+                        SELECT rowid FROM (
+                            SELECT rowid, ROW_NUMBER() OVER (PARTITION BY session_id ORDER BY created_at DESC) AS position
+                            FROM message_store
+                        ) WHERE position > ?
+                     )`,
+                    [maxPerSession],
+                    (trimErr) => {
+                        if (trimErr) {
+                            reject(trimErr);
+                        } else {
+                            resolve();
+                        }
+                    }
+                );
+            });
+        });
+    }
+
+    async deleteMessagePayloadsBySession(sessionId) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'DELETE FROM message_store WHERE session_id = ?',
+                [sessionId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    // Contact operations
+    // Partial updates (contacts.update) only carry changed fields, so missing values never overwrite stored ones
+    async upsertContacts(sessionId, contacts) {
+        if (!contacts.length) {
+            return 0;
+        }
+
+        const statements = contacts.map(contact => [
+            `INSERT INTO contacts (session_id, jid, name, notify, verified_name, img_url, status)
+             VALUES (?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT(session_id, jid) DO UPDATE SET
+                name = COALESCE(excluded.name, contacts.name),
+                notify = COALESCE(excluded.notify, contacts.notify),
+                verified_name = COALESCE(excluded.verified_name, contacts.verified_name),
+                img_url = COALESCE(excluded.img_url, contacts.img_url),
+                status = COALESCE(excluded.status, contacts.status),
+                updated_at = CURRENT_TIMESTAMP`,
+            [sessionId, contact.jid, contact.name, contact.notify, contact.verified_name, contact.img_url, contact.status]
+        ]);
+
+        return this.runTransaction(statements);
+    }
+
+    // Called for every message with a contact; the push name is only set when the message carried one
+    async touchContact(sessionId, jid, notify = null, lastMessageAt = null) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO contacts (session_id, jid, notify, last_message_at)
+                 VALUES (?, ?, ?, ?)
+                 ON CONFLICT(session_id, jid) DO UPDATE SET
+                    notify = COALESCE(excluded.notify, contacts.notify),
+                    last_message_at = MAX(COALESCE(excluded.last_message_at, 0), COALESCE(contacts.last_message_at, 0)),
+                    updated_at = CURRENT_TIMESTAMP`,
+                [sessionId, jid, notify, lastMessageAt],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    async getContacts(sessionId, options = {}) {
+        const { search = null, limit = 100, offset = 0, sort = 'recent' } = options;
+        const params = [sessionId];
+        let where = 'WHERE session_id = ?';
+        if (search) {
+            where += " AND (name LIKE ? ESCAPE '\\' OR notify LIKE ? ESCAPE '\\' OR verified_name LIKE ? ESCAPE '\\' OR jid LIKE ? ESCAPE '\\')";
+            const pattern = `%${search.replace(/[\\%_]/g, '\\$&')}%`;
+            params.push(pattern, pattern, pattern, pattern);
+        }
+        const orderBy = sort === 'name'
+            ? 'ORDER BY COALESCE(name, verified_name, notify, jid) COLLATE NOCASE ASC'
+            : 'ORDER BY last_message_at IS NULL, last_message_at DESC, COALESCE(name, verified_name, notify, jid) COLLATE NOCASE ASC';
+
+        return new Promise((resolve, reject) => {
+            this.db.get(`SELECT COUNT(*) AS total FROM contacts ${where}`, params, (countErr, countRow) => {
+                if (countErr) {
+                    return reject(countErr);
+                }
+                this.db.all(
+                    `SELECT * FROM contacts ${where} ${orderBy} LIMIT ? OFFSET ?`,
+                    [...params, limit, offset],
+                    (err, rows) => {
+                        if (err) {
+                            reject(err);
+                        } else {
+                            resolve({ contacts: rows, total: countRow.total });
+                        }
+                    }
+                );
+            });
+        });
+    }
+
+    async getContactsByJids(sessionId, jids) {
+        if (!jids.length) {
+            return [];
+        }
+
+        // Chunked to stay under SQLite's bound parameter limit for large groups
+        const chunks = [];
+        for (let i = 0; i < jids.length; i += 500) {
+            chunks.push(jids.slice(i, i + 500));
+        }
+
+        const results = await Promise.all(chunks.map(chunk => new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT * FROM contacts WHERE session_id = ? AND jid IN (${chunk.map(() => '?').join(', ')})`,
+                [sessionId, ...chunk],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        })));
+        return results.flat();
+    }
+
+    async deleteContactsBySession(sessionId) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'DELETE FROM contacts WHERE session_id = ?',
+                [sessionId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    // Chat operations
+    // Each update only sets the fields it carries; unreadDelta adds to the stored unread count
+    async applyChatUpdates(sessionId, updates) {
+        if (!updates.length) {
+            return 0;
+        }
+
+        const columns = {
+            name: 'name',
+            unreadCount: 'unread_count',
+            markedUnread: 'marked_unread',
+            archived: 'archived',
+            pinnedAt: 'pinned_at',
+            muteEndTime: 'mute_end_time'
+        };
+
+        const statements = [];
+        updates.forEach((update) => {
+            statements.push(['INSERT OR IGNORE INTO chats (session_id, jid) VALUES (?, ?)', [sessionId, update.jid]]);
+
+            const assignments = [];
+            const params = [];
+            Object.keys(columns).forEach((field) => {
+                if (update[field] !== undefined) {
+                    assignments.push(`${columns[field]} = ?`);
+                    params.push(typeof update[field] === 'boolean' ? (update[field] ? 1 : 0) : update[field]);
+                }
+            });
+            if (update.unreadDelta) {
+                assignments.push('unread_count = COALESCE(unread_count, 0) + ?');
+                params.push(update.unreadDelta);
+            }
+            if (update.conversationTimestamp) {
+                assignments.push('last_message_at = MAX(COALESCE(last_message_at, 0), ?)');
+                params.push(update.conversationTimestamp);
+            }
+            if (assignments.length > 0) {
+                statements.push([
+                    `UPDATE chats SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE session_id = ? AND jid = ?`,
+                    [...params, sessionId, update.jid]
+                ]);
+            }
+        });
+
+        await this.runTransaction(statements);
+        return updates.length;
+    }
+
+    // Sets the last-message preview unless a newer message is already recorded
+    async updateChatLastMessage(sessionId, jid, lastMessage) {
+        const { message_id, message_type, preview, from_me, timestamp } = lastMessage;
+
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO chats (session_id, jid, last_message_id, last_message_type, last_message_preview, last_message_from_me, last_message_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)
+                 ON CONFLICT(session_id, jid) DO UPDATE SET
+                    last_message_id = excluded.last_message_id,
+                    last_message_type = excluded.last_message_type,
+                    last_message_preview = excluded.last_message_preview,
+                    last_message_from_me = excluded.last_message_from_me,
+                    last_message_at = excluded.last_message_at,
+                    updated_at = CURRENT_TIMESTAMP
+                 WHERE excluded.last_message_at >= COALESCE(chats.last_message_at, 0)`,
+                [sessionId, jid, message_id, message_type, preview, from_me ? 1 : 0, timestamp],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    // Pinned chats first, then most recent activity; names fall back to the contact store
+    async getChats(sessionId, options = {}) {
+        const { archived = false, unreadOnly = false, limit = 50, offset = 0 } = options;
+        const params = [sessionId];
+        let where = 'WHERE c.session_id = ?';
+        if (archived !== null) {
+            where += ' AND c.archived = ?';
+            params.push(archived ? 1 : 0);
+        }
+        if (unreadOnly) {
+            where += ' AND (c.unread_count > 0 OR c.marked_unread = 1)';
+        }
+
+        return new Promise((resolve, reject) => {
+            this.db.get(`SELECT COUNT(*) AS total FROM chats c ${where}`, params, (countErr, countRow) => {
+                if (countErr) {
+                    return reject(countErr);
+                }
+                this.db.all(
+                    `SELECT c.*, COALESCE(c.name, ct.name, ct.verified_name, ct.notify) AS display_name FROM chats c
+                     LEFT JOIN contacts ct ON ct.session_id = c.session_id AND ct.jid = c.jid
+                     ${where}
+                     ORDER BY c.pinned_at IS NULL, c.pinned_at DESC, c.last_message_at IS NULL, c.last_message_at DESC
+                     LIMIT ? OFFSET ?`,
+                    [...params, limit, offset],
+                    (err, rows) => {
+                        if (err) {
+                            reject(err);
+                        } else {
+                            resolve({ chats: rows, total: countRow.total });
+                        }
+                    }
+                );
+            });
+        });
+    }
+
+    async getChat(sessionId, jid) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT * FROM chats WHERE session_id = ? AND jid = ?',
+                [sessionId, jid],
+                (err, row) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(row);
+                    }
+                }
+            );
+        });
+    }
+
+    async deleteChat(sessionId, jid) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'DELETE FROM chats WHERE session_id = ? AND jid = ?',
+                [sessionId, jid],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    // After a chat is cleared: drop its stored messages and the preview
+    async clearChatMessages(sessionId, jid) {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM messages WHERE session_id = ? AND chat_jid = ?', [sessionId, jid], (err) => {
+                if (err) {
+                    return reject(err);
+                }
+                this.db.run(
+                    `UPDATE chats SET last_message_id = NULL, last_message_type = NULL, last_message_preview = NULL,
+                        last_message_from_me = NULL, unread_count = 0, marked_unread = 0, updated_at = CURRENT_TIMESTAMP
+                     WHERE session_id = ? AND jid = ?`,
+                    [sessionId, jid],
+                    function(updateErr) {
+                        if (updateErr) {
+                            reject(updateErr);
+                        } else {
+                            resolve(this.changes);
+                        }
+                    }
+                );
+            });
+        });
+    }
+
+    async deleteChatsBySession(sessionId) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'DELETE FROM chats WHERE session_id = ?',
+                [sessionId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    async createCampaign(campaign, recipients) {
+        const { id, session_id, name, message_type, message_template, media_path, media_type, file_name,
+            start_at, window_start, window_end, timezone } = campaign;
+
+        const statements = [[
+            `INSERT INTO campaigns (id, session_id, name, message_type, message_template, media_path, media_type, file_name,
+             start_at, window_start, window_end, timezone, total_recipients)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [id, session_id, name, message_type, message_template, media_path, media_type, file_name,
+                start_at, window_start, window_end, timezone, recipients.length]
+        ]];
+        recipients.forEach((recipient) => {
+            statements.push([
+                'INSERT OR IGNORE INTO campaign_recipients (campaign_id, receiver_id, variables) VALUES (?, ?, ?)',
+                [id, recipient.receiverId, JSON.stringify(recipient.variables || {})]
+            ]);
+        });
+
+        await this.runTransaction(statements);
+        return id;
+    }
+
+    async getCampaign(campaignId) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT * FROM campaigns WHERE id = ?',
+                [campaignId],
+                (err, row) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(row);
+                    }
+                }
+            );
+        });
+    }
+
+    async getCampaignsBySession(sessionId, status = null, limit = 50, offset = 0) {
+        const query = status
+            ? 'SELECT * FROM campaigns WHERE session_id = ? AND status = ? ORDER BY created_at DESC LIMIT ? OFFSET ?'
+            : 'SELECT * FROM campaigns WHERE session_id = ? ORDER BY created_at DESC LIMIT ? OFFSET ?';
+        const params = status ? [sessionId, status, limit, offset] : [sessionId, limit, offset];
+
+        return new Promise((resolve, reject) => {
+            this.db.all(query, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    // Scheduled and running campaigns whose start time has passed, oldest first
+    async getActiveCampaigns(sessionId, now = Date.now()) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT * FROM campaigns
+                 WHERE session_id = ? AND status IN ('scheduled', 'running') AND (start_at IS NULL OR start_at <= ?)
+                 ORDER BY created_at ASC`,
+                [sessionId, now],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    }
+
+    async getSessionsWithActiveCampaigns(now = Date.now()) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT DISTINCT session_id FROM campaigns
+                 WHERE status IN ('scheduled', 'running') AND (start_at IS NULL OR start_at <= ?)`,
+                [now],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows.map(row => row.session_id));
+                    }
+                }
+            );
+        });
+    }
+
+    // Moves a campaign between statuses; fromStatuses guards against racing transitions (returns 0 when it didn't apply)
+    async updateCampaignStatus(campaignId, status, fromStatuses, lastError = null) {
+        const placeholders = fromStatuses.map(() => '?').join(', ');
+        const timestampColumn = status === 'running' ? ', started_at = COALESCE(started_at, CURRENT_TIMESTAMP)'
+            : ['completed', 'cancelled'].includes(status) ? ', completed_at = CURRENT_TIMESTAMP' : '';
+
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE campaigns SET status = ?, last_error = ?, updated_at = CURRENT_TIMESTAMP${timestampColumn}
+                 WHERE id = ? AND status IN (${placeholders})`,
+                [status, lastError, campaignId, ...fromStatuses],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    async getCampaignRecipientCounts(campaignId) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT status, COUNT(*) AS count FROM campaign_recipients WHERE campaign_id = ? GROUP BY status',
+                [campaignId],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        const counts = {};
+                        rows.forEach(row => {
+                            counts[row.status] = row.count;
+                        });
+                        resolve(counts);
+                    }
+                }
+            );
+        });
+    }
+
+    async getCampaignRecipients(campaignId, status = null, limit = 100, offset = 0) {
+        const query = status
+            ? 'SELECT * FROM campaign_recipients WHERE campaign_id = ? AND status = ? ORDER BY id ASC LIMIT ? OFFSET ?'
+            : 'SELECT * FROM campaign_recipients WHERE campaign_id = ? ORDER BY id ASC LIMIT ? OFFSET ?';
+        const params = status ? [campaignId, status, limit, offset] : [campaignId, limit, offset];
+
+        return new Promise((resolve, reject) => {
+            this.db.all(query, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    async getNextCampaignRecipient(campaignId) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                `SELECT * FROM campaign_recipients WHERE campaign_id = ? AND status = 'pending' ORDER BY id ASC LIMIT 1`,
+                [campaignId],
+                (err, row) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(row);
+                    }
+                }
+            );
+        });
+    }
+
+    // status: 'sending' (claim, only from 'pending'), 'pending' (put back), 'sent', 'failed' or 'cancelled'
+    async updateCampaignRecipient(recipientId, status, { messageId = null, error = null } = {}) {
+        const guard = status === 'sending' ? " AND status = 'pending'" : '';
+        const sentAt = status === 'sent' ? ', sent_at = CURRENT_TIMESTAMP' : '';
+
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE campaign_recipients SET status = ?, message_id = ?, error = ?, updated_at = CURRENT_TIMESTAMP${sentAt}
+                 WHERE id = ?${guard}`,
+                [status, messageId, error, recipientId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    async cancelPendingCampaignRecipients(campaignId) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE campaign_recipients SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+                 WHERE campaign_id = ? AND status = 'pending'`,
+                [campaignId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    // Recipients left in 'sending' by a crash or restart may already have been sent to, so they fail rather than resend
+    async failInterruptedCampaignRecipients(errorMessage) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE campaign_recipients SET status = 'failed', error = ?, updated_at = CURRENT_TIMESTAMP WHERE status = 'sending'`,
+                [errorMessage],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    async deleteCampaignsBySession(sessionId) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'DELETE FROM campaign_recipients WHERE campaign_id IN (SELECT id FROM campaigns WHERE session_id = ?)',
+                [sessionId],
+                (err) => {
+                    if (err) {
+                        reject(err);
+                        return;
+                    }
+                    this.db.run('DELETE FROM campaigns WHERE session_id = ?', [sessionId], function(deleteErr) {
+                        if (deleteErr) {
+                            reject(deleteErr);
+                        } else {
+                            resolve(this.changes);
+                        }
+                    });
+                }
+            );
+        });
+    }
+
+    async createScheduledMessage(schedule) {
+        const { id, session_id, receiver_id, message_type, payload, schedule_type, schedule_rule, cron_expression,
+            timezone, missed_policy, end_at, next_run_at } = schedule;
+
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO scheduled_messages (id, session_id, receiver_id, message_type, payload, schedule_type, schedule_rule,
+                 cron_expression, timezone, missed_policy, end_at, next_run_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [id, session_id, receiver_id, message_type, JSON.stringify(payload), schedule_type, JSON.stringify(schedule_rule),
+                    cron_expression, timezone, missed_policy, end_at, next_run_at],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(id);
+                    }
                 }
-            });
+            );
+        });
+    }
 
-            // Add send_group_messages column to existing sessions table if it doesn't exist
-            this.db.run(`
-                ALTER TABLE sessions ADD COLUMN send_group_messages BOOLEAN DEFAULT 0;
-            `, (err) => {
-                if (err && !err.message.includes('duplicate column')) {
-                    console.error('Error adding send_group_messages column:', err.message);
-                } else if (!err) {
-                    console.log('Send_group_messages column added successfully');
+    async getScheduledMessage(scheduleId) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT * FROM scheduled_messages WHERE id = ?',
+                [scheduleId],
+                (err, row) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(row);
+                    }
                 }
-            });
+            );
         });
     }
 
-    // Session operations
-    async createSession(sessionData) {
-        const { session_id, name, auth_token, user_id, admin_id, webhook_url, send_group_messages = 0 } = sessionData;
-        
+    async getScheduledMessagesBySession(sessionId, status = null, limit = 50, offset = 0) {
+        const query = status
+            ? 'SELECT * FROM scheduled_messages WHERE session_id = ? AND status = ? ORDER BY created_at DESC LIMIT ? OFFSET ?'
+            : 'SELECT * FROM scheduled_messages WHERE session_id = ? ORDER BY created_at DESC LIMIT ? OFFSET ?';
+        const params = status ? [sessionId, status, limit, offset] : [sessionId, limit, offset];
+
         return new Promise((resolve, reject) => {
-            const stmt = this.db.prepare(`
-                INSERT INTO sessions (session_id, name, auth_token, user_id, admin_id, webhook_url, send_group_messages)
-                VALUES (?, ?, ?, ?, ?, ?, ?)
-            `);
-            
-            stmt.run([session_id, name, auth_token, user_id, admin_id, webhook_url, send_group_messages], function(err) {
+            this.db.all(query, params, (err, rows) => {
                 if (err) {
                     reject(err);
                 } else {
-                    resolve(this.lastID);
+                    resolve(rows);
                 }
             });
-            
-            stmt.finalize();
         });
     }
 
-    async getSession(sessionId) {
+    async getSessionsWithDueSchedules(now = Date.now()) {
         return new Promise((resolve, reject) => {
-            this.db.get(
-                'SELECT * FROM sessions WHERE session_id = ?',
-                [sessionId],
-                (err, row) => {
+            this.db.all(
+                `SELECT DISTINCT session_id FROM scheduled_messages WHERE status = 'active' AND next_run_at <= ?`,
+                [now],
+                (err, rows) => {
                     if (err) {
                         reject(err);
                     } else {
-                        resolve(row);
+                        resolve(rows.map(row => row.session_id));
                     }
                 }
             );
         });
     }
 
-    async getSessionByAuthToken(authToken) {
+    async getNextDueScheduledMessage(sessionId, now = Date.now()) {
         return new Promise((resolve, reject) => {
             this.db.get(
-                'SELECT * FROM sessions WHERE auth_token = ?',
-                [authToken],
+                `SELECT * FROM scheduled_messages WHERE session_id = ? AND status = 'active' AND next_run_at <= ?
+                 ORDER BY next_run_at ASC LIMIT 1`,
+                [sessionId, now],
                 (err, row) => {
                     if (err) {
                         reject(err);
@@ -152,27 +2544,33 @@ class Database {
         });
     }
 
-    async updateSessionStatus(sessionId, status) {
+    // Claims a due run; next_run_at must still match so an edit made meanwhile isn't sent with stale timing
+    async claimScheduledMessage(scheduleId, nextRunAt) {
         return new Promise((resolve, reject) => {
             this.db.run(
-                'UPDATE sessions SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE session_id = ?',
-                [status, sessionId],
+                `UPDATE scheduled_messages SET status = 'sending', updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ? AND status = 'active' AND next_run_at = ?`,
+                [scheduleId, nextRunAt],
                 function(err) {
                     if (err) {
                         reject(err);
                     } else {
-                        resolve(this.changes);
+                        resolve(this.changes > 0);
                     }
                 }
             );
         });
     }
 
-    async updateWebhookConfig(sessionId, webhookUrl, webhookStatus) {
+    // Records the outcome of a run (sent, failed or skipped) and moves the schedule to its next run or final status
+    async recordScheduledRun(scheduleId, { status, nextRunAt, lastStatus, lastError = null, lastMessageId = null, sent = false, runAt = Date.now() }) {
         return new Promise((resolve, reject) => {
             this.db.run(
-                'UPDATE sessions SET webhook_url = ?, webhook_status = ?, updated_at = CURRENT_TIMESTAMP WHERE session_id = ?',
-                [webhookUrl, webhookStatus, sessionId],
+                `UPDATE scheduled_messages
+                 SET status = ?, next_run_at = ?, last_run_at = ?, run_count = run_count + ?, last_status = ?, last_error = ?,
+                     last_message_id = COALESCE(?, last_message_id), updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [status, nextRunAt, runAt, sent ? 1 : 0, lastStatus, lastError, lastMessageId, scheduleId],
                 function(err) {
                     if (err) {
                         reject(err);
@@ -184,11 +2582,18 @@ class Database {
         });
     }
 
-    async updateGroupMessageSetting(sessionId, sendGroupMessages) {
+    // Edits are only applied while the schedule is active (not mid-send or finished)
+    async updateScheduledMessage(scheduleId, schedule) {
+        const { receiver_id, payload, schedule_type, schedule_rule, cron_expression, timezone, missed_policy, end_at, next_run_at } = schedule;
+
         return new Promise((resolve, reject) => {
             this.db.run(
-                'UPDATE sessions SET send_group_messages = ?, updated_at = CURRENT_TIMESTAMP WHERE session_id = ?',
-                [sendGroupMessages, sessionId],
+                `UPDATE scheduled_messages
+                 SET receiver_id = ?, payload = ?, schedule_type = ?, schedule_rule = ?, cron_expression = ?, timezone = ?,
+                     missed_policy = ?, end_at = ?, next_run_at = ?, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ? AND status = 'active'`,
+                [receiver_id, JSON.stringify(payload), schedule_type, JSON.stringify(schedule_rule), cron_expression, timezone,
+                    missed_policy, end_at, next_run_at, scheduleId],
                 function(err) {
                     if (err) {
                         reject(err);
@@ -200,23 +2605,30 @@ class Database {
         });
     }
 
-    async getAllSessions() {
+    async cancelScheduledMessage(scheduleId) {
         return new Promise((resolve, reject) => {
-            this.db.all('SELECT * FROM sessions', [], (err, rows) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve(rows);
+            this.db.run(
+                `UPDATE scheduled_messages SET status = 'cancelled', next_run_at = NULL, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ? AND status = 'active'`,
+                [scheduleId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
                 }
-            });
+            );
         });
     }
 
-    async getSessionsByUserId(userId) {
+    // Schedules left in 'sending' by a crash or restart are due again (their missed-run policy then applies)
+    // Runs left 'sending' by a restart; the scheduler fails them since the message may already have gone out
+    async getInterruptedSchedules() {
         return new Promise((resolve, reject) => {
             this.db.all(
-                'SELECT * FROM sessions WHERE user_id = ?',
-                [userId],
+                `SELECT * FROM scheduled_messages WHERE status = 'sending'`,
+                [],
                 (err, rows) => {
                     if (err) {
                         reject(err);
@@ -228,10 +2640,31 @@ class Database {
         });
     }
 
-    async deleteSession(sessionId) {
+    // A run that timed out was recorded as failed; once WhatsApp confirms the send it counts after all.
+    // Only applies while that run is still the last one recorded (runAt matches last_run_at)
+    async recordLateScheduledRun(scheduleId, runAt, messageId) {
         return new Promise((resolve, reject) => {
             this.db.run(
-                'DELETE FROM sessions WHERE session_id = ?',
+                `UPDATE scheduled_messages
+                 SET status = CASE WHEN status = 'failed' THEN 'completed' ELSE status END, run_count = run_count + 1,
+                     last_status = 'sent', last_error = NULL, last_message_id = COALESCE(?, last_message_id), updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ? AND last_run_at = ? AND last_status = 'failed'`,
+                [messageId, scheduleId, runAt],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    async deleteScheduledMessagesBySession(sessionId) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'DELETE FROM scheduled_messages WHERE session_id = ?',
                 [sessionId],
                 function(err) {
                     if (err) {
@@ -244,6 +2677,260 @@ class Database {
         });
     }
 
+    async createMessageTemplate(template) {
+        const { id, scope, owner_id, name, body, variables, locale, media_path, media_type, file_name, media_size } = template;
+
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO message_templates (id, scope, owner_id, name, body, variables, locale, media_path, media_type, file_name, media_size)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [id, scope, owner_id, name, body, JSON.stringify(variables || []), locale, media_path, media_type, file_name, media_size],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(id);
+                    }
+                }
+            );
+        });
+    }
+
+    async getMessageTemplate(scope, ownerId, name) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT * FROM message_templates WHERE scope = ? AND owner_id = ? AND name = ?',
+                [scope, ownerId, name],
+                (err, row) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(row);
+                    }
+                }
+            );
+        });
+    }
+
+    // Templates visible to a session: its own plus those shared by its user_id
+    async getMessageTemplatesForSession(sessionId, userId = null) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT * FROM message_templates
+                 WHERE (scope = 'session' AND owner_id = ?) OR (scope = 'user' AND owner_id = ?)
+                 ORDER BY name ASC, scope ASC`,
+                [sessionId, userId],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    }
+
+    async getMessageTemplatesByOwner(scope, ownerId) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT * FROM message_templates WHERE scope = ? AND owner_id = ?',
+                [scope, ownerId],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    }
+
+    async updateMessageTemplate(templateId, template) {
+        const { body, variables, locale, media_path, media_type, file_name, media_size } = template;
+
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE message_templates
+                 SET body = ?, variables = ?, locale = ?, media_path = ?, media_type = ?, file_name = ?, media_size = ?, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [body, JSON.stringify(variables || []), locale, media_path, media_type, file_name, media_size, templateId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    async deleteMessageTemplate(templateId) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'DELETE FROM message_templates WHERE id = ?',
+                [templateId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    async deleteMessageTemplatesByOwner(scope, ownerId) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'DELETE FROM message_templates WHERE scope = ? AND owner_id = ?',
+                [scope, ownerId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    // Returns the new row id, which stream consumers use as their cursor
+    async appendStreamEvent(sessionId, eventType, payload) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'INSERT INTO stream_events (session_id, event_type, payload, created_at) VALUES (?, ?, ?, ?)',
+                [sessionId, eventType, JSON.stringify(payload), Date.now()],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.lastID);
+                    }
+                }
+            );
+        });
+    }
+
+    async getStreamEventsAfter(sessionIds, cursor, limit = 500) {
+        if (!sessionIds || sessionIds.length === 0) {
+            return [];
+        }
+
+        const placeholders = sessionIds.map(() => '?').join(', ');
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT id, session_id, event_type, payload, created_at FROM stream_events
+                 WHERE session_id IN (${placeholders}) AND id > ?
+                 ORDER BY id ASC LIMIT ?`,
+                [...sessionIds, cursor, limit],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows.map(row => ({ ...row, payload: JSON.parse(row.payload) })));
+                    }
+                }
+            );
+        });
+    }
+
+    // Per-session cursor bounds: newest stored cursor and the highest one pruned (null when nothing was)
+    async getStreamCursorBounds(sessionIds) {
+        if (!sessionIds || sessionIds.length === 0) {
+            return [];
+        }
+
+        const placeholders = sessionIds.map(() => '?').join(', ');
+        const storedRows = await new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT session_id, MIN(id) AS oldest, MAX(id) AS latest FROM stream_events
+                 WHERE session_id IN (${placeholders}) GROUP BY session_id`,
+                sessionIds,
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+        const markRows = await new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT session_id, pruned_through FROM stream_prune_marks WHERE session_id IN (${placeholders})`,
+                sessionIds,
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+
+        return sessionIds.map(sessionId => {
+            const stored = storedRows.find(row => row.session_id === sessionId);
+            const mark = markRows.find(row => row.session_id === sessionId);
+            return {
+                sessionId,
+                oldest: stored?.oldest ?? null,
+                latest: stored?.latest ?? null,
+                prunedThrough: mark?.pruned_through ?? null
+            };
+        });
+    }
+
+    // Records how far each session was pruned before deleting, so resuming consumers can detect the gap
+    async pruneStreamEvents(olderThanMs) {
+        const count = await new Promise((resolve, reject) => {
+            this.db.get('SELECT COUNT(*) AS count FROM stream_events WHERE created_at < ?', [olderThanMs], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row.count);
+                }
+            });
+        });
+        if (count === 0) {
+            return 0;
+        }
+
+        await this.runTransaction([
+            [
+                `INSERT INTO stream_prune_marks (session_id, pruned_through)
+                 SELECT session_id, MAX(id) FROM stream_events WHERE created_at < ? GROUP BY session_id
+                 ON CONFLICT(session_id) DO UPDATE SET pruned_through = MAX(pruned_through, excluded.pruned_through)`,
+                [olderThanMs]
+            ],
+            ['DELETE FROM stream_events WHERE created_at < ?', [olderThanMs]]
+        ]);
+        return count;
+    }
+
+    async deleteStreamEventsBySession(sessionId) {
+        const count = await new Promise((resolve, reject) => {
+            this.db.get('SELECT COUNT(*) AS count FROM stream_events WHERE session_id = ?', [sessionId], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row.count);
+                }
+            });
+        });
+
+        await this.runTransaction([
+            ['DELETE FROM stream_events WHERE session_id = ?', [sessionId]],
+            ['DELETE FROM stream_prune_marks WHERE session_id = ?', [sessionId]]
+        ]);
+        return count;
+    }
+
     // Environment operations
     async setEnvValue(key, value, description = null) {
         return new Promise((resolve, reject) => {
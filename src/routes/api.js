@@ -5,6 +5,9 @@ const fs = require('fs');
 const mimeTypes = require('mime-types');
 const multer = require('multer');
 const logger = require('../utils/logger');
+const { parseCsvObjects, toCsv } = require('../utils/csv');
+const { extractPlaceholders } = require('../utils/placeholders');
+const { isValidTimezone, parseDateTime } = require('../utils/schedule');
 
 const router = express.Router();
 
@@ -31,9 +34,83 @@ const upload = multer({
     }
 });
 
+// NEW: Separate multer instance for /sendMediaSMS uploads (any file type, same 50MB cap as URL downloads)
+const MAX_MEDIA_SIZE = 50 * 1024 * 1024;
+const mediaUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_MEDIA_SIZE,
+        files: 1
+    }
+});
+
+// Multipart bodies are only buffered for callers with a valid token, so uploads carry it in the
+// X-Auth-Token header or the authToken query parameter; returns true if the response was already sent
+const rejectUnauthenticatedUpload = async (req, res) => {
+    if (!req.is('multipart/form-data')) {
+        return false;
+    }
+
+    const authToken = req.get('X-Auth-Token') || req.query.authToken;
+    if (!authToken) {
+        res.status(401).json({
+            success: false,
+            message: 'Authentication token is required',
+            error: 'Multipart uploads must send authToken in the X-Auth-Token header or the authToken query parameter',
+            status: "failed"
+        });
+        return true;
+    }
+
+    try {
+        if (!await sessionManager.resolveAuthToken(authToken)) {
+            res.status(401).json({
+                success: false,
+                message: 'Authentication failed',
+                error: 'Invalid authToken',
+                status: "failed"
+            });
+            return true;
+        }
+    } catch (error) {
+        logger.error('Error validating upload auth token', { error: error.message });
+        res.status(500).json({
+            success: false,
+            message: 'Authentication error',
+            error: 'Failed to validate authToken'
+        });
+        return true;
+    }
+
+    // validateAuthToken re-checks it against the parsed senderId
+    req.uploadAuthToken = authToken;
+    return false;
+};
+
+// Runs multer before validateAuthToken so form-data fields (senderId, ...) are available in req.body
+const handleMediaUpload = async (req, res, next) => {
+    if (await rejectUnauthenticatedUpload(req, res)) {
+        return;
+    }
+
+    mediaUpload.single('file')(req, res, (err) => {
+        if (err) {
+            const isTooLarge = err.code === 'LIMIT_FILE_SIZE';
+            return res.status(isTooLarge ? 413 : 400).json({
+                success: false,
+                message: isTooLarge ? 'Media file too large' : 'Invalid media upload',
+                error: isTooLarge ? `Uploaded file exceeds the ${MAX_MEDIA_SIZE / (1024 * 1024)}MB limit` : err.message,
+                status: "failed"
+            });
+        }
+        next();
+    });
+};
+
 // Middleware to validate auth token
-const validateAuthToken = (req, res, next) => {
-    const { authToken } = req.body;
+// Accepts the global AUTH_TOKEN (admin key, any session) or a per-session token (own senderId only)
+const validateAuthToken = async (req, res, next) => {
+    const authToken = req.uploadAuthToken || req.body.authToken;
     if (!authToken) {
         return res.status(400).json({
             success: false,
@@ -42,16 +119,59 @@ const validateAuthToken = (req, res, next) => {
         });
     }
     
-    // Check against global AUTH_TOKEN from environment
-    if (authToken !== process.env.AUTH_TOKEN) {
-        return res.status(401).json({
+    try {
+        const authScope = await sessionManager.resolveAuthToken(authToken);
+        if (!authScope) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication failed',
+                error: 'Invalid authToken'
+            });
+        }
+        
+        // Session tokens may only act on the session they were issued for
+        if (!authScope.isAdmin) {
+            const requestedSenderId = req.body.senderId || req.body.sessionId || req.params?.senderId;
+            if (!requestedSenderId || String(requestedSenderId) !== authScope.sessionId) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied',
+                    error: requestedSenderId 
+                        ? `authToken is not valid for senderId: ${requestedSenderId}`
+                        : 'This endpoint requires the global admin authToken'
+                });
+            }
+        }
+        
+        req.authScope = authScope;
+        next();
+    } catch (error) {
+        logger.error('Error validating auth token', { error: error.message });
+        res.status(500).json({
+            success: false,
+            message: 'Authentication error',
+            error: 'Failed to validate authToken'
+        });
+    }
+};
+
+// Query-string variant for GET endpoints; returns true if the response was already sent
+const rejectInvalidQueryToken = async (req, res, senderId = null) => {
+    const { authToken } = req.query;
+    const authScope = authToken ? await sessionManager.resolveAuthToken(authToken) : null;
+    
+    if (!authScope || (!authScope.isAdmin && authScope.sessionId !== senderId)) {
+        res.status(401).json({
             success: false,
             message: 'Authentication failed',
-            error: 'Invalid authToken'
+            error: 'Invalid or missing authToken',
+            data: senderId ? { senderId: senderId } : undefined
         });
+        return true;
     }
     
-    next();
+    req.authScope = authScope;
+    return false;
 };
 
 // Middleware to validate senderId format
@@ -249,6 +369,124 @@ router.post('/getQRCode', validateAuthToken, validateSenderId, async (req, res)
     }
 });
 
+// NEW: Pairing-code login - alternative to scanning the QR code
+router.post('/getPairingCode', validateAuthToken, validateSenderId, async (req, res) => {
+    try {
+        const { senderId } = req.body;
+        // The number being linked, in international format; defaults to the senderId
+        const phoneNumber = String(req.body.phoneNumber || req.body.number || senderId).replace(/[\s+\-()]/g, '');
+        
+        if (!/^\d{7,15}$/.test(phoneNumber)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid phone number',
+                error: 'phoneNumber must be 7-15 digits including the country code, without + or leading zeros',
+                data: {
+                    senderId: senderId,
+                    example: '919876543210'
+                }
+            });
+        }
+        
+        logger.api('/getPairingCode', 'Pairing code requested', { senderId, phoneNumber });
+        
+        const pairingResponse = await sessionManager.getPairingCodeForAPI(senderId, phoneNumber);
+        
+        res.json({
+            success: true,
+            message: pairingResponse.message || 'Pairing code generated successfully',
+            data: {
+                pairingCode: pairingResponse.pairingCode,
+                displayCode: pairingResponse.pairingCode && pairingResponse.pairingCode.length === 8
+                    ? `${pairingResponse.pairingCode.slice(0, 4)}-${pairingResponse.pairingCode.slice(4)}`
+                    : pairingResponse.pairingCode,
+                phoneNumber: pairingResponse.phoneNumber,
+                senderId: senderId,
+                state: pairingResponse.state,
+                shouldStopPolling: pairingResponse.shouldStopPolling || false,
+                expiresIn: pairingResponse.expiresIn || null,
+                estimatedWaitTime: pairingResponse.estimatedWaitTime || null,
+                generatedAt: pairingResponse.generatedAt || Date.now(),
+                note: pairingResponse.state === 'AUTHENTICATION_IN_PROGRESS'
+                    ? 'Authentication in progress. Please wait and do not request a new code.'
+                    : 'On the phone open WhatsApp > Linked devices > Link a device > Link with phone number instead, then enter this code'
+            }
+        });
+        
+    } catch (error) {
+        logger.error('Error in /getPairingCode', { error: error.message, senderId: req.body?.senderId });
+        
+        if (error.message.includes('already connected') || error.message.includes('connected successfully')) {
+            return res.status(409).json({
+                success: false,
+                message: 'Session already connected',
+                error: error.message,
+                data: {
+                    senderId: req.body?.senderId,
+                    state: 'ALREADY_CONNECTED',
+                    shouldStopPolling: true,
+                    suggestion: 'Session is already active. No pairing code needed.'
+                }
+            });
+        }
+        
+        if (error.message.includes('already linked')) {
+            return res.status(409).json({
+                success: false,
+                message: 'Session already linked',
+                error: error.message,
+                data: {
+                    senderId: req.body?.senderId,
+                    state: 'ALREADY_LINKED',
+                    shouldStopPolling: true,
+                    suggestion: 'Use /resetSession to unlink, or wait for the session to reconnect'
+                }
+            });
+        }
+        
+        if (error.message.includes('Session not found')) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found',
+                error: error.message,
+                data: {
+                    senderId: req.body?.senderId,
+                    state: 'SESSION_NOT_FOUND',
+                    shouldStopPolling: true,
+                    suggestion: 'Use POST /api/createSession to create a new session'
+                }
+            });
+        }
+        
+        if (error.message.includes('Authentication in progress')) {
+            return res.status(202).json({
+                success: false,
+                message: 'Authentication in progress',
+                error: error.message,
+                data: {
+                    senderId: req.body?.senderId,
+                    state: 'AUTHENTICATION_IN_PROGRESS',
+                    shouldStopPolling: true,
+                    estimatedWaitTime: 30000,
+                    suggestion: 'Please wait for authentication to complete.'
+                }
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate pairing code',
+            error: error.message,
+            data: {
+                senderId: req.body?.senderId,
+                state: 'ERROR',
+                shouldStopPolling: false,
+                suggestion: 'Check the phone number and try again in a few seconds'
+            }
+        });
+    }
+});
+
 // Helper function to determine message delivery status
 const getMessageDeliveryStatus = (error, validationResult) => {
     if (!error) {
@@ -294,8 +532,143 @@ const getMessageDeliveryStatus = (error, validationResult) => {
     return "failed";
 };
 
+// Flags a failed send call for enforceSendRateLimit: an offline session, unregistered number or group access error
+// is rejected before anything goes out, while any other failure (e.g. a send timeout) may come after WhatsApp took the message
+const trackSendOutcome = async (res, sendPromise) => {
+    try {
+        return await sendPromise;
+    } catch (error) {
+        res.locals.deliveryUnknown = getMessageDeliveryStatus(error) === 'failed';
+        throw error;
+    }
+};
+
+// Queue messages when the caller asks for it, or by default when MESSAGE_QUEUE_DEFAULT=true
+const shouldQueueMessage = (req) => {
+    const queueFlag = req.body.queue;
+    if (queueFlag === undefined || queueFlag === null || queueFlag === '') {
+        return process.env.MESSAGE_QUEUE_DEFAULT === 'true';
+    }
+    return queueFlag === true || queueFlag === 'true' || queueFlag === 1 || queueFlag === '1';
+};
+
+// Middleware to enforce per-session send limits and pacing (queued sends are paced by the queue worker)
+const QUEUEABLE_SEND_ROUTES = new Set(['/sendTextSMS', '/sendMediaSMS']);
+const enforceSendRateLimit = async (req, res, next) => {
+    if (QUEUEABLE_SEND_ROUTES.has(req.path) && shouldQueueMessage(req)) {
+        return next();
+    }
+    
+    const senderId = req.body.senderId;
+    
+    try {
+        const slot = await sessionManager.reserveSendSlot(senderId, req.sessionData);
+        
+        if (!slot.allowed) {
+            const retryAfterSeconds = Math.max(Math.ceil(slot.retryAfterMs / 1000), 1);
+            res.set('Retry-After', String(retryAfterSeconds));
+            return res.status(429).json({
+                success: false,
+                message: 'Rate limit exceeded',
+                error: slot.limit === 'cooldown'
+                    ? `Session is cooling down after exceeding ${slot.max} messages per minute`
+                    : `Session exceeded its ${slot.limit.replace('_', ' ')} limit of ${slot.max} messages`,
+                status: 'rate limited',
+                senderId: senderId,
+                data: {
+                    limit: slot.limit,
+                    max: slot.max,
+                    retryAfter: retryAfterSeconds,
+                    suggestion: 'Retry after the given delay, or send with "queue": true to let the queue pace delivery'
+                }
+            });
+        }
+        
+        // Rejected requests and sends that failed before reaching WhatsApp don't count against the limits;
+        // a send whose delivery is unknown (e.g. a send timeout) keeps its slot since the message may still arrive
+        res.on('finish', () => {
+            const failedBeforeSending = res.statusCode < 500 || !res.locals.deliveryUnknown;
+            if (res.statusCode >= 400 && failedBeforeSending) {
+                sessionManager.releaseSendSlot(senderId, slot);
+            }
+        });
+        
+        // Randomized gap since the previous send on this session
+        if (slot.delayMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, slot.delayMs));
+        }
+        
+        next();
+    } catch (error) {
+        // Don't block sends because the limiter itself failed
+        logger.error('Error enforcing send rate limit', { error: error.message, senderId });
+        next();
+    }
+};
+
+const getTemplateErrorStatus = (error) => {
+    if (error.message.endsWith('not found')) {
+        return 404;
+    }
+    if (error.message.endsWith('already exists')) {
+        return 409;
+    }
+    if (error.message.startsWith('Invalid ')) {
+        return 400;
+    }
+    return 500;
+};
+
+// NEW: templateName + variables stand in for messageText (the caption on /sendMediaSMS); template media fills in a missing media source
+const applyMessageTemplate = async (req, res, next) => {
+    const senderId = req.body.senderId || req.body.sessionId;
+    const { templateName } = req.body;
+    if (!templateName) {
+        return next();
+    }
+
+    const isMediaRoute = req.path === '/sendMediaSMS';
+    const rejectTemplate = (status, error) => res.status(status).json({
+        success: false,
+        message: 'Template could not be applied',
+        error: error,
+        status: "failed",
+        senderId: senderId
+    });
+
+    if (req.body.messageText || (isMediaRoute && req.body.caption)) {
+        return rejectTemplate(400, `Provide either templateName or ${isMediaRoute ? 'caption/messageText' : 'messageText'}, not both`);
+    }
+
+    const variables = req.body.variables === undefined ? {} : parseJsonField(req.body.variables);
+    if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+        return rejectTemplate(400, 'variables must be an object of name/value pairs');
+    }
+
+    try {
+        const template = await sessionManager.templateManager.resolveTemplate(senderId, req.sessionData.user_id, String(templateName));
+        if (!isMediaRoute && template.media_path) {
+            return rejectTemplate(400, `Template ${template.name} has media; send it with /sendMediaSMS`);
+        }
+
+        const { text } = sessionManager.templateManager.renderTemplate(template, variables);
+        if (isMediaRoute) {
+            req.body.caption = text;
+            req.templateMedia = await sessionManager.templateManager.loadTemplateMedia(template);
+        } else {
+            req.body.messageText = text;
+        }
+
+        logger.api(req.path, 'Message template applied', { senderId, templateName: template.name, scope: template.scope });
+        next();
+    } catch (error) {
+        logger.error('Error applying message template', { error: error.message, senderId, templateName });
+        rejectTemplate(getTemplateErrorStatus(error), error.message);
+    }
+};
+
 // Send Text SMS endpoint
-router.post('/sendTextSMS', validateAuthToken, validateSenderId, checkSessionExists, async (req, res) => {
+router.post('/sendTextSMS', validateAuthToken, validateSenderId, checkSessionExists, applyMessageTemplate, enforceSendRateLimit, async (req, res) => {
     try {
         const { 
             authToken, 
@@ -355,6 +728,24 @@ router.post('/sendTextSMS', validateAuthToken, validateSenderId, checkSessionExi
             messageLength: messageText.length 
         });
         
+        // NEW: Accept into the persistent queue and return immediately
+        if (shouldQueueMessage(req)) {
+            const queueId = await sessionManager.messageQueue.enqueueText(finalSenderId, finalReceiverId, messageText);
+            
+            return res.status(202).json({
+                success: true,
+                message: 'Text message queued for delivery',
+                status: 'queued',
+                data: {
+                    queueId: queueId,
+                    senderId: finalSenderId,
+                    receiverId: finalReceiverId,
+                    messageLength: messageText.length,
+                    sessionStatus: req.sessionData.status
+                }
+            });
+        }
+        
         // OPTIMIZED: Fast pre-validation for better performance
         const session = await sessionManager.getSessionBySenderId(finalSenderId);
         if (session && session.isSessionConnected()) {
@@ -375,7 +766,7 @@ router.post('/sendTextSMS', validateAuthToken, validateSenderId, checkSessionExi
             }
         }
         
-        const result = await sessionManager.sendTextMessage(finalSenderId, finalReceiverId, messageText);
+        const result = await trackSendOutcome(res, sessionManager.sendTextMessage(finalSenderId, finalReceiverId, messageText));
         
         // Determine delivery status
         const deliveryStatus = getMessageDeliveryStatus(null, result.validationResult);
@@ -416,13 +807,15 @@ router.post('/sendTextSMS', validateAuthToken, validateSenderId, checkSessionExi
 });
 
 // Send Media SMS endpoint
-router.post('/sendMediaSMS', validateAuthToken, validateSenderId, checkSessionExists, async (req, res) => {
+router.post('/sendMediaSMS', handleMediaUpload, validateAuthToken, validateSenderId, checkSessionExists, applyMessageTemplate, enforceSendRateLimit, async (req, res) => {
     try {
         const { 
             authToken, 
             senderId, sessionId,           // sessionId as alias for senderId
             receiverId, number,            // number as alias for receiverId
             mediaurl, media,               // media as alias for mediaurl
+            mediaBase64, base64,           // base64 as alias for mediaBase64 (plain or data: URI)
+            mimeType, fileName,            // Optional hints for uploads and base64 payloads
             caption, messageText           // messageText as additional parameter alongside caption
         } = req.body;
         
@@ -430,24 +823,48 @@ router.post('/sendMediaSMS', validateAuthToken, validateSenderId, checkSessionEx
         const finalSenderId = senderId || sessionId;
         const finalReceiverId = receiverId || number;
         const finalMediaUrl = mediaurl || media;
+        const finalMediaBase64 = mediaBase64 || base64;
         const finalCaption = caption || messageText || '';
         
-        if (!finalReceiverId || !finalMediaUrl) {
+        // NEW: Media can come from a multipart upload ("file" field), a base64 payload, or a URL
+        const mediaSources = [req.file && 'upload', finalMediaBase64 && 'base64', finalMediaUrl && 'url'].filter(Boolean);
+        // NEW: A template's stored media is used when the request brings none of its own
+        if (mediaSources.length === 0 && req.templateMedia) {
+            mediaSources.push('template');
+        }
+        
+        if (!finalReceiverId || mediaSources.length === 0) {
             return res.status(400).json({
                 success: false,
                 message: 'Missing required parameters',
-                error: 'receiverId (or number) and mediaurl (or media) are required',
+                error: 'receiverId (or number) and one media source (file upload, mediaBase64 or mediaurl) are required',
                 status: "failed",
                 data: {
                     senderId: finalSenderId,
                     received: {
                         receiverId: !!finalReceiverId,
+                        file: !!req.file,
+                        mediaBase64: !!finalMediaBase64,
                         mediaurl: !!finalMediaUrl
                     }
                 }
             });
         }
         
+        if (mediaSources.length > 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'Multiple media sources provided',
+                error: 'Provide only one of: file upload, mediaBase64 (or base64), mediaurl (or media)',
+                status: "failed",
+                data: {
+                    senderId: finalSenderId,
+                    received: mediaSources
+                }
+            });
+        }
+        const mediaSource = mediaSources[0];
+        
         // Validate receiverId format
         if (!finalReceiverId.includes('@') && !isValidSenderId(finalReceiverId)) {
             // Check if it might be a group ID (longer than 15 characters with hyphens or long numeric)
@@ -475,7 +892,7 @@ router.post('/sendMediaSMS', validateAuthToken, validateSenderId, checkSessionEx
         
         // Validate mediaurl format
         const urlRegex = /^https?:\/\/.+/;
-        if (!urlRegex.test(finalMediaUrl)) {
+        if (mediaSource === 'url' && !urlRegex.test(finalMediaUrl)) {
             return res.status(400).json({
                 success: false,
                 message: 'Invalid media URL format',
@@ -513,14 +930,59 @@ router.post('/sendMediaSMS', validateAuthToken, validateSenderId, checkSessionEx
         let mediaType;
         let originalFileName;
         
-        // Download media from URL
-        try {
-            logger.api('/sendMediaSMS', 'Media message send requested', { 
-                senderId: finalSenderId, 
-                receiverId: finalReceiverId, 
-                mediaurl: finalMediaUrl 
-            });
+        logger.api('/sendMediaSMS', 'Media message send requested', { 
+            senderId: finalSenderId, 
+            receiverId: finalReceiverId, 
+            mediaSource: mediaSource,
+            mediaurl: finalMediaUrl 
+        });
+        
+        if (mediaSource === 'upload') {
+            mediaBuffer = req.file.buffer;
+            originalFileName = fileName || req.file.originalname || null;
+            // Browsers and curl often send application/octet-stream, so fall back to the file extension
+            mediaType = mimeType ||
+                (req.file.mimetype && req.file.mimetype !== 'application/octet-stream' ? req.file.mimetype : null) ||
+                (originalFileName && mimeTypes.lookup(originalFileName)) ||
+                'application/octet-stream';
+        } else if (mediaSource === 'base64') {
+            const dataUriMatch = /^data:([^;,]+)?(?:;[^,]*)?;base64,(.*)$/s.exec(finalMediaBase64);
+            const base64Data = (dataUriMatch ? dataUriMatch[2] : finalMediaBase64).replace(/\s/g, '');
+            
+            if (!/^[A-Za-z0-9+/]+={0,2}$/.test(base64Data)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid base64 media',
+                    error: 'mediaBase64 must be base64 data or a data: URI',
+                    status: "failed",
+                    data: { senderId: finalSenderId }
+                });
+            }
+            
+            mediaBuffer = Buffer.from(base64Data, 'base64');
+            originalFileName = fileName || null;
+            mediaType = mimeType ||
+                (dataUriMatch && dataUriMatch[1]) ||
+                (originalFileName && mimeTypes.lookup(originalFileName)) ||
+                'application/octet-stream';
             
+            if (mediaBuffer.length > MAX_MEDIA_SIZE) {
+                return res.status(413).json({
+                    success: false,
+                    message: 'Media file too large',
+                    error: `Decoded media exceeds the ${MAX_MEDIA_SIZE / (1024 * 1024)}MB limit`,
+                    status: "failed",
+                    data: { senderId: finalSenderId, size: mediaBuffer.length }
+                });
+            }
+        } else if (mediaSource === 'template') {
+            mediaBuffer = req.templateMedia.buffer;
+            originalFileName = fileName || req.templateMedia.fileName;
+            mediaType = mimeType || req.templateMedia.mediaType;
+        }
+        
+        // Download media from URL
+        if (mediaSource === 'url') try {
             // Extract filename from URL
             try {
                 const url = new URL(finalMediaUrl);
@@ -546,7 +1008,7 @@ router.post('/sendMediaSMS', validateAuthToken, validateSenderId, checkSessionEx
             const response = await axios.get(finalMediaUrl, {
                 responseType: 'arraybuffer',
                 timeout: 15000, // OPTIMIZED: Reduced from 30s to 15s for faster failure detection
-                maxContentLength: 50 * 1024 * 1024 // 50MB
+                maxContentLength: MAX_MEDIA_SIZE
             });
             
             mediaBuffer = Buffer.from(response.data);
@@ -566,7 +1028,29 @@ router.post('/sendMediaSMS', validateAuthToken, validateSenderId, checkSessionEx
             });
         }
         
-        const result = await sessionManager.sendMediaMessage(finalSenderId, finalReceiverId, mediaBuffer, mediaType, finalCaption, originalFileName);
+        // NEW: Media is downloaded now so the queued copy doesn't depend on the URL staying alive
+        if (shouldQueueMessage(req)) {
+            const queueId = await sessionManager.messageQueue.enqueueMedia(finalSenderId, finalReceiverId, mediaBuffer, mediaType, finalCaption, originalFileName);
+            
+            return res.status(202).json({
+                success: true,
+                message: 'Media message queued for delivery',
+                status: 'queued',
+                data: {
+                    queueId: queueId,
+                    senderId: finalSenderId,
+                    receiverId: finalReceiverId,
+                    mediaSource: mediaSource,
+                    mediaurl: finalMediaUrl,
+                    mediaType: mediaType,
+                    fileName: originalFileName,
+                    caption: finalCaption,
+                    sessionStatus: req.sessionData.status
+                }
+            });
+        }
+        
+        const result = await trackSendOutcome(res, sessionManager.sendMediaMessage(finalSenderId, finalReceiverId, mediaBuffer, mediaType, finalCaption, originalFileName));
         
         // Determine delivery status
         const deliveryStatus = getMessageDeliveryStatus(null, result.validationResult);
@@ -579,6 +1063,7 @@ router.post('/sendMediaSMS', validateAuthToken, validateSenderId, checkSessionEx
                 messageId: result.key.id,
                 senderId: finalSenderId,
                 receiverId: finalReceiverId,
+                mediaSource: mediaSource,
                 mediaurl: finalMediaUrl,
                 mediaType: mediaType,
                 fileName: originalFileName,
@@ -609,299 +1094,2891 @@ router.post('/sendMediaSMS', validateAuthToken, validateSenderId, checkSessionEx
     }
 });
 
-// Get Groups endpoint
-router.post('/getGroups', validateAuthToken, validateSenderId, checkSessionExists, async (req, res) => {
+// Same receiver formats accepted by /sendTextSMS and /sendMediaSMS
+const isValidReceiverId = (receiverId) => {
+    if (receiverId.includes('@') || isValidSenderId(receiverId)) {
+        return true;
+    }
+    // Group IDs are longer than 15 characters with hyphens or long numeric
+    return receiverId.length > 15 && (receiverId.includes('-') || /^\d{18,}$/.test(receiverId));
+};
+
+// Shared flow for the rich message endpoints: parameter checks, receiver format, send, and the standard response.
+// validate(body) returns an error string for bad input; send(senderId, receiverId) returns the send result.
+const handleRichMessageSend = async (req, res, { route, label, validate, send, describe }) => {
+    const finalSenderId = req.body.senderId || req.body.sessionId;
+    const finalReceiverId = req.body.receiverId || req.body.number;
+    
     try {
-        const { senderId } = req.body;
-        
-        logger.api('/getGroups', 'Groups list requested', { senderId });
-        
-        const groups = await sessionManager.getGroups(senderId);
-        
+        const inputError = !finalReceiverId ? 'receiverId (or number) is required' : validate(req.body);
+        if (inputError) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing or invalid parameters',
+                error: inputError,
+                status: "failed",
+                data: { senderId: finalSenderId }
+            });
+        }
+        
+        if (!isValidReceiverId(String(finalReceiverId))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid receiver ID format',
+                error: 'Invalid receiverId/number format. Must be a valid phone number, group ID, or WhatsApp JID',
+                status: "failed",
+                data: {
+                    senderId: finalSenderId,
+                    receiverId: finalReceiverId
+                }
+            });
+        }
+        
+        logger.api(route, `${label} send requested`, { senderId: finalSenderId, receiverId: finalReceiverId });
+        
+        const result = await trackSendOutcome(res, send(finalSenderId, String(finalReceiverId)));
+        const deliveryStatus = getMessageDeliveryStatus(null, result.validationResult);
+        
         res.json({
             success: true,
-            message: 'Groups retrieved successfully',
+            message: `${label} sent successfully`,
+            status: deliveryStatus,
             data: {
-                groups: groups,
-                count: groups.length,
+                messageId: result.key.id,
+                senderId: finalSenderId,
+                receiverId: finalReceiverId,
+                ...describe(req.body),
+                sessionStatus: req.sessionData.status,
+                validation: result.validationResult ? {
+                    isRegistered: result.validationResult.isRegistered,
+                    isGroup: result.validationResult.isGroup,
+                    formattedJID: result.validationResult.jid,
+                    validationPassed: result.validationResult.isRegistered || result.validationResult.validationFailed
+                } : null
+            }
+        });
+    } catch (error) {
+        logger.error(`Error in ${route}`, { error: error.message, senderId: finalSenderId });
+        
+        res.status(500).json({
+            success: false,
+            message: `Failed to send ${label.toLowerCase()}`,
+            error: error.message,
+            status: getMessageDeliveryStatus(error),
+            senderId: finalSenderId
+        });
+    }
+};
+
+const isTruthyFlag = (value) => value === true || value === 'true' || value === 1 || value === '1';
+
+// Send location pin endpoint
+router.post('/sendLocation', validateAuthToken, validateSenderId, checkSessionExists, enforceSendRateLimit, (req, res) => {
+    return handleRichMessageSend(req, res, {
+        route: '/sendLocation',
+        label: 'Location message',
+        validate: ({ latitude, longitude }) => {
+            const lat = parseFloat(latitude);
+            const lng = parseFloat(longitude);
+            if (isNaN(lat) || isNaN(lng)) {
+                return 'latitude and longitude are required numbers';
+            }
+            if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+                return 'latitude must be between -90 and 90 and longitude between -180 and 180';
+            }
+            return null;
+        },
+        send: (senderId, receiverId) => sessionManager.sendLocationMessage(senderId, receiverId, {
+            latitude: parseFloat(req.body.latitude),
+            longitude: parseFloat(req.body.longitude),
+            name: req.body.name,
+            address: req.body.address
+        }),
+        describe: ({ latitude, longitude, name, address }) => ({
+            latitude: parseFloat(latitude),
+            longitude: parseFloat(longitude),
+            name: name || null,
+            address: address || null
+        })
+    });
+});
+
+// Send contact card (vCard) endpoint; accepts one contact or a list
+router.post('/sendContact', validateAuthToken, validateSenderId, checkSessionExists, enforceSendRateLimit, (req, res) => {
+    const contacts = Array.isArray(req.body.contacts)
+        ? req.body.contacts
+        : (req.body.contactName || req.body.contactNumber)
+            ? [{ fullName: req.body.contactName, phoneNumber: req.body.contactNumber, organization: req.body.organization, email: req.body.email }]
+            : [];
+    
+    return handleRichMessageSend(req, res, {
+        route: '/sendContact',
+        label: 'Contact message',
+        validate: () => {
+            if (contacts.length === 0) {
+                return 'contacts (array) or contactName and contactNumber are required';
+            }
+            if (contacts.length > 20) {
+                return 'A maximum of 20 contacts can be sent at once';
+            }
+            const invalid = contacts.findIndex(contact => !contact || !contact.fullName || !/\d{6,}/.test(String(contact.phoneNumber || '').replace(/\D/g, '')));
+            return invalid === -1 ? null : `contacts[${invalid}] needs a fullName and a phoneNumber`;
+        },
+        send: (senderId, receiverId) => sessionManager.sendContactMessage(senderId, receiverId, contacts),
+        describe: () => ({
+            contacts: contacts.map(contact => ({ fullName: contact.fullName, phoneNumber: contact.phoneNumber }))
+        })
+    });
+});
+
+// Send poll endpoint
+router.post('/sendPoll', validateAuthToken, validateSenderId, checkSessionExists, enforceSendRateLimit, (req, res) => {
+    const options = Array.isArray(req.body.options) ? req.body.options.map(option => String(option).trim()) : [];
+    const selectableCount = req.body.selectableCount === undefined ? 1 : parseInt(req.body.selectableCount);
+    
+    return handleRichMessageSend(req, res, {
+        route: '/sendPoll',
+        label: 'Poll message',
+        validate: ({ question }) => {
+            if (!question || typeof question !== 'string') {
+                return 'question is required';
+            }
+            if (options.length < 2 || options.length > 12) {
+                return 'options must be an array of 2 to 12 choices';
+            }
+            if (options.some(option => !option) || new Set(options).size !== options.length) {
+                return 'options must be non-empty and unique';
+            }
+            // 0 lets voters pick any number of options
+            if (isNaN(selectableCount) || selectableCount < 0 || selectableCount > options.length) {
+                return `selectableCount must be between 0 and ${options.length}`;
+            }
+            return null;
+        },
+        send: (senderId, receiverId) => sessionManager.sendPollMessage(senderId, receiverId, req.body.question, options, selectableCount),
+        describe: ({ question }) => ({
+            question,
+            options,
+            selectableCount
+        })
+    });
+});
+
+// React to a message endpoint (empty emoji removes the reaction)
+router.post('/sendReaction', validateAuthToken, validateSenderId, checkSessionExists, enforceSendRateLimit, (req, res) => {
+    const emoji = req.body.emoji === undefined || req.body.emoji === null ? '' : String(req.body.emoji);
+    
+    return handleRichMessageSend(req, res, {
+        route: '/sendReaction',
+        label: 'Reaction',
+        validate: ({ messageId }) => {
+            if (!messageId) {
+                return 'messageId is required';
+            }
+            if (emoji.length > 16) {
+                return 'emoji must be a single emoji, or empty to remove the reaction';
+            }
+            return null;
+        },
+        send: (senderId, receiverId) => sessionManager.sendReaction(
+            senderId, receiverId, req.body.messageId, emoji, isTruthyFlag(req.body.fromMe), req.body.participant || null
+        ),
+        describe: ({ messageId }) => ({
+            reactedMessageId: messageId,
+            emoji,
+            removed: emoji === ''
+        })
+    });
+});
+
+// Reply to (quote) a message endpoint
+router.post('/sendReply', validateAuthToken, validateSenderId, checkSessionExists, enforceSendRateLimit, (req, res) => {
+    return handleRichMessageSend(req, res, {
+        route: '/sendReply',
+        label: 'Reply message',
+        validate: ({ messageText, quotedMessageId }) => {
+            if (!messageText || !quotedMessageId) {
+                return 'messageText and quotedMessageId are required';
+            }
+            return null;
+        },
+        send: (senderId, receiverId) => sessionManager.sendReplyMessage(senderId, receiverId, req.body.messageText, req.body.quotedMessageId, {
+            fromMe: isTruthyFlag(req.body.quotedFromMe),
+            participant: req.body.quotedParticipant || null,
+            text: req.body.quotedText || ''
+        }),
+        describe: ({ messageText, quotedMessageId }) => ({
+            quotedMessageId,
+            messageLength: messageText.length
+        })
+    });
+});
+
+const getSentMessageErrorStatus = (error) => {
+    if (error.message.includes('not found in chat')) {
+        return 404;
+    }
+    if (error.message.includes('was not sent by this session')) {
+        return 403;
+    }
+    if (error.message.includes('is too old to') || error.message.startsWith('Cannot ')) {
+        return 409;
+    }
+    return 500;
+};
+
+// Shared handler for edits and deletes of this session's own sent messages
+const handleSentMessageChange = async (req, res, { route, label, validate, change, describe }) => {
+    const { senderId, messageId } = req.body;
+    const chatId = req.body.chatId || req.body.receiverId || req.body.number;
+
+    try {
+        const inputError = !chatId || !messageId ? 'chatId (or receiverId) and messageId are required' : validate(req.body);
+        if (inputError) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing or invalid parameters',
+                error: inputError,
+                senderId: senderId
+            });
+        }
+
+        logger.api(route, `${label} requested`, { senderId, chatId, messageId });
+
+        const { result, chatJid } = await trackSendOutcome(res, change(senderId, String(chatId), String(messageId)));
+
+        res.json({
+            success: true,
+            message: `${label} successful`,
+            data: {
+                messageId: messageId,
+                chatId: chatJid,
                 senderId: senderId,
-                sessionStatus: req.sessionData.status
+                protocolMessageId: result?.key?.id || null,
+                ...describe(req.body)
+            }
+        });
+    } catch (error) {
+        logger.error(`Error in ${route}`, { error: error.message, senderId, messageId });
+
+        res.status(getSentMessageErrorStatus(error)).json({
+            success: false,
+            message: `${label} failed`,
+            error: error.message,
+            senderId: senderId
+        });
+    }
+};
+
+// Edit a sent text message endpoint (within WhatsApp's edit window)
+router.post('/editMessage', validateAuthToken, validateSenderId, checkSessionExists, enforceSendRateLimit, (req, res) => {
+    return handleSentMessageChange(req, res, {
+        route: '/editMessage',
+        label: 'Message edit',
+        validate: ({ messageText }) => {
+            if (!messageText || !String(messageText).trim()) {
+                return 'messageText is required';
+            }
+            if (String(messageText).length > 4096) {
+                return 'messageText must be at most 4096 characters';
             }
+            return null;
+        },
+        change: (senderId, chatId, messageId) => sessionManager.editMessage(senderId, chatId, messageId, String(req.body.messageText)),
+        describe: ({ messageText }) => ({
+            messageLength: String(messageText).length
+        })
+    });
+});
+
+// Delete a sent message for everyone endpoint (within WhatsApp's delete window)
+router.post('/deleteMessage', validateAuthToken, validateSenderId, checkSessionExists, enforceSendRateLimit, (req, res) => {
+    return handleSentMessageChange(req, res, {
+        route: '/deleteMessage',
+        label: 'Message delete',
+        validate: () => null,
+        change: (senderId, chatId, messageId) => sessionManager.deleteMessage(senderId, chatId, messageId),
+        describe: () => ({
+            deletedForEveryone: true
+        })
+    });
+});
+
+// Queued message status endpoint
+router.post('/getQueuedMessage', validateAuthToken, validateSenderId, checkSessionExists, async (req, res) => {
+    try {
+        const { senderId, queueId } = req.body;
+        
+        if (!queueId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required parameters',
+                error: 'queueId is required',
+                senderId: senderId
+            });
+        }
+        
+        logger.api('/getQueuedMessage', 'Queued message status requested', { senderId, queueId });
+        
+        const queuedMessage = await sessionManager.messageQueue.getMessage(queueId);
+        
+        // Session tokens must not see other sessions' queue entries
+        if (!queuedMessage || queuedMessage.senderId !== senderId) {
+            return res.status(404).json({
+                success: false,
+                message: 'Queued message not found',
+                error: `No queued message ${queueId} for senderId: ${senderId}`,
+                senderId: senderId
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Queued message retrieved successfully',
+            data: queuedMessage
         });
         
     } catch (error) {
-        logger.error('Error in /getGroups', { error: error.message, senderId: req.body?.senderId });
+        logger.error('Error in /getQueuedMessage', { error: error.message, senderId: req.body?.senderId });
         res.status(500).json({
             success: false,
-            message: 'Failed to retrieve groups',
+            message: 'Failed to retrieve queued message',
             error: error.message,
             senderId: req.body?.senderId
         });
     }
 });
 
-// Get Contacts endpoint
-router.post('/getContacts', validateAuthToken, validateSenderId, checkSessionExists, async (req, res) => {
+// List queued messages for a session endpoint
+router.post('/getQueuedMessages', validateAuthToken, validateSenderId, checkSessionExists, async (req, res) => {
     try {
-        const { senderId } = req.body;
+        const { senderId, status, limit } = req.body;
+        const validStatuses = ['queued', 'sending', 'sent', 'failed'];
+        
+        if (status && !validStatuses.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid status filter',
+                error: `status must be one of: ${validStatuses.join(', ')}`,
+                senderId: senderId
+            });
+        }
+        
+        const finalLimit = Math.min(Math.max(parseInt(limit) || 50, 1), 500);
         
-        logger.api('/getContacts', 'Contacts list requested', { senderId });
+        logger.api('/getQueuedMessages', 'Queued messages list requested', { senderId, status, limit: finalLimit });
         
-        const contacts = await sessionManager.getContacts(senderId);
+        const messages = await sessionManager.messageQueue.getSessionMessages(senderId, status || null, finalLimit);
         
         res.json({
             success: true,
-            message: 'Contacts retrieved successfully',
+            message: 'Queued messages retrieved successfully',
             data: {
-                contacts: contacts,
-                count: contacts.length,
+                messages: messages,
+                count: messages.length,
                 senderId: senderId,
-                sessionStatus: req.sessionData.status
+                status: status || 'all'
             }
         });
         
     } catch (error) {
-        logger.error('Error in /getContacts', { error: error.message, senderId: req.body?.senderId });
+        logger.error('Error in /getQueuedMessages', { error: error.message, senderId: req.body?.senderId });
         res.status(500).json({
             success: false,
-            message: 'Failed to retrieve contacts',
+            message: 'Failed to retrieve queued messages',
             error: error.message,
             senderId: req.body?.senderId
         });
     }
 });
 
-// Session management endpoints
-
-// Create new session
-router.post('/createSession', validateAuthToken, validateSenderId, async (req, res) => {
+// Get rate limit settings and current usage endpoint
+router.post('/getRateLimits', validateAuthToken, validateSenderId, checkSessionExists, async (req, res) => {
     try {
-        const { senderId, name, userId, user_id, adminId, admin_id, webhookUrl } = req.body;
-        
-        // Use aliases if main parameters are not provided
-        const finalUserId = String(userId || user_id || senderId);
-        const finalAdminId = adminId || admin_id;
-        
-        // Check if session already exists
-        try {
-            const existingSession = await sessionManager.database.getSession(senderId);
-            if (existingSession) {
-                return res.status(409).json({
-                    success: false,
-                    message: 'Session already exists',
-                    error: `Session already exists for senderId: ${senderId}`,
-                    data: {
-                        sessionId: senderId,
-                        status: existingSession.status,
-                        createdAt: existingSession.created_at,
-                        userId: existingSession.user_id,
-                        adminId: existingSession.admin_id
-                    }
-                });
-            }
-        } catch (dbError) {
-            logger.error('Error checking existing session', { senderId, error: dbError.message });
-        }
-        
-        // Prepare additional data for session creation
-        const additionalData = {
-            name: name,
-            user_id: finalUserId,
-            admin_id: finalAdminId,
-            webhook_url: webhookUrl
-        };
+        const { senderId } = req.body;
         
-        // Use senderId as the session ID
-        const sessionId = await sessionManager.createSession(senderId, true, additionalData);
+        logger.api('/getRateLimits', 'Rate limit status requested', { senderId });
         
-        logger.api('/createSession', 'Session created', { 
-            sessionId: senderId, 
-            userId: finalUserId, 
-            adminId: finalAdminId 
-        });
+        const rateLimitStatus = await sessionManager.getRateLimitStatus(senderId);
         
         res.json({
             success: true,
-            message: 'Session created successfully',
+            message: 'Rate limits retrieved successfully',
             data: {
-                sessionId: senderId,
                 senderId: senderId,
-                userId: finalUserId,
-                adminId: finalAdminId,
-                name: name,
-                webhookUrl: webhookUrl,
-                status: 'created',
-                timestamp: new Date().toISOString()
+                ...rateLimitStatus
             }
         });
         
     } catch (error) {
-        logger.error('Error in /createSession', { error: error.message });
+        logger.error('Error in /getRateLimits', { error: error.message, senderId: req.body?.senderId });
         res.status(500).json({
             success: false,
-            message: 'Failed to create session',
-            error: error.message
+            message: 'Failed to retrieve rate limits',
+            error: error.message,
+            senderId: req.body?.senderId
         });
     }
 });
 
-// Get session status
-router.get('/sessionStatus/:senderId', async (req, res) => {
+// Update per-session rate limits endpoint (admin only; session tokens can't raise their own limits)
+router.post('/updateRateLimits', validateAuthToken, validateSenderId, checkSessionExists, async (req, res) => {
     try {
-        const { senderId } = req.params;
-        const { authToken } = req.query;
+        const { senderId } = req.body;
         
-        // Validate authToken from query parameter
-        if (!authToken || authToken !== process.env.AUTH_TOKEN) {
-            return res.status(401).json({
+        if (!req.authScope.isAdmin) {
+            return res.status(403).json({
                 success: false,
-                message: 'Authentication failed',
-                error: 'Invalid or missing authToken',
-                data: {
-                    senderId: senderId
-                }
+                message: 'Access denied',
+                error: 'Updating rate limits requires the global admin authToken',
+                senderId: senderId
             });
         }
         
-        // Validate senderId format
-        if (!isValidSenderId(senderId)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid sender ID format',
-                error: 'Invalid senderId format. Must be a valid phone number (8-15 digits, no country code +)',
-                data: {
-                    senderId: senderId
-                }
-            });
+        // Omitted fields keep their current value; null resets a field to the env default
+        const fieldMap = {
+            perMinute: 'rate_limit_per_minute',
+            perHour: 'rate_limit_per_hour',
+            perDay: 'rate_limit_per_day',
+            minDelayMs: 'send_delay_min_ms',
+            maxDelayMs: 'send_delay_max_ms'
+        };
+        
+        const settings = {};
+        const invalidFields = [];
+        let hasUpdate = false;
+        
+        for (const [field, column] of Object.entries(fieldMap)) {
+            const value = req.body[field];
+            
+            if (value === undefined) {
+                settings[column] = req.sessionData[column] ?? null;
+            } else if (value === null) {
+                settings[column] = null;
+                hasUpdate = true;
+            } else if (Number.isInteger(Number(value)) && Number(value) >= 0) {
+                settings[column] = Number(value);
+                hasUpdate = true;
+            } else {
+                invalidFields.push(field);
+            }
         }
         
-        // Check if session exists in database
-        const sessionData = await sessionManager.database.getSession(senderId);
-        if (!sessionData) {
-            return res.status(404).json({
+        if (invalidFields.length > 0 || !hasUpdate) {
+            return res.status(400).json({
                 success: false,
-                message: 'Session not found',
-                error: `Session not found for senderId: ${senderId}. Please create session first.`,
-                data: {
-                    senderId: senderId,
-                    suggestion: 'Use POST /api/createSession to create a new session'
-                }
+                message: 'Invalid rate limit settings',
+                error: invalidFields.length > 0
+                    ? `${invalidFields.join(', ')} must be non-negative integers or null`
+                    : 'Provide at least one of: perMinute, perHour, perDay, minDelayMs, maxDelayMs',
+                senderId: senderId
             });
         }
         
-        const session = await sessionManager.getSessionBySenderId(senderId);
+        logger.api('/updateRateLimits', 'Rate limit update requested', { senderId, ...settings });
         
-        // Get detailed connection info if session exists in memory
-        let connectionInfo = null;
-        if (session && typeof session.getConnectionInfo === 'function') {
-            connectionInfo = session.getConnectionInfo();
-        }
+        const rateLimitStatus = await sessionManager.updateRateLimitSettings(senderId, settings);
         
         res.json({
             success: true,
-            message: 'Session status retrieved successfully',
+            message: 'Rate limits updated successfully',
             data: {
                 senderId: senderId,
-                isConnected: session ? session.isSessionConnected() : false,
-                hasQRCode: session ? !!session.getQRCode() : false,
-                databaseStatus: sessionData.status,
-                createdAt: sessionData.created_at,
-                updatedAt: sessionData.updated_at,
-                userId: sessionData.user_id,
-                adminId: sessionData.admin_id,
-                webhookUrl: sessionData.webhook_url,
-                webhookStatus: sessionData.webhook_status,
-                connectionInfo: connectionInfo
+                ...rateLimitStatus
+            }
+        });
+        
+    } catch (error) {
+        logger.error('Error in /updateRateLimits', { error: error.message, senderId: req.body?.senderId });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update rate limits',
+            error: error.message,
+            senderId: req.body?.senderId
+        });
+    }
+});
+
+// NEW: Campaign uploads carry an optional media "file" and an optional CSV "recipientsFile"
+const campaignUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_MEDIA_SIZE,
+        files: 2
+    }
+});
+
+const handleCampaignUpload = async (req, res, next) => {
+    if (await rejectUnauthenticatedUpload(req, res)) {
+        return;
+    }
+
+    campaignUpload.fields([{ name: 'file', maxCount: 1 }, { name: 'recipientsFile', maxCount: 1 }])(req, res, (err) => {
+        if (err) {
+            const isTooLarge = err.code === 'LIMIT_FILE_SIZE';
+            return res.status(isTooLarge ? 413 : 400).json({
+                success: false,
+                message: isTooLarge ? 'Uploaded file too large' : 'Invalid campaign upload',
+                error: isTooLarge ? `Uploaded file exceeds the ${MAX_MEDIA_SIZE / (1024 * 1024)}MB limit` : err.message,
+                status: "failed"
+            });
+        }
+        next();
+    });
+};
+
+const CAMPAIGN_RECEIVER_FIELDS = ['receiverId', 'number', 'phone'];
+const CAMPAIGN_STATUSES = ['draft', 'scheduled', 'running', 'paused', 'completed', 'cancelled'];
+const RECIPIENT_STATUSES = ['pending', 'sending', 'sent', 'failed', 'cancelled'];
+const SEND_WINDOW_TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Multipart fields arrive as strings, so JSON values (recipients) may need parsing
+const parseJsonField = (value) => {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return undefined;
+    }
+};
+
+// Rows are phone numbers/JIDs or objects with a receiver field; every other column is a template variable
+const normalizeCampaignRow = (row) => {
+    if (typeof row === 'string' || typeof row === 'number') {
+        return { receiverId: String(row).trim(), variables: {} };
+    }
+    if (!row || typeof row !== 'object') {
+        return { receiverId: '', variables: {} };
+    }
+
+    const receiverField = CAMPAIGN_RECEIVER_FIELDS.find(field => row[field] !== undefined && row[field] !== '');
+    const receiverId = receiverField ? String(row[receiverField]).trim() : '';
+    let variables = {};
+    if (row.variables && typeof row.variables === 'object') {
+        variables = { ...row.variables };
+    } else {
+        Object.entries(row).forEach(([key, value]) => {
+            if (!CAMPAIGN_RECEIVER_FIELDS.includes(key) && key !== 'variables') {
+                variables[key] = value;
+            }
+        });
+    }
+    return { receiverId, variables };
+};
+
+// Media for campaigns and schedules from a multipart "file", base64 payload or URL; returns { media } or { error, status }
+const loadRequestMedia = async (req) => {
+    const { mediaBase64, mediaurl, fileName, mimeType } = req.body;
+    const file = req.file || req.files?.file?.[0];
+    const mediaSources = [file && 'upload', mediaBase64 && 'base64', mediaurl && 'url'].filter(Boolean);
+
+    if (mediaSources.length === 0) {
+        return { media: null };
+    }
+    if (mediaSources.length > 1) {
+        return { error: 'Provide only one of: file upload, mediaBase64, mediaurl', status: 400 };
+    }
+
+    if (file) {
+        const finalFileName = fileName || file.originalname || null;
+        return {
+            media: {
+                buffer: file.buffer,
+                fileName: finalFileName,
+                mediaType: mimeType ||
+                    (file.mimetype && file.mimetype !== 'application/octet-stream' ? file.mimetype : null) ||
+                    (finalFileName && mimeTypes.lookup(finalFileName)) ||
+                    'application/octet-stream'
+            }
+        };
+    }
+
+    if (mediaBase64) {
+        const dataUriMatch = /^data:([^;,]+)?(?:;[^,]*)?;base64,(.*)$/s.exec(mediaBase64);
+        const base64Data = (dataUriMatch ? dataUriMatch[2] : mediaBase64).replace(/\s/g, '');
+        if (!/^[A-Za-z0-9+/]+={0,2}$/.test(base64Data)) {
+            return { error: 'mediaBase64 must be base64 data or a data: URI', status: 400 };
+        }
+
+        const buffer = Buffer.from(base64Data, 'base64');
+        if (buffer.length > MAX_MEDIA_SIZE) {
+            return { error: `Decoded media exceeds the ${MAX_MEDIA_SIZE / (1024 * 1024)}MB limit`, status: 413 };
+        }
+        return {
+            media: {
+                buffer,
+                fileName: fileName || null,
+                mediaType: mimeType || (dataUriMatch && dataUriMatch[1]) || (fileName && mimeTypes.lookup(fileName)) || 'application/octet-stream'
+            }
+        };
+    }
+
+    if (!/^https?:\/\/.+/.test(mediaurl)) {
+        return { error: 'mediaurl must be a valid HTTP/HTTPS URL', status: 400 };
+    }
+
+    // Downloaded once up front so later sends don't depend on the URL staying alive
+    try {
+        const response = await axios.get(mediaurl, {
+            responseType: 'arraybuffer',
+            timeout: 15000,
+            maxContentLength: MAX_MEDIA_SIZE
+        });
+        const urlFileName = decodeURIComponent(new URL(mediaurl).pathname.split('/').pop() || '');
+        const finalFileName = fileName || (urlFileName.includes('.') ? urlFileName : null);
+        return {
+            media: {
+                buffer: Buffer.from(response.data),
+                fileName: finalFileName,
+                mediaType: mimeType || response.headers['content-type'] || mimeTypes.lookup(mediaurl) || 'application/octet-stream'
+            }
+        };
+    } catch (downloadError) {
+        return { error: 'Failed to download media from URL: ' + downloadError.message, status: 400 };
+    }
+};
+
+const getCampaignErrorStatus = (error) => {
+    if (error.message.endsWith('not found')) {
+        return 404;
+    }
+    if (error.message.startsWith('Cannot ')) {
+        return 409;
+    }
+    return 500;
+};
+
+// Create a broadcast campaign endpoint (JSON or multipart with a CSV recipients file)
+router.post('/createCampaign', handleCampaignUpload, validateAuthToken, validateSenderId, checkSessionExists, async (req, res) => {
+    try {
+        const { senderId, name, message, messageText, recipientsCsv, startAt, windowStart, windowEnd, timezone, start } = req.body;
+        const template = String(message || messageText || '');
+        const recipientsFile = req.files?.recipientsFile?.[0];
+
+        const badRequest = (error, data = {}) => res.status(400).json({
+            success: false,
+            message: 'Invalid campaign',
+            error: error,
+            senderId: senderId,
+            ...(Object.keys(data).length > 0 ? { data } : {})
+        });
+
+        // Recipients come from exactly one of: JSON array, CSV text, CSV upload
+        const recipientSources = [req.body.recipients !== undefined && 'recipients', recipientsCsv && 'recipientsCsv', recipientsFile && 'recipientsFile'].filter(Boolean);
+        if (recipientSources.length !== 1) {
+            return badRequest('Provide exactly one of: recipients (array), recipientsCsv (text), recipientsFile (CSV upload)');
+        }
+
+        let rows;
+        if (recipientSources[0] === 'recipients') {
+            rows = parseJsonField(req.body.recipients);
+            if (!Array.isArray(rows)) {
+                return badRequest('recipients must be an array of phone numbers, JIDs or { receiverId, variables } objects');
+            }
+        } else {
+            try {
+                const csvText = recipientsFile ? recipientsFile.buffer.toString('utf8') : String(recipientsCsv);
+                const { headers, records } = parseCsvObjects(csvText);
+                if (!CAMPAIGN_RECEIVER_FIELDS.some(field => headers.includes(field))) {
+                    return badRequest(`CSV header must include one of: ${CAMPAIGN_RECEIVER_FIELDS.join(', ')}`);
+                }
+                rows = records;
+            } catch (csvError) {
+                return badRequest(csvError.message);
+            }
+        }
+
+        if (rows.length === 0) {
+            return badRequest('The recipient list is empty');
+        }
+        if (rows.length > sessionManager.campaignManager.maxRecipients) {
+            return badRequest(`A campaign can have at most ${sessionManager.campaignManager.maxRecipients} recipients`);
+        }
+
+        const mediaResult = await loadRequestMedia(req);
+        if (mediaResult.error) {
+            return res.status(mediaResult.status).json({
+                success: false,
+                message: 'Invalid campaign media',
+                error: mediaResult.error,
+                senderId: senderId
+            });
+        }
+        const media = mediaResult.media;
+
+        if (!template.trim() && !media) {
+            return badRequest('message is required (or a media source, with message as the optional caption)');
+        }
+        if (template.length > 4096) {
+            return badRequest('message must be at most 4096 characters');
+        }
+
+        // Receivers are validated once here instead of on every send; duplicates keep their first row
+        const placeholders = extractPlaceholders(template).filter(name => name !== 'receiverId');
+        const recipients = [];
+        const seen = new Set();
+        const invalidRows = [];
+        let duplicates = 0;
+
+        rows.forEach((row, index) => {
+            const recipient = normalizeCampaignRow(row);
+            if (!recipient.receiverId || !isValidReceiverId(recipient.receiverId)) {
+                invalidRows.push({ row: index + 1, receiverId: recipient.receiverId || null, error: 'Invalid receiverId' });
+                return;
+            }
+
+            const missing = placeholders.filter(name => {
+                const value = recipient.variables[name];
+                return value === undefined || value === null || String(value).trim() === '';
+            });
+            if (missing.length > 0) {
+                invalidRows.push({ row: index + 1, receiverId: recipient.receiverId, error: `Missing variables: ${missing.join(', ')}` });
+                return;
+            }
+
+            if (seen.has(recipient.receiverId)) {
+                duplicates++;
+                return;
+            }
+            seen.add(recipient.receiverId);
+            recipients.push(recipient);
+        });
+
+        if (invalidRows.length > 0) {
+            return badRequest(`${invalidRows.length} recipient row(s) are invalid`, {
+                invalidRows: invalidRows.slice(0, 50),
+                invalidCount: invalidRows.length,
+                placeholders: placeholders
+            });
+        }
+
+        let finalStartAt = null;
+        if (startAt !== undefined && startAt !== null && startAt !== '') {
+            finalStartAt = /^\d+$/.test(String(startAt)) ? Number(startAt) : Date.parse(startAt);
+            if (isNaN(finalStartAt)) {
+                return badRequest('startAt must be an ISO 8601 date or a timestamp in milliseconds');
+            }
+        }
+
+        let sendWindow = null;
+        if (windowStart || windowEnd) {
+            if (!SEND_WINDOW_TIME.test(windowStart || '') || !SEND_WINDOW_TIME.test(windowEnd || '') || windowStart === windowEnd) {
+                return badRequest('windowStart and windowEnd must both be different HH:MM times (24-hour)');
+            }
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone: timezone || 'UTC' });
+            } catch (timezoneError) {
+                return badRequest(`Unknown timezone: ${timezone}`);
+            }
+            sendWindow = { start: windowStart, end: windowEnd, timezone: timezone || 'UTC' };
+        }
+
+        logger.api('/createCampaign', 'Campaign creation requested', {
+            senderId,
+            recipients: recipients.length,
+            duplicates,
+            type: media ? 'media' : 'text',
+            start: isTruthyFlag(start)
+        });
+
+        const campaign = await sessionManager.campaignManager.createCampaign(senderId, {
+            name: name ? String(name).slice(0, 200) : null,
+            messageText: template,
+            media,
+            recipients,
+            startAt: finalStartAt,
+            sendWindow,
+            autoStart: isTruthyFlag(start)
+        });
+
+        res.status(201).json({
+            success: true,
+            message: campaign.status === 'draft' ? 'Campaign created' : 'Campaign created and scheduled',
+            data: {
+                ...campaign,
+                duplicatesSkipped: duplicates
+            }
+        });
+
+    } catch (error) {
+        logger.error('Error in /createCampaign', { error: error.message, senderId: req.body?.senderId });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create campaign',
+            error: error.message,
+            senderId: req.body?.senderId
+        });
+    }
+});
+
+// Shared flow for the campaign control endpoints: campaignId check, run, standard response
+const handleCampaignAction = async (req, res, { route, label, run }) => {
+    const { senderId, campaignId } = req.body;
+
+    try {
+        if (!campaignId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required parameters',
+                error: 'campaignId is required',
+                senderId: senderId
+            });
+        }
+
+        logger.api(route, `${label} requested`, { senderId, campaignId });
+
+        const data = await run(senderId, String(campaignId));
+
+        res.json({
+            success: true,
+            message: `${label} successful`,
+            data: data
+        });
+    } catch (error) {
+        logger.error(`Error in ${route}`, { error: error.message, senderId, campaignId });
+        res.status(getCampaignErrorStatus(error)).json({
+            success: false,
+            message: `${label} failed`,
+            error: error.message,
+            senderId: senderId
+        });
+    }
+};
+
+router.post('/startCampaign', validateAuthToken, validateSenderId, checkSessionExists, (req, res) => {
+    return handleCampaignAction(req, res, {
+        route: '/startCampaign',
+        label: 'Campaign start',
+        run: (senderId, campaignId) => sessionManager.campaignManager.startCampaign(senderId, campaignId)
+    });
+});
+
+router.post('/pauseCampaign', validateAuthToken, validateSenderId, checkSessionExists, (req, res) => {
+    return handleCampaignAction(req, res, {
+        route: '/pauseCampaign',
+        label: 'Campaign pause',
+        run: (senderId, campaignId) => sessionManager.campaignManager.pauseCampaign(senderId, campaignId)
+    });
+});
+
+router.post('/resumeCampaign', validateAuthToken, validateSenderId, checkSessionExists, (req, res) => {
+    return handleCampaignAction(req, res, {
+        route: '/resumeCampaign',
+        label: 'Campaign resume',
+        run: (senderId, campaignId) => sessionManager.campaignManager.resumeCampaign(senderId, campaignId)
+    });
+});
+
+router.post('/cancelCampaign', validateAuthToken, validateSenderId, checkSessionExists, (req, res) => {
+    return handleCampaignAction(req, res, {
+        route: '/cancelCampaign',
+        label: 'Campaign cancellation',
+        run: (senderId, campaignId) => sessionManager.campaignManager.cancelCampaign(senderId, campaignId)
+    });
+});
+
+// Campaign report: counts, progress and a page of per-recipient results
+router.post('/getCampaign', validateAuthToken, validateSenderId, checkSessionExists, (req, res) => {
+    const { recipientStatus, limit, offset } = req.body;
+
+    return handleCampaignAction(req, res, {
+        route: '/getCampaign',
+        label: 'Campaign report',
+        run: async (senderId, campaignId) => {
+            const campaign = await sessionManager.campaignManager.getCampaign(senderId, campaignId);
+            const finalStatus = RECIPIENT_STATUSES.includes(recipientStatus) ? recipientStatus : null;
+            const finalLimit = Math.min(Math.max(parseInt(limit) || 100, 1), 1000);
+            const finalOffset = Math.max(parseInt(offset) || 0, 0);
+            const recipients = await sessionManager.campaignManager.getCampaignRecipients(senderId, campaignId, finalStatus, finalLimit, finalOffset);
+
+            return {
+                ...campaign,
+                recipients: recipients,
+                recipientStatus: finalStatus || 'all',
+                limit: finalLimit,
+                offset: finalOffset
+            };
+        }
+    });
+});
+
+// List campaigns for a session endpoint
+router.post('/getCampaigns', validateAuthToken, validateSenderId, checkSessionExists, async (req, res) => {
+    try {
+        const { senderId, status, limit, offset } = req.body;
+
+        if (status && !CAMPAIGN_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid status filter',
+                error: `status must be one of: ${CAMPAIGN_STATUSES.join(', ')}`,
+                senderId: senderId
+            });
+        }
+
+        const finalLimit = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+        const finalOffset = Math.max(parseInt(offset) || 0, 0);
+
+        logger.api('/getCampaigns', 'Campaign list requested', { senderId, status, limit: finalLimit });
+
+        const campaigns = await sessionManager.campaignManager.getSessionCampaigns(senderId, status || null, finalLimit, finalOffset);
+
+        res.json({
+            success: true,
+            message: 'Campaigns retrieved successfully',
+            data: {
+                campaigns: campaigns,
+                count: campaigns.length,
+                senderId: senderId,
+                status: status || 'all'
+            }
+        });
+
+    } catch (error) {
+        logger.error('Error in /getCampaigns', { error: error.message, senderId: req.body?.senderId });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve campaigns',
+            error: error.message,
+            senderId: req.body?.senderId
+        });
+    }
+});
+
+const MISSED_RUN_POLICIES = ['catch_up', 'skip'];
+const SCHEDULE_STATUSES = ['active', 'sending', 'completed', 'failed', 'skipped', 'cancelled'];
+
+const getScheduleErrorStatus = (error) => {
+    if (error.message.endsWith('not found')) {
+        return 404;
+    }
+    if (error.message.startsWith('Cannot ')) {
+        return 409;
+    }
+    if (error.message.startsWith('Invalid ')) {
+        return 400;
+    }
+    return 500;
+};
+
+// Shared checks for create and update; returns an error string or null
+const validateScheduleFields = ({ receiverId, messageText, timezone, missedPolicy, endAt }) => {
+    if (receiverId !== undefined && !isValidReceiverId(String(receiverId))) {
+        return 'Invalid receiverId/number format. Must be a valid phone number, group ID, or WhatsApp JID';
+    }
+    if (messageText !== undefined && String(messageText).length > 4096) {
+        return 'messageText must be at most 4096 characters';
+    }
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+        return `Unknown timezone: ${timezone}`;
+    }
+    if (missedPolicy !== undefined && !MISSED_RUN_POLICIES.includes(missedPolicy)) {
+        return `missedPolicy must be one of: ${MISSED_RUN_POLICIES.join(', ')}`;
+    }
+    if (endAt !== undefined && endAt !== null && isNaN(endAt)) {
+        return 'endAt must be a timestamp in ms, an ISO date, or a local "YYYY-MM-DD HH:MM"';
+    }
+    return null;
+};
+
+// Omitted fields stay undefined (unchanged on update); an empty endAt clears it
+const readScheduleFields = (body, defaultTimezone) => {
+    const timezone = body.timezone || undefined;
+    const messageText = body.messageText ?? body.message ?? body.caption;
+    const receiverId = body.receiverId || body.number;
+    let endAt;
+    if (body.endAt === null || body.endAt === '') {
+        endAt = null;
+    } else if (body.endAt !== undefined) {
+        endAt = parseDateTime(body.endAt, timezone || defaultTimezone);
+    }
+
+    return {
+        receiverId: receiverId !== undefined ? String(receiverId) : undefined,
+        messageText: messageText !== undefined && messageText !== null ? String(messageText) : undefined,
+        schedule: body.schedule !== undefined ? parseJsonField(body.schedule) : undefined,
+        timezone,
+        missedPolicy: body.missedPolicy || undefined,
+        endAt
+    };
+};
+
+// Schedule a one-off or recurring text/media message endpoint
+router.post('/scheduleMessage', handleMediaUpload, validateAuthToken, validateSenderId, checkSessionExists, async (req, res) => {
+    try {
+        const { senderId } = req.body;
+        const fields = readScheduleFields(req.body, sessionManager.messageScheduler.defaultTimezone);
+
+        const inputError = !fields.receiverId ? 'receiverId (or number) is required'
+            : !fields.schedule ? 'schedule is required, e.g. { "type": "daily", "time": "09:00" }'
+            : validateScheduleFields(fields);
+        if (inputError) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing or invalid parameters',
+                error: inputError,
+                senderId: senderId
+            });
+        }
+
+        const mediaResult = await loadRequestMedia(req);
+        if (mediaResult.error) {
+            return res.status(mediaResult.status).json({
+                success: false,
+                message: 'Invalid media',
+                error: mediaResult.error,
+                senderId: senderId
+            });
+        }
+
+        if (!fields.messageText && !mediaResult.media) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required parameters',
+                error: 'messageText is required (or a media source, with messageText as the optional caption)',
+                senderId: senderId
+            });
+        }
+
+        logger.api('/scheduleMessage', 'Message schedule requested', {
+            senderId,
+            receiverId: fields.receiverId,
+            scheduleType: fields.schedule.type,
+            timezone: fields.timezone
+        });
+
+        const schedule = await sessionManager.messageScheduler.createSchedule(senderId, { ...fields, media: mediaResult.media });
+
+        res.status(201).json({
+            success: true,
+            message: 'Message scheduled successfully',
+            data: schedule
+        });
+
+    } catch (error) {
+        logger.error('Error in /scheduleMessage', { error: error.message, senderId: req.body?.senderId });
+        res.status(getScheduleErrorStatus(error)).json({
+            success: false,
+            message: 'Failed to schedule message',
+            error: error.message,
+            senderId: req.body?.senderId
+        });
+    }
+});
+
+// Shared flow for the single-schedule endpoints: scheduleId check, run, standard response
+const handleScheduleAction = async (req, res, { route, label, validate, run }) => {
+    const { senderId, scheduleId } = req.body;
+
+    try {
+        const inputError = !scheduleId ? 'scheduleId is required' : (validate ? validate(req.body) : null);
+        if (inputError) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing or invalid parameters',
+                error: inputError,
+                senderId: senderId
+            });
+        }
+
+        logger.api(route, `${label} requested`, { senderId, scheduleId });
+
+        const data = await run(senderId, String(scheduleId));
+
+        res.json({
+            success: true,
+            message: `${label} successful`,
+            data: data
+        });
+    } catch (error) {
+        logger.error(`Error in ${route}`, { error: error.message, senderId, scheduleId });
+        res.status(getScheduleErrorStatus(error)).json({
+            success: false,
+            message: `${label} failed`,
+            error: error.message,
+            senderId: senderId
+        });
+    }
+};
+
+router.post('/getScheduledMessage', validateAuthToken, validateSenderId, checkSessionExists, (req, res) => {
+    return handleScheduleAction(req, res, {
+        route: '/getScheduledMessage',
+        label: 'Scheduled message lookup',
+        run: (senderId, scheduleId) => sessionManager.messageScheduler.getSchedule(senderId, scheduleId)
+    });
+});
+
+// Change text, receiver, rule, timezone, missed-run policy or end time of an active schedule (media can't be swapped)
+router.post('/updateScheduledMessage', validateAuthToken, validateSenderId, checkSessionExists, (req, res) => {
+    const fields = readScheduleFields(req.body, sessionManager.messageScheduler.defaultTimezone);
+
+    return handleScheduleAction(req, res, {
+        route: '/updateScheduledMessage',
+        label: 'Scheduled message update',
+        validate: () => {
+            if (Object.values(fields).every(value => value === undefined)) {
+                return 'Provide at least one of: receiverId, messageText, schedule, timezone, missedPolicy, endAt';
+            }
+            return validateScheduleFields(fields);
+        },
+        run: (senderId, scheduleId) => sessionManager.messageScheduler.updateSchedule(senderId, scheduleId, fields)
+    });
+});
+
+router.post('/cancelScheduledMessage', validateAuthToken, validateSenderId, checkSessionExists, (req, res) => {
+    return handleScheduleAction(req, res, {
+        route: '/cancelScheduledMessage',
+        label: 'Scheduled message cancellation',
+        run: (senderId, scheduleId) => sessionManager.messageScheduler.cancelSchedule(senderId, scheduleId)
+    });
+});
+
+// List scheduled messages for a session endpoint
+router.post('/getScheduledMessages', validateAuthToken, validateSenderId, checkSessionExists, async (req, res) => {
+    try {
+        const { senderId, status, limit, offset } = req.body;
+
+        if (status && !SCHEDULE_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid status filter',
+                error: `status must be one of: ${SCHEDULE_STATUSES.join(', ')}`,
+                senderId: senderId
+            });
+        }
+
+        const finalLimit = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+        const finalOffset = Math.max(parseInt(offset) || 0, 0);
+
+        logger.api('/getScheduledMessages', 'Scheduled messages list requested', { senderId, status, limit: finalLimit });
+
+        const schedules = await sessionManager.messageScheduler.getSessionSchedules(senderId, status || null, finalLimit, finalOffset);
+
+        res.json({
+            success: true,
+            message: 'Scheduled messages retrieved successfully',
+            data: {
+                schedules: schedules,
+                count: schedules.length,
+                senderId: senderId,
+                status: status || 'all'
+            }
+        });
+
+    } catch (error) {
+        logger.error('Error in /getScheduledMessages', { error: error.message, senderId: req.body?.senderId });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve scheduled messages',
+            error: error.message,
+            senderId: req.body?.senderId
+        });
+    }
+});
+
+const TEMPLATE_SCOPES = ['session', 'user'];
+
+// scope 'session' (default) belongs to senderId; scope 'user' is shared by every session with the same user_id
+const getTemplateOwner = (req) => {
+    const scope = req.body.scope || 'session';
+    if (!TEMPLATE_SCOPES.includes(scope)) {
+        return { error: `scope must be one of: ${TEMPLATE_SCOPES.join(', ')}` };
+    }
+    if (scope === 'user') {
+        if (!req.sessionData.user_id) {
+            return { error: 'This session has no user_id, so it cannot use user-scoped templates' };
+        }
+        return { scope, ownerId: req.sessionData.user_id };
+    }
+    return { scope, ownerId: req.body.senderId || req.body.sessionId };
+};
+
+// Shared flow for the template endpoints: name and scope checks, optional media, run, standard response
+const handleTemplateAction = async (req, res, { route, label, successStatus = 200, withMedia = false, run }) => {
+    const { senderId } = req.body;
+    const name = req.body.name || req.body.templateName;
+
+    try {
+        const owner = getTemplateOwner(req);
+        const inputError = !name ? 'name (or templateName) is required' : owner.error;
+        if (inputError) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing or invalid parameters',
+                error: inputError,
+                senderId: senderId
+            });
+        }
+
+        let media = null;
+        if (withMedia) {
+            const mediaResult = await loadRequestMedia(req);
+            if (mediaResult.error) {
+                return res.status(mediaResult.status).json({
+                    success: false,
+                    message: 'Invalid template media',
+                    error: mediaResult.error,
+                    senderId: senderId
+                });
+            }
+            media = mediaResult.media;
+        }
+
+        logger.api(route, `${label} requested`, { senderId, name, scope: owner.scope });
+
+        const data = await run({ ...owner, name: String(name), media });
+
+        res.status(successStatus).json({
+            success: true,
+            message: `${label} successful`,
+            data: data
+        });
+    } catch (error) {
+        logger.error(`Error in ${route}`, { error: error.message, senderId, name });
+        res.status(getTemplateErrorStatus(error)).json({
+            success: false,
+            message: `${label} failed`,
+            error: error.message,
+            senderId: senderId
+        });
+    }
+};
+
+// Create a message template endpoint (JSON or multipart with an optional media "file")
+router.post('/createTemplate', handleMediaUpload, validateAuthToken, validateSenderId, checkSessionExists, (req, res) => {
+    return handleTemplateAction(req, res, {
+        route: '/createTemplate',
+        label: 'Template creation',
+        successStatus: 201,
+        withMedia: true,
+        run: ({ scope, ownerId, name, media }) => sessionManager.templateManager.createTemplate({
+            scope,
+            ownerId,
+            name,
+            body: req.body.body,
+            variables: req.body.variables === undefined ? undefined : (parseJsonField(req.body.variables) ?? req.body.variables),
+            locale: req.body.locale,
+            media
+        })
+    });
+});
+
+// Update body, variables, locale or media of a template; omitted fields keep their value
+router.post('/updateTemplate', handleMediaUpload, validateAuthToken, validateSenderId, checkSessionExists, (req, res) => {
+    return handleTemplateAction(req, res, {
+        route: '/updateTemplate',
+        label: 'Template update',
+        withMedia: true,
+        run: ({ scope, ownerId, name, media }) => sessionManager.templateManager.updateTemplate(scope, ownerId, name, {
+            body: req.body.body,
+            variables: req.body.variables === undefined ? undefined : (parseJsonField(req.body.variables) ?? req.body.variables),
+            locale: req.body.locale,
+            media,
+            removeMedia: isTruthyFlag(req.body.removeMedia)
+        })
+    });
+});
+
+router.post('/deleteTemplate', validateAuthToken, validateSenderId, checkSessionExists, (req, res) => {
+    return handleTemplateAction(req, res, {
+        route: '/deleteTemplate',
+        label: 'Template deletion',
+        run: async ({ scope, ownerId, name }) => {
+            await sessionManager.templateManager.deleteTemplate(scope, ownerId, name);
+            return { name, scope };
+        }
+    });
+});
+
+// Without a scope, the session's own template is returned before a user-wide one of the same name
+router.post('/getTemplate', validateAuthToken, validateSenderId, checkSessionExists, (req, res) => {
+    return handleTemplateAction(req, res, {
+        route: '/getTemplate',
+        label: 'Template lookup',
+        run: async ({ scope, ownerId, name }) => {
+            const row = req.body.scope
+                ? await sessionManager.templateManager.getTemplateRow(scope, ownerId, name)
+                : await sessionManager.templateManager.resolveTemplate(req.body.senderId, req.sessionData.user_id, name);
+            return sessionManager.templateManager.formatTemplate(row);
+        }
+    });
+});
+
+// Preview: the final text a send with these variables would produce
+router.post('/renderTemplate', validateAuthToken, validateSenderId, checkSessionExists, (req, res) => {
+    return handleTemplateAction(req, res, {
+        route: '/renderTemplate',
+        label: 'Template render',
+        run: async ({ name }) => {
+            const variables = req.body.variables === undefined ? {} : parseJsonField(req.body.variables);
+            if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+                throw new Error('Invalid variables: must be an object of name/value pairs');
+            }
+
+            const row = await sessionManager.templateManager.resolveTemplate(req.body.senderId, req.sessionData.user_id, name);
+            const rendered = sessionManager.templateManager.renderTemplate(row, variables);
+
+            return {
+                name: row.name,
+                scope: row.scope,
+                text: rendered.text,
+                length: rendered.text.length,
+                values: rendered.values,
+                media: row.media_path ? { mediaType: row.media_type, fileName: row.file_name, size: row.media_size } : null
+            };
+        }
+    });
+});
+
+// List templates available to a session (its own and its user_id's) endpoint
+router.post('/getTemplates', validateAuthToken, validateSenderId, checkSessionExists, async (req, res) => {
+    try {
+        const { senderId } = req.body;
+
+        logger.api('/getTemplates', 'Template list requested', { senderId });
+
+        const templates = await sessionManager.templateManager.listTemplates(senderId, req.sessionData.user_id);
+
+        res.json({
+            success: true,
+            message: 'Templates retrieved successfully',
+            data: {
+                templates: templates,
+                count: templates.length,
+                senderId: senderId,
+                userId: req.sessionData.user_id || null
+            }
+        });
+
+    } catch (error) {
+        logger.error('Error in /getTemplates', { error: error.message, senderId: req.body?.senderId });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve templates',
+            error: error.message,
+            senderId: req.body?.senderId
+        });
+    }
+});
+
+// Message delivery/read status endpoint
+router.post('/getMessageStatus', validateAuthToken, validateSenderId, checkSessionExists, async (req, res) => {
+    try {
+        const { senderId, messageId } = req.body;
+        
+        if (!messageId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required parameters',
+                error: 'messageId is required',
+                senderId: senderId
+            });
+        }
+        
+        logger.api('/getMessageStatus', 'Message status requested', { senderId, messageId });
+        
+        const messageStatus = await sessionManager.getMessageStatus(senderId, messageId);
+        if (!messageStatus) {
+            return res.status(404).json({
+                success: false,
+                message: 'Message status not found',
+                error: `No status recorded for message ${messageId} on senderId: ${senderId}`,
+                senderId: senderId
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Message status retrieved successfully',
+            data: messageStatus
+        });
+        
+    } catch (error) {
+        logger.error('Error in /getMessageStatus', { error: error.message, senderId: req.body?.senderId });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve message status',
+            error: error.message,
+            senderId: req.body?.senderId
+        });
+    }
+});
+
+// Chat history endpoint (newest first, paged with the returned cursor)
+router.post('/getChatHistory', validateAuthToken, validateSenderId, checkSessionExists, async (req, res) => {
+    try {
+        const { senderId, chatId, cursor } = req.body;
+        const limit = req.body.limit === undefined ? 50 : parseInt(req.body.limit);
+        
+        if (!chatId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required parameters',
+                error: 'chatId is required (phone number, group ID or JID)',
+                senderId: senderId
+            });
+        }
+        
+        if (isNaN(limit) || limit < 1 || limit > 200) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid limit',
+                error: 'limit must be between 1 and 200',
+                senderId: senderId
+            });
+        }
+        
+        let before = null;
+        if (cursor) {
+            const match = /^(\d+)_(\d+)$/.exec(String(cursor));
+            if (!match) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid cursor',
+                    error: 'cursor must be the nextCursor value from a previous page',
+                    senderId: senderId
+                });
+            }
+            before = { timestamp: parseInt(match[1]), id: parseInt(match[2]) };
+        }
+        
+        logger.api('/getChatHistory', 'Chat history requested', { senderId, chatId, limit, cursor: cursor || null });
+        
+        const history = await sessionManager.getChatHistory(senderId, chatId, limit, before);
+        
+        res.json({
+            success: true,
+            message: 'Chat history retrieved successfully',
+            data: {
+                senderId: senderId,
+                ...history,
+                count: history.messages.length
+            }
+        });
+        
+    } catch (error) {
+        logger.error('Error in /getChatHistory', { error: error.message, senderId: req.body?.senderId });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve chat history',
+            error: error.message,
+            senderId: req.body?.senderId
+        });
+    }
+});
+
+// Fetch one stored message by id endpoint
+router.post('/getStoredMessage', validateAuthToken, validateSenderId, checkSessionExists, async (req, res) => {
+    try {
+        const { senderId, messageId, chatId } = req.body;
+        
+        if (!messageId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required parameters',
+                error: 'messageId is required',
+                senderId: senderId
+            });
+        }
+        
+        logger.api('/getStoredMessage', 'Stored message requested', { senderId, messageId, chatId: chatId || null });
+        
+        const message = await sessionManager.getStoredMessage(senderId, messageId, chatId);
+        if (!message) {
+            return res.status(404).json({
+                success: false,
+                message: 'Message not found',
+                error: `No stored message ${messageId} on senderId: ${senderId}`,
+                senderId: senderId
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Message retrieved successfully',
+            data: message
+        });
+        
+    } catch (error) {
+        logger.error('Error in /getStoredMessage', { error: error.message, senderId: req.body?.senderId });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve message',
+            error: error.message,
+            senderId: req.body?.senderId
+        });
+    }
+});
+
+// Recent conversations endpoint (one entry per chat with its latest message)
+router.post('/getConversations', validateAuthToken, validateSenderId, checkSessionExists, async (req, res) => {
+    try {
+        const { senderId } = req.body;
+        const limit = req.body.limit === undefined ? 20 : parseInt(req.body.limit);
+        const offset = req.body.offset === undefined ? 0 : parseInt(req.body.offset);
+        
+        if (isNaN(limit) || limit < 1 || limit > 100 || isNaN(offset) || offset < 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid paging parameters',
+                error: 'limit must be between 1 and 100 and offset must be 0 or more',
+                senderId: senderId
+            });
+        }
+        
+        logger.api('/getConversations', 'Recent conversations requested', { senderId, limit, offset });
+        
+        const conversations = await sessionManager.getConversations(senderId, limit, offset);
+        
+        res.json({
+            success: true,
+            message: 'Conversations retrieved successfully',
+            data: {
+                senderId: senderId,
+                conversations: conversations,
+                count: conversations.length,
+                limit: limit,
+                offset: offset
+            }
+        });
+        
+    } catch (error) {
+        logger.error('Error in /getConversations', { error: error.message, senderId: req.body?.senderId });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve conversations',
+            error: error.message,
+            senderId: req.body?.senderId
+        });
+    }
+});
+
+// Inbox view: chats with last message preview, unread count and archive/pin/mute flags
+router.post('/getChats', validateAuthToken, validateSenderId, checkSessionExists, async (req, res) => {
+    try {
+        const { senderId } = req.body;
+        const limit = req.body.limit === undefined ? 50 : parseInt(req.body.limit);
+        const offset = req.body.offset === undefined ? 0 : parseInt(req.body.offset);
+        
+        if (isNaN(limit) || limit < 1 || limit > 500 || isNaN(offset) || offset < 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid paging parameters',
+                error: 'limit must be between 1 and 500 and offset must be 0 or more',
+                senderId: senderId
+            });
+        }
+        
+        // archived: false (default) hides archived chats, true lists only archived, "all" lists both
+        const archivedParam = req.body.archived;
+        const archived = archivedParam === 'all' ? null : isTruthyFlag(archivedParam);
+        const unreadOnly = isTruthyFlag(req.body.unreadOnly);
+        
+        logger.api('/getChats', 'Chat list requested', { senderId, archived, unreadOnly, limit, offset });
+        
+        const result = await sessionManager.getChats(senderId, { archived, unreadOnly, limit, offset });
+        
+        res.json({
+            success: true,
+            message: 'Chats retrieved successfully',
+            data: {
+                senderId: senderId,
+                chats: result.chats,
+                count: result.chats.length,
+                total: result.total,
+                limit: limit,
+                offset: offset
+            }
+        });
+        
+    } catch (error) {
+        logger.error('Error in /getChats', { error: error.message, senderId: req.body?.senderId });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve chats',
+            error: error.message,
+            senderId: req.body?.senderId
+        });
+    }
+});
+
+const CHAT_ACTIONS = ['archive', 'unarchive', 'pin', 'unpin', 'mute', 'unmute', 'markRead', 'markUnread', 'clear'];
+
+// Archive, pin, mute, mark read/unread or clear a chat
+router.post('/modifyChat', validateAuthToken, validateSenderId, checkSessionExists, async (req, res) => {
+    try {
+        const { senderId, chatId, action } = req.body;
+        
+        if (!chatId || !action) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required parameters',
+                error: 'chatId and action are required',
+                senderId: senderId
+            });
+        }
+        
+        if (!CHAT_ACTIONS.includes(action)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid action',
+                error: `action must be one of: ${CHAT_ACTIONS.join(', ')}`,
+                senderId: senderId
+            });
+        }
+        
+        // Mute duration in seconds, default 8 hours (up to one year)
+        const durationSeconds = req.body.duration === undefined ? 8 * 60 * 60 : parseInt(req.body.duration);
+        if (action === 'mute' && (isNaN(durationSeconds) || durationSeconds < 60 || durationSeconds > 365 * 24 * 60 * 60)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid mute duration',
+                error: 'duration must be between 60 seconds and one year (in seconds)',
+                senderId: senderId
+            });
+        }
+        
+        logger.api('/modifyChat', 'Chat modification requested', { senderId, chatId, action });
+        
+        const chat = await sessionManager.modifyChat(senderId, chatId, action, { durationSeconds });
+        
+        res.json({
+            success: true,
+            message: `Chat ${action} applied successfully`,
+            data: {
+                senderId: senderId,
+                chatId: chatId,
+                action: action,
+                chat: chat
+            }
+        });
+        
+    } catch (error) {
+        logger.error('Error in /modifyChat', { error: error.message, senderId: req.body?.senderId });
+        res.status(error.message === 'Session not connected' ? 409 : 500).json({
+            success: false,
+            message: 'Failed to modify chat',
+            error: error.message,
+            senderId: req.body?.senderId
+        });
+    }
+});
+
+// Get Groups endpoint
+router.post('/getGroups', validateAuthToken, validateSenderId, checkSessionExists, async (req, res) => {
+    try {
+        const { senderId } = req.body;
+        
+        logger.api('/getGroups', 'Groups list requested', { senderId });
+        
+        const groups = await sessionManager.getGroups(senderId);
+        
+        res.json({
+            success: true,
+            message: 'Groups retrieved successfully',
+            data: {
+                groups: groups,
+                count: groups.length,
+                senderId: senderId,
+                sessionStatus: req.sessionData.status
+            }
+        });
+        
+    } catch (error) {
+        logger.error('Error in /getGroups', { error: error.message, senderId: req.body?.senderId });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve groups',
+            error: error.message,
+            senderId: req.body?.senderId
+        });
+    }
+});
+
+// Boom errors from Baileys carry the WhatsApp status (e.g. 403 not-authorized when we're not an admin)
+const getGroupErrorStatus = (error) => {
+    if (error.message === 'Session not connected') {
+        return 409;
+    }
+    if (error.message.startsWith('Invalid group ID')) {
+        return 400;
+    }
+    const statusCode = error.output?.statusCode || error.data?.statusCode;
+    if (statusCode === 401 || statusCode === 403) {
+        return 403;
+    }
+    if (statusCode === 400 || statusCode === 404 || statusCode === 406 || statusCode === 409) {
+        return statusCode;
+    }
+    return 500;
+};
+
+// Shared flow for the group admin endpoints: input check, run on the connected session, standard response
+const handleGroupAction = async (req, res, { route, label, validate, run }) => {
+    const { senderId } = req.body;
+    
+    try {
+        const inputError = validate ? validate(req.body) : null;
+        if (inputError) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing or invalid parameters',
+                error: inputError,
+                senderId: senderId
+            });
+        }
+        
+        logger.api(route, `${label} requested`, { senderId, groupId: req.body.groupId || null });
+        
+        const data = await sessionManager.runGroupOperation(senderId, run);
+        
+        res.json({
+            success: true,
+            message: `${label} successful`,
+            data: {
+                senderId: senderId,
+                ...(req.body.groupId ? { groupId: req.body.groupId } : {}),
+                ...(data || {})
+            }
+        });
+    } catch (error) {
+        logger.error(`Error in ${route}`, { error: error.message, senderId });
+        res.status(getGroupErrorStatus(error)).json({
+            success: false,
+            message: `${label} failed`,
+            error: error.message,
+            senderId: senderId
+        });
+    }
+};
+
+const requireGroupId = ({ groupId }) => (groupId ? null : 'groupId is required');
+
+const requireParticipants = (participants) => {
+    if (!Array.isArray(participants) || participants.length === 0) {
+        return 'participants must be a non-empty array of phone numbers or JIDs';
+    }
+    if (participants.length > 256) {
+        return 'A maximum of 256 participants can be changed at once';
+    }
+    return null;
+};
+
+// Create a group endpoint
+router.post('/createGroup', validateAuthToken, validateSenderId, checkSessionExists, (req, res) => {
+    return handleGroupAction(req, res, {
+        route: '/createGroup',
+        label: 'Group creation',
+        validate: ({ subject, participants }) => {
+            if (!subject || String(subject).length > 100) {
+                return 'subject is required (max 100 characters)';
+            }
+            return requireParticipants(participants);
+        },
+        run: async (session) => ({ group: await session.createGroup(String(req.body.subject), req.body.participants) })
+    });
+});
+
+const PARTICIPANT_ACTIONS = ['add', 'remove', 'promote', 'demote'];
+
+// Add, remove, promote or demote group participants endpoint
+router.post('/updateGroupParticipants', validateAuthToken, validateSenderId, checkSessionExists, (req, res) => {
+    return handleGroupAction(req, res, {
+        route: '/updateGroupParticipants',
+        label: 'Group participants update',
+        validate: (body) => {
+            if (!PARTICIPANT_ACTIONS.includes(body.action)) {
+                return `action must be one of: ${PARTICIPANT_ACTIONS.join(', ')}`;
+            }
+            return requireGroupId(body) || requireParticipants(body.participants);
+        },
+        run: async (session) => {
+            const results = await session.updateGroupParticipants(req.body.groupId, req.body.participants, req.body.action);
+            return {
+                action: req.body.action,
+                results: results,
+                succeeded: results.filter(result => result.success).length,
+                failed: results.filter(result => !result.success).length
+            };
+        }
+    });
+});
+
+// Change group subject endpoint
+router.post('/updateGroupSubject', validateAuthToken, validateSenderId, checkSessionExists, (req, res) => {
+    return handleGroupAction(req, res, {
+        route: '/updateGroupSubject',
+        label: 'Group subject update',
+        validate: (body) => requireGroupId(body) || (!body.subject || String(body.subject).length > 100 ? 'subject is required (max 100 characters)' : null),
+        run: async (session) => {
+            await session.updateGroupSubject(req.body.groupId, String(req.body.subject));
+            return { subject: String(req.body.subject) };
+        }
+    });
+});
+
+// Change group description endpoint (empty description removes it)
+router.post('/updateGroupDescription', validateAuthToken, validateSenderId, checkSessionExists, (req, res) => {
+    return handleGroupAction(req, res, {
+        route: '/updateGroupDescription',
+        label: 'Group description update',
+        validate: (body) => requireGroupId(body) || (String(body.description || '').length > 2048 ? 'description must be at most 2048 characters' : null),
+        run: async (session) => {
+            await session.updateGroupDescription(req.body.groupId, req.body.description ? String(req.body.description) : '');
+            return { description: req.body.description || null };
+        }
+    });
+});
+
+// Change group picture endpoint: multipart "file", imageBase64, or imageUrl
+router.post('/updateGroupPicture', handleMediaUpload, validateAuthToken, validateSenderId, checkSessionExists, async (req, res) => {
+    let imageBuffer = null;
+    let imageError = null;
+    
+    try {
+        if (req.file) {
+            imageBuffer = req.file.buffer;
+        } else if (req.body.imageBase64) {
+            imageBuffer = Buffer.from(String(req.body.imageBase64).replace(/^data:[^,]*,/, ''), 'base64');
+        } else if (req.body.imageUrl) {
+            const response = await axios.get(req.body.imageUrl, {
+                responseType: 'arraybuffer',
+                timeout: 15000,
+                maxContentLength: MAX_MEDIA_SIZE
+            });
+            imageBuffer = Buffer.from(response.data);
+        }
+    } catch (downloadError) {
+        imageError = 'Failed to download image from URL: ' + downloadError.message;
+    }
+    
+    return handleGroupAction(req, res, {
+        route: '/updateGroupPicture',
+        label: 'Group picture update',
+        validate: (body) => requireGroupId(body) || imageError ||
+            (!imageBuffer || imageBuffer.length === 0 ? 'An image is required: upload "file", or send imageBase64 or imageUrl' : null),
+        run: async (session) => {
+            await session.updateGroupPicture(req.body.groupId, imageBuffer);
+            return { size: imageBuffer.length };
+        }
+    });
+});
+
+// Change group settings endpoint: announce (only admins send) and/or locked (only admins edit info)
+router.post('/updateGroupSettings', validateAuthToken, validateSenderId, checkSessionExists, (req, res) => {
+    const settings = {};
+    if (req.body.announce !== undefined) {
+        settings.announce = isTruthyFlag(req.body.announce);
+    }
+    if (req.body.locked !== undefined) {
+        settings.locked = isTruthyFlag(req.body.locked);
+    }
+    
+    return handleGroupAction(req, res, {
+        route: '/updateGroupSettings',
+        label: 'Group settings update',
+        validate: (body) => requireGroupId(body) || (Object.keys(settings).length === 0 ? 'At least one of announce or locked is required' : null),
+        run: async (session) => {
+            await session.updateGroupSettings(req.body.groupId, settings);
+            return { settings: settings };
+        }
+    });
+});
+
+// Get group invite link endpoint
+router.post('/getGroupInviteLink', validateAuthToken, validateSenderId, checkSessionExists, (req, res) => {
+    return handleGroupAction(req, res, {
+        route: '/getGroupInviteLink',
+        label: 'Group invite link fetch',
+        validate: requireGroupId,
+        run: session => session.getGroupInviteLink(req.body.groupId)
+    });
+});
+
+// Revoke group invite link endpoint (returns the new link)
+router.post('/revokeGroupInviteLink', validateAuthToken, validateSenderId, checkSessionExists, (req, res) => {
+    return handleGroupAction(req, res, {
+        route: '/revokeGroupInviteLink',
+        label: 'Group invite link revoke',
+        validate: requireGroupId,
+        run: session => session.revokeGroupInviteLink(req.body.groupId)
+    });
+});
+
+// Join a group via invite code or link endpoint
+router.post('/joinGroup', validateAuthToken, validateSenderId, checkSessionExists, (req, res) => {
+    // Accept either the bare code or a full https://chat.whatsapp.com/<code> link
+    const inviteCode = String(req.body.inviteCode || req.body.inviteLink || '').trim().split('/').pop();
+    
+    return handleGroupAction(req, res, {
+        route: '/joinGroup',
+        label: 'Group join',
+        validate: () => (/^[A-Za-z0-9]{10,}$/.test(inviteCode) ? null : 'inviteCode (or inviteLink) is required'),
+        run: async (session) => {
+            const groupId = await session.joinGroupByInvite(inviteCode);
+            return {
+                joinedGroupId: groupId,
+                pendingApproval: !groupId
+            };
+        }
+    });
+});
+
+// Leave a group endpoint
+router.post('/leaveGroup', validateAuthToken, validateSenderId, checkSessionExists, (req, res) => {
+    return handleGroupAction(req, res, {
+        route: '/leaveGroup',
+        label: 'Group leave',
+        validate: requireGroupId,
+        run: async (session) => {
+            await session.leaveGroup(req.body.groupId);
+            return { left: true };
+        }
+    });
+});
+
+// List pending join requests endpoint
+router.post('/getGroupJoinRequests', validateAuthToken, validateSenderId, checkSessionExists, (req, res) => {
+    return handleGroupAction(req, res, {
+        route: '/getGroupJoinRequests',
+        label: 'Group join requests fetch',
+        validate: requireGroupId,
+        run: async (session) => {
+            const requests = await session.getGroupJoinRequests(req.body.groupId);
+            return { requests: requests, count: requests.length };
+        }
+    });
+});
+
+// Approve or reject pending join requests endpoint
+router.post('/handleGroupJoinRequests', validateAuthToken, validateSenderId, checkSessionExists, (req, res) => {
+    return handleGroupAction(req, res, {
+        route: '/handleGroupJoinRequests',
+        label: 'Group join requests update',
+        validate: (body) => {
+            if (body.action !== 'approve' && body.action !== 'reject') {
+                return "action must be 'approve' or 'reject'";
+            }
+            return requireGroupId(body) || requireParticipants(body.participants);
+        },
+        run: async (session) => {
+            const results = await session.handleGroupJoinRequests(req.body.groupId, req.body.participants, req.body.action);
+            return { action: req.body.action, results: results };
+        }
+    });
+});
+
+// Group detail endpoint: participant roster with roles and contact names.
+// maxAge (seconds) bounds how old cached metadata may be; refresh: true always refetches.
+router.post('/getGroupDetails', validateAuthToken, validateSenderId, checkSessionExists, (req, res) => {
+    const maxAgeSeconds = req.body.maxAge === undefined ? null : parseInt(req.body.maxAge);
+    
+    return handleGroupAction(req, res, {
+        route: '/getGroupDetails',
+        label: 'Group details fetch',
+        validate: (body) => requireGroupId(body) ||
+            (maxAgeSeconds !== null && (isNaN(maxAgeSeconds) || maxAgeSeconds < 0) ? 'maxAge must be 0 or more seconds' : null),
+        run: (session) => {
+            const maxAgeMs = isTruthyFlag(req.body.refresh) ? 0
+                : maxAgeSeconds !== null ? maxAgeSeconds * 1000 : undefined;
+            return sessionManager.getGroupDetails(req.body.senderId, req.body.groupId, maxAgeMs);
+        }
+    });
+});
+
+// Export all groups with their members as JSON or CSV (one row per member)
+router.post('/exportGroups', validateAuthToken, validateSenderId, checkSessionExists, async (req, res) => {
+    try {
+        const { senderId } = req.body;
+        const format = (req.body.format || 'json').toLowerCase();
+        
+        if (format !== 'json' && format !== 'csv') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid format',
+                error: "format must be 'json' or 'csv'",
+                senderId: senderId
+            });
+        }
+        
+        logger.api('/exportGroups', 'Group export requested', { senderId, format });
+        
+        const groups = await sessionManager.exportGroups(senderId);
+        
+        if (format === 'csv') {
+            const rows = [['group_id', 'group_subject', 'participant_jid', 'participant_name', 'role']];
+            groups.forEach((group) => {
+                group.participants.forEach((participant) => {
+                    rows.push([group.id, group.subject, participant.jid, participant.name, participant.role]);
+                });
+            });
+            
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="groups-${senderId}.csv"`);
+            return res.send(toCsv(rows));
+        }
+        
+        res.json({
+            success: true,
+            message: 'Groups exported successfully',
+            data: {
+                senderId: senderId,
+                groups: groups,
+                groupCount: groups.length,
+                participantCount: groups.reduce((total, group) => total + group.participants.length, 0),
+                exportedAt: new Date().toISOString()
+            }
+        });
+        
+    } catch (error) {
+        logger.error('Error in /exportGroups', { error: error.message, senderId: req.body?.senderId });
+        res.status(getGroupErrorStatus(error)).json({
+            success: false,
+            message: 'Failed to export groups',
+            error: error.message,
+            senderId: req.body?.senderId
+        });
+    }
+});
+
+// Get Contacts endpoint
+router.post('/getContacts', validateAuthToken, validateSenderId, checkSessionExists, async (req, res) => {
+    try {
+        const { senderId, search, sort } = req.body;
+        const limit = req.body.limit === undefined ? 100 : parseInt(req.body.limit);
+        const offset = req.body.offset === undefined ? 0 : parseInt(req.body.offset);
+        
+        if (isNaN(limit) || limit < 1 || limit > 1000 || isNaN(offset) || offset < 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid paging parameters',
+                error: 'limit must be between 1 and 1000 and offset must be 0 or more',
+                senderId: senderId
+            });
+        }
+        
+        if (sort !== undefined && sort !== 'recent' && sort !== 'name') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid sort',
+                error: "sort must be 'recent' or 'name'",
+                senderId: senderId
+            });
+        }
+        
+        logger.api('/getContacts', 'Contacts list requested', { senderId, search: search || null, limit, offset });
+        
+        const result = await sessionManager.getContacts(senderId, {
+            search: search ? String(search).trim() : null,
+            limit: limit,
+            offset: offset,
+            sort: sort || 'recent'
+        });
+        
+        res.json({
+            success: true,
+            message: 'Contacts retrieved successfully',
+            data: {
+                contacts: result.contacts,
+                count: result.contacts.length,
+                total: result.total,
+                limit: limit,
+                offset: offset,
+                senderId: senderId,
+                sessionStatus: req.sessionData.status
+            }
+        });
+        
+    } catch (error) {
+        logger.error('Error in /getContacts', { error: error.message, senderId: req.body?.senderId });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve contacts',
+            error: error.message,
+            senderId: req.body?.senderId
+        });
+    }
+});
+
+// Session management endpoints
+
+// Create new session
+router.post('/createSession', validateAuthToken, validateSenderId, async (req, res) => {
+    try {
+        const { senderId, name, userId, user_id, adminId, admin_id, webhookUrl } = req.body;
+        
+        // Use aliases if main parameters are not provided
+        const finalUserId = String(userId || user_id || senderId);
+        const finalAdminId = adminId || admin_id;
+        
+        // Check if session already exists
+        try {
+            const existingSession = await sessionManager.database.getSession(senderId);
+            if (existingSession) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Session already exists',
+                    error: `Session already exists for senderId: ${senderId}`,
+                    data: {
+                        sessionId: senderId,
+                        status: existingSession.status,
+                        createdAt: existingSession.created_at,
+                        userId: existingSession.user_id,
+                        adminId: existingSession.admin_id
+                    }
+                });
+            }
+        } catch (dbError) {
+            logger.error('Error checking existing session', { senderId, error: dbError.message });
+        }
+        
+        // Prepare additional data for session creation
+        const additionalData = {
+            name: name,
+            user_id: finalUserId,
+            admin_id: finalAdminId,
+            webhook_url: webhookUrl
+        };
+        
+        // Use senderId as the session ID
+        const sessionId = await sessionManager.createSession(senderId, true, additionalData);
+        
+        // Issue the session-scoped token; only its hash is stored so this is the one time it is returned
+        const sessionToken = await sessionManager.issueSessionToken(senderId);
+        
+        logger.api('/createSession', 'Session created', { 
+            sessionId: senderId, 
+            userId: finalUserId, 
+            adminId: finalAdminId 
+        });
+        
+        res.json({
+            success: true,
+            message: 'Session created successfully',
+            data: {
+                sessionId: senderId,
+                senderId: senderId,
+                userId: finalUserId,
+                adminId: finalAdminId,
+                name: name,
+                webhookUrl: webhookUrl,
+                sessionToken: sessionToken,
+                status: 'created',
+                timestamp: new Date().toISOString(),
+                note: 'Store sessionToken securely - it is only shown once and can act on this senderId only'
+            }
+        });
+        
+    } catch (error) {
+        logger.error('Error in /createSession', { error: error.message });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create session',
+            error: error.message
+        });
+    }
+});
+
+// Rotate the session-scoped token (admin token or the current session token)
+router.post('/rotateSessionToken', validateAuthToken, validateSenderId, checkSessionExists, async (req, res) => {
+    try {
+        const { senderId } = req.body;
+        
+        logger.api('/rotateSessionToken', 'Session token rotation requested', { 
+            senderId, 
+            requestedBy: req.authScope.isAdmin ? 'admin' : 'session' 
+        });
+        
+        const sessionToken = await sessionManager.issueSessionToken(senderId);
+        
+        res.json({
+            success: true,
+            message: 'Session token rotated successfully',
+            data: {
+                senderId: senderId,
+                sessionToken: sessionToken,
+                previousTokenRevoked: !!req.sessionData.auth_token,
+                timestamp: new Date().toISOString(),
+                note: 'The previous session token no longer works. Store the new one securely - it is only shown once'
+            }
+        });
+        
+    } catch (error) {
+        logger.error('Error in /rotateSessionToken', { error: error.message, senderId: req.body?.senderId });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to rotate session token',
+            error: error.message,
+            senderId: req.body?.senderId
+        });
+    }
+});
+
+// Revoke the session-scoped token without issuing a new one
+router.post('/revokeSessionToken', validateAuthToken, validateSenderId, checkSessionExists, async (req, res) => {
+    try {
+        const { senderId } = req.body;
+        
+        logger.api('/revokeSessionToken', 'Session token revocation requested', { 
+            senderId, 
+            requestedBy: req.authScope.isAdmin ? 'admin' : 'session' 
+        });
+        
+        await sessionManager.revokeSessionToken(senderId);
+        
+        res.json({
+            success: true,
+            message: 'Session token revoked successfully',
+            data: {
+                senderId: senderId,
+                hadToken: !!req.sessionData.auth_token,
+                timestamp: new Date().toISOString(),
+                note: 'Only the global admin authToken can act on this session until a new token is issued via /rotateSessionToken'
+            }
+        });
+        
+    } catch (error) {
+        logger.error('Error in /revokeSessionToken', { error: error.message, senderId: req.body?.senderId });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke session token',
+            error: error.message,
+            senderId: req.body?.senderId
+        });
+    }
+});
+
+// Get session status
+router.get('/sessionStatus/:senderId', async (req, res) => {
+    try {
+        const { senderId } = req.params;
+        
+        // Validate authToken from query parameter (admin token or this session's token)
+        if (await rejectInvalidQueryToken(req, res, senderId)) {
+            return;
+        }
+        
+        // Validate senderId format
+        if (!isValidSenderId(senderId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid sender ID format',
+                error: 'Invalid senderId format. Must be a valid phone number (8-15 digits, no country code +)',
+                data: {
+                    senderId: senderId
+                }
+            });
+        }
+        
+        // Check if session exists in database
+        const sessionData = await sessionManager.database.getSession(senderId);
+        if (!sessionData) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found',
+                error: `Session not found for senderId: ${senderId}. Please create session first.`,
+                data: {
+                    senderId: senderId,
+                    suggestion: 'Use POST /api/createSession to create a new session'
+                }
+            });
+        }
+        
+        const session = await sessionManager.getSessionBySenderId(senderId);
+        
+        // Get detailed connection info if session exists in memory
+        let connectionInfo = null;
+        if (session && typeof session.getConnectionInfo === 'function') {
+            connectionInfo = session.getConnectionInfo();
+        }
+        
+        res.json({
+            success: true,
+            message: 'Session status retrieved successfully',
+            data: {
+                senderId: senderId,
+                isConnected: session ? session.isSessionConnected() : false,
+                hasQRCode: session ? !!session.getQRCode() : false,
+                databaseStatus: sessionData.status,
+                createdAt: sessionData.created_at,
+                updatedAt: sessionData.updated_at,
+                userId: sessionData.user_id,
+                adminId: sessionData.admin_id,
+                webhookUrl: sessionData.webhook_url,
+                webhookStatus: sessionData.webhook_status,
+                webhookEvents: {
+                    'message.outgoing': !!sessionData.send_outgoing_messages,
+                    'message.edited': !!sessionData.send_edited_messages,
+                    'message.deleted': !!sessionData.send_deleted_messages,
+                    'message.reaction': !!sessionData.send_reactions,
+                    'message.status': !!sessionData.send_message_status,
+                    'poll.vote': !!sessionData.send_poll_votes,
+                    'group.*': !!sessionData.send_group_events,
+                    'call.*': !!sessionData.send_call_events
+                },
+                callPolicy: sessionData.call_policy || 'ignore',
+                eventStreamEnabled: !!sessionData.event_stream_enabled,
+                hasSessionToken: !!sessionData.auth_token,
+                connectionInfo: connectionInfo
+            }
+        });
+        
+    } catch (error) {
+        logger.error('Error in /sessionStatus', { error: error.message, senderId: req.params?.senderId });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve session status',
+            error: error.message,
+            senderId: req.params?.senderId
+        });
+    }
+});
+
+// Comment line sent on idle streams so proxies don't close them
+const SSE_HEARTBEAT_INTERVAL = 25000;
+
+// NEW: Server-Sent Events stream of QR codes, pairing progress, connection transitions and logouts.
+// EventSource can't send headers, so authToken comes from the query string like /sessionStatus
+router.get('/sessionEvents/:senderId', async (req, res) => {
+    const { senderId } = req.params;
+    
+    try {
+        if (await rejectInvalidQueryToken(req, res, senderId)) {
+            return;
+        }
+        
+        if (!isValidSenderId(senderId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid sender ID format',
+                error: 'Invalid senderId format. Must be a valid phone number (8-15 digits, no country code +)',
+                data: {
+                    senderId: senderId
+                }
+            });
+        }
+        
+        const sessionData = await sessionManager.database.getSession(senderId);
+        if (!sessionData) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found',
+                error: `Session not found for senderId: ${senderId}. Please create session first.`,
+                data: {
+                    senderId: senderId,
+                    suggestion: 'Use POST /api/createSession to create a new session'
+                }
+            });
+        }
+        
+        logger.api('/sessionEvents', 'Live session event stream opened', { senderId });
+        
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+        });
+        res.flushHeaders();
+        
+        const sendEvent = (event) => {
+            res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        };
+        
+        // The client may already have left while the session was looked up; 'close' won't fire again
+        if (req.destroyed) {
+            return;
+        }
+        
+        // Registered before any await, so a client that leaves early never leaves a listener behind
+        let closed = false;
+        let stopStream = null;
+        req.on('close', () => {
+            closed = true;
+            if (stopStream) {
+                stopStream();
+            }
+            logger.api('/sessionEvents', 'Live session event stream closed', { senderId });
+        });
+        
+        // Current state first, so the page can render a still-valid QR without waiting for the next one
+        const snapshot = await sessionManager.getSessionSnapshot(senderId);
+        if (closed) {
+            return;
+        }
+        sendEvent(snapshot);
+        
+        const unsubscribe = sessionManager.subscribeToSessionEvents(senderId, sendEvent);
+        const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_INTERVAL);
+        stopStream = () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        };
+        
+    } catch (error) {
+        logger.error('Error in /sessionEvents', { error: error.message, senderId });
+        if (res.headersSent) {
+            return res.end();
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Failed to open session event stream',
+            error: error.message,
+            senderId: senderId
+        });
+    }
+});
+
+// NEW: Resumable Server-Sent Events feed of webhook payloads and status events for one or more sessions.
+// Each event's SSE id is its cursor; reconnect with ?cursor=<id> (or the Last-Event-ID header) to resume
+router.get('/eventStream', async (req, res) => {
+    let sessionIds = [];
+    
+    try {
+        const { authToken } = req.query;
+        const authScope = authToken ? await sessionManager.resolveAuthToken(authToken) : null;
+        if (!authScope) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication failed',
+                error: 'Invalid or missing authToken'
+            });
+        }
+        
+        sessionIds = [...new Set(String(req.query.sessions || req.query.senderId || '')
+            .split(',')
+            .map(id => id.trim())
+            .filter(Boolean))];
+        
+        // Session tokens default to, and are limited to, their own session
+        if (sessionIds.length === 0 && !authScope.isAdmin) {
+            sessionIds = [authScope.sessionId];
+        }
+        if (sessionIds.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required parameters',
+                error: 'sessions is required (comma-separated senderIds)'
+            });
+        }
+        if (!authScope.isAdmin && sessionIds.some(id => id !== authScope.sessionId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied',
+                error: `authToken is only valid for senderId: ${authScope.sessionId}`
+            });
+        }
+        
+        const invalidIds = sessionIds.filter(id => !isValidSenderId(id));
+        if (invalidIds.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid sender ID format',
+                error: `Invalid senderId format: ${invalidIds.join(', ')}`
+            });
+        }
+        
+        const cursorParam = req.query.cursor !== undefined ? req.query.cursor : req.get('Last-Event-ID');
+        let lastCursor = null;
+        if (cursorParam !== undefined && cursorParam !== '') {
+            lastCursor = parseInt(cursorParam, 10);
+            if (isNaN(lastCursor) || lastCursor < 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid cursor',
+                    error: 'cursor must be a non-negative integer from a previous event id'
+                });
+            }
+        }
+        
+        const sessions = [];
+        for (const sessionId of sessionIds) {
+            const sessionData = await sessionManager.database.getSession(sessionId);
+            if (!sessionData) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Session not found',
+                    error: `Session not found for senderId: ${sessionId}. Please create session first.`
+                });
+            }
+            sessions.push({ sessionId, eventStreamEnabled: !!sessionData.event_stream_enabled });
+        }
+        
+        logger.api('/eventStream', 'Event stream opened', { sessionIds, cursor: lastCursor });
+        
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        
+        // The client may have gone away while the sessions were being looked up
+        if (req.destroyed) {
+            return;
+        }
+        
+        let closed = false;
+        let replaying = lastCursor !== null;
+        const buffered = [];
+        
+        const sendEvent = (event) => {
+            lastCursor = event.cursor;
+            res.write(`id: ${event.cursor}\nevent: ${event.event}\ndata: ${JSON.stringify(event)}\n\n`);
+        };
+        const sendControl = (type, data) => {
+            res.write(`event: ${type}\ndata: ${JSON.stringify({ event: type, ...data })}\n\n`);
+        };
+        
+        // Subscribe before replaying so nothing published during the replay is lost
+        const unsubscribe = sessionManager.eventStream.subscribe(sessionIds, (event) => {
+            if (replaying) {
+                buffered.push(event);
+            } else {
+                sendEvent(event);
+            }
+        });
+        const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_INTERVAL);
+        
+        req.on('close', () => {
+            closed = true;
+            clearInterval(heartbeat);
+            unsubscribe();
+            logger.api('/eventStream', 'Event stream closed', { sessionIds, lastCursor });
+        });
+        
+        const bounds = await sessionManager.eventStream.getCursorBounds(sessionIds);
+        if (closed) {
+            return;
+        }
+        const latestCursors = bounds.map(bound => bound.latest).filter(cursor => cursor !== null);
+        sendControl('stream.ready', {
+            sessions,
+            resumeFrom: lastCursor,
+            latestCursor: latestCursors.length > 0 ? Math.max(...latestCursors) : null,
+            timestamp: Date.now()
+        });
+        
+        if (replaying) {
+            // A session pruned past the cursor lost events the client never saw; report each one
+            bounds
+                .filter(bound => bound.prunedThrough !== null && bound.prunedThrough > lastCursor)
+                .forEach(bound => sendControl('stream.gap', {
+                    sessionId: bound.sessionId,
+                    requestedCursor: lastCursor,
+                    oldestAvailableCursor: bound.oldest,
+                    retentionHours: sessionManager.eventStream.retentionHours
+                }));
+            
+            let batch;
+            do {
+                batch = await sessionManager.eventStream.getEventsAfter(sessionIds, lastCursor);
+                batch.forEach(sendEvent);
+            } while (!closed && batch.length === sessionManager.eventStream.replayBatchSize);
+            
+            replaying = false;
+            buffered.filter(event => event.cursor > lastCursor).forEach(sendEvent);
+            buffered.length = 0;
+        }
+        
+    } catch (error) {
+        logger.error('Error in /eventStream', { error: error.message, sessionIds });
+        if (res.headersSent) {
+            return res.end();
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Failed to open event stream',
+            error: error.message
+        });
+    }
+});
+
+// Update group message webhook setting
+router.post('/updateGroupMessageSetting', validateAuthToken, validateSenderId, checkSessionExists, async (req, res) => {
+    try {
+        const { 
+            senderId, sessionId,                    // Session identifier (with alias support)
+            sendGroupMessages, send_group_messages, enabled    // Group message setting (with alias support)
+        } = req.body;
+        
+        // Use aliases if main parameter is not provided
+        const finalSenderId = senderId || sessionId;
+        let finalSendGroupMessages = sendGroupMessages;
+        
+        // Handle alias parameters
+        if (finalSendGroupMessages === undefined) {
+            if (send_group_messages !== undefined) {
+                finalSendGroupMessages = send_group_messages;
+            } else if (enabled !== undefined) {
+                finalSendGroupMessages = enabled;
+            }
+        }
+        
+        // Validate that the parameter is provided
+        if (finalSendGroupMessages === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required parameter',
+                error: 'sendGroupMessages (or send_group_messages/enabled) is required',
+                data: {
+                    senderId: finalSenderId,
+                    acceptedParameters: {
+                        sendGroupMessages: 'Boolean - enable/disable group message webhooks',
+                        send_group_messages: 'Boolean - alias for sendGroupMessages',
+                        enabled: 'Boolean - alias for sendGroupMessages'
+                    },
+                    examples: {
+                        enable: '{ "sendGroupMessages": true }',
+                        disable: '{ "sendGroupMessages": false }',
+                        usingAlias: '{ "send_group_messages": true }'
+                    }
+                }
+            });
+        }
+        
+        // Convert to boolean
+        const updateSendGroupMessages = Boolean(finalSendGroupMessages);
+        
+        logger.api('/updateGroupMessageSetting', 'Group message setting update requested', { 
+            senderId: finalSenderId, 
+            sendGroupMessages: updateSendGroupMessages
+        });
+        
+        // Update group message setting
+        await sessionManager.database.updateGroupMessageSetting(finalSenderId, updateSendGroupMessages);
+        
+        res.json({
+            success: true,
+            message: 'Group message setting updated successfully',
+            data: {
+                senderId: finalSenderId,
+                sendGroupMessages: updateSendGroupMessages,
+                groupMessagesEnabled: updateSendGroupMessages,
+                timestamp: new Date().toISOString(),
+                sessionStatus: req.sessionData.status,
+                note: updateSendGroupMessages ? 
+                    'Group messages will now be sent to webhooks (if webhook is enabled)' :
+                    'Group messages will not be sent to webhooks (private messages still sent)'
+            }
+        });
+        
+    } catch (error) {
+        logger.error('Error in /updateGroupMessageSetting', { error: error.message, senderId: req.body?.senderId || req.body?.sessionId });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update group message setting',
+            error: error.message,
+            senderId: req.body?.senderId || req.body?.sessionId
+        });
+    }
+});
+
+// Update opt-in webhook event subscriptions (outgoing, edited, deleted, reactions, statuses, poll votes, group events, calls)
+router.post('/updateWebhookEvents', validateAuthToken, validateSenderId, checkSessionExists, async (req, res) => {
+    try {
+        const { senderId } = req.body;
+        const eventFields = {
+            outgoing: 'send_outgoing_messages',
+            edited: 'send_edited_messages',
+            deleted: 'send_deleted_messages',
+            reactions: 'send_reactions',
+            statuses: 'send_message_status',
+            pollVotes: 'send_poll_votes',
+            groupEvents: 'send_group_events',
+            calls: 'send_call_events'
+        };
+        
+        const providedFields = Object.keys(eventFields).filter(field => req.body[field] !== undefined);
+        if (providedFields.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required parameters',
+                error: 'At least one of outgoing, edited, deleted, reactions, statuses, pollVotes, groupEvents or calls is required',
+                data: {
+                    senderId: senderId,
+                    acceptedParameters: {
+                        outgoing: 'Boolean - message.outgoing for messages sent from the phone or the API',
+                        edited: 'Boolean - message.edited when a message is edited',
+                        deleted: 'Boolean - message.deleted when a message is deleted for everyone',
+                        reactions: 'Boolean - message.reaction when a reaction is added or removed',
+                        statuses: 'Boolean - message.status when a sent message is acknowledged, delivered, read or played',
+                        pollVotes: 'Boolean - poll.vote when someone votes on a poll',
+                        groupEvents: 'Boolean - group.* events for participant changes, subject/description/settings changes, and joining or leaving groups',
+                        calls: 'Boolean - call.* events for incoming call offers, accepts, rejects, timeouts and hang-ups'
+                    },
+                    examples: {
+                        enableAll: '{ "outgoing": true, "edited": true, "deleted": true, "reactions": true, "groupEvents": true }',
+                        reactionsOnly: '{ "reactions": true }'
+                    }
+                }
+            });
+        }
+        
+        // Omitted fields keep their current value
+        const settings = {};
+        for (const [field, column] of Object.entries(eventFields)) {
+            const value = req.body[field];
+            settings[column] = value !== undefined
+                ? (value === true || value === 'true' || value === 1 || value === '1') ? 1 : 0
+                : (req.sessionData[column] ? 1 : 0);
+        }
+        
+        logger.api('/updateWebhookEvents', 'Webhook event subscriptions update requested', { senderId, ...settings });
+        
+        await sessionManager.database.updateWebhookEventSettings(senderId, settings);
+        
+        res.json({
+            success: true,
+            message: 'Webhook event subscriptions updated successfully',
+            data: {
+                senderId: senderId,
+                events: {
+                    'message.outgoing': !!settings.send_outgoing_messages,
+                    'message.edited': !!settings.send_edited_messages,
+                    'message.deleted': !!settings.send_deleted_messages,
+                    'message.reaction': !!settings.send_reactions,
+                    'message.status': !!settings.send_message_status,
+                    'poll.vote': !!settings.send_poll_votes,
+                    'group.*': !!settings.send_group_events,
+                    'call.*': !!settings.send_call_events
+                },
+                sendGroupMessages: !!req.sessionData.send_group_messages,
+                timestamp: new Date().toISOString(),
+                note: 'Message events from groups are only sent when sendGroupMessages is enabled; group.* events only need groupEvents'
+            }
+        });
+        
+    } catch (error) {
+        logger.error('Error in /updateWebhookEvents', { error: error.message, senderId: req.body?.senderId });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update webhook event subscriptions',
+            error: error.message,
+            senderId: req.body?.senderId
+        });
+    }
+});
+
+// NEW: Enable or disable the resumable event stream (/eventStream) for a session
+router.post('/updateEventStream', validateAuthToken, validateSenderId, checkSessionExists, async (req, res) => {
+    try {
+        const { senderId, enabled } = req.body;
+        
+        if (enabled === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required parameters',
+                error: 'enabled is required',
+                data: {
+                    senderId: senderId,
+                    example: '{ "enabled": true }'
+                }
+            });
+        }
+        
+        const streamEnabled = isTruthyFlag(enabled);
+        logger.api('/updateEventStream', 'Event stream setting update requested', { senderId, enabled: streamEnabled });
+        
+        await sessionManager.database.updateEventStreamSetting(senderId, streamEnabled);
+        
+        res.json({
+            success: true,
+            message: `Event stream ${streamEnabled ? 'enabled' : 'disabled'} successfully`,
+            data: {
+                senderId: senderId,
+                eventStreamEnabled: streamEnabled,
+                retentionHours: sessionManager.eventStream.retentionHours,
+                timestamp: new Date().toISOString(),
+                note: 'Events follow the same sendGroupMessages, typed-event and groupEvents settings as the webhook'
             }
         });
         
     } catch (error) {
-        logger.error('Error in /sessionStatus', { error: error.message, senderId: req.params?.senderId });
+        logger.error('Error in /updateEventStream', { error: error.message, senderId: req.body?.senderId });
         res.status(500).json({
             success: false,
-            message: 'Failed to retrieve session status',
+            message: 'Failed to update event stream setting',
             error: error.message,
-            senderId: req.params?.senderId
+            senderId: req.body?.senderId
         });
     }
 });
 
-// Update group message webhook setting
-router.post('/updateGroupMessageSetting', validateAuthToken, validateSenderId, checkSessionExists, async (req, res) => {
+const CALL_POLICIES = ['ignore', 'reject', 'reject_with_message'];
+
+// NEW: Per-session policy for incoming voice/video calls
+router.post('/updateCallSettings', validateAuthToken, validateSenderId, checkSessionExists, async (req, res) => {
     try {
-        const { 
-            senderId, sessionId,                    // Session identifier (with alias support)
-            sendGroupMessages, send_group_messages, enabled    // Group message setting (with alias support)
-        } = req.body;
-        
-        // Use aliases if main parameter is not provided
-        const finalSenderId = senderId || sessionId;
-        let finalSendGroupMessages = sendGroupMessages;
-        
-        // Handle alias parameters
-        if (finalSendGroupMessages === undefined) {
-            if (send_group_messages !== undefined) {
-                finalSendGroupMessages = send_group_messages;
-            } else if (enabled !== undefined) {
-                finalSendGroupMessages = enabled;
-            }
-        }
+        const { senderId, policy, rejectMessage } = req.body;
         
-        // Validate that the parameter is provided
-        if (finalSendGroupMessages === undefined) {
+        if (!CALL_POLICIES.includes(policy)) {
             return res.status(400).json({
                 success: false,
-                message: 'Missing required parameter',
-                error: 'sendGroupMessages (or send_group_messages/enabled) is required',
+                message: 'Invalid call policy',
+                error: `policy must be one of: ${CALL_POLICIES.join(', ')}`,
                 data: {
-                    senderId: finalSenderId,
-                    acceptedParameters: {
-                        sendGroupMessages: 'Boolean - enable/disable group message webhooks',
-                        send_group_messages: 'Boolean - alias for sendGroupMessages',
-                        enabled: 'Boolean - alias for sendGroupMessages'
-                    },
+                    senderId: senderId,
                     examples: {
-                        enable: '{ "sendGroupMessages": true }',
-                        disable: '{ "sendGroupMessages": false }',
-                        usingAlias: '{ "send_group_messages": true }'
+                        ignore: '{ "policy": "ignore" }',
+                        reject: '{ "policy": "reject" }',
+                        rejectWithMessage: '{ "policy": "reject_with_message", "rejectMessage": "We can\'t take calls here. Please send a message." }'
                     }
                 }
             });
         }
         
-        // Convert to boolean
-        const updateSendGroupMessages = Boolean(finalSendGroupMessages);
+        // Omitted rejectMessage keeps the current one
+        const callRejectMessage = rejectMessage !== undefined
+            ? (String(rejectMessage).trim() || null)
+            : (req.sessionData.call_reject_message || null);
         
-        logger.api('/updateGroupMessageSetting', 'Group message setting update requested', { 
-            senderId: finalSenderId, 
-            sendGroupMessages: updateSendGroupMessages
-        });
+        if (callRejectMessage && callRejectMessage.length > 4096) {
+            return res.status(400).json({
+                success: false,
+                message: 'Reject message too long',
+                error: 'rejectMessage must be at most 4096 characters',
+                senderId: senderId
+            });
+        }
         
-        // Update group message setting
-        await sessionManager.database.updateGroupMessageSetting(finalSenderId, updateSendGroupMessages);
+        if (policy === 'reject_with_message' && !callRejectMessage) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required parameters',
+                error: 'rejectMessage is required for the reject_with_message policy',
+                senderId: senderId
+            });
+        }
+        
+        logger.api('/updateCallSettings', 'Call settings update requested', { senderId, policy });
+        
+        await sessionManager.database.updateCallSettings(senderId, policy, callRejectMessage);
         
         res.json({
             success: true,
-            message: 'Group message setting updated successfully',
+            message: 'Call settings updated successfully',
             data: {
-                senderId: finalSenderId,
-                sendGroupMessages: updateSendGroupMessages,
-                groupMessagesEnabled: updateSendGroupMessages,
+                senderId: senderId,
+                policy: policy,
+                rejectMessage: callRejectMessage,
+                callEvents: !!req.sessionData.send_call_events,
                 timestamp: new Date().toISOString(),
-                sessionStatus: req.sessionData.status,
-                note: updateSendGroupMessages ? 
-                    'Group messages will now be sent to webhooks (if webhook is enabled)' :
-                    'Group messages will not be sent to webhooks (private messages still sent)'
+                note: 'Enable call.* webhook events with /updateWebhookEvents { "calls": true }'
             }
         });
         
     } catch (error) {
-        logger.error('Error in /updateGroupMessageSetting', { error: error.message, senderId: req.body?.senderId || req.body?.sessionId });
+        logger.error('Error in /updateCallSettings', { error: error.message, senderId: req.body?.senderId });
         res.status(500).json({
             success: false,
-            message: 'Failed to update group message setting',
+            message: 'Failed to update call settings',
             error: error.message,
-            senderId: req.body?.senderId || req.body?.sessionId
+            senderId: req.body?.senderId
         });
     }
 });
@@ -912,7 +3989,8 @@ router.post('/updateWebhook', validateAuthToken, validateSenderId, checkSessionE
         const { 
             senderId, sessionId,                    // Session identifier (with alias support)
             webhookUrl, url,                       // Webhook URL (with alias support)
-            webhookStatus, status, enabled         // Webhook status (with multiple alias support)
+            webhookStatus, status, enabled,        // Webhook status (with multiple alias support)
+            webhookSecret, generateWebhookSecret   // HMAC signing secret (null or '' removes it)
         } = req.body;
         
         // Use aliases if main parameters are not provided
@@ -929,17 +4007,22 @@ router.post('/updateWebhook', validateAuthToken, validateSenderId, checkSessionE
             }
         }
         
+        const shouldGenerateSecret = generateWebhookSecret === true || generateWebhookSecret === 'true';
+        const secretProvided = webhookSecret !== undefined || shouldGenerateSecret;
+        
         // Validate that at least one parameter is provided
-        if (finalWebhookUrl === undefined && finalWebhookStatus === undefined) {
+        if (finalWebhookUrl === undefined && finalWebhookStatus === undefined && !secretProvided) {
             return res.status(400).json({
                 success: false,
                 message: 'Missing required parameters',
-                error: 'At least one of webhookUrl or webhookStatus (or their aliases) is required',
+                error: 'At least one of webhookUrl, webhookStatus or webhookSecret (or their aliases) is required',
                 data: {
                     senderId: finalSenderId,
                     acceptedParameters: {
                         webhookUrl: 'String - webhook URL (alias: url)',
-                        webhookStatus: 'Boolean - enable/disable webhook (aliases: status, enabled)'
+                        webhookStatus: 'Boolean - enable/disable webhook (aliases: status, enabled)',
+                        webhookSecret: 'String - HMAC signing secret, at least 16 characters (null or empty removes it)',
+                        generateWebhookSecret: 'Boolean - let the server generate a signing secret'
                     },
                     examples: {
                         updateUrlOnly: '{ "webhookUrl": "https://example.com/webhook" }',
@@ -996,19 +4079,42 @@ router.post('/updateWebhook', validateAuthToken, validateSenderId, checkSessionE
             }
         }
         
+        // Validate webhook secret if provided
+        if (webhookSecret !== undefined && webhookSecret !== null && webhookSecret !== '' && !shouldGenerateSecret) {
+            if (typeof webhookSecret !== 'string' || webhookSecret.length < 16) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid webhook secret',
+                    error: 'webhookSecret must be a string of at least 16 characters',
+                    data: { senderId: finalSenderId }
+                });
+            }
+        }
+        
         logger.api('/updateWebhook', 'Webhook configuration update requested', { 
             senderId: finalSenderId, 
             webhookUrl: updateWebhookUrl,
             webhookStatus: updateWebhookStatus,
             fieldsUpdated: {
                 url: finalWebhookUrl !== undefined,
-                status: finalWebhookStatus !== undefined
+                status: finalWebhookStatus !== undefined,
+                secret: secretProvided
             }
         });
         
         // Update webhook configuration
         await sessionManager.updateWebhookConfig(finalSenderId, updateWebhookUrl, updateWebhookStatus);
         
+        // NEW: Update signing secret; a generated one is returned once in this response
+        let generatedSecret = null;
+        let webhookSecretSet = !!currentSession.webhook_secret;
+        if (secretProvided) {
+            const newSecret = shouldGenerateSecret ? sessionManager.generateWebhookSecret() : (webhookSecret || null);
+            await sessionManager.updateWebhookSecret(finalSenderId, newSecret);
+            generatedSecret = shouldGenerateSecret ? newSecret : null;
+            webhookSecretSet = !!newSecret;
+        }
+        
         res.json({
             success: true,
             message: 'Webhook configuration updated successfully',
@@ -1020,9 +4126,15 @@ router.post('/updateWebhook', validateAuthToken, validateSenderId, checkSessionE
                 isActive: Boolean(updateWebhookStatus) && !!updateWebhookUrl,
                 timestamp: new Date().toISOString(),
                 sessionStatus: req.sessionData.status,
+                signingEnabled: webhookSecretSet,
+                ...(generatedSecret ? {
+                    webhookSecret: generatedSecret,
+                    secretNote: 'Store this secret now; it will not be shown again'
+                } : {}),
                 updated: {
                     url: finalWebhookUrl !== undefined,
-                    status: finalWebhookStatus !== undefined
+                    status: finalWebhookStatus !== undefined,
+                    secret: secretProvided
                 }
             }
         });
@@ -1041,6 +4153,14 @@ router.post('/updateWebhook', validateAuthToken, validateSenderId, checkSessionE
 // Test webhook
 router.post('/testWebhook', validateAuthToken, async (req, res) => {
     try {
+        if (!req.authScope.isAdmin) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied',
+                error: 'Sending test webhooks requires the global admin authToken'
+            });
+        }
+        
         const { senderId, webhookUrl } = req.body;
         
         if (!senderId || !webhookUrl) {
@@ -1072,9 +4192,291 @@ router.post('/testWebhook', validateAuthToken, async (req, res) => {
     }
 });
 
+// Accepts ISO dates or unix timestamps (seconds or milliseconds); returns unix seconds, null if absent, NaN if invalid
+const parseTimeParam = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (/^\d+$/.test(String(value))) {
+        const numeric = Number(value);
+        return numeric > 1e12 ? Math.floor(numeric / 1000) : numeric;
+    }
+    return Math.floor(Date.parse(value) / 1000);
+};
+
+// Download inbound media referenced by a webhook payload (authToken as query parameter)
+router.get('/media/:senderId/:mediaId', async (req, res) => {
+    try {
+        const { senderId, mediaId } = req.params;
+        
+        if (await rejectInvalidQueryToken(req, res, senderId)) {
+            return;
+        }
+        
+        const mediaFile = await sessionManager.database.getMediaFile(mediaId);
+        if (!mediaFile || mediaFile.session_id !== senderId) {
+            return res.status(404).json({
+                success: false,
+                message: 'Media not found',
+                error: `No media ${mediaId} for senderId: ${senderId}`,
+                senderId: senderId
+            });
+        }
+        
+        if ((mediaFile.expires_at && mediaFile.expires_at <= Date.now()) || !fs.existsSync(mediaFile.file_path)) {
+            return res.status(410).json({
+                success: false,
+                message: 'Media expired',
+                error: 'This media file has passed its retention period and was removed',
+                senderId: senderId
+            });
+        }
+        
+        logger.api('/media', 'Inbound media download requested', { senderId, mediaId });
+        
+        // Quoted filename is an ASCII fallback; filename* carries the real (possibly non-ASCII) name per RFC 6266
+        const downloadName = mediaFile.file_name || path.basename(mediaFile.file_path);
+        const asciiName = downloadName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+        res.setHeader('Content-Type', mediaFile.mimetype || 'application/octet-stream');
+        res.setHeader('Content-Length', mediaFile.size);
+        res.setHeader('Content-Disposition', `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(downloadName)}`);
+        res.setHeader('X-Content-SHA256', mediaFile.sha256);
+        
+        const fileStream = fs.createReadStream(mediaFile.file_path);
+        fileStream.on('error', (error) => {
+            logger.error('Error streaming media', { error: error.message, senderId, mediaId });
+            if (res.headersSent) {
+                // Part of the file was already sent, so the client has to see a broken download
+                res.destroy(error);
+                return;
+            }
+            res.removeHeader('Content-Type');
+            res.removeHeader('Content-Disposition');
+            res.removeHeader('X-Content-SHA256');
+            res.status(500).json({
+                success: false,
+                message: 'Failed to download media',
+                error: 'Media file could not be read',
+                senderId: senderId
+            });
+        });
+        fileStream.pipe(res);
+        
+    } catch (error) {
+        logger.error('Error in /media', { error: error.message, senderId: req.params?.senderId });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to download media',
+            error: error.message,
+            senderId: req.params?.senderId
+        });
+    }
+});
+
+// Webhook event details with attempt history
+router.post('/getWebhookEvent', validateAuthToken, validateSenderId, checkSessionExists, async (req, res) => {
+    try {
+        const { senderId, eventId } = req.body;
+        
+        if (!eventId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required parameters',
+                error: 'eventId is required',
+                senderId: senderId
+            });
+        }
+        
+        logger.api('/getWebhookEvent', 'Webhook event requested', { senderId, eventId });
+        
+        const event = await sessionManager.webhookManager.getEventWithAttempts(eventId);
+        if (!event || event.sessionId !== senderId) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook event not found',
+                error: `No webhook event ${eventId} for senderId: ${senderId}`,
+                senderId: senderId
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Webhook event retrieved successfully',
+            data: event
+        });
+        
+    } catch (error) {
+        logger.error('Error in /getWebhookEvent', { error: error.message, senderId: req.body?.senderId });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve webhook event',
+            error: error.message,
+            senderId: req.body?.senderId
+        });
+    }
+});
+
+// List dead-lettered (permanently failed) webhook events
+router.post('/getFailedWebhooks', validateAuthToken, validateSenderId, checkSessionExists, async (req, res) => {
+    try {
+        const { senderId, from, to, limit } = req.body;
+        const fromSeconds = parseTimeParam(from);
+        const toSeconds = parseTimeParam(to);
+        
+        if (Number.isNaN(fromSeconds) || Number.isNaN(toSeconds)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid time range',
+                error: 'from and to must be ISO dates or unix timestamps',
+                senderId: senderId
+            });
+        }
+        
+        const finalLimit = Math.min(Math.max(parseInt(limit) || 100, 1), 500);
+        
+        logger.api('/getFailedWebhooks', 'Failed webhooks requested', { senderId, from, to, limit: finalLimit });
+        
+        const deadLetters = await sessionManager.database.getDeadLetters(senderId, fromSeconds, toSeconds, finalLimit);
+        
+        res.json({
+            success: true,
+            message: 'Failed webhooks retrieved successfully',
+            data: {
+                senderId: senderId,
+                count: deadLetters.length,
+                events: deadLetters.map(deadLetter => ({
+                    eventId: deadLetter.event_id,
+                    eventType: deadLetter.event_type,
+                    webhookUrl: deadLetter.webhook_url,
+                    attempts: deadLetter.attempts,
+                    lastError: deadLetter.last_error,
+                    lastStatusCode: deadLetter.last_status_code,
+                    replayCount: deadLetter.replay_count,
+                    createdAt: deadLetter.created_at,
+                    firstFailedAt: deadLetter.first_failed_at,
+                    lastFailedAt: deadLetter.last_failed_at
+                }))
+            }
+        });
+        
+    } catch (error) {
+        logger.error('Error in /getFailedWebhooks', { error: error.message, senderId: req.body?.senderId });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve failed webhooks',
+            error: error.message,
+            senderId: req.body?.senderId
+        });
+    }
+});
+
+// Replay failed webhooks: one eventId, a from/to range, or all: true
+router.post('/replayWebhooks', validateAuthToken, validateSenderId, checkSessionExists, async (req, res) => {
+    try {
+        const { senderId, eventId, from, to, all } = req.body;
+        const fromSeconds = parseTimeParam(from);
+        const toSeconds = parseTimeParam(to);
+        const replayAll = all === true || all === 'true';
+        
+        // Replays go to the session's current webhook URL, falling back to the original one
+        const webhookUrl = req.sessionData.webhook_url || null;
+        
+        if (!eventId && fromSeconds === null && toSeconds === null && !replayAll) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing replay selection',
+                error: 'Provide eventId, a from/to time range, or all: true',
+                senderId: senderId
+            });
+        }
+        
+        if (Number.isNaN(fromSeconds) || Number.isNaN(toSeconds)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid time range',
+                error: 'from and to must be ISO dates or unix timestamps',
+                senderId: senderId
+            });
+        }
+        
+        if (eventId) {
+            const event = await sessionManager.database.getWebhookEvent(eventId);
+            if (!event || event.session_id !== senderId) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Webhook event not found',
+                    error: `No webhook event ${eventId} for senderId: ${senderId}`,
+                    senderId: senderId
+                });
+            }
+            
+            logger.api('/replayWebhooks', 'Single webhook replay requested', { senderId, eventId });
+            
+            const result = await sessionManager.webhookManager.replayEvent(eventId, webhookUrl);
+            
+            return res.json({
+                success: result.success,
+                message: result.success ? 'Webhook event replayed successfully' : 'Webhook replay failed',
+                data: {
+                    senderId: senderId,
+                    eventId: eventId,
+                    webhookUrl: webhookUrl || event.webhook_url,
+                    result: {
+                        status: result.status,
+                        error: result.error,
+                        attempts: result.attempts
+                    }
+                }
+            });
+        }
+        
+        // Bulk replays can take a while, so they run in the background
+        const replayed = await sessionManager.webhookManager.startDeadLetterReplay(senderId, webhookUrl, fromSeconds, toSeconds, 500);
+        if (!replayed) {
+            return res.status(409).json({
+                success: false,
+                message: 'Webhook replay already running',
+                error: 'A bulk replay for this session is still in progress; try again when it finishes',
+                senderId: senderId
+            });
+        }
+        
+        logger.api('/replayWebhooks', 'Bulk webhook replay requested', { senderId, from, to, all: replayAll, matched: replayed.length });
+        
+        res.status(202).json({
+            success: true,
+            message: 'Webhook replay started',
+            data: {
+                senderId: senderId,
+                matched: replayed.length,
+                eventIds: replayed.map(deadLetter => deadLetter.event_id),
+                range: { from: from || null, to: to || null },
+                note: 'Check /getFailedWebhooks for events that still fail (up to 500 events per replay)'
+            }
+        });
+        
+    } catch (error) {
+        logger.error('Error in /replayWebhooks', { error: error.message, senderId: req.body?.senderId });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to replay webhooks',
+            error: error.message,
+            senderId: req.body?.senderId
+        });
+    }
+});
+
 // Enhanced webhook diagnostics
 router.post('/webhookDiagnostics', validateAuthToken, async (req, res) => {
     try {
+        if (!req.authScope.isAdmin) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied',
+                error: 'Webhook diagnostics require the global admin authToken'
+            });
+        }
+        
         const { senderId, webhookUrl } = req.body;
         
         if (!senderId || !webhookUrl) {
@@ -1191,6 +4593,14 @@ router.post('/webhookDiagnostics', validateAuthToken, async (req, res) => {
 // Quick webhook connectivity test
 router.post('/testWebhookConnection', validateAuthToken, async (req, res) => {
     try {
+        if (!req.authScope.isAdmin) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied',
+                error: 'Testing webhook connections requires the global admin authToken'
+            });
+        }
+        
         const { webhookUrl } = req.body;
         
         if (!webhookUrl) {
@@ -1230,6 +4640,14 @@ router.post('/testWebhookConnection', validateAuthToken, async (req, res) => {
 // Webhook payload comparison for debugging WhatsApp Business vs Regular WhatsApp
 router.post('/compareWebhookPayloads', validateAuthToken, async (req, res) => {
     try {
+        if (!req.authScope.isAdmin) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied',
+                error: 'Comparing webhook payloads requires the global admin authToken'
+            });
+        }
+        
         const { senderId, webhookUrl, testBoth = true } = req.body;
         
         if (!senderId || !webhookUrl) {
@@ -1807,6 +5225,14 @@ router.post('/checkSessionHealth', validateAuthToken, validateSenderId, async (r
 // Trigger global health check endpoint
 router.post('/triggerHealthCheck', validateAuthToken, async (req, res) => {
     try {
+        if (!req.authScope.isAdmin) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied',
+                error: 'Triggering a global health check requires the global admin authToken'
+            });
+        }
+        
         logger.api('/triggerHealthCheck', 'Global health check triggered manually');
         
         // Trigger immediate health check
@@ -1841,7 +5267,7 @@ router.get('/sessions/user/:userId', async (req, res) => {
         const { userId } = req.params;
         const { authToken } = req.query;
         
-        // Validate authToken from query parameter
+        // Validate authToken from query parameter (listing a user's sessions needs the admin token)
         if (!authToken || authToken !== process.env.AUTH_TOKEN) {
             return res.status(401).json({
                 success: false,
@@ -2067,6 +5493,14 @@ router.post('/debugUnknownMessages', validateAuthToken, validateSenderId, checkS
 // Test app type detection for WhatsApp Business vs Regular WhatsApp
 router.post('/testAppTypeDetection', validateAuthToken, async (req, res) => {
     try {
+        if (!req.authScope.isAdmin) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied',
+                error: 'App type detection tests require the global admin authToken'
+            });
+        }
+        
         const { senderId } = req.body;
         
         if (!senderId) {
@@ -2408,15 +5842,10 @@ router.post('/migrateSession', upload.array('credFiles'), async (req, res) => {
 router.get('/migrationStatus/:senderId', async (req, res) => {
     try {
         const { senderId } = req.params;
-        const { authToken } = req.query;
         
-        // Validate authToken from query parameter
-        if (!authToken || authToken !== process.env.AUTH_TOKEN) {
-            return res.status(401).json({
-                success: false,
-                message: 'Authentication failed',
-                error: 'Invalid or missing authToken'
-            });
+        // Validate authToken from query parameter (admin token or this session's token)
+        if (await rejectInvalidQueryToken(req, res, senderId)) {
+            return;
         }
         
         if (!isValidSenderId(senderId)) {
@@ -2546,7 +5975,7 @@ router.post('/getAuthStatus', validateAuthToken, validateSenderId, async (req, r
                     isConnected: false,
                     databaseStatus: sessionData.status,
                     shouldStopPolling: false,
-                    suggestion: 'Request QR code to start authentication'
+                    suggestion: 'Request a QR code or pairing code to start authentication'
                 }
             });
         }
@@ -2594,6 +6023,18 @@ router.post('/getAuthStatus', validateAuthToken, validateSenderId, async (req, r
                 suggestion = 'Request a new QR code';
                 break;
                 
+            case 'PAIRING_CODE_VALID':
+                shouldStopPolling = false;
+                message = 'Pairing code is available and valid';
+                suggestion = 'Enter the pairing code on the phone, then keep polling for the connection';
+                break;
+                
+            case 'PAIRING_CODE_EXPIRED':
+                shouldStopPolling = false;
+                message = 'Pairing code has expired, new one needed';
+                suggestion = 'Request a new pairing code';
+                break;
+                
             case 'NEED_FRESH_START':
                 shouldStopPolling = false;
                 message = 'Ready for new authentication';
@@ -2629,6 +6070,12 @@ router.post('/getAuthStatus', validateAuthToken, validateSenderId, async (req, r
                     age: Date.now() - session.qrCodeTimestamp,
                     expired: (Date.now() - session.qrCodeTimestamp) > 20000
                 } : null,
+                pairingInfo: session.pairingCodeTimestamp ? {
+                    hasCode: !!session.pairingCode,
+                    phoneNumber: session.pairingPhoneNumber,
+                    age: Date.now() - session.pairingCodeTimestamp,
+                    expired: (Date.now() - session.pairingCodeTimestamp) > session.pairingCodeExpiry
+                } : null,
                 timestamp: new Date().toISOString()
             }
         });
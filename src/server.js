@@ -15,8 +15,9 @@ setSessionManager(sessionManager);
 
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+// Base64 media payloads are ~4/3 the size of the 50MB media limit
+app.use(express.json({ limit: '70mb' }));
+app.use(express.urlencoded({ extended: true, limit: '70mb' }));
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -65,16 +66,72 @@ app.get('/', (req, res) => {
             initialized: sessionManager.isInitialized,
             sessionStats: stats,
             endpoints: {
-                'POST /api/createSession': 'Create a new WhatsApp session with senderId, user_id, and admin_id',
+                'POST /api/createSession': 'Create a new WhatsApp session with senderId, user_id, and admin_id (returns a session-scoped token)',
+                'POST /api/rotateSessionToken': 'Issue a new session-scoped token and invalidate the previous one',
+                'POST /api/revokeSessionToken': 'Revoke the session-scoped token (admin token keeps working)',
                 'POST /api/getQRCode': 'Get QR code for session authentication (also displays in terminal)',
+                'POST /api/getPairingCode': 'Get a pairing code to link the number without scanning a QR code',
                 'POST /api/displayQR': 'Display QR code in terminal only (convenience endpoint)',
-                'POST /api/sendTextSMS': 'Send text message with auto-recovery',
-                'POST /api/sendMediaSMS': 'Send media message with auto-recovery',
+                'POST /api/sendTextSMS': 'Send text message with auto-recovery (or templateName + variables)',
+                'POST /api/sendMediaSMS': 'Send media message with auto-recovery (or templateName + variables)',
+                'POST /api/sendLocation': 'Send a location pin (latitude, longitude, optional name/address)',
+                'POST /api/sendContact': 'Send one or more contact cards (vCard)',
+                'POST /api/sendPoll': 'Send a poll with 2-12 options',
+                'POST /api/sendReaction': 'React to a message by messageId (empty emoji removes the reaction)',
+                'POST /api/sendReply': 'Send a text reply quoting a message by quotedMessageId',
+                'POST /api/editMessage': 'Edit a text message this session sent (within the WhatsApp edit window)',
+                'POST /api/deleteMessage': 'Delete a message this session sent for everyone (within the WhatsApp delete window)',
+                'POST /api/getQueuedMessage': 'Get delivery state of a queued message by queueId',
+                'POST /api/getQueuedMessages': 'List queued messages for a session (optional status filter)',
+                'POST /api/createCampaign': 'Create a broadcast campaign from a JSON or CSV recipient list with {{placeholder}} variables',
+                'POST /api/startCampaign': 'Start a draft campaign',
+                'POST /api/pauseCampaign': 'Pause a scheduled or running campaign',
+                'POST /api/resumeCampaign': 'Resume a paused campaign',
+                'POST /api/cancelCampaign': 'Cancel a campaign and its pending recipients',
+                'POST /api/getCampaign': 'Campaign progress report with per-recipient results',
+                'POST /api/getCampaigns': 'List campaigns for a session (optional status filter)',
+                'POST /api/scheduleMessage': 'Schedule a text or media message once, daily, weekly or by cron expression in a timezone',
+                'POST /api/getScheduledMessages': 'List scheduled messages for a session (optional status filter)',
+                'POST /api/getScheduledMessage': 'Get a scheduled message with its next run and last result',
+                'POST /api/updateScheduledMessage': 'Change the text, receiver, rule, timezone or missed-run policy of a schedule',
+                'POST /api/cancelScheduledMessage': 'Cancel a scheduled message',
+                'POST /api/createTemplate': 'Create a message template (session or user scope) with typed variables and optional media',
+                'POST /api/updateTemplate': 'Update a template body, variables, locale or media',
+                'POST /api/deleteTemplate': 'Delete a template',
+                'POST /api/getTemplate': 'Get one template by name',
+                'POST /api/getTemplates': 'List templates available to a session',
+                'POST /api/renderTemplate': 'Preview the final text of a template for given variables',
+                'POST /api/getMessageStatus': 'Get delivery/read status and receipt history for a sent messageId',
+                'POST /api/getChatHistory': 'Page through stored messages of one chat (newest first, cursor based)',
+                'POST /api/getStoredMessage': 'Fetch one stored message by messageId',
+                'POST /api/getConversations': 'List recent conversations with their latest message',
+                'POST /api/getRateLimits': 'Get send limits and current usage for a session',
+                'POST /api/updateRateLimits': 'Set per-session send limits and delays (admin token only)',
                 'POST /api/getGroups': 'Get WhatsApp groups',
-                'POST /api/getContacts': 'Get WhatsApp contacts',
+                'POST /api/getGroupDetails': 'Group details with participant roster, roles and contact names',
+                'POST /api/exportGroups': 'Export all groups with their members as JSON or CSV',
+                'POST /api/createGroup': 'Create a group with a subject and participants',
+                'POST /api/updateGroupParticipants': 'Add, remove, promote or demote group participants',
+                'POST /api/updateGroupSubject': 'Change a group subject',
+                'POST /api/updateGroupDescription': 'Change or remove a group description',
+                'POST /api/updateGroupPicture': 'Change a group picture (file upload, imageBase64 or imageUrl)',
+                'POST /api/updateGroupSettings': 'Set announce (admins only send) and locked (admins only edit info)',
+                'POST /api/getGroupInviteLink': 'Get the group invite link',
+                'POST /api/revokeGroupInviteLink': 'Revoke the group invite link and return the new one',
+                'POST /api/joinGroup': 'Join a group with an invite code or link',
+                'POST /api/leaveGroup': 'Leave a group',
+                'POST /api/getGroupJoinRequests': 'List pending join requests for a group',
+                'POST /api/handleGroupJoinRequests': 'Approve or reject pending join requests',
+                'POST /api/getContacts': 'List stored contacts (search, limit/offset, last message time)',
+                'POST /api/getChats': 'Inbox view: chats with last message, unread count and archive/pin/mute flags',
+                'POST /api/modifyChat': 'Archive, pin, mute, mark read/unread or clear a chat',
                 'POST /api/validateNumber': 'Validate if number is registered on WhatsApp',
-                'POST /api/updateWebhook': 'Update webhook URL and/or status (unified API)',
-                'POST /api/testWebhook': 'Test webhook endpoint',
+                'POST /api/updateWebhook': 'Update webhook URL, status and/or signing secret (unified API)',
+                'POST /api/updateWebhookEvents': 'Opt in to message.outgoing, message.edited, message.deleted, message.reaction, group.* and call.* webhooks',
+                'POST /api/testWebhook': 'Test webhook endpoint (signed when the session has a webhook secret)',
+                'POST /api/getWebhookEvent': 'Get a stored webhook event with its attempt history',
+                'POST /api/getFailedWebhooks': 'List dead-lettered webhook events (optional from/to range)',
+                'POST /api/replayWebhooks': 'Replay one failed webhook (eventId), a time range (from/to) or all failures',
                 'POST /api/webhookDiagnostics': 'Comprehensive webhook diagnostics and troubleshooting',
                 'POST /api/testWebhookConnection': 'Quick webhook connectivity test',
                 'POST /api/compareWebhookPayloads': 'Compare webhook payloads between WhatsApp Business and Regular WhatsApp',
@@ -86,25 +143,59 @@ app.get('/', (req, res) => {
                 'POST /api/triggerHealthCheck': 'Trigger global health check for all sessions',
                 'POST /api/sessionDiagnostics': 'Get detailed session diagnostics for troubleshooting',
                 'GET /api/sessionStatus/:senderId': 'Get session status by senderId',
+                'GET /api/sessionEvents/:senderId': 'Server-Sent Events stream of QR codes, pairing progress and connection state (authToken in query)',
+                'GET /api/eventStream': 'Resumable Server-Sent Events feed of webhook events for one or more sessions (authToken, sessions and cursor in query)',
+                'POST /api/updateEventStream': 'Enable or disable the event stream for a session',
+                'POST /api/updateCallSettings': 'Set the incoming call policy (ignore, reject, reject_with_message) and reject message',
+                'GET /api/media/:senderId/:mediaId': 'Download inbound media referenced in a webhook (authToken query parameter)',
                 'GET /api/sessions/user/:userId': 'Get all sessions for a specific user with status',
                 'GET /api/stats': 'Get system statistics',
                 'GET /health': 'Health check endpoint'
             },
             documentation: {
                 'API Parameters': {
-                    'authToken': 'Global API authentication token (set in config.env)',
+                    'authToken': 'Global admin token (set in config.env) or the session token returned by /createSession',
                     'senderId': 'Sender device phone number (used as session identifier)',
                     'userId': 'User ID to associate with the session (optional, defaults to senderId)',
                     'adminId': 'Admin ID who manages the session (optional)',
                     'receiverId': 'WhatsApp number with country code (e.g., 1234567890@s.whatsapp.net)',
                     'messageText': 'Text message content',
                     'mediaurl': 'URL of media file to send (alternative to file upload)',
-                    'caption': 'Optional caption for media messages'
+                    'caption': 'Optional caption for media messages',
+                    'queue': 'Set true on send endpoints to queue the message and get a queueId back immediately'
+                },
+                'Webhook Delivery': {
+                    'Persistence': 'Every webhook event and each delivery attempt is stored in SQLite',
+                    'Dead Letters': 'Events that fail every retry are kept in a dead-letter table until replayed',
+                    'Replay': 'POST /api/replayWebhooks with eventId, from/to, or all: true',
+                    'Deduplication': 'Payloads carry webhookEventId so receivers can ignore duplicates after a replay',
+                    'Signing': 'Set webhookSecret (or generateWebhookSecret: true) via /updateWebhook to sign payloads',
+                    'Inbound Media': 'Incoming media is downloaded and the webhook gets a media object with downloadUrl, mimetype, size and sha256',
+                    'Event Types': 'Incoming messages (no event field), and opt-in message.outgoing/edited/deleted/reaction/status and poll.vote',
+                    'Signature Headers': 'X-Webhook-Signature: sha256=HMAC-SHA256(secret, "<X-Webhook-Timestamp>.<raw body>")'
+                },
+                'Rate Limiting': {
+                    'Limits': 'Sends are limited per minute, hour and day per session (MAX_SESSION_USAGE_PER_MINUTE/HOUR/DAY or /updateRateLimits)',
+                    'Pacing': 'Consecutive sends are spaced by a random delay between SEND_DELAY_MIN_MS and SEND_DELAY_MAX_MS',
+                    'Cooldown': 'Hitting the per-minute limit pauses the session for SESSION_COOLDOWN_PERIOD',
+                    'Response': 'Direct sends over the limit get HTTP 429 with a Retry-After header; queued sends wait in the queue'
+                },
+                'Message Status': {
+                    'States': 'pending → server_ack → delivered → read → played, or failed',
+                    'Lookup': 'POST /api/getMessageStatus with senderId and the messageId returned by a send endpoint',
+                    'Webhook': 'With statuses enabled via /updateWebhookEvents, status changes are posted to the session webhook with "event": "message.status"'
+                },
+                'Message Queue': {
+                    'Persistence': 'Queued messages are stored in SQLite and survive restarts',
+                    'Delivery': 'A per-session worker sends queued messages whenever the session is connected',
+                    'Retries': 'Failed sends retry with exponential backoff up to MESSAGE_QUEUE_MAX_ATTEMPTS',
+                    'Default': 'Set MESSAGE_QUEUE_DEFAULT=true to queue every send unless the request passes queue=false'
                 },
                 'Authentication': {
-                    'Global Token': 'All API endpoints require the global authToken from config.env',
+                    'Global Token': 'The global authToken from config.env is an admin key that works for every session and endpoint',
                     'Session Management': 'Sessions are identified by senderId (phone number)',
-                    'No Per-Session Tokens': 'No individual session tokens - use global authToken for all requests'
+                    'Per-Session Tokens': 'Each session gets its own token on creation; it only works for requests with that senderId',
+                    'Token Lifecycle': 'Rotate with /rotateSessionToken, revoke with /revokeSessionToken'
                 },
                 'QR Code Features': {
                     'Automatic Display': 'QR codes automatically appear in terminal when sessions start',
@@ -117,7 +208,9 @@ app.get('/', (req, res) => {
                     'Get QR Code': 'POST /api/getQRCode with { "authToken": "global-token", "senderId": "919876543210" }',
                     'Display QR': 'POST /api/displayQR with { "authToken": "global-token", "senderId": "919876543210" }',
                     'Send Text': 'POST /api/sendTextSMS with { "authToken": "global-token", "senderId": "919876543210", "receiverId": "number@s.whatsapp.net", "messageText": "Hello" }',
-                    'Send Media': 'POST /api/sendMediaSMS with form-data: authToken, senderId, receiverId, and either file upload or mediaurl',
+                    'Send Media': 'POST /api/sendMediaSMS with form-data: authToken, senderId, receiverId, and either a "file" upload, mediaBase64 or mediaurl',
+                    'Queue Text': 'POST /api/sendTextSMS with { "authToken": "global-token", "senderId": "919876543210", "receiverId": "919876543211", "messageText": "Hello", "queue": true }',
+                    'Queue Status': 'POST /api/getQueuedMessage with { "authToken": "global-token", "senderId": "919876543210", "queueId": "<queueId>" }',
                     'Session Status': 'GET /api/sessionStatus/919876543210?authToken=global-token',
                     'User Sessions': 'GET /api/sessions/user/user123?authToken=global-token'
                 }
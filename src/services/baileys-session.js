@@ -6,14 +6,32 @@ const {
     isJidStatusBroadcast,
     isJidNewsletter,
     proto,
-    makeCacheableSignalKeyStore
+    makeCacheableSignalKeyStore,
+    downloadMediaMessage,
+    getAggregateVotesInPollMessage,
+    toNumber,
+    jidNormalizedUser
 } = require('@whiskeysockets/baileys');
 const QRCode = require('qrcode');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const mimeTypes = require('mime-types');
+const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
 const axios = require('axios');
 
+// proto.WebMessageInfo.Status values mapped to the names we store and send in webhooks
+const MESSAGE_STATUS_NAMES = { 0: 'failed', 1: 'pending', 2: 'server_ack', 3: 'delivered', 4: 'read', 5: 'played' };
+const MESSAGE_STATUS_RANK = { pending: 1, server_ack: 2, delivered: 3, read: 4, played: 5 };
+
+// Baileys call statuses we report as call.* events ('ringing' is not reported)
+const CALL_EVENT_TYPES = { offer: 'call.offer', accept: 'call.accept', reject: 'call.reject', timeout: 'call.timeout', terminate: 'call.terminate' };
+
+// groups.update fields reported as group.subject, group.description and group.settings events
+const GROUP_UPDATE_FIELDS = ['subject', 'desc', 'announce', 'restrict', 'joinApprovalMode', 'memberAddMode'];
+
 class BaileysSession {
     constructor(sessionId, database, webhookManager) {
         this.sessionId = sessionId;
@@ -23,6 +41,15 @@ class BaileysSession {
         this.qrCodeData = null;
         this.qrCodeString = null;
         this.qrCodeTimestamp = null; // Track when QR was generated for expiry
+        
+        // NEW: Pairing-code login as an alternative to QR scanning
+        this.pairingPhoneNumber = null; // While set, QR refs from the socket are used to request a pairing code instead
+        this.pairingCode = null;
+        this.pairingCodeTimestamp = null;
+        this.pairingCodeError = null;
+        this.pairingCodeExpiry = parseInt(process.env.PAIRING_CODE_EXPIRY) || 120000; // 2 minutes
+        this.isRequestingPairingCode = false;
+        this.pairingSocketReady = false; // True once the current socket emitted a QR ref, i.e. it can request a code
         this.isConnected = false;
         this.retryCount = 0;
         this.maxRetries = parseInt(process.env.SESSION_MAX_RETRIES) || 5; // Use configurable max retries
@@ -84,6 +111,22 @@ class BaileysSession {
         this.groupMetadataCache = new Map(); // Cache for group metadata
         this.groupMetadataCacheExpiry = 5 * 60 * 1000; // Cache group metadata for 5 minutes
         
+        // NEW: Inbound media is downloaded for webhook consumers and expires after the retention period
+        this.mediaDir = path.join(this.sessionDir, 'media');
+        this.inboundMediaEnabled = process.env.INBOUND_MEDIA_DOWNLOAD !== 'false'; // Default true
+        this.inboundMediaMaxSize = parseInt(process.env.INBOUND_MEDIA_MAX_SIZE) || 25 * 1024 * 1024; // 25MB
+        this.inboundMediaRetentionHours = parseInt(process.env.INBOUND_MEDIA_RETENTION_HOURS) || 72;
+        
+        // NEW: Receipt updates are applied one at a time so statuses never move backwards
+        this.messageStatusChain = Promise.resolve();
+        
+        // NEW: Inbound and outbound messages are kept in SQLite for the history API
+        this.messageHistoryEnabled = process.env.MESSAGE_HISTORY_ENABLED !== 'false'; // Default true
+        
+        // NEW: Auto-reply to rejected calls at most once per caller within the cooldown
+        this.callReplyCooldown = parseInt(process.env.CALL_REPLY_COOLDOWN) || 5 * 60 * 1000;
+        this.callRepliesSent = new Map(); // caller JID -> last reply time
+        
         this.ensureSessionDirectory();
     }
 
@@ -1275,6 +1318,7 @@ class BaileysSession {
             }
 
             logger.session(this.sessionId, 'Creating WhatsApp socket and connecting');
+            this.pairingSocketReady = false;
             
             // FIXED: Create WhatsApp socket with configuration matching the working old project
             this.socket = makeWASocket({
@@ -1310,6 +1354,8 @@ class BaileysSession {
                 keepAliveIntervalMs: 25000, // Use 25s like working project
                 retryRequestDelayMs: 1000, // Use 1s like working project
                 maxMsgRetryCount: 3, // Use 3 like working project
+                // NEW: Lets Baileys re-encrypt our messages on retry requests and decrypt poll votes
+                getMessage: async (key) => this.getMessagePayload(key),
                 fireInitQueries: true,
                 // CRITICAL FIX: Enable emitOwnEvents so sender can see their own messages
                 emitOwnEvents: true, // MUST be true for sender to see their own messages
@@ -1361,6 +1407,22 @@ class BaileysSession {
             try {
                 const { connection, lastDisconnect, qr } = update;
                 
+                // NEW: Push connection transitions to live subscribers (/sessionEvents)
+                if (connection) {
+                    this.emitLifecycleEvent('connection.update', {
+                        connection,
+                        statusCode: lastDisconnect?.error?.output?.statusCode || null,
+                        reason: lastDisconnect?.error?.message || null
+                    });
+                }
+                if (update.isNewLogin) {
+                    // The QR was scanned or the pairing code entered; WhatsApp restarts the stream next
+                    this.emitLifecycleEvent('auth.progress', {
+                        state: 'AUTHENTICATION_IN_PROGRESS',
+                        method: this.pairingCode ? 'pairing_code' : 'qr'
+                    });
+                }
+                
                 // Log socket state changes for debugging
                 if (this.socket && this.socket.readyState !== undefined) {
                     const stateNames = ['CONNECTING', 'OPEN', 'CLOSING', 'CLOSED'];
@@ -1383,6 +1445,16 @@ class BaileysSession {
                             return; // Don't generate new QR during authentication
                         }
                         
+                        this.pairingSocketReady = true;
+                        
+                        // NEW: In pairing-code mode the QR ref only tells us the socket is ready to request a code
+                        if (this.pairingPhoneNumber) {
+                            if (!this.pairingCode) {
+                                await this.requestPairingCode();
+                            }
+                            return;
+                        }
+                        
                         this.qrCodeString = qr; // Store original QR string for terminal display
                         this.qrCodeData = await QRCode.toDataURL(qr);
                         this.qrCodeTimestamp = Date.now(); // Track when QR was generated for expiry
@@ -1401,6 +1473,12 @@ class BaileysSession {
                             qrTimestamp: this.qrCodeTimestamp
                         });
                         
+                        this.emitLifecycleEvent('qr', {
+                            qrCode: this.qrCodeData,
+                            expiresIn: 20000,
+                            generatedAt: this.qrCodeTimestamp
+                        });
+                        
                         // NEW: Set up early authentication detection
                         // If stream error occurs within 30 seconds of QR generation, likely user scanned
                         setTimeout(() => {
@@ -1727,12 +1805,15 @@ class BaileysSession {
                         logger.session(this.sessionId, 'All recovery attempts exhausted - marking as logged out');
                         await this.updateSessionStatus('logged_out').catch(() => {});
                         this.clearAuthenticationState();
+                        this.emitLifecycleEvent('session.logged_out', { reason: lastDisconnect?.error?.message || 'Logged out' });
                     } else if (statusCode === DisconnectReason.restartRequired) {
                         logger.session(this.sessionId, 'WhatsApp restart required, attempting reconnection');
                         
                         // ENHANCED: Auto-detect authentication based on timing
                         const qrAge = this.qrCodeTimestamp ? Date.now() - this.qrCodeTimestamp : null;
-                        const recentQRGenerated = qrAge && qrAge < 30000; // QR generated within last 30 seconds
+                        const pairingAge = this.pairingCodeTimestamp ? Date.now() - this.pairingCodeTimestamp : null;
+                        const recentQRGenerated = (qrAge && qrAge < 30000) || // QR generated within last 30 seconds
+                            (pairingAge && pairingAge < this.pairingCodeExpiry); // Or a pairing code is still valid
                         
                         // CRITICAL: Preserve authentication state during restart
                         if (this.isAuthenticating || this.qrCodeScanned || recentQRGenerated) {
@@ -1967,6 +2048,7 @@ class BaileysSession {
                     
                     // NEW: Clear authentication state flags on successful connection
                     this.clearAuthenticationState();
+                    this.clearPairingCode();
                     
                     await this.updateSessionStatus('connected').catch(err => {
                         logger.error('Error updating session status to connected', { sessionId: this.sessionId, error: err.message });
@@ -1985,11 +2067,16 @@ class BaileysSession {
                     logger.session(this.sessionId, 'Connecting to WhatsApp...');
                     
                     // CRITICAL: Detect if this is authentication in progress
-                    if (this.qrCodeData && !this.isConnected) {
+                    if ((this.qrCodeData || this.pairingCode) && !this.isConnected) {
                         logger.session(this.sessionId, 'AUTHENTICATION IN PROGRESS detected - marking state', {
                             hasQRData: !!this.qrCodeData,
+                            hasPairingCode: !!this.pairingCode,
                             qrAge: this.qrCodeTimestamp ? Date.now() - this.qrCodeTimestamp : null
                         });
+                        this.emitLifecycleEvent('auth.progress', {
+                            state: 'AUTHENTICATION_IN_PROGRESS',
+                            method: this.pairingCode ? 'pairing_code' : 'qr'
+                        });
                         
                         this.isAuthenticating = true;
                         this.qrCodeScanned = true;
@@ -2096,10 +2183,15 @@ class BaileysSession {
             try {
                 const { messages, type } = messageInfo;
                 
-                if (type === 'notify' && Array.isArray(messages)) {
+                // 'append' carries our own API sends (emitOwnEvents); needed for message.outgoing
+                if ((type === 'notify' || type === 'append') && Array.isArray(messages)) {
                     for (let i = 0; i < messages.length; i++) {
                         const message = messages[i];
                         
+                        if (type === 'append' && !message?.key?.fromMe) {
+                            continue;
+                        }
+                        
                         try {
                                         // Keep all the filtering logic but remove debug logging
             if (message?.key) {
@@ -2131,6 +2223,56 @@ class BaileysSession {
             }
         });
 
+        // NEW: Delivery/read/played acks for messages we sent
+        this.socket.ev.on('messages.update', async (updates) => {
+            try {
+                if (Array.isArray(updates)) {
+                    for (const { key, update } of updates) {
+                        if (key?.fromMe && update?.status !== undefined && update.status !== null) {
+                            const status = MESSAGE_STATUS_NAMES[update.status];
+                            if (status) {
+                                await this.recordMessageStatus(key, status);
+                            }
+                        }
+                        
+                        // Baileys decrypts votes via getMessage and reports them against the poll creation key
+                        if (Array.isArray(update?.pollUpdates) && update.pollUpdates.length > 0) {
+                            await this.handlePollUpdates(key, update.pollUpdates);
+                        }
+                    }
+                }
+            } catch (error) {
+                logger.error('Error handling messages.update', { sessionId: this.sessionId, error: error.message });
+            }
+        });
+
+        // NEW: Per-recipient receipts (group participants report individually)
+        this.socket.ev.on('message-receipt.update', async (receipts) => {
+            try {
+                if (Array.isArray(receipts)) {
+                    for (const { key, receipt } of receipts) {
+                        if (!key?.fromMe || !receipt) {
+                            continue;
+                        }
+
+                        let status = 'delivered';
+                        let eventTimestamp = receipt.receiptTimestamp;
+                        if (receipt.playedTimestamp) {
+                            status = 'played';
+                            eventTimestamp = receipt.playedTimestamp;
+                        } else if (receipt.readTimestamp) {
+                            status = 'read';
+                            eventTimestamp = receipt.readTimestamp;
+                        }
+
+                        await this.recordMessageStatus(key, status, receipt.userJid || null, eventTimestamp ? Number(eventTimestamp) : null);
+                    }
+                }
+            } catch (error) {
+                logger.error('Error handling message-receipt.update', { sessionId: this.sessionId, error: error.message });
+            }
+        });
+
         // Remove extensive debug logging for event listener setup
         
         // Add a heartbeat to check if the session is still alive
@@ -2185,69 +2327,128 @@ class BaileysSession {
             this._destroyMethodOverridden = true;
         }
 
-        // Group updates
+        // Group updates (subject, description, settings) - update the cache and notify group.* subscribers of real changes
         this.socket.ev.on('groups.update', (updates) => {
             try {
                 if (Array.isArray(updates)) {
                     logger.session(this.sessionId, 'Groups updated', { count: updates.length });
-                    
-                    // FIXED: Update group metadata cache when groups are updated
-                    updates.forEach(async (update) => {
-                        if (update.id) {
-                            try {
-                                const metadata = await this.socket.groupMetadata(update.id);
-                                this.groupMetadataCache.set(update.id, {
-                                    metadata: metadata,
-                                    timestamp: Date.now()
-                                });
-                                logger.session(this.sessionId, 'Cached group metadata', { groupId: update.id });
-                            } catch (metadataError) {
-                                logger.warn('Failed to cache group metadata', { 
-                                    sessionId: this.sessionId, 
-                                    groupId: update.id, 
-                                    error: metadataError.message 
-                                });
-                            }
+
+                    for (const update of updates) {
+                        if (!update.id) {
+                            continue;
                         }
-                    });
+                        // Not awaited: one group's webhook retries must not hold up the rest of the batch
+                        this.handleGroupUpdate(update).catch((error) => {
+                            logger.error('Error handling group update', { sessionId: this.sessionId, groupId: update.id, error: error.message });
+                        });
+                    }
                 }
             } catch (error) {
                 logger.error('Error handling groups update', { sessionId: this.sessionId, error: error.message });
             }
         });
 
-        // FIXED: Add group participants update handler for metadata caching
-        this.socket.ev.on('group-participants.update', async (event) => {
+        // NEW: Emitted when this session is added to (or creates) a group
+        this.socket.ev.on('groups.upsert', async (groups) => {
             try {
-                if (event.id) {
-                    logger.session(this.sessionId, 'Group participants updated', { groupId: event.id });
-                    
-                    // Update group metadata cache when participants change
-                    try {
-                        const metadata = await this.socket.groupMetadata(event.id);
-                        this.groupMetadataCache.set(event.id, {
-                            metadata: metadata,
+                if (Array.isArray(groups)) {
+                    for (const group of groups) {
+                        if (!group.id) {
+                            continue;
+                        }
+                        this.groupMetadataCache.set(group.id, {
+                            metadata: group,
                             timestamp: Date.now()
                         });
-                        logger.session(this.sessionId, 'Updated group metadata cache after participant change', { groupId: event.id });
-                    } catch (metadataError) {
-                        logger.warn('Failed to update group metadata cache after participant change', { 
-                            sessionId: this.sessionId, 
-                            groupId: event.id, 
-                            error: metadataError.message 
+                        logger.session(this.sessionId, 'Joined group', { groupId: group.id });
+
+                        await this.sendGroupEventWebhook('group.joined', {
+                            groupId: group.id,
+                            groupSubject: group.subject || null,
+                            actor: group.author ? jidNormalizedUser(group.author) : null,
+                            group: this.summarizeGroupMetadata(group)
                         });
                     }
                 }
+            } catch (error) {
+                logger.error('Error handling groups upsert', { sessionId: this.sessionId, error: error.message });
+            }
+        });
+
+        // Participant add/remove/promote/demote - refresh the cache and notify group.* subscribers
+        this.socket.ev.on('group-participants.update', async (event) => {
+            try {
+                if (event.id) {
+                    logger.session(this.sessionId, 'Group participants updated', { groupId: event.id, action: event.action });
+                    await this.handleGroupParticipantsEvent(event);
+                }
             } catch (error) {
                 logger.error('Error handling group participants update', { sessionId: this.sessionId, error: error.message });
             }
         });
 
+        // NEW: Incoming calls - apply the session's call policy and notify call.* subscribers
+        this.socket.ev.on('call', async (calls) => {
+            try {
+                if (Array.isArray(calls)) {
+                    await this.handleCallEvents(calls);
+                }
+            } catch (error) {
+                logger.error('Error handling call event', { sessionId: this.sessionId, error: error.message });
+            }
+        });
+
+        // NEW: Chat list state (unread counts, archive, pin, mute) for /getChats
+        this.socket.ev.on('chats.upsert', async (chats) => {
+            try {
+                if (Array.isArray(chats)) {
+                    await this.database.applyChatUpdates(this.sessionId, chats.map(chat => this.normalizeChatUpdate(chat, false)).filter(Boolean));
+                }
+            } catch (error) {
+                logger.error('Error handling chats upsert', { sessionId: this.sessionId, error: error.message });
+            }
+        });
+
+        this.socket.ev.on('chats.update', async (updates) => {
+            try {
+                if (Array.isArray(updates)) {
+                    await this.database.applyChatUpdates(this.sessionId, updates.map(chat => this.normalizeChatUpdate(chat, true)).filter(Boolean));
+                }
+            } catch (error) {
+                logger.error('Error handling chats update', { sessionId: this.sessionId, error: error.message });
+            }
+        });
+
+        this.socket.ev.on('chats.delete', async (jids) => {
+            try {
+                if (Array.isArray(jids)) {
+                    for (const jid of jids) {
+                        await this.database.deleteChat(this.sessionId, jid);
+                    }
+                }
+            } catch (error) {
+                logger.error('Error handling chats delete', { sessionId: this.sessionId, error: error.message });
+            }
+        });
+
+        // NEW: Contacts are persisted so /getContacts works without an in-memory store
+        this.socket.ev.on('contacts.upsert', async (contacts) => {
+            try {
+                if (Array.isArray(contacts)) {
+                    const saved = await this.saveContacts(contacts);
+                    logger.session(this.sessionId, 'Contacts upserted', { count: saved });
+                }
+            } catch (error) {
+                logger.error('Error handling contacts upsert', { sessionId: this.sessionId, error: error.message });
+            }
+        });
+
         // Contacts update
-        this.socket.ev.on('contacts.update', (updates) => {
+        this.socket.ev.on('contacts.update', async (updates) => {
             try {
                 if (Array.isArray(updates)) {
-                    logger.session(this.sessionId, 'Contacts updated', { count: updates.length });
+                    const saved = await this.saveContacts(updates);
+                    logger.session(this.sessionId, 'Contacts updated', { count: saved });
                 }
             } catch (error) {
                 logger.error('Error handling contacts update', { sessionId: this.sessionId, error: error.message });
@@ -2335,6 +2536,16 @@ class BaileysSession {
             // Extract message content
             const extractedContent = this.extractMessageContent(message);
             
+            // NEW: Record in message history and the contact store (never blocks webhook delivery)
+            this.storeMessage(message, extractedContent);
+            this.updateContactFromMessage(message);
+            this.updateChatFromMessage(message, extractedContent);
+            
+            // Our own messages are needed for retry requests, any poll's creation message for vote decryption
+            if (isOutgoing || this.isPollCreationMessage(message)) {
+                this.storeMessagePayload(message);
+            }
+            
             // ENHANCED LOGGING: Log both incoming AND outgoing messages for visibility
             if (isIncoming) {
                 console.log(`📥 [${this.sessionId}] Incoming: ${extractedContent.content || extractedContent.type}`);
@@ -2344,13 +2555,26 @@ class BaileysSession {
 
             const sessionData = await this.database.getSession(this.sessionId);
             
+            // NEW: Opt-in typed events (outgoing, edited, deleted, reaction); when subscribed they
+            // replace the plain incoming webhook for that message so receivers don't get it twice
+            let typedEventSent = false;
+            const eventType = this.getMessageEventType(message);
+            if (eventType && this.webhookManager.isDeliveryEnabled(sessionData) &&
+                this.isSubscribedToEvent(sessionData, eventType) && (!isGroup || sessionData.send_group_messages)) {
+                typedEventSent = true;
+                await this.sendMessageEventWebhook(sessionData, eventType, message, extractedContent, isGroup);
+            }
+            
             // Process webhooks for INCOMING messages only (keep original logic for webhooks)
-            if (isIncoming && sessionData && sessionData.webhook_status && sessionData.webhook_url) {
+            if (isIncoming && !typedEventSent && this.webhookManager.isDeliveryEnabled(sessionData)) {
                 // Check if this is a group message and if group messages are enabled
                 const shouldSendGroupMessage = isGroup ? sessionData.send_group_messages : true;
                 const shouldSendWebhook = !isGroup || shouldSendGroupMessage;
                 
                 if (shouldSendWebhook) {
+                    // NEW: Download inbound media so the receiver can fetch the actual file
+                    const media = await this.downloadInboundMedia(message);
+                    
                     const messageData = {
                         sessionId: sessionData.session_id,
                         messageId: message.key.id,
@@ -2363,6 +2587,7 @@ class BaileysSession {
                         appType: appType,
                         deviceInfo: deviceInfo,
                         isGroup: isGroup, // Include group indicator in webhook data
+                        ...(media ? { media: media } : {}),
                         messageMetadata: {
                             verifiedBizName: message.verifiedBizName,
                             bizPrivacyStatus: message.bizPrivacyStatus,
@@ -2374,7 +2599,7 @@ class BaileysSession {
                     };
 
                     try {
-                        const webhookResult = await this.webhookManager.sendWebhook(sessionData.webhook_url, sessionData.user_id, messageData);
+                        const webhookResult = await this.webhookManager.deliverEvent(sessionData, messageData);
                         // SIMPLIFIED WEBHOOK LOGGING: Just log success with response
                         const messageType = isGroup ? 'Group' : 'Private';
                         console.log(`✅ ${messageType} webhook sent successfully - Status: ${webhookResult.status}`);
@@ -2420,136 +2645,785 @@ class BaileysSession {
         }
     }
 
-    extractMessageContent(message) {
-        const messageContent = message.message;
-        
-        if (messageContent?.conversation) {
-            return { type: 'text', content: messageContent.conversation };
-        } else if (messageContent?.extendedTextMessage) {
-            return { type: 'text', content: messageContent.extendedTextMessage.text };
-        } else if (messageContent?.imageMessage) {
-            return { type: 'image', caption: messageContent.imageMessage.caption };
-        } else if (messageContent?.videoMessage) {
-            return { type: 'video', caption: messageContent.videoMessage.caption };
-        } else if (messageContent?.audioMessage) {
-            return { type: 'audio' };
-        } else if (messageContent?.documentMessage) {
-            return { type: 'document', fileName: messageContent.documentMessage.fileName };
-        } else if (messageContent?.contactMessage) {
-            return { type: 'contact', displayName: messageContent.contactMessage.displayName };
-        } else if (messageContent?.locationMessage) {
-            return { type: 'location', latitude: messageContent.locationMessage.degreesLatitude, longitude: messageContent.locationMessage.degreesLongitude };
-        } else if (messageContent?.stickerMessage) {
-            return { type: 'sticker' };
-        } else if (messageContent?.reactionMessage) {
-            return { type: 'reaction', text: messageContent.reactionMessage.text, key: messageContent.reactionMessage.key };
-        } else if (messageContent?.listMessage) {
-            return { type: 'list', title: messageContent.listMessage.title };
-        } else if (messageContent?.buttonsMessage) {
-            return { type: 'buttons', headerText: messageContent.buttonsMessage.headerText };
-        } else if (messageContent?.templateMessage) {
-            return { type: 'template' };
-        } else if (messageContent?.protocolMessage) {
-            return { type: 'protocol', protocolType: messageContent.protocolMessage.type };
-        } else if (messageContent?.ephemeralMessage) {
-            return { type: 'ephemeral' };
-        } else if (messageContent?.viewOnceMessage) {
-            return { type: 'view_once' };
+    // Saves a message to the history store; used by messages.upsert and the SessionManager send paths
+    async storeMessage(message, extractedContent = null) {
+        if (!this.messageHistoryEnabled || !message?.key?.id || !message.key.remoteJid || !message.message) {
+            return false;
         }
-        
-        // ENHANCED DEBUG: Log unknown message types to help with debugging
-        if (messageContent && Object.keys(messageContent).length > 0) {
-            const unknownTypes = Object.keys(messageContent);
-            logger.session(this.sessionId, 'Unknown message type received', { 
-                unknownTypes: unknownTypes,
-                messageStructure: Object.keys(messageContent).map(key => ({
-                    type: key,
-                    hasContent: !!messageContent[key],
-                    contentType: typeof messageContent[key]
-                }))
+
+        try {
+            const content = extractedContent || this.extractMessageContent(message);
+
+            // Edits, deletes and reactions modify other messages; they are delivered as webhook events instead
+            if (content.type === 'protocol' || content.type === 'reaction') {
+                return false;
+            }
+
+            const timestamp = toNumber(message.messageTimestamp) || Math.floor(Date.now() / 1000);
+            const isGroup = message.key.remoteJid.endsWith('@g.us');
+            const { raw, ...storedContent } = content;
+
+            await this.database.saveMessage({
+                session_id: this.sessionId,
+                chat_jid: message.key.remoteJid,
+                message_id: message.key.id,
+                from_me: !!message.key.fromMe,
+                sender_jid: message.key.fromMe ? null : (isGroup ? message.key.participant : message.key.remoteJid) || null,
+                push_name: message.key.fromMe ? null : message.pushName || null,
+                message_type: content.type,
+                text: content.content || content.caption || content.fileName || content.displayName || null,
+                content: storedContent,
+                message_timestamp: timestamp
             });
-            
-            console.log(`🔍 [${this.sessionId}] DEBUG - Unknown message type(s): ${unknownTypes.join(', ')}`);
+            return true;
+        } catch (error) {
+            logger.error('Failed to store message history', {
+                sessionId: this.sessionId,
+                messageId: message.key.id,
+                error: error.message
+            });
+            return false;
         }
-        
-        return { type: 'unknown', raw: messageContent };
     }
 
-    // Utility function to format phone number or group ID as WhatsApp JID
-    formatAsWhatsAppJID(receiverId) {
-        // If already formatted with proper WhatsApp domain, return as is
-        if (receiverId.endsWith('@g.us') || receiverId.endsWith('@s.whatsapp.net')) {
-            return receiverId;
-        }
-        
-        // If it contains @ but not the proper WhatsApp domains, extract the ID part
-        if (receiverId.includes('@')) {
-            receiverId = receiverId.split('@')[0];
+    isPollCreationMessage(message) {
+        const content = message?.message;
+        return !!(content?.pollCreationMessage || content?.pollCreationMessageV2 || content?.pollCreationMessageV3);
+    }
+
+    // Keeps the encoded message so getMessage can return it; pruned by SessionManager
+    async storeMessagePayload(message) {
+        if (!message?.key?.id || !message.key.remoteJid || !message.message) {
+            return false;
         }
-        
-        // Determine if it's a group ID or individual phone number
-        let formattedJID;
-        
-        // Group IDs are typically longer than 15 characters and contain hyphens or are numeric with specific patterns
-        // Examples: "120363168346132205", "1234567890-1234567890", etc.
-        if (receiverId.length > 15 && (receiverId.includes('-') || /^\d{18,}$/.test(receiverId))) {
-            // This appears to be a group ID
-            formattedJID = receiverId + '@g.us';
-        } else if (/^\d{8,15}$/.test(receiverId)) {
-            // This appears to be an individual phone number (8-15 digits)
-            formattedJID = receiverId + '@s.whatsapp.net';
-        } else {
-            // For any other format, try to clean and determine
-            const cleanId = receiverId.replace(/[^\d\-]/g, ''); // Keep digits and hyphens
-            
-            if (cleanId.length > 15 && cleanId.includes('-')) {
-                // Likely a group ID with hyphens
-                formattedJID = cleanId + '@g.us';
-            } else if (cleanId.length >= 8) {
-                // Likely a phone number
-                const cleanNumber = cleanId.replace(/[^\d]/g, ''); // Remove all non-digits for phone numbers
-                formattedJID = cleanNumber + '@s.whatsapp.net';
-            } else {
-                // Default to individual chat if uncertain
-                formattedJID = receiverId + '@s.whatsapp.net';
-            }
+
+        try {
+            const encoded = proto.Message.encode(message.message).finish();
+            await this.database.saveMessagePayload(this.sessionId, message.key.remoteJid, message.key.id, Buffer.from(encoded));
+            return true;
+        } catch (error) {
+            logger.error('Failed to store message payload', {
+                sessionId: this.sessionId,
+                messageId: message.key.id,
+                error: error.message
+            });
+            return false;
         }
-        
-        return formattedJID;
     }
 
-    // OPTIMIZED: Check if a phone number is registered on WhatsApp with caching and faster timeouts
-    async isNumberRegisteredOnWhatsApp(receiverId) {
-        if (!this.isConnected) {
-            throw new Error('Session not connected');
+    async getMessagePayload(key) {
+        if (!key?.id || !key.remoteJid) {
+            return undefined;
         }
 
         try {
-            // Format the receiverId as a proper WhatsApp JID
-            const formattedJID = this.formatAsWhatsAppJID(receiverId);
-            
-            // Skip validation for group chats - groups are always "valid" if they exist
-            if (formattedJID.includes('@g.us')) {
-                logger.session(this.sessionId, 'Group chat detected, skipping validation', { groupId: formattedJID });
-                return {
-                    isRegistered: true,
-                    jid: formattedJID,
-                    isGroup: true,
-                    validationSkipped: true
-                };
+            const stored = await this.database.getMessagePayload(this.sessionId, key.remoteJid, key.id);
+            if (!stored) {
+                logger.session(this.sessionId, 'getMessage: message not in store', { messageId: key.id, remoteJid: key.remoteJid });
+                return undefined;
             }
+            return proto.Message.decode(stored);
+        } catch (error) {
+            logger.error('Failed to load message payload', { sessionId: this.sessionId, messageId: key.id, error: error.message });
+            return undefined;
+        }
+    }
 
-            // ENHANCED: Check cache first to avoid repeated validations
-            const cacheKey = formattedJID;
-            const cachedResult = this.numberValidationCache.get(cacheKey);
-            
-            if (cachedResult && (Date.now() - cachedResult.timestamp) < this.cacheExpiryTime) {
-                logger.session(this.sessionId, 'Number validation: using cached result', { 
-                    phoneNumber: formattedJID,
-                    isRegistered: cachedResult.isRegistered,
-                    cacheAge: Date.now() - cachedResult.timestamp
-                });
-                return {
+    async handlePollUpdates(pollKey, pollUpdates) {
+        try {
+            const pollMessage = await this.getMessagePayload(pollKey);
+            if (!pollMessage) {
+                return;
+            }
+
+            const pollCreation = pollMessage.pollCreationMessage || pollMessage.pollCreationMessageV2 || pollMessage.pollCreationMessageV3;
+            const meId = this.socket?.user?.id;
+            const votes = getAggregateVotesInPollMessage({ message: pollMessage, pollUpdates }, meId);
+            const lastUpdate = pollUpdates[pollUpdates.length - 1];
+            const voteKey = lastUpdate.pollUpdateMessageKey || {};
+            const voter = (voteKey.fromMe ? meId : voteKey.participant || voteKey.remoteJid) || null;
+
+            logger.session(this.sessionId, 'Poll vote received', { pollMessageId: pollKey.id, voter });
+
+            // poll.vote events are opt-in per session via send_poll_votes (see /updateWebhookEvents)
+            const sessionData = await this.database.getSession(this.sessionId);
+            const isGroup = pollKey.remoteJid?.endsWith('@g.us');
+            if (!this.webhookManager.isDeliveryEnabled(sessionData) || !sessionData.send_poll_votes || (isGroup && !sessionData.send_group_messages)) {
+                return;
+            }
+
+            const eventData = {
+                event: 'poll.vote',
+                sessionId: this.sessionId,
+                pollMessageId: pollKey.id,
+                remoteJid: pollKey.remoteJid,
+                isGroup: !!isGroup,
+                question: pollCreation?.name || null,
+                voter: voter,
+                // Options this voter currently has selected (empty when they removed their vote)
+                selectedOptions: votes.filter(option => option.voters.some(jid => jid === voter)).map(option => option.name),
+                votes: votes.map(option => ({ name: option.name, voters: option.voters })),
+                timestamp: Math.floor((toNumber(lastUpdate.senderTimestampMs) || Date.now()) / 1000)
+            };
+
+            await this.webhookManager.deliverEvent(sessionData, eventData);
+        } catch (error) {
+            logger.error('Error handling poll update', { sessionId: this.sessionId, pollMessageId: pollKey?.id, error: error.message });
+        }
+    }
+
+    async handleGroupParticipantsEvent(event) {
+        const meId = this.socket?.user?.id ? jidNormalizedUser(this.socket.user.id) : null;
+        // Participants are plain JIDs in most Baileys versions, { id } objects in newer ones
+        const participants = (event.participants || [])
+            .map(participant => (typeof participant === 'string' ? participant : participant?.id))
+            .filter(Boolean)
+            .map(jid => jidNormalizedUser(jid));
+        const removedSelf = event.action === 'remove' && meId && participants.includes(meId);
+
+        let metadata = null;
+        if (removedSelf) {
+            // We can no longer read metadata for a group we were removed from
+            const cached = this.groupMetadataCache.get(event.id);
+            metadata = cached ? cached.metadata : null;
+            this.groupMetadataCache.delete(event.id);
+        } else {
+            metadata = await this.refreshGroupMetadata(event.id);
+        }
+
+        const baseData = {
+            groupId: event.id,
+            groupSubject: metadata?.subject || null,
+            actor: event.author ? jidNormalizedUser(event.author) : null
+        };
+
+        await this.sendGroupEventWebhook(`group.participants.${event.action}`, {
+            ...baseData,
+            action: event.action,
+            participants: participants
+        });
+
+        if (removedSelf) {
+            await this.sendGroupEventWebhook('group.left', baseData);
+        }
+    }
+
+    // groupFetchAllParticipating (/getGroups, /exportGroups) re-emits every group's full metadata as an update,
+    // so only fields that differ from the cached metadata count as changes
+    async handleGroupUpdate(update) {
+        const cached = this.groupMetadataCache.get(update.id);
+        const isFullMetadata = Array.isArray(update.participants);
+
+        let changes;
+        let metadata;
+        if (isFullMetadata) {
+            // Without a cached copy there is nothing to compare against, so a first fetch reports no changes
+            changes = cached ? this.getChangedGroupFields(update, cached.metadata) : {};
+            metadata = update;
+            this.groupMetadataCache.set(update.id, { metadata, timestamp: Date.now() });
+        } else if (cached) {
+            changes = this.getChangedGroupFields(update, cached.metadata);
+            metadata = { ...cached.metadata, ...changes };
+            this.groupMetadataCache.set(update.id, { metadata, timestamp: cached.timestamp });
+        } else {
+            changes = this.getChangedGroupFields(update, {});
+            metadata = await this.refreshGroupMetadata(update.id);
+        }
+
+        this.sendGroupUpdateWebhooks(update, changes, metadata);
+    }
+
+    getChangedGroupFields(update, metadata) {
+        // A missing subject or description reads as '', a missing setting as off
+        const normalize = (field, value) => (field === 'subject' || field === 'desc' ? value || '' : !!value);
+        const changes = {};
+        GROUP_UPDATE_FIELDS.forEach((field) => {
+            if (update[field] !== undefined && normalize(field, update[field]) !== normalize(field, metadata[field])) {
+                changes[field] = update[field];
+            }
+        });
+        return changes;
+    }
+
+    // Webhooks are dispatched without awaiting their delivery retries
+    sendGroupUpdateWebhooks(update, changes, metadata) {
+        const baseData = {
+            groupId: update.id,
+            groupSubject: metadata?.subject || update.subject || null,
+            actor: update.author ? jidNormalizedUser(update.author) : null
+        };
+
+        if (changes.subject !== undefined) {
+            this.sendGroupEventWebhook('group.subject', { ...baseData, subject: changes.subject });
+        }
+
+        if (changes.desc !== undefined) {
+            this.sendGroupEventWebhook('group.description', { ...baseData, description: changes.desc || '' });
+        }
+
+        const settings = {};
+        if (changes.announce !== undefined) {
+            settings.announce = !!changes.announce; // Only admins can send messages
+        }
+        if (changes.restrict !== undefined) {
+            settings.locked = !!changes.restrict; // Only admins can edit group info
+        }
+        if (changes.joinApprovalMode !== undefined) {
+            settings.joinApprovalMode = !!changes.joinApprovalMode;
+        }
+        if (changes.memberAddMode !== undefined) {
+            settings.memberAddMode = !!changes.memberAddMode;
+        }
+        if (Object.keys(settings).length > 0) {
+            this.sendGroupEventWebhook('group.settings', { ...baseData, settings });
+        }
+    }
+
+    // Every offer in the batch is rejected before any webhook goes out, so a slow receiver can't keep later calls ringing
+    async handleCallEvents(calls) {
+        const reportable = calls.filter(call => CALL_EVENT_TYPES[call.status]);
+        if (reportable.length === 0) {
+            return;
+        }
+
+        reportable.forEach((call) => {
+            logger.session(this.sessionId, 'Call event', {
+                callId: call.id,
+                from: call.from,
+                status: call.status,
+                isVideo: !!call.isVideo,
+                isGroup: !!call.isGroup
+            });
+        });
+
+        const sessionData = await this.database.getSession(this.sessionId);
+        if (!sessionData) {
+            return;
+        }
+
+        const policyActions = await Promise.all(reportable.map(call => (
+            call.status === 'offer' ? this.applyCallPolicy(call, sessionData) : null
+        )));
+
+        // call.* events are opt-in per session via send_call_events (see /updateWebhookEvents)
+        if (!this.webhookManager.isDeliveryEnabled(sessionData) || !sessionData.send_call_events) {
+            return;
+        }
+
+        // Not awaited: delivery retries run in the background
+        reportable.forEach((call, index) => {
+            this.sendCallEventWebhook(sessionData, call, policyActions[index]);
+        });
+    }
+
+    async sendCallEventWebhook(sessionData, call, policyAction) {
+        const eventType = CALL_EVENT_TYPES[call.status];
+        const eventData = {
+            event: eventType,
+            sessionId: this.sessionId,
+            callId: call.id,
+            from: call.from ? jidNormalizedUser(call.from) : null,
+            chatId: call.chatId || null,
+            isVideo: !!call.isVideo,
+            isGroup: !!call.isGroup,
+            groupJid: call.groupJid || null,
+            offline: !!call.offline,
+            ...(policyAction ? { policyAction } : {}),
+            timestamp: Math.floor((call.date ? new Date(call.date).getTime() : Date.now()) / 1000)
+        };
+
+        try {
+            await this.webhookManager.deliverEvent(sessionData, eventData);
+        } catch (error) {
+            logger.error('Error sending call event webhook', { sessionId: this.sessionId, callId: call.id, eventType, error: error.message });
+        }
+    }
+
+    // Returns what was done with the offer, reported as policyAction on call.offer
+    async applyCallPolicy(call, sessionData) {
+        const policy = sessionData.call_policy || 'ignore';
+        if (policy === 'ignore') {
+            return 'ignored';
+        }
+
+        // Offers delivered while we were offline have already stopped ringing
+        if (call.offline) {
+            return 'ignored_offline';
+        }
+
+        try {
+            await this.socket.rejectCall(call.id, call.from);
+            logger.session(this.sessionId, 'Call rejected by policy', { callId: call.id, from: call.from, policy });
+        } catch (error) {
+            logger.error('Failed to reject call', { sessionId: this.sessionId, callId: call.id, error: error.message });
+            return 'reject_failed';
+        }
+
+        if (policy === 'reject_with_message' && sessionData.call_reject_message && !call.isGroup) {
+            const replied = await this.sendCallRejectMessage(call.from, sessionData.call_reject_message);
+            return replied ? 'rejected_with_message' : 'rejected';
+        }
+        return 'rejected';
+    }
+
+    // The reply goes out through the message queue like any other background send: it is paced and counted
+    // against the session's send limits, and gets status tracking and a history entry. The queue's poller sends it
+    async sendCallRejectMessage(callerJid, messageText) {
+        const jid = jidNormalizedUser(callerJid);
+        const now = Date.now();
+        const lastReply = this.callRepliesSent.get(jid);
+        if (lastReply && now - lastReply < this.callReplyCooldown) {
+            return false; // Callers often retry right away; one reply per cooldown is enough
+        }
+
+        try {
+            const queueId = uuidv4();
+            await this.database.enqueueMessage({
+                id: queueId,
+                session_id: this.sessionId,
+                receiver_id: jid,
+                message_type: 'text',
+                payload: { messageText },
+                max_attempts: 1 // Only useful right after the call, so a failed reply isn't retried
+            });
+            this.callRepliesSent.set(jid, now);
+            logger.session(this.sessionId, 'Call reject message queued', { queueId, callerJid: jid });
+
+            // Keep the map from growing without bound on busy numbers
+            if (this.callRepliesSent.size > 1000) {
+                for (const [callerId, sentAt] of this.callRepliesSent) {
+                    if (now - sentAt >= this.callReplyCooldown) {
+                        this.callRepliesSent.delete(callerId);
+                    }
+                }
+            }
+            return true;
+        } catch (error) {
+            logger.error('Failed to queue call reject message', { sessionId: this.sessionId, callerJid: jid, error: error.message });
+            return false;
+        }
+    }
+
+    // group.* events are opt-in per session via send_group_events (see /updateWebhookEvents)
+    async sendGroupEventWebhook(eventType, data) {
+        try {
+            const sessionData = await this.database.getSession(this.sessionId);
+            if (!this.webhookManager.isDeliveryEnabled(sessionData) || !sessionData.send_group_events) {
+                return;
+            }
+
+            const eventData = {
+                event: eventType,
+                sessionId: this.sessionId,
+                ...data,
+                timestamp: Math.floor(Date.now() / 1000)
+            };
+
+            await this.webhookManager.deliverEvent(sessionData, eventData);
+        } catch (error) {
+            logger.error('Error sending group event webhook', { sessionId: this.sessionId, groupId: data.groupId, eventType, error: error.message });
+        }
+    }
+
+    getMediaContent(message) {
+        const content = message.message;
+        if (!content) {
+            return null;
+        }
+
+        const mediaTypes = {
+            imageMessage: 'image',
+            videoMessage: 'video',
+            audioMessage: 'audio',
+            documentMessage: 'document',
+            stickerMessage: 'sticker'
+        };
+
+        for (const [field, type] of Object.entries(mediaTypes)) {
+            if (content[field]) {
+                return { type, media: content[field] };
+            }
+        }
+
+        // Documents sent with a caption are wrapped one level deeper
+        if (content.documentWithCaptionMessage?.message?.documentMessage) {
+            return { type: 'document', media: content.documentWithCaptionMessage.message.documentMessage };
+        }
+
+        return null;
+    }
+
+    // Returns media metadata for the webhook, { downloaded: false, reason } when skipped, or null for non-media messages
+    async downloadInboundMedia(message) {
+        const mediaContent = this.getMediaContent(message);
+        if (!mediaContent) {
+            return null;
+        }
+
+        const { type, media } = mediaContent;
+        const mimetype = media.mimetype || 'application/octet-stream';
+        const declaredSize = media.fileLength ? Number(media.fileLength) : null;
+
+        if (!this.inboundMediaEnabled) {
+            return { downloaded: false, reason: 'disabled', type, mimetype, size: declaredSize };
+        }
+
+        if (declaredSize && declaredSize > this.inboundMediaMaxSize) {
+            logger.session(this.sessionId, 'Inbound media skipped (too large)', {
+                messageId: message.key.id,
+                size: declaredSize,
+                maxSize: this.inboundMediaMaxSize
+            });
+            return { downloaded: false, reason: 'too_large', type, mimetype, size: declaredSize, maxSize: this.inboundMediaMaxSize };
+        }
+
+        try {
+            const buffer = await downloadMediaMessage(message, 'buffer', {}, {
+                logger: this.socket?.logger,
+                reuploadRequest: this.socket?.updateMediaMessage
+            });
+
+            // fileLength can be missing or wrong, so check the real size too
+            if (buffer.length > this.inboundMediaMaxSize) {
+                return { downloaded: false, reason: 'too_large', type, mimetype, size: buffer.length, maxSize: this.inboundMediaMaxSize };
+            }
+
+            const mediaId = uuidv4();
+            const extension = mimeTypes.extension(mimetype.split(';')[0]) || 'bin';
+            const filePath = path.join(this.mediaDir, `${mediaId}.${extension}`);
+            const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+            const expiresAt = Date.now() + this.inboundMediaRetentionHours * 60 * 60 * 1000;
+
+            if (!fs.existsSync(this.mediaDir)) {
+                fs.mkdirSync(this.mediaDir, { recursive: true });
+            }
+            await fs.promises.writeFile(filePath, buffer);
+
+            await this.database.createMediaFile({
+                id: mediaId,
+                session_id: this.sessionId,
+                message_id: message.key.id,
+                remote_jid: message.key.remoteJid,
+                file_path: filePath,
+                file_name: media.fileName || null,
+                mimetype: mimetype,
+                size: buffer.length,
+                sha256: sha256,
+                expires_at: expiresAt
+            });
+
+            logger.session(this.sessionId, 'Inbound media stored', { messageId: message.key.id, mediaId, type, size: buffer.length });
+
+            return {
+                downloaded: true,
+                mediaId: mediaId,
+                type: type,
+                mimetype: mimetype,
+                size: buffer.length,
+                sha256: sha256,
+                fileName: media.fileName || null,
+                downloadUrl: `${process.env.PUBLIC_BASE_URL || ''}/api/media/${this.sessionId}/${mediaId}`,
+                expiresAt: new Date(expiresAt).toISOString()
+            };
+        } catch (error) {
+            logger.error('Failed to download inbound media', {
+                sessionId: this.sessionId,
+                messageId: message.key.id,
+                type,
+                error: error.message
+            });
+            return { downloaded: false, reason: 'download_failed', type, mimetype, size: declaredSize, error: error.message };
+        }
+    }
+
+    // Protocol messages may arrive bare or wrapped in editedMessage depending on the sender's client
+    getProtocolMessage(message) {
+        return message.message?.protocolMessage || message.message?.editedMessage?.message?.protocolMessage || null;
+    }
+
+    getMessageEventType(message) {
+        const protocolMessage = this.getProtocolMessage(message);
+        if (protocolMessage) {
+            if (protocolMessage.type === proto.Message.ProtocolMessage.Type.MESSAGE_EDIT) {
+                return 'message.edited';
+            }
+            if (protocolMessage.type === proto.Message.ProtocolMessage.Type.REVOKE) {
+                return 'message.deleted';
+            }
+            return null; // Other protocol messages (key shares, history sync, ...) aren't conversation events
+        }
+
+        if (message.message?.reactionMessage) {
+            return 'message.reaction';
+        }
+
+        return message.key.fromMe ? 'message.outgoing' : null;
+    }
+
+    isSubscribedToEvent(sessionData, eventType) {
+        const subscriptionColumns = {
+            'message.outgoing': 'send_outgoing_messages',
+            'message.edited': 'send_edited_messages',
+            'message.deleted': 'send_deleted_messages',
+            'message.reaction': 'send_reactions'
+        };
+        return !!sessionData[subscriptionColumns[eventType]];
+    }
+
+    async sendMessageEventWebhook(sessionData, eventType, message, extractedContent, isGroup) {
+        const eventData = {
+            event: eventType,
+            sessionId: sessionData.session_id,
+            messageId: message.key.id,
+            remoteJid: message.key.remoteJid,
+            fromMe: message.key.fromMe,
+            timestamp: message.messageTimestamp,
+            participant: message.key.participant || null,
+            pushName: message.pushName || null,
+            isGroup: isGroup
+        };
+
+        if (eventType === 'message.edited') {
+            const protocolMessage = this.getProtocolMessage(message);
+            eventData.editedMessageId = protocolMessage.key?.id || null;
+            eventData.message = this.extractMessageContent({ message: protocolMessage.editedMessage });
+            eventData.editedAt = protocolMessage.timestampMs ? Number(protocolMessage.timestampMs) : null;
+        } else if (eventType === 'message.deleted') {
+            const protocolMessage = this.getProtocolMessage(message);
+            eventData.deletedMessageId = protocolMessage.key?.id || null;
+            eventData.deletedMessageFromMe = protocolMessage.key?.fromMe ?? null;
+        } else if (eventType === 'message.reaction') {
+            const reactionMessage = message.message.reactionMessage;
+            eventData.reaction = {
+                emoji: reactionMessage.text || '',
+                removed: !reactionMessage.text, // An empty reaction text means the reaction was taken back
+                targetMessageId: reactionMessage.key?.id || null,
+                targetFromMe: reactionMessage.key?.fromMe ?? null
+            };
+        } else {
+            eventData.message = extractedContent;
+        }
+
+        try {
+            await this.webhookManager.deliverEvent(sessionData, eventData);
+        } catch (webhookError) {
+            logger.error('Error sending message event webhook', {
+                sessionId: this.sessionId,
+                messageId: message.key.id,
+                eventType,
+                error: webhookError.message
+            });
+        }
+    }
+
+    // Statuses only move forward (pending → server_ack → delivered → read → played);
+    // 'failed' is accepted only before the message reached the recipient
+    async recordMessageStatus(key, status, participant = null, eventTimestamp = null) {
+        // Serialize per session so concurrent acks for the same message can't regress its status
+        this.messageStatusChain = this.messageStatusChain.then(async () => {
+            try {
+                const timestamp = eventTimestamp || Math.floor(Date.now() / 1000);
+                const current = await this.database.getMessageStatus(this.sessionId, key.id);
+                const previousStatus = current ? current.status : null;
+
+                await this.database.addMessageStatusEvent(this.sessionId, key.id, status, participant, timestamp);
+
+                let shouldUpdate;
+                if (!previousStatus) {
+                    shouldUpdate = true;
+                } else if (status === 'failed') {
+                    shouldUpdate = (MESSAGE_STATUS_RANK[previousStatus] || 0) < MESSAGE_STATUS_RANK.delivered;
+                } else {
+                    shouldUpdate = (MESSAGE_STATUS_RANK[status] || 0) > (MESSAGE_STATUS_RANK[previousStatus] || 0);
+                }
+
+                if (!shouldUpdate) {
+                    return;
+                }
+
+                await this.database.upsertMessageStatus(this.sessionId, key.id, key.remoteJid || null, status);
+                logger.session(this.sessionId, 'Message status updated', { messageId: key.id, previousStatus, status, participant });
+
+                // The initial 'pending' row is written by our own send, nothing to report yet.
+                // Not awaited so slow webhook retries don't hold up later acks.
+                if (status !== 'pending') {
+                    this.sendMessageStatusWebhook(key, status, previousStatus, participant, timestamp);
+                }
+            } catch (error) {
+                logger.error('Failed to record message status', {
+                    sessionId: this.sessionId,
+                    messageId: key?.id,
+                    status,
+                    error: error.message
+                });
+            }
+        });
+
+        return this.messageStatusChain;
+    }
+
+    async sendMessageStatusWebhook(key, status, previousStatus, participant, timestamp) {
+        try {
+            // message.status events are opt-in per session via send_message_status (see /updateWebhookEvents)
+            const sessionData = await this.database.getSession(this.sessionId);
+            if (!this.webhookManager.isDeliveryEnabled(sessionData) || !sessionData.send_message_status) {
+                return;
+            }
+
+            const statusData = {
+                event: 'message.status',
+                sessionId: sessionData.session_id,
+                messageId: key.id,
+                remoteJid: key.remoteJid,
+                fromMe: true,
+                status: status,
+                previousStatus: previousStatus,
+                participant: participant,
+                isGroup: key.remoteJid?.endsWith('@g.us') || false,
+                timestamp: timestamp
+            };
+
+            await this.webhookManager.deliverEvent(sessionData, statusData);
+        } catch (webhookError) {
+            logger.error('Error sending message status webhook', {
+                sessionId: this.sessionId,
+                messageId: key.id,
+                status,
+                error: webhookError.message
+            });
+        }
+    }
+
+    extractMessageContent(message) {
+        const messageContent = message.message;
+        
+        if (messageContent?.conversation) {
+            return { type: 'text', content: messageContent.conversation };
+        } else if (messageContent?.extendedTextMessage) {
+            return { type: 'text', content: messageContent.extendedTextMessage.text };
+        } else if (messageContent?.imageMessage) {
+            return { type: 'image', caption: messageContent.imageMessage.caption };
+        } else if (messageContent?.videoMessage) {
+            return { type: 'video', caption: messageContent.videoMessage.caption };
+        } else if (messageContent?.audioMessage) {
+            return { type: 'audio' };
+        } else if (messageContent?.documentMessage) {
+            return { type: 'document', fileName: messageContent.documentMessage.fileName };
+        } else if (messageContent?.contactMessage) {
+            return { type: 'contact', displayName: messageContent.contactMessage.displayName };
+        } else if (messageContent?.locationMessage) {
+            return { type: 'location', latitude: messageContent.locationMessage.degreesLatitude, longitude: messageContent.locationMessage.degreesLongitude };
+        } else if (messageContent?.stickerMessage) {
+            return { type: 'sticker' };
+        } else if (messageContent?.reactionMessage) {
+            return { type: 'reaction', text: messageContent.reactionMessage.text, key: messageContent.reactionMessage.key };
+        } else if (messageContent?.listMessage) {
+            return { type: 'list', title: messageContent.listMessage.title };
+        } else if (messageContent?.buttonsMessage) {
+            return { type: 'buttons', headerText: messageContent.buttonsMessage.headerText };
+        } else if (messageContent?.templateMessage) {
+            return { type: 'template' };
+        } else if (messageContent?.protocolMessage) {
+            return { type: 'protocol', protocolType: messageContent.protocolMessage.type };
+        } else if (messageContent?.ephemeralMessage) {
+            return { type: 'ephemeral' };
+        } else if (messageContent?.viewOnceMessage) {
+            return { type: 'view_once' };
+        }
+        
+        // ENHANCED DEBUG: Log unknown message types to help with debugging
+        if (messageContent && Object.keys(messageContent).length > 0) {
+            const unknownTypes = Object.keys(messageContent);
+            logger.session(this.sessionId, 'Unknown message type received', { 
+                unknownTypes: unknownTypes,
+                messageStructure: Object.keys(messageContent).map(key => ({
+                    type: key,
+                    hasContent: !!messageContent[key],
+                    contentType: typeof messageContent[key]
+                }))
+            });
+            
+            console.log(`🔍 [${this.sessionId}] DEBUG - Unknown message type(s): ${unknownTypes.join(', ')}`);
+        }
+        
+        return { type: 'unknown', raw: messageContent };
+    }
+
+    // Utility function to format phone number or group ID as WhatsApp JID
+    formatAsWhatsAppJID(receiverId) {
+        // If already formatted with proper WhatsApp domain, return as is
+        if (receiverId.endsWith('@g.us') || receiverId.endsWith('@s.whatsapp.net')) {
+            return receiverId;
+        }
+        
+        // If it contains @ but not the proper WhatsApp domains, extract the ID part
+        if (receiverId.includes('@')) {
+            receiverId = receiverId.split('@')[0];
+        }
+        
+        // Determine if it's a group ID or individual phone number
+        let formattedJID;
+        
+        // Group IDs are typically longer than 15 characters and contain hyphens or are numeric with specific patterns
+        // Examples: "120363168346132205", "1234567890-1234567890", etc.
+        if (receiverId.length > 15 && (receiverId.includes('-') || /^\d{18,}$/.test(receiverId))) {
+            // This appears to be a group ID
+            formattedJID = receiverId + '@g.us';
+        } else if (/^\d{8,15}$/.test(receiverId)) {
+            // This appears to be an individual phone number (8-15 digits)
+            formattedJID = receiverId + '@s.whatsapp.net';
+        } else {
+            // For any other format, try to clean and determine
+            const cleanId = receiverId.replace(/[^\d\-]/g, ''); // Keep digits and hyphens
+            
+            if (cleanId.length > 15 && cleanId.includes('-')) {
+                // Likely a group ID with hyphens
+                formattedJID = cleanId + '@g.us';
+            } else if (cleanId.length >= 8) {
+                // Likely a phone number
+                const cleanNumber = cleanId.replace(/[^\d]/g, ''); // Remove all non-digits for phone numbers
+                formattedJID = cleanNumber + '@s.whatsapp.net';
+            } else {
+                // Default to individual chat if uncertain
+                formattedJID = receiverId + '@s.whatsapp.net';
+            }
+        }
+        
+        return formattedJID;
+    }
+
+    // OPTIMIZED: Check if a phone number is registered on WhatsApp with caching and faster timeouts
+    async isNumberRegisteredOnWhatsApp(receiverId) {
+        if (!this.isConnected) {
+            throw new Error('Session not connected');
+        }
+
+        try {
+            // Format the receiverId as a proper WhatsApp JID
+            const formattedJID = this.formatAsWhatsAppJID(receiverId);
+            
+            // Skip validation for group chats - groups are always "valid" if they exist
+            if (formattedJID.includes('@g.us')) {
+                logger.session(this.sessionId, 'Group chat detected, skipping validation', { groupId: formattedJID });
+                return {
+                    isRegistered: true,
+                    jid: formattedJID,
+                    isGroup: true,
+                    validationSkipped: true
+                };
+            }
+
+            // ENHANCED: Check cache first to avoid repeated validations
+            const cacheKey = formattedJID;
+            const cachedResult = this.numberValidationCache.get(cacheKey);
+            
+            if (cachedResult && (Date.now() - cachedResult.timestamp) < this.cacheExpiryTime) {
+                logger.session(this.sessionId, 'Number validation: using cached result', { 
+                    phoneNumber: formattedJID,
+                    isRegistered: cachedResult.isRegistered,
+                    cacheAge: Date.now() - cachedResult.timestamp
+                });
+                return {
                     ...cachedResult.result,
                     fromCache: true
                 };
@@ -2706,6 +3580,10 @@ class BaileysSession {
                 isGroup: validation.isGroup,
                 validationPassed: validation.isRegistered
             });
+
+            if (result?.key) {
+                this.recordMessageStatus(result.key, 'pending');
+            }
             
             return {
                 ...result,
@@ -2756,6 +3634,10 @@ class BaileysSession {
                 isGroup: validation.isGroup,
                 validationPassed: validation.isRegistered
             });
+
+            if (result?.key) {
+                this.recordMessageStatus(result.key, 'pending');
+            }
             
             return {
                 ...result,
@@ -2767,6 +3649,181 @@ class BaileysSession {
         }
     }
 
+    // Shared path for the rich message types: validate the receiver, send, and start status tracking
+    async sendValidatedMessage(receiverId, content, logMessage, options = {}) {
+        if (!this.isConnected) {
+            throw new Error('Session not connected');
+        }
+
+        // Validate if the number is registered on WhatsApp
+        const validation = await this.isNumberRegisteredOnWhatsApp(receiverId);
+
+        if (!validation.isRegistered && !validation.validationFailed) {
+            throw new Error(`Phone number ${receiverId} is not registered on WhatsApp`);
+        }
+
+        const builtContent = typeof content === 'function' ? content(validation.jid) : content;
+        const builtOptions = typeof options === 'function' ? options(validation.jid) : options;
+
+        // Use the validated JID for sending
+        const result = await this.socket.sendMessage(validation.jid, builtContent, builtOptions);
+
+        logger.session(this.sessionId, logMessage, {
+            receiverId: validation.jid,
+            isGroup: validation.isGroup,
+            validationPassed: validation.isRegistered
+        });
+
+        if (result?.key) {
+            this.recordMessageStatus(result.key, 'pending');
+        }
+
+        return {
+            ...result,
+            validationResult: validation
+        };
+    }
+
+    // Key of a message in the receiver's chat, used by reactions and quoted replies
+    buildMessageKey(remoteJid, messageId, fromMe = false, participant = null) {
+        const key = { remoteJid, id: messageId, fromMe: !!fromMe };
+        if (participant && remoteJid.endsWith('@g.us')) {
+            key.participant = this.formatAsWhatsAppJID(participant);
+        }
+        return key;
+    }
+
+    async sendLocationMessage(receiverId, location) {
+        try {
+            return await this.sendValidatedMessage(receiverId, {
+                location: {
+                    degreesLatitude: location.latitude,
+                    degreesLongitude: location.longitude,
+                    ...(location.name ? { name: location.name } : {}),
+                    ...(location.address ? { address: location.address } : {})
+                }
+            }, 'Location message sent');
+        } catch (error) {
+            logger.error('Failed to send location message', { sessionId: this.sessionId, receiverId, error: error.message });
+            throw error;
+        }
+    }
+
+    buildVCard(contact) {
+        // vCard values can't contain raw newlines or unescaped separators
+        const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+        const digits = String(contact.phoneNumber).replace(/\D/g, '');
+        const lines = [
+            'BEGIN:VCARD',
+            'VERSION:3.0',
+            `FN:${escape(contact.fullName)}`
+        ];
+        if (contact.organization) {
+            lines.push(`ORG:${escape(contact.organization)}`);
+        }
+        lines.push(`TEL;type=CELL;type=VOICE;waid=${digits}:+${digits}`);
+        if (contact.email) {
+            lines.push(`EMAIL:${escape(contact.email)}`);
+        }
+        lines.push('END:VCARD');
+        return lines.join('\n');
+    }
+
+    async sendContactMessage(receiverId, contacts) {
+        try {
+            return await this.sendValidatedMessage(receiverId, {
+                contacts: {
+                    displayName: contacts.length === 1 ? contacts[0].fullName : `${contacts.length} contacts`,
+                    contacts: contacts.map(contact => ({ vcard: this.buildVCard(contact) }))
+                }
+            }, 'Contact message sent');
+        } catch (error) {
+            logger.error('Failed to send contact message', { sessionId: this.sessionId, receiverId, error: error.message });
+            throw error;
+        }
+    }
+
+    async sendPollMessage(receiverId, question, options, selectableCount = 1) {
+        try {
+            return await this.sendValidatedMessage(receiverId, {
+                poll: {
+                    name: question,
+                    values: options,
+                    selectableCount
+                }
+            }, 'Poll message sent');
+        } catch (error) {
+            logger.error('Failed to send poll message', { sessionId: this.sessionId, receiverId, error: error.message });
+            throw error;
+        }
+    }
+
+    // An empty emoji removes a previous reaction
+    async sendReaction(receiverId, messageId, emoji, fromMe = false, participant = null) {
+        try {
+            return await this.sendValidatedMessage(receiverId, (jid) => ({
+                react: {
+                    text: emoji,
+                    key: this.buildMessageKey(jid, messageId, fromMe, participant)
+                }
+            }), 'Reaction sent');
+        } catch (error) {
+            logger.error('Failed to send reaction', { sessionId: this.sessionId, receiverId, messageId, error: error.message });
+            throw error;
+        }
+    }
+
+    // Baileys only needs the quoted key plus some content to render the reply preview
+    async sendReplyMessage(receiverId, messageText, quotedMessageId, quoted = {}) {
+        try {
+            return await this.sendValidatedMessage(receiverId, { text: messageText }, 'Reply message sent', (jid) => ({
+                quoted: {
+                    key: this.buildMessageKey(jid, quotedMessageId, quoted.fromMe, quoted.participant),
+                    message: { conversation: quoted.text || '' }
+                }
+            }));
+        } catch (error) {
+            logger.error('Failed to send reply message', { sessionId: this.sessionId, receiverId, quotedMessageId, error: error.message });
+            throw error;
+        }
+    }
+
+    // Edits and deletes target a chat this session already wrote to, so they skip number validation.
+    // They are protocol messages with no delivery receipts of their own, so no status tracking either.
+    async sendProtocolMessage(chatJid, content, logMessage, details = {}) {
+        if (!this.isConnected) {
+            throw new Error('Session not connected');
+        }
+
+        const result = await this.socket.sendMessage(chatJid, content);
+        logger.session(this.sessionId, logMessage, { chatJid, ...details });
+        return result;
+    }
+
+    // The key is always fromMe because only this session's own messages can be changed
+    async editMessage(chatJid, messageId, messageText) {
+        try {
+            return await this.sendProtocolMessage(chatJid, {
+                text: messageText,
+                edit: this.buildMessageKey(chatJid, messageId, true)
+            }, 'Message edited', { messageId });
+        } catch (error) {
+            logger.error('Failed to edit message', { sessionId: this.sessionId, chatJid, messageId, error: error.message });
+            throw error;
+        }
+    }
+
+    async deleteMessageForEveryone(chatJid, messageId) {
+        try {
+            return await this.sendProtocolMessage(chatJid, {
+                delete: this.buildMessageKey(chatJid, messageId, true)
+            }, 'Message deleted for everyone', { messageId });
+        } catch (error) {
+            logger.error('Failed to delete message', { sessionId: this.sessionId, chatJid, messageId, error: error.message });
+            throw error;
+        }
+    }
+
     async markMessageAsRead(messageKey) {
         try {
             await this.socket.readMessages([messageKey]);
@@ -2802,30 +3859,381 @@ class BaileysSession {
         }
     }
 
-    async getContacts() {
+    // Re-reads group metadata from WhatsApp into groupMetadataCache (used by cachedGroupMetadata when sending)
+    async refreshGroupMetadata(groupJid) {
+        try {
+            const metadata = await this.socket.groupMetadata(groupJid);
+            this.groupMetadataCache.set(groupJid, {
+                metadata: metadata,
+                timestamp: Date.now()
+            });
+            return metadata;
+        } catch (error) {
+            logger.warn('Failed to refresh group metadata', { sessionId: this.sessionId, groupId: groupJid, error: error.message });
+            return null;
+        }
+    }
+
+    // Cached metadata younger than maxAgeMs is returned as is; otherwise it is refetched (stale cache is the fallback)
+    async getGroupMetadata(groupId, maxAgeMs = this.groupMetadataCacheExpiry) {
+        if (!this.isConnected) {
+            throw new Error('Session not connected');
+        }
+
+        const groupJid = this.toGroupJid(groupId);
+        const cached = this.groupMetadataCache.get(groupJid);
+        if (cached && Date.now() - cached.timestamp < maxAgeMs) {
+            return { metadata: cached.metadata, cachedAt: cached.timestamp, fromCache: true };
+        }
+
+        const metadata = await this.refreshGroupMetadata(groupJid);
+        if (metadata) {
+            return { metadata, cachedAt: this.groupMetadataCache.get(groupJid).timestamp, fromCache: false };
+        }
+        if (cached) {
+            return { metadata: cached.metadata, cachedAt: cached.timestamp, fromCache: true, stale: true };
+        }
+        throw new Error(`Group ${groupJid} not found or not accessible`);
+    }
+
+    // Every group with full metadata in one query; also refreshes groupMetadataCache for all of them
+    async getAllGroupMetadata() {
+        if (!this.isConnected) {
+            throw new Error('Session not connected');
+        }
+
+        const groups = await this.socket.groupFetchAllParticipating();
+        const now = Date.now();
+        Object.values(groups).forEach((metadata) => {
+            this.groupMetadataCache.set(metadata.id, { metadata, timestamp: now });
+        });
+        return Object.values(groups);
+    }
+
+    toGroupJid(groupId) {
+        const jid = this.formatAsWhatsAppJID(String(groupId));
+        if (!jid.endsWith('@g.us')) {
+            throw new Error(`Invalid group ID: ${groupId}`);
+        }
+        return jid;
+    }
+
+    // Runs a group admin action, then refreshes the cached metadata so later sends see the change
+    async runGroupAction(groupId, description, action) {
+        if (!this.isConnected) {
+            throw new Error('Session not connected');
+        }
+
+        const groupJid = this.toGroupJid(groupId);
+        try {
+            const result = await action(groupJid);
+            await this.refreshGroupMetadata(groupJid);
+            logger.session(this.sessionId, description, { groupId: groupJid });
+            return result;
+        } catch (error) {
+            logger.error(`Failed: ${description}`, { sessionId: this.sessionId, groupId: groupJid, error: error.message });
+            throw error;
+        }
+    }
+
+    summarizeGroupMetadata(metadata) {
+        return {
+            id: metadata.id,
+            subject: metadata.subject,
+            owner: metadata.owner || null,
+            desc: metadata.desc || null,
+            participants: (metadata.participants || []).length,
+            announce: !!metadata.announce,
+            restrict: !!metadata.restrict,
+            joinApprovalMode: !!metadata.joinApprovalMode,
+            creation: metadata.creation
+        };
+    }
+
+    async createGroup(subject, participants) {
         if (!this.isConnected) {
             throw new Error('Session not connected');
         }
 
         try {
-            const contacts = this.socket.store?.contacts || {};
-            const contactList = Object.values(contacts).map(contact => ({
-                id: contact.id,
-                name: contact.name,
-                notify: contact.notify,
-                verifiedName: contact.verifiedName,
-                imgUrl: contact.imgUrl,
-                status: contact.status
-            }));
+            const metadata = await this.socket.groupCreate(subject, participants.map(participant => this.formatAsWhatsAppJID(String(participant))));
+            this.groupMetadataCache.set(metadata.id, {
+                metadata: metadata,
+                timestamp: Date.now()
+            });
+            logger.session(this.sessionId, 'Group created', { groupId: metadata.id, participants: participants.length });
+            return this.summarizeGroupMetadata(metadata);
+        } catch (error) {
+            logger.error('Failed to create group', { sessionId: this.sessionId, error: error.message });
+            throw error;
+        }
+    }
+
+    // action: add | remove | promote | demote; WhatsApp answers per participant with an HTTP-like status
+    async updateGroupParticipants(groupId, participants, action) {
+        const jids = participants.map(participant => this.formatAsWhatsAppJID(String(participant)));
+        const results = await this.runGroupAction(groupId, `Group participants ${action}`,
+            groupJid => this.socket.groupParticipantsUpdate(groupJid, jids, action));
+
+        return (results || []).map(result => ({
+            jid: result.jid,
+            status: String(result.status),
+            success: String(result.status) === '200'
+        }));
+    }
+
+    async updateGroupSubject(groupId, subject) {
+        await this.runGroupAction(groupId, 'Group subject updated', groupJid => this.socket.groupUpdateSubject(groupJid, subject));
+    }
+
+    async updateGroupDescription(groupId, description) {
+        // An empty description removes it
+        await this.runGroupAction(groupId, 'Group description updated', groupJid => this.socket.groupUpdateDescription(groupJid, description || undefined));
+    }
+
+    async updateGroupPicture(groupId, imageBuffer) {
+        await this.runGroupAction(groupId, 'Group picture updated', groupJid => this.socket.updateProfilePicture(groupJid, imageBuffer));
+    }
+
+    // announce: only admins can send; locked: only admins can edit group info
+    async updateGroupSettings(groupId, settings) {
+        await this.runGroupAction(groupId, 'Group settings updated', async (groupJid) => {
+            if (settings.announce !== undefined) {
+                await this.socket.groupSettingUpdate(groupJid, settings.announce ? 'announcement' : 'not_announcement');
+            }
+            if (settings.locked !== undefined) {
+                await this.socket.groupSettingUpdate(groupJid, settings.locked ? 'locked' : 'unlocked');
+            }
+        });
+    }
+
+    async getGroupInviteLink(groupId) {
+        const code = await this.runGroupAction(groupId, 'Group invite link fetched', groupJid => this.socket.groupInviteCode(groupJid));
+        return { inviteCode: code, inviteLink: `https://chat.whatsapp.com/${code}` };
+    }
+
+    async revokeGroupInviteLink(groupId) {
+        const code = await this.runGroupAction(groupId, 'Group invite link revoked', groupJid => this.socket.groupRevokeInvite(groupJid));
+        return { inviteCode: code, inviteLink: `https://chat.whatsapp.com/${code}` };
+    }
+
+    async joinGroupByInvite(inviteCode) {
+        if (!this.isConnected) {
+            throw new Error('Session not connected');
+        }
 
-            logger.session(this.sessionId, 'Contacts fetched', { count: contactList.length });
-            return contactList;
+        try {
+            const groupJid = await this.socket.groupAcceptInvite(inviteCode);
+            // Groups with join approval return no JID until an admin approves the request
+            if (groupJid) {
+                await this.refreshGroupMetadata(groupJid);
+            }
+            logger.session(this.sessionId, 'Joined group via invite', { groupId: groupJid || null });
+            return groupJid || null;
         } catch (error) {
-            logger.error('Failed to fetch contacts', { sessionId: this.sessionId, error: error.message });
+            logger.error('Failed to join group via invite', { sessionId: this.sessionId, error: error.message });
             throw error;
         }
     }
 
+    async leaveGroup(groupId) {
+        if (!this.isConnected) {
+            throw new Error('Session not connected');
+        }
+
+        const groupJid = this.toGroupJid(groupId);
+        await this.socket.groupLeave(groupJid);
+        this.groupMetadataCache.delete(groupJid);
+        logger.session(this.sessionId, 'Left group', { groupId: groupJid });
+    }
+
+    async getGroupJoinRequests(groupId) {
+        const requests = await this.runGroupAction(groupId, 'Group join requests fetched', groupJid => this.socket.groupRequestParticipantsList(groupJid));
+        return (requests || []).map(request => ({
+            jid: request.jid,
+            requestMethod: request.request_method || null,
+            requestedAt: request.request_time ? parseInt(request.request_time) : null
+        }));
+    }
+
+    // action: approve | reject
+    async handleGroupJoinRequests(groupId, participants, action) {
+        const jids = participants.map(participant => this.formatAsWhatsAppJID(String(participant)));
+        const results = await this.runGroupAction(groupId, `Group join requests ${action}d`,
+            groupJid => this.socket.groupRequestParticipantsUpdate(groupJid, jids, action));
+
+        return (results || []).map(result => ({
+            jid: result.jid,
+            status: String(result.status),
+            success: String(result.status) === '200'
+        }));
+    }
+
+    // Maps a Baileys Chat (full on upsert, partial on update) to the fields applyChatUpdates understands
+    normalizeChatUpdate(chat, isPartial) {
+        if (!chat?.id || isJidBroadcast(chat.id) || isJidStatusBroadcast(chat.id) || isJidNewsletter(chat.id)) {
+            return null;
+        }
+
+        const update = { jid: chat.id };
+        if (chat.name !== undefined) {
+            update.name = chat.name || null;
+        }
+        if (typeof chat.unreadCount === 'number') {
+            if (chat.unreadCount < 0) {
+                // -1 means "marked as unread" on the phone
+                update.markedUnread = true;
+            } else if (isPartial && chat.unreadCount > 0) {
+                // Positive counts in chats.update are increments for newly received messages
+                update.unreadDelta = chat.unreadCount;
+            } else {
+                update.unreadCount = chat.unreadCount;
+                update.markedUnread = false;
+            }
+        }
+        if (chat.archived !== undefined && chat.archived !== null) {
+            update.archived = !!chat.archived;
+        }
+        if (chat.pinned !== undefined) {
+            update.pinnedAt = chat.pinned ? toNumber(chat.pinned) : null;
+        }
+        if (chat.muteEndTime !== undefined) {
+            update.muteEndTime = chat.muteEndTime ? toNumber(chat.muteEndTime) : null;
+        }
+        if (chat.conversationTimestamp) {
+            update.conversationTimestamp = toNumber(chat.conversationTimestamp);
+        }
+        return update;
+    }
+
+    async updateChatFromMessage(message, extractedContent) {
+        // Edits, deletes and reactions don't change the chat preview
+        if (!message?.message || extractedContent.type === 'protocol' || extractedContent.type === 'reaction') {
+            return;
+        }
+
+        try {
+            const preview = extractedContent.content || extractedContent.caption || extractedContent.fileName ||
+                extractedContent.displayName || `[${extractedContent.type}]`;
+            await this.database.updateChatLastMessage(this.sessionId, message.key.remoteJid, {
+                message_id: message.key.id,
+                message_type: extractedContent.type,
+                preview: preview.length > 200 ? preview.substring(0, 200) : preview,
+                from_me: !!message.key.fromMe,
+                timestamp: toNumber(message.messageTimestamp) || Math.floor(Date.now() / 1000)
+            });
+        } catch (error) {
+            logger.error('Failed to update chat preview', { sessionId: this.sessionId, messageId: message?.key?.id, error: error.message });
+        }
+    }
+
+    // Archive, pin, mute, mark read/unread and clear go through WhatsApp app state sync, so they show on the phone too
+    async modifyChat(chatId, action, options = {}) {
+        if (!this.isConnected) {
+            throw new Error('Session not connected');
+        }
+
+        const jid = this.formatAsWhatsAppJID(chatId);
+
+        // Archive, read state and clear need the chat's latest message as the sync range
+        const lastMessages = [];
+        const lastRow = await this.database.getChatMessages(this.sessionId, jid, 1);
+        if (lastRow.length > 0) {
+            const row = lastRow[0];
+            lastMessages.push({
+                key: this.buildMessageKey(jid, row.message_id, row.from_me, row.from_me ? null : row.sender_jid),
+                messageTimestamp: row.message_timestamp
+            });
+        }
+
+        let modification;
+        let localUpdate;
+        switch (action) {
+            case 'archive':
+            case 'unarchive':
+                modification = { archive: action === 'archive', lastMessages };
+                localUpdate = { archived: action === 'archive' };
+                break;
+            case 'pin':
+            case 'unpin':
+                modification = { pin: action === 'pin' };
+                localUpdate = { pinnedAt: action === 'pin' ? Math.floor(Date.now() / 1000) : null };
+                break;
+            case 'mute': {
+                const muteEndTime = Date.now() + options.durationSeconds * 1000;
+                modification = { mute: muteEndTime };
+                localUpdate = { muteEndTime };
+                break;
+            }
+            case 'unmute':
+                modification = { mute: null };
+                localUpdate = { muteEndTime: null };
+                break;
+            case 'markRead':
+            case 'markUnread':
+                modification = { markRead: action === 'markRead', lastMessages };
+                localUpdate = action === 'markRead'
+                    ? { unreadCount: 0, markedUnread: false }
+                    : { markedUnread: true };
+                break;
+            case 'clear':
+                modification = { clear: true, lastMessages };
+                break;
+            default:
+                throw new Error(`Unsupported chat action: ${action}`);
+        }
+
+        await this.socket.chatModify(modification, jid);
+
+        if (action === 'clear') {
+            await this.database.clearChatMessages(this.sessionId, jid);
+        } else {
+            await this.database.applyChatUpdates(this.sessionId, [{ jid, ...localUpdate }]);
+        }
+
+        logger.session(this.sessionId, 'Chat modified', { jid, action });
+        return this.database.getChat(this.sessionId, jid);
+    }
+
+    // Maps Baileys contact objects (full or partial) to contact store rows
+    async saveContacts(contacts) {
+        const rows = contacts
+            .filter(contact => contact?.id && !contact.id.endsWith('@g.us') && !isJidBroadcast(contact.id))
+            .map(contact => ({
+                jid: contact.id,
+                name: contact.name || null,
+                notify: contact.notify || null,
+                verified_name: contact.verifiedName || null,
+                // contacts.update reports picture changes as imgUrl: 'changed' rather than a URL
+                img_url: typeof contact.imgUrl === 'string' && contact.imgUrl.startsWith('http') ? contact.imgUrl : null,
+                status: contact.status || null
+            }));
+
+        return this.database.upsertContacts(this.sessionId, rows);
+    }
+
+    // pushNames arrive with messages; also tracks when we last exchanged a message with the contact
+    async updateContactFromMessage(message) {
+        try {
+            const isGroup = message.key.remoteJid.endsWith('@g.us');
+            const timestamp = toNumber(message.messageTimestamp) || Math.floor(Date.now() / 1000);
+
+            if (message.key.fromMe) {
+                if (!isGroup) {
+                    await this.database.touchContact(this.sessionId, message.key.remoteJid, null, timestamp);
+                }
+                return;
+            }
+
+            const contactJid = isGroup ? message.key.participant : message.key.remoteJid;
+            if (contactJid) {
+                await this.database.touchContact(this.sessionId, contactJid, message.pushName || null, timestamp);
+            }
+        } catch (error) {
+            logger.error('Failed to update contact from message', { sessionId: this.sessionId, messageId: message?.key?.id, error: error.message });
+        }
+    }
+
     async updateSessionStatus(status) {
         try {
             await this.database.updateSessionStatus(this.sessionId, status);
@@ -2838,10 +4246,107 @@ class BaileysSession {
         return this.qrCodeData;
     }
 
+    // Lifecycle events (QR, pairing, connection, logout) for live subscribers - see SessionManager.subscribeToSessionEvents
+    emitLifecycleEvent(type, data = {}) {
+        try {
+            BaileysSession.lifecycleEvents.emit('event', {
+                type,
+                sessionId: this.sessionId,
+                ...data,
+                timestamp: Date.now()
+            });
+        } catch (error) {
+            logger.warn('Lifecycle event listener failed', { sessionId: this.sessionId, type, error: error.message });
+        }
+    }
+
     getQRString() {
         return this.qrCodeString;
     }
 
+    // Switches the session to pairing-code login for phoneNumber (digits only, with country code).
+    // The code is requested right away when the socket is ready, otherwise on its next QR ref.
+    async startPairing(phoneNumber) {
+        if (this.authState?.creds?.registered) {
+            throw new Error('Session is already linked to a device. Reset the session before pairing again.');
+        }
+
+        this.pairingPhoneNumber = phoneNumber;
+        this.pairingCode = null;
+        this.pairingCodeTimestamp = null;
+        this.pairingCodeError = null;
+
+        // A pairing code replaces any QR code shown for this session
+        this.qrCodeData = null;
+        this.qrCodeString = null;
+        this.qrCodeTimestamp = null;
+
+        if (this.socket && this.socket.readyState !== 3 && this.pairingSocketReady) {
+            return await this.requestPairingCode();
+        }
+        return null;
+    }
+
+    async requestPairingCode() {
+        if (this.isRequestingPairingCode || !this.socket || !this.pairingPhoneNumber) {
+            return this.pairingCode;
+        }
+
+        this.isRequestingPairingCode = true;
+        try {
+            const code = await this.socket.requestPairingCode(this.pairingPhoneNumber);
+            this.pairingCode = code;
+            this.pairingCodeTimestamp = Date.now();
+            this.pairingCodeError = null;
+            this.authenticationStartTime = Date.now();
+
+            logger.session(this.sessionId, 'Pairing code generated', {
+                phoneNumber: this.pairingPhoneNumber,
+                socketState: this.socket?.readyState,
+                isAPIRequest: this.isAPIRequest
+            });
+            
+            this.emitLifecycleEvent('pairing.code', {
+                pairingCode: code,
+                displayCode: this.formatPairingCode(code),
+                phoneNumber: this.pairingPhoneNumber,
+                expiresIn: this.pairingCodeExpiry,
+                generatedAt: this.pairingCodeTimestamp
+            });
+
+            if (this.displayQRInTerminal) {
+                console.log('\n' + '='.repeat(80));
+                console.log('🔢 WHATSAPP PAIRING CODE');
+                console.log(`🔗 Session ID: ${this.sessionId.substring(0, 8)}...`);
+                console.log(`📱 Phone Number: ${this.pairingPhoneNumber}`);
+                console.log(`🔑 Code: ${this.formatPairingCode(code)}`);
+                console.log('📋 WhatsApp > Linked devices > Link with phone number instead');
+                console.log(`⏱️  Pairing code expires in ~${Math.round(this.pairingCodeExpiry / 1000)} seconds`);
+                console.log('='.repeat(80) + '\n');
+            }
+
+            return code;
+        } catch (error) {
+            this.pairingCodeError = error.message;
+            logger.error('Failed to request pairing code', { sessionId: this.sessionId, phoneNumber: this.pairingPhoneNumber, error: error.message });
+            return null;
+        } finally {
+            this.isRequestingPairingCode = false;
+        }
+    }
+
+    // WhatsApp shows pairing codes as XXXX-XXXX
+    formatPairingCode(code) {
+        return code && code.length === 8 ? `${code.slice(0, 4)}-${code.slice(4)}` : code;
+    }
+
+    clearPairingCode() {
+        this.pairingPhoneNumber = null;
+        this.pairingCode = null;
+        this.pairingCodeTimestamp = null;
+        this.pairingCodeError = null;
+    }
+
     isSessionConnected() {
         return this.isConnected && this.socket && !!this.socket.user;
     }
@@ -2870,6 +4375,9 @@ class BaileysSession {
                 // Send logout signal to WhatsApp
                 await this.socket.logout();
                 logger.session(this.sessionId, 'Session logout signal sent');
+            } else {
+                // Without a live socket no connection.update fires, so tell subscribers here
+                this.emitLifecycleEvent('session.logged_out', { reason: 'Logout requested' });
             }
             this.isConnected = false;
             await this.updateSessionStatus('logged_out');
@@ -3021,6 +4529,7 @@ class BaileysSession {
             this.qrCodeData = null;
             this.qrCodeString = null;
             this.qrCodeTimestamp = null;
+            this.clearPairingCode();
             
             // ENHANCED: Clear validation cache on session destroy
             this.clearValidationCache();
@@ -3251,4 +4760,8 @@ class BaileysSession {
     }
 }
 
+// Shared across all sessions so subscribers survive session objects being recreated
+BaileysSession.lifecycleEvents = new EventEmitter();
+BaileysSession.lifecycleEvents.setMaxListeners(0);
+
 module.exports = BaileysSession; 
\ No newline at end of file
@@ -0,0 +1,451 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { renderPlaceholders } = require('../utils/placeholders');
+
+// Campaigns in these states still have a worker-side future; the rest are final
+const ACTIVE_STATUSES = ['scheduled', 'running'];
+const CANCELLABLE_STATUSES = ['draft', 'scheduled', 'running', 'paused'];
+
+// Broadcasts one message template to a recipient list through a session, paced by the session's send limits
+class CampaignManager {
+    constructor(sessionManager) {
+        this.sessionManager = sessionManager;
+        this.database = sessionManager.database;
+
+        this.pollInterval = parseInt(process.env.CAMPAIGN_POLL_INTERVAL) || 10000;
+        this.maxRecipients = parseInt(process.env.CAMPAIGN_MAX_RECIPIENTS) || 10000;
+        this.sendTimeout = parseInt(process.env.MESSAGE_QUEUE_SEND_TIMEOUT) || 30000;
+
+        this.activeWorkers = new Set(); // One send loop per session at a time
+        this.rateLimitedUntil = new Map(); // Sessions paused by their send limits
+        this.pollTimer = null;
+    }
+
+    async start() {
+        try {
+            const failed = await this.database.failInterruptedCampaignRecipients('Send interrupted by a server restart (delivery unknown, not retried)');
+            if (failed > 0) {
+                logger.warn('Failed campaign recipients interrupted by restart', { count: failed });
+            }
+        } catch (error) {
+            logger.error('Failed to settle interrupted campaign recipients', { error: error.message });
+        }
+
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+        }
+
+        this.pollTimer = setInterval(() => {
+            this.pollActiveSessions().catch(error => {
+                logger.error('Error polling campaigns', { error: error.message });
+            });
+        }, this.pollInterval);
+
+        logger.info('Campaign manager started', {
+            pollInterval: this.pollInterval / 1000 + 's',
+            maxRecipients: this.maxRecipients
+        });
+    }
+
+    stop() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+        logger.info('Campaign manager stopped');
+    }
+
+    getMediaDir(sessionId) {
+        return path.join(process.env.SESSION_STORAGE_PATH || './sessions', sessionId, 'campaigns');
+    }
+
+    // recipients: [{ receiverId, variables }], already validated and de-duplicated by the caller
+    async createCampaign(sessionId, { name, messageText, media, recipients, startAt, sendWindow, autoStart }) {
+        const campaignId = uuidv4();
+        let mediaPath = null;
+
+        if (media) {
+            const mediaDir = this.getMediaDir(sessionId);
+            if (!fs.existsSync(mediaDir)) {
+                fs.mkdirSync(mediaDir, { recursive: true });
+            }
+            mediaPath = path.join(mediaDir, `${campaignId}.bin`);
+            await fs.promises.writeFile(mediaPath, media.buffer);
+        }
+
+        try {
+            await this.database.createCampaign({
+                id: campaignId,
+                session_id: sessionId,
+                name: name || null,
+                message_type: media ? 'media' : 'text',
+                message_template: messageText || '',
+                media_path: mediaPath,
+                media_type: media ? media.mediaType : null,
+                file_name: media ? media.fileName : null,
+                start_at: startAt || null,
+                window_start: sendWindow ? sendWindow.start : null,
+                window_end: sendWindow ? sendWindow.end : null,
+                timezone: sendWindow ? sendWindow.timezone : null
+            }, recipients);
+        } catch (error) {
+            if (mediaPath) {
+                this.removeMediaFile(mediaPath);
+            }
+            throw error;
+        }
+
+        logger.session(sessionId, 'Campaign created', { campaignId, recipients: recipients.length, type: media ? 'media' : 'text' });
+
+        if (autoStart) {
+            return this.startCampaign(sessionId, campaignId);
+        }
+        return this.getCampaign(sessionId, campaignId);
+    }
+
+    async getCampaignRow(sessionId, campaignId) {
+        const row = await this.database.getCampaign(campaignId);
+        // Session tokens must not see other sessions' campaigns
+        if (!row || row.session_id !== sessionId) {
+            throw new Error(`Campaign ${campaignId} not found`);
+        }
+        return row;
+    }
+
+    async getCampaign(sessionId, campaignId) {
+        const row = await this.getCampaignRow(sessionId, campaignId);
+        const counts = await this.database.getCampaignRecipientCounts(campaignId);
+        return this.formatCampaign(row, counts);
+    }
+
+    async getSessionCampaigns(sessionId, status = null, limit = 50, offset = 0) {
+        const rows = await this.database.getCampaignsBySession(sessionId, status, limit, offset);
+        const campaigns = [];
+        for (const row of rows) {
+            const counts = await this.database.getCampaignRecipientCounts(row.id);
+            campaigns.push(this.formatCampaign(row, counts));
+        }
+        return campaigns;
+    }
+
+    async getCampaignRecipients(sessionId, campaignId, status = null, limit = 100, offset = 0) {
+        await this.getCampaignRow(sessionId, campaignId);
+        const rows = await this.database.getCampaignRecipients(campaignId, status, limit, offset);
+        return rows.map(row => ({
+            receiverId: row.receiver_id,
+            variables: this.parseVariables(row.variables),
+            status: row.status,
+            messageId: row.message_id,
+            error: row.error,
+            sentAt: row.sent_at,
+            updatedAt: row.updated_at
+        }));
+    }
+
+    async startCampaign(sessionId, campaignId) {
+        return this.transition(sessionId, campaignId, 'scheduled', ['draft'], 'start');
+    }
+
+    async pauseCampaign(sessionId, campaignId) {
+        return this.transition(sessionId, campaignId, 'paused', ACTIVE_STATUSES, 'pause');
+    }
+
+    async resumeCampaign(sessionId, campaignId) {
+        return this.transition(sessionId, campaignId, 'scheduled', ['paused'], 'resume');
+    }
+
+    async cancelCampaign(sessionId, campaignId) {
+        await this.transition(sessionId, campaignId, 'cancelled', CANCELLABLE_STATUSES, 'cancel');
+        const cancelled = await this.database.cancelPendingCampaignRecipients(campaignId);
+
+        const row = await this.database.getCampaign(campaignId);
+        if (row.media_path) {
+            this.removeMediaFile(row.media_path);
+        }
+
+        logger.session(sessionId, 'Campaign recipients cancelled', { campaignId, cancelled });
+        return this.getCampaign(sessionId, campaignId);
+    }
+
+    async transition(sessionId, campaignId, status, fromStatuses, action) {
+        const row = await this.getCampaignRow(sessionId, campaignId);
+        const changed = await this.database.updateCampaignStatus(campaignId, status, fromStatuses);
+        if (!changed) {
+            throw new Error(`Cannot ${action} a campaign that is ${row.status}`);
+        }
+
+        logger.session(sessionId, `Campaign ${status}`, { campaignId, previousStatus: row.status });
+
+        if (status === 'scheduled') {
+            this.runSession(sessionId);
+        }
+        return this.getCampaign(sessionId, campaignId);
+    }
+
+    formatCampaign(row, counts) {
+        const finalCounts = {
+            pending: counts.pending || 0,
+            sending: counts.sending || 0,
+            sent: counts.sent || 0,
+            failed: counts.failed || 0,
+            cancelled: counts.cancelled || 0
+        };
+        const processed = finalCounts.sent + finalCounts.failed + finalCounts.cancelled;
+
+        return {
+            campaignId: row.id,
+            senderId: row.session_id,
+            name: row.name,
+            status: row.status,
+            type: row.message_type,
+            messageTemplate: row.message_template,
+            mediaType: row.media_type,
+            fileName: row.file_name,
+            startAt: row.start_at ? new Date(row.start_at).toISOString() : null,
+            sendWindow: row.window_start ? { start: row.window_start, end: row.window_end, timezone: row.timezone } : null,
+            totalRecipients: row.total_recipients,
+            counts: finalCounts,
+            progress: row.total_recipients > 0 ? Math.round((processed / row.total_recipients) * 1000) / 10 : 100,
+            lastError: row.last_error,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at,
+            startedAt: row.started_at,
+            completedAt: row.completed_at
+        };
+    }
+
+    parseVariables(value) {
+        try {
+            return JSON.parse(value) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    async pollActiveSessions() {
+        const sessionIds = await this.database.getSessionsWithActiveCampaigns();
+        for (const sessionId of sessionIds) {
+            this.runSession(sessionId);
+        }
+    }
+
+    // Fire-and-forget: starts a send loop unless one is already running for this session
+    runSession(sessionId) {
+        if (this.activeWorkers.has(sessionId)) {
+            return;
+        }
+
+        if ((this.rateLimitedUntil.get(sessionId) || 0) > Date.now()) {
+            return;
+        }
+
+        this.activeWorkers.add(sessionId);
+        this.processSession(sessionId)
+            .catch(error => {
+                logger.error('Campaign worker failed', { sessionId, error: error.message });
+            })
+            .finally(() => {
+                this.activeWorkers.delete(sessionId);
+            });
+    }
+
+    async processSession(sessionId) {
+        while (true) {
+            // Campaigns wait until the session is connected again
+            const session = this.sessionManager.sessions.get(sessionId);
+            if (!session || !session.isSessionConnected()) {
+                return;
+            }
+
+            // Oldest campaign that is inside its send window goes first
+            const campaigns = await this.database.getActiveCampaigns(sessionId);
+            const campaign = campaigns.find(candidate => this.isWithinSendWindow(candidate));
+            if (!campaign) {
+                return;
+            }
+
+            const recipient = await this.database.getNextCampaignRecipient(campaign.id);
+            if (!recipient) {
+                await this.completeCampaign(campaign);
+                continue;
+            }
+
+            // Campaign sends share the session's rate limits with direct and queued sends
+            const slot = await this.sessionManager.reserveSendSlot(sessionId);
+            if (!slot.allowed) {
+                this.rateLimitedUntil.set(sessionId, Date.now() + slot.retryAfterMs);
+                logger.session(sessionId, 'Campaigns paused by rate limit', {
+                    limit: slot.limit,
+                    max: slot.max,
+                    retryIn: Math.ceil(slot.retryAfterMs / 1000) + 's'
+                });
+                return;
+            }
+
+            if (slot.delayMs > 0) {
+                await new Promise(resolve => setTimeout(resolve, slot.delayMs));
+            }
+
+            // Paused or cancelled while waiting for the slot
+            const current = await this.database.getCampaign(campaign.id);
+            if (!current || !ACTIVE_STATUSES.includes(current.status)) {
+                this.sessionManager.releaseSendSlot(sessionId, slot);
+                continue;
+            }
+
+            const claimed = await this.database.updateCampaignRecipient(recipient.id, 'sending');
+            if (!claimed) {
+                this.sessionManager.releaseSendSlot(sessionId, slot);
+                continue;
+            }
+
+            if (current.status === 'scheduled') {
+                await this.database.updateCampaignStatus(campaign.id, 'running', ['scheduled']);
+            }
+
+            const delivered = await this.deliver(session, current, recipient, slot);
+            if (!delivered) {
+                // Connection-level failure: leave the rest for the next poll instead of failing every recipient
+                return;
+            }
+        }
+    }
+
+    // Returns false when the send should be retried later rather than counted against the recipient.
+    // Failed sends give their slot back; a timed-out one keeps it because it may still be delivered
+    async deliver(session, campaign, recipient, slot = null) {
+        const variables = { ...this.parseVariables(recipient.variables), receiverId: recipient.receiver_id };
+        const messageText = renderPlaceholders(campaign.message_template, variables);
+
+        // The timeout doesn't cancel the send, which may still go through, so a timed-out recipient is never re-sent
+        const timeoutError = new Error('Campaign message send timeout (delivery unknown, not retried)');
+        let sendPromise;
+
+        try {
+            if (campaign.message_type === 'media') {
+                const mediaBuffer = await fs.promises.readFile(campaign.media_path);
+                sendPromise = session.sendMediaMessage(recipient.receiver_id, mediaBuffer, campaign.media_type, messageText, campaign.file_name);
+            } else {
+                sendPromise = session.sendTextMessage(recipient.receiver_id, messageText);
+            }
+
+            let timeoutId;
+            const timeoutPromise = new Promise((_, reject) => {
+                timeoutId = setTimeout(() => reject(timeoutError), this.sendTimeout);
+            });
+
+            const result = await Promise.race([sendPromise, timeoutPromise]).finally(() => clearTimeout(timeoutId));
+            const messageId = result?.key?.id || null;
+            this.sessionManager.recordSentMessage(session, result);
+
+            await this.database.updateCampaignRecipient(recipient.id, 'sent', { messageId });
+            logger.session(campaign.session_id, 'Campaign message sent', { campaignId: campaign.id, receiverId: recipient.receiver_id, messageId });
+            return true;
+        } catch (error) {
+            if (error === timeoutError) {
+                await this.database.updateCampaignRecipient(recipient.id, 'failed', { error: error.message });
+                logger.warn('Campaign send timed out, not retried', {
+                    sessionId: campaign.session_id,
+                    campaignId: campaign.id,
+                    receiverId: recipient.receiver_id
+                });
+                this.recordLateDelivery(session, campaign, recipient, sendPromise);
+                return true;
+            }
+
+            this.sessionManager.releaseSendSlot(campaign.session_id, slot);
+
+            if (this.isTransientError(error)) {
+                await this.database.updateCampaignRecipient(recipient.id, 'pending', { error: error.message });
+                logger.warn('Campaign send interrupted, will retry', {
+                    sessionId: campaign.session_id,
+                    campaignId: campaign.id,
+                    receiverId: recipient.receiver_id,
+                    error: error.message
+                });
+                return false;
+            }
+
+            await this.database.updateCampaignRecipient(recipient.id, 'failed', { error: error.message });
+            logger.warn('Campaign message failed', {
+                sessionId: campaign.session_id,
+                campaignId: campaign.id,
+                receiverId: recipient.receiver_id,
+                error: error.message
+            });
+            return true;
+        }
+    }
+
+    // A send that finishes after its timeout was delivered after all; correct the recipient's result
+    recordLateDelivery(session, campaign, recipient, sendPromise) {
+        sendPromise.then(async (result) => {
+            const messageId = result?.key?.id || null;
+            this.sessionManager.recordSentMessage(session, result);
+            await this.database.updateCampaignRecipient(recipient.id, 'sent', { messageId });
+            logger.session(campaign.session_id, 'Campaign message sent after timeout', { campaignId: campaign.id, receiverId: recipient.receiver_id, messageId });
+        }).catch(() => {});
+    }
+
+    async completeCampaign(campaign) {
+        const changed = await this.database.updateCampaignStatus(campaign.id, 'completed', ACTIVE_STATUSES);
+        if (!changed) {
+            return;
+        }
+
+        if (campaign.media_path) {
+            this.removeMediaFile(campaign.media_path);
+        }
+
+        const counts = await this.database.getCampaignRecipientCounts(campaign.id);
+        logger.session(campaign.session_id, 'Campaign completed', {
+            campaignId: campaign.id,
+            sent: counts.sent || 0,
+            failed: counts.failed || 0
+        });
+    }
+
+    // Window is HH:MM-HH:MM in the campaign's timezone; an end before the start spans midnight
+    isWithinSendWindow(campaign, now = new Date()) {
+        if (!campaign.window_start || !campaign.window_end) {
+            return true;
+        }
+
+        const parts = new Intl.DateTimeFormat('en-GB', {
+            timeZone: campaign.timezone || 'UTC',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(now);
+        const hour = parts.find(part => part.type === 'hour').value;
+        const minute = parts.find(part => part.type === 'minute').value;
+        const current = `${hour}:${minute}`;
+
+        if (campaign.window_start <= campaign.window_end) {
+            return current >= campaign.window_start && current < campaign.window_end;
+        }
+        return current >= campaign.window_start || current < campaign.window_end;
+    }
+
+    isTransientError(error) {
+        const errorMessage = (error.message || '').toLowerCase();
+        return errorMessage.includes('not connected') ||
+               errorMessage.includes('connection closed');
+    }
+
+    removeMediaFile(mediaPath) {
+        fs.promises.unlink(mediaPath).catch(() => {});
+    }
+
+    clearRateLimitPause(sessionId) {
+        this.rateLimitedUntil.delete(sessionId);
+    }
+
+    async deleteSessionCampaigns(sessionId) {
+        return this.database.deleteCampaignsBySession(sessionId);
+    }
+}
+
+module.exports = CampaignManager;
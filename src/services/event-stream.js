@@ -0,0 +1,112 @@
+const { EventEmitter } = require('events');
+const BaileysSession = require('./baileys-session');
+const logger = require('../utils/logger');
+
+// Lifecycle events worth keeping for stream consumers; QR and pairing codes stay on /sessionEvents
+const STATUS_EVENT_TYPES = new Set(['connection.update', 'auth.progress', 'session.logged_out']);
+
+// Persisted, resumable feed of the same payloads the webhook receives, for consumers that can't accept webhooks
+class EventStream {
+    constructor(database) {
+        this.database = database;
+        this.retentionHours = parseInt(process.env.EVENT_STREAM_RETENTION_HOURS) || 24;
+        this.replayBatchSize = 500;
+
+        this.emitter = new EventEmitter();
+        this.emitter.setMaxListeners(0); // One listener per open stream
+        this.pruneTimer = null;
+
+        this.handleLifecycleEvent = (event) => {
+            this.publishStatusEvent(event).catch(error => {
+                logger.error('Failed to publish status event to stream', { sessionId: event.sessionId, type: event.type, error: error.message });
+            });
+        };
+    }
+
+    start() {
+        BaileysSession.lifecycleEvents.on('event', this.handleLifecycleEvent);
+
+        if (this.pruneTimer) {
+            clearInterval(this.pruneTimer);
+        }
+
+        this.pruneTimer = setInterval(async () => {
+            try {
+                const removed = await this.database.pruneStreamEvents(Date.now() - this.retentionHours * 60 * 60 * 1000);
+                if (removed > 0) {
+                    logger.info('Pruned stream events', { removed, retentionHours: this.retentionHours });
+                }
+            } catch (error) {
+                logger.error('Error pruning stream events', { error: error.message });
+            }
+        }, 60 * 60 * 1000); // Hourly
+
+        logger.info('Event stream started', { retentionHours: this.retentionHours });
+    }
+
+    stop() {
+        BaileysSession.lifecycleEvents.off('event', this.handleLifecycleEvent);
+
+        if (this.pruneTimer) {
+            clearInterval(this.pruneTimer);
+            this.pruneTimer = null;
+        }
+    }
+
+    // Stores the payload and pushes it to live subscribers; the returned cursor is the row id
+    async publish(sessionId, data) {
+        const eventType = data.event || 'message';
+        const cursor = await this.database.appendStreamEvent(sessionId, eventType, data);
+
+        this.emitter.emit('event', {
+            cursor,
+            sessionId,
+            event: eventType,
+            payload: data
+        });
+
+        return cursor;
+    }
+
+    async publishStatusEvent(event) {
+        if (!STATUS_EVENT_TYPES.has(event.type)) {
+            return;
+        }
+
+        const sessionData = await this.database.getSession(event.sessionId);
+        if (!sessionData || !sessionData.event_stream_enabled) {
+            return;
+        }
+
+        const { type, ...details } = event;
+        await this.publish(event.sessionId, { event: type, ...details });
+    }
+
+    // Live events for the given sessions; returns an unsubscribe function
+    subscribe(sessionIds, listener) {
+        const wanted = new Set(sessionIds);
+        const handler = (event) => {
+            if (wanted.has(event.sessionId)) {
+                listener(event);
+            }
+        };
+        this.emitter.on('event', handler);
+        return () => this.emitter.off('event', handler);
+    }
+
+    async getEventsAfter(sessionIds, cursor, limit = this.replayBatchSize) {
+        const rows = await this.database.getStreamEventsAfter(sessionIds, cursor, limit);
+        return rows.map(row => ({
+            cursor: row.id,
+            sessionId: row.session_id,
+            event: row.event_type,
+            payload: row.payload
+        }));
+    }
+
+    async getCursorBounds(sessionIds) {
+        return this.database.getStreamCursorBounds(sessionIds);
+    }
+}
+
+module.exports = EventStream;
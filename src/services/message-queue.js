@@ -0,0 +1,328 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+
+class MessageQueue {
+    constructor(sessionManager) {
+        this.sessionManager = sessionManager;
+        this.database = sessionManager.database;
+
+        this.pollInterval = parseInt(process.env.MESSAGE_QUEUE_POLL_INTERVAL) || 5000;
+        this.maxAttempts = parseInt(process.env.MESSAGE_QUEUE_MAX_ATTEMPTS) || 5;
+        this.retryBaseDelay = parseInt(process.env.MESSAGE_QUEUE_RETRY_BASE_DELAY) || 5000;
+        this.retryMaxDelay = parseInt(process.env.MESSAGE_QUEUE_RETRY_MAX_DELAY) || 10 * 60 * 1000;
+        this.sendTimeout = parseInt(process.env.MESSAGE_QUEUE_SEND_TIMEOUT) || 30000;
+
+        this.activeWorkers = new Set(); // One drain loop per session at a time
+        this.rateLimitedUntil = new Map(); // Sessions paused by their send limits
+        this.pollTimer = null;
+    }
+
+    async start() {
+        try {
+            const interrupted = await this.database.failInterruptedMessages('Send interrupted by a server restart (delivery unknown, not retried)');
+            interrupted.filter(row => row.message_type === 'media').forEach((row) => {
+                this.removeMediaFile(JSON.parse(row.payload).mediaPath);
+            });
+            if (interrupted.length > 0) {
+                logger.warn('Failed messages interrupted by restart', { count: interrupted.length });
+            }
+        } catch (error) {
+            logger.error('Failed to settle interrupted messages', { error: error.message });
+        }
+
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+        }
+
+        this.pollTimer = setInterval(() => {
+            this.pollDueSessions().catch(error => {
+                logger.error('Error polling message queue', { error: error.message });
+            });
+        }, this.pollInterval);
+
+        logger.info('Message queue started', {
+            pollInterval: this.pollInterval / 1000 + 's',
+            maxAttempts: this.maxAttempts
+        });
+    }
+
+    stop() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+        logger.info('Message queue stopped');
+    }
+
+    getMediaDir(sessionId) {
+        return path.join(process.env.SESSION_STORAGE_PATH || './sessions', sessionId, 'queue');
+    }
+
+    async enqueueText(sessionId, receiverId, messageText) {
+        const queueId = uuidv4();
+
+        await this.database.enqueueMessage({
+            id: queueId,
+            session_id: sessionId,
+            receiver_id: receiverId,
+            message_type: 'text',
+            payload: { messageText },
+            max_attempts: this.maxAttempts
+        });
+
+        logger.session(sessionId, 'Text message queued', { queueId, receiverId });
+        this.drainSession(sessionId);
+        return queueId;
+    }
+
+    async enqueueMedia(sessionId, receiverId, mediaBuffer, mediaType, caption = '', fileName = null) {
+        const queueId = uuidv4();
+
+        // Media is kept on disk next to the session so the queue row stays small
+        const mediaDir = this.getMediaDir(sessionId);
+        if (!fs.existsSync(mediaDir)) {
+            fs.mkdirSync(mediaDir, { recursive: true });
+        }
+        const mediaPath = path.join(mediaDir, `${queueId}.bin`);
+        await fs.promises.writeFile(mediaPath, mediaBuffer);
+
+        try {
+            await this.database.enqueueMessage({
+                id: queueId,
+                session_id: sessionId,
+                receiver_id: receiverId,
+                message_type: 'media',
+                payload: { mediaPath, mediaType, caption, fileName, size: mediaBuffer.length },
+                max_attempts: this.maxAttempts
+            });
+        } catch (error) {
+            this.removeMediaFile(mediaPath);
+            throw error;
+        }
+
+        logger.session(sessionId, 'Media message queued', { queueId, receiverId, mediaType, size: mediaBuffer.length });
+        this.drainSession(sessionId);
+        return queueId;
+    }
+
+    async getMessage(queueId) {
+        const row = await this.database.getQueuedMessage(queueId);
+        return row ? this.formatMessage(row) : null;
+    }
+
+    async getSessionMessages(sessionId, status = null, limit = 50) {
+        const rows = await this.database.getQueuedMessagesBySession(sessionId, status, limit);
+        return rows.map(row => this.formatMessage(row));
+    }
+
+    formatMessage(row) {
+        let payload = {};
+        try {
+            payload = JSON.parse(row.payload);
+        } catch (error) {
+            payload = {};
+        }
+
+        return {
+            queueId: row.id,
+            senderId: row.session_id,
+            receiverId: row.receiver_id,
+            type: row.message_type,
+            status: row.status,
+            attempts: row.attempts,
+            maxAttempts: row.max_attempts,
+            nextAttemptAt: row.status === 'queued' ? new Date(row.next_attempt_at).toISOString() : null,
+            lastError: row.last_error,
+            messageId: row.message_id,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at,
+            sentAt: row.sent_at,
+            ...(row.message_type === 'text'
+                ? { messageLength: payload.messageText ? payload.messageText.length : 0 }
+                : { mediaType: payload.mediaType, fileName: payload.fileName, caption: payload.caption, size: payload.size })
+        };
+    }
+
+    async pollDueSessions() {
+        const sessionIds = await this.database.getSessionsWithDueMessages();
+        for (const sessionId of sessionIds) {
+            this.drainSession(sessionId);
+        }
+    }
+
+    // Fire-and-forget: starts a drain loop unless one is already running for this session
+    drainSession(sessionId) {
+        if (this.activeWorkers.has(sessionId)) {
+            return;
+        }
+
+        if ((this.rateLimitedUntil.get(sessionId) || 0) > Date.now()) {
+            return;
+        }
+
+        this.activeWorkers.add(sessionId);
+        this.processSession(sessionId)
+            .catch(error => {
+                logger.error('Message queue worker failed', { sessionId, error: error.message });
+            })
+            .finally(() => {
+                this.activeWorkers.delete(sessionId);
+            });
+    }
+
+    async processSession(sessionId) {
+        while (true) {
+            // Messages wait in the queue until the session is connected again
+            const session = this.sessionManager.sessions.get(sessionId);
+            if (!session || !session.isSessionConnected()) {
+                return;
+            }
+
+            const row = await this.database.getNextDueQueuedMessage(sessionId);
+            if (!row) {
+                return;
+            }
+
+            // Queued sends share the session's rate limits with direct sends
+            const slot = await this.sessionManager.reserveSendSlot(sessionId);
+            if (!slot.allowed) {
+                this.rateLimitedUntil.set(sessionId, Date.now() + slot.retryAfterMs);
+                logger.session(sessionId, 'Message queue paused by rate limit', {
+                    limit: slot.limit,
+                    max: slot.max,
+                    retryIn: Math.ceil(slot.retryAfterMs / 1000) + 's'
+                });
+                return;
+            }
+
+            if (slot.delayMs > 0) {
+                await new Promise(resolve => setTimeout(resolve, slot.delayMs));
+            }
+
+            const claimed = await this.database.markQueuedMessageSending(row.id);
+            if (!claimed) {
+                this.sessionManager.releaseSendSlot(sessionId, slot);
+                continue;
+            }
+
+            await this.deliver(session, row, row.attempts + 1, slot);
+        }
+    }
+
+    // Failed sends give their slot back; a timed-out one keeps it because it may still be delivered
+    async deliver(session, row, attempt, slot = null) {
+        const payload = JSON.parse(row.payload);
+        // WhatsApp may still deliver a send we stopped waiting for, so a timeout is never retried
+        const timeoutError = new Error('Queued message send timeout (delivery unknown, not retried)');
+        let sendPromise;
+
+        try {
+            if (row.message_type === 'media') {
+                const mediaBuffer = await fs.promises.readFile(payload.mediaPath);
+                sendPromise = session.sendMediaMessage(row.receiver_id, mediaBuffer, payload.mediaType, payload.caption, payload.fileName);
+            } else {
+                sendPromise = session.sendTextMessage(row.receiver_id, payload.messageText);
+            }
+
+            let timeoutId;
+            const timeoutPromise = new Promise((_, reject) => {
+                timeoutId = setTimeout(() => reject(timeoutError), this.sendTimeout);
+            });
+
+            const result = await Promise.race([sendPromise, timeoutPromise]).finally(() => clearTimeout(timeoutId));
+            const messageId = result?.key?.id || null;
+            this.sessionManager.recordSentMessage(session, result);
+
+            await this.database.markQueuedMessageSent(row.id, messageId);
+            if (row.message_type === 'media') {
+                this.removeMediaFile(payload.mediaPath);
+            }
+
+            logger.session(row.session_id, 'Queued message sent', { queueId: row.id, messageId, attempt });
+        } catch (error) {
+            if (error === timeoutError) {
+                await this.database.markQueuedMessageFailed(row.id, error.message);
+                if (row.message_type === 'media') {
+                    this.removeMediaFile(payload.mediaPath);
+                }
+
+                logger.warn('Queued message send timed out, not retried', {
+                    sessionId: row.session_id,
+                    queueId: row.id,
+                    attempt
+                });
+                this.recordLateDelivery(session, row, sendPromise);
+                return;
+            }
+
+            this.sessionManager.releaseSendSlot(row.session_id, slot);
+
+            if (this.isPermanentError(error) || attempt >= row.max_attempts) {
+                await this.database.markQueuedMessageFailed(row.id, error.message);
+                if (row.message_type === 'media') {
+                    this.removeMediaFile(payload.mediaPath);
+                }
+
+                logger.error('Queued message failed permanently', {
+                    sessionId: row.session_id,
+                    queueId: row.id,
+                    attempt,
+                    error: error.message
+                });
+                return;
+            }
+
+            const retryDelay = this.getRetryDelay(attempt);
+            await this.database.markQueuedMessageRetry(row.id, error.message, Date.now() + retryDelay);
+
+            logger.warn('Queued message send failed, will retry', {
+                sessionId: row.session_id,
+                queueId: row.id,
+                attempt,
+                retryIn: retryDelay / 1000 + 's',
+                error: error.message
+            });
+        }
+    }
+
+    recordLateDelivery(session, row, sendPromise) {
+        sendPromise.then(async (result) => {
+            const messageId = result?.key?.id || null;
+            this.sessionManager.recordSentMessage(session, result);
+            await this.database.markQueuedMessageSent(row.id, messageId);
+            logger.session(row.session_id, 'Queued message sent after timeout', { queueId: row.id, messageId });
+        }).catch(() => {});
+    }
+
+    getRetryDelay(attempt) {
+        // Exponential backoff with a little jitter so retries from many sessions don't line up
+        const delay = Math.min(this.retryBaseDelay * Math.pow(2, attempt - 1), this.retryMaxDelay);
+        return delay + Math.floor(Math.random() * 1000);
+    }
+
+    isPermanentError(error) {
+        const errorMessage = (error.message || '').toLowerCase();
+        return errorMessage.includes('not registered on whatsapp') ||
+               errorMessage.includes('forbidden') ||
+               errorMessage.includes('not a participant') ||
+               errorMessage.includes('enoent');
+    }
+
+    removeMediaFile(mediaPath) {
+        fs.promises.unlink(mediaPath).catch(() => {});
+    }
+
+    clearRateLimitPause(sessionId) {
+        this.rateLimitedUntil.delete(sessionId);
+    }
+
+    async deleteSessionMessages(sessionId) {
+        const deleted = await this.database.deleteQueuedMessagesBySession(sessionId);
+        await fs.promises.rm(this.getMediaDir(sessionId), { recursive: true, force: true });
+        return deleted;
+    }
+}
+
+module.exports = MessageQueue;
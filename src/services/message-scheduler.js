@@ -0,0 +1,412 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { normalizeScheduleRule, getNextRunAt } = require('../utils/schedule');
+
+// Sends text or media at a set time or on a recurring rule, evaluated in the schedule's timezone
+class MessageScheduler {
+    constructor(sessionManager) {
+        this.sessionManager = sessionManager;
+        this.database = sessionManager.database;
+
+        this.pollInterval = parseInt(process.env.SCHEDULER_POLL_INTERVAL) || 15000;
+        this.missedGrace = parseInt(process.env.SCHEDULE_MISSED_GRACE) || 5 * 60 * 1000;
+        this.defaultTimezone = process.env.SCHEDULE_DEFAULT_TIMEZONE || 'UTC';
+        this.sendTimeout = parseInt(process.env.MESSAGE_QUEUE_SEND_TIMEOUT) || 30000;
+
+        this.activeWorkers = new Set(); // One run loop per session at a time
+        this.rateLimitedUntil = new Map(); // Sessions paused by their send limits
+        this.pollTimer = null;
+    }
+
+    async start() {
+        try {
+            // A run cut off mid-send may already have been delivered, so it is failed rather than sent again
+            const interrupted = await this.database.getInterruptedSchedules();
+            for (const row of interrupted) {
+                await this.finishRun(row, { lastStatus: 'failed', lastError: 'Run interrupted by a server restart (delivery unknown, not retried)' });
+            }
+            if (interrupted.length > 0) {
+                logger.warn('Failed scheduled runs interrupted by restart', { count: interrupted.length });
+            }
+        } catch (error) {
+            logger.error('Failed to settle interrupted scheduled runs', { error: error.message });
+        }
+
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+        }
+
+        this.pollTimer = setInterval(() => {
+            this.pollDueSessions().catch(error => {
+                logger.error('Error polling scheduled messages', { error: error.message });
+            });
+        }, this.pollInterval);
+
+        logger.info('Message scheduler started', {
+            pollInterval: this.pollInterval / 1000 + 's',
+            missedGrace: this.missedGrace / 1000 + 's',
+            defaultTimezone: this.defaultTimezone
+        });
+    }
+
+    stop() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+        logger.info('Message scheduler stopped');
+    }
+
+    getMediaDir(sessionId) {
+        return path.join(process.env.SESSION_STORAGE_PATH || './sessions', sessionId, 'schedules');
+    }
+
+    normalizeRule(schedule, timezone) {
+        try {
+            return normalizeScheduleRule(schedule, timezone);
+        } catch (error) {
+            throw new Error(`Invalid schedule: ${error.message}`);
+        }
+    }
+
+    // Next run after `after` that falls before endAt, or null when the schedule is finished
+    planNextRun(rule, timezone, endAt, after) {
+        let nextRunAt;
+        try {
+            nextRunAt = getNextRunAt(rule, timezone, after);
+        } catch (error) {
+            return null;
+        }
+        return nextRunAt !== null && (!endAt || nextRunAt <= endAt) ? nextRunAt : null;
+    }
+
+    async createSchedule(sessionId, { receiverId, messageText, media, schedule, timezone, missedPolicy, endAt }) {
+        const finalTimezone = timezone || this.defaultTimezone;
+        const rule = this.normalizeRule(schedule, finalTimezone);
+        const nextRunAt = this.planNextRun(rule, finalTimezone, endAt, Date.now());
+        if (nextRunAt === null) {
+            throw new Error('Invalid schedule: it has no upcoming run (time already passed or endAt is before the first run)');
+        }
+
+        const scheduleId = uuidv4();
+        let payload = { messageText };
+
+        // Media is kept on disk next to the session and reused by every run
+        if (media) {
+            const mediaDir = this.getMediaDir(sessionId);
+            if (!fs.existsSync(mediaDir)) {
+                fs.mkdirSync(mediaDir, { recursive: true });
+            }
+            const mediaPath = path.join(mediaDir, `${scheduleId}.bin`);
+            await fs.promises.writeFile(mediaPath, media.buffer);
+            payload = { mediaPath, mediaType: media.mediaType, caption: messageText || '', fileName: media.fileName, size: media.buffer.length };
+        }
+
+        try {
+            await this.database.createScheduledMessage({
+                id: scheduleId,
+                session_id: sessionId,
+                receiver_id: receiverId,
+                message_type: media ? 'media' : 'text',
+                payload,
+                schedule_type: rule.type,
+                schedule_rule: rule.rule,
+                cron_expression: rule.expression,
+                timezone: finalTimezone,
+                missed_policy: missedPolicy || 'catch_up',
+                end_at: endAt || null,
+                next_run_at: nextRunAt
+            });
+        } catch (error) {
+            if (media) {
+                this.removeMediaFile(payload.mediaPath);
+            }
+            throw error;
+        }
+
+        logger.session(sessionId, 'Message scheduled', {
+            scheduleId,
+            receiverId,
+            scheduleType: rule.type,
+            timezone: finalTimezone,
+            nextRunAt: new Date(nextRunAt).toISOString()
+        });
+        return this.getSchedule(sessionId, scheduleId);
+    }
+
+    async getScheduleRow(sessionId, scheduleId) {
+        const row = await this.database.getScheduledMessage(scheduleId);
+        // Session tokens must not see other sessions' schedules
+        if (!row || row.session_id !== sessionId) {
+            throw new Error(`Scheduled message ${scheduleId} not found`);
+        }
+        return row;
+    }
+
+    async getSchedule(sessionId, scheduleId) {
+        return this.formatSchedule(await this.getScheduleRow(sessionId, scheduleId));
+    }
+
+    async getSessionSchedules(sessionId, status = null, limit = 50, offset = 0) {
+        const rows = await this.database.getScheduledMessagesBySession(sessionId, status, limit, offset);
+        return rows.map(row => this.formatSchedule(row));
+    }
+
+    // Only provided fields change; a new rule, timezone or endAt recomputes the next run from now
+    async updateSchedule(sessionId, scheduleId, { receiverId, messageText, schedule, timezone, missedPolicy, endAt }) {
+        const row = await this.getScheduleRow(sessionId, scheduleId);
+        if (row.status !== 'active') {
+            throw new Error(`Cannot update a scheduled message that is ${row.status}`);
+        }
+
+        const finalTimezone = timezone || row.timezone;
+        const finalEndAt = endAt === undefined ? row.end_at : endAt;
+        let rule = { type: row.schedule_type, rule: JSON.parse(row.schedule_rule), expression: row.cron_expression };
+        let nextRunAt = row.next_run_at;
+
+        if (schedule !== undefined || timezone !== undefined || endAt !== undefined) {
+            if (schedule !== undefined) {
+                rule = this.normalizeRule(schedule, finalTimezone);
+            }
+            nextRunAt = this.planNextRun(rule, finalTimezone, finalEndAt, Date.now());
+            if (nextRunAt === null) {
+                throw new Error('Invalid schedule: it has no upcoming run (time already passed or endAt is before the next run)');
+            }
+        }
+
+        const payload = JSON.parse(row.payload);
+        if (messageText !== undefined) {
+            if (row.message_type === 'media') {
+                payload.caption = messageText;
+            } else {
+                payload.messageText = messageText;
+            }
+        }
+
+        const changed = await this.database.updateScheduledMessage(scheduleId, {
+            receiver_id: receiverId || row.receiver_id,
+            payload,
+            schedule_type: rule.type,
+            schedule_rule: rule.rule,
+            cron_expression: rule.expression,
+            timezone: finalTimezone,
+            missed_policy: missedPolicy || row.missed_policy,
+            end_at: finalEndAt || null,
+            next_run_at: nextRunAt
+        });
+        if (!changed) {
+            // Picked up for sending between the read and the write
+            throw new Error('Cannot update a scheduled message while it is being sent');
+        }
+
+        logger.session(sessionId, 'Scheduled message updated', { scheduleId, nextRunAt: new Date(nextRunAt).toISOString() });
+        return this.getSchedule(sessionId, scheduleId);
+    }
+
+    async cancelSchedule(sessionId, scheduleId) {
+        const row = await this.getScheduleRow(sessionId, scheduleId);
+        const changed = await this.database.cancelScheduledMessage(scheduleId);
+        if (!changed) {
+            throw new Error(`Cannot cancel a scheduled message that is ${row.status}`);
+        }
+
+        if (row.message_type === 'media') {
+            this.removeMediaFile(JSON.parse(row.payload).mediaPath);
+        }
+
+        logger.session(sessionId, 'Scheduled message cancelled', { scheduleId });
+        return this.getSchedule(sessionId, scheduleId);
+    }
+
+    formatSchedule(row) {
+        const payload = JSON.parse(row.payload);
+        const rule = JSON.parse(row.schedule_rule);
+        const toIso = (timestamp) => (timestamp ? new Date(timestamp).toISOString() : null);
+
+        return {
+            scheduleId: row.id,
+            senderId: row.session_id,
+            receiverId: row.receiver_id,
+            type: row.message_type,
+            ...(row.message_type === 'text'
+                ? { messageText: payload.messageText }
+                : { mediaType: payload.mediaType, fileName: payload.fileName, caption: payload.caption, size: payload.size }),
+            schedule: row.schedule_type === 'once' ? { type: 'once', at: toIso(rule.at) } : { type: row.schedule_type, ...rule },
+            timezone: row.timezone,
+            missedPolicy: row.missed_policy,
+            endAt: toIso(row.end_at),
+            status: row.status,
+            nextRunAt: toIso(row.next_run_at),
+            lastRunAt: toIso(row.last_run_at),
+            runCount: row.run_count,
+            lastStatus: row.last_status,
+            lastError: row.last_error,
+            lastMessageId: row.last_message_id,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    async pollDueSessions() {
+        const sessionIds = await this.database.getSessionsWithDueSchedules();
+        for (const sessionId of sessionIds) {
+            this.runSession(sessionId);
+        }
+    }
+
+    // Fire-and-forget: starts a run loop unless one is already running for this session
+    runSession(sessionId) {
+        if (this.activeWorkers.has(sessionId)) {
+            return;
+        }
+
+        if ((this.rateLimitedUntil.get(sessionId) || 0) > Date.now()) {
+            return;
+        }
+
+        this.activeWorkers.add(sessionId);
+        this.processSession(sessionId)
+            .catch(error => {
+                logger.error('Scheduler worker failed', { sessionId, error: error.message });
+            })
+            .finally(() => {
+                this.activeWorkers.delete(sessionId);
+            });
+    }
+
+    async processSession(sessionId) {
+        while (true) {
+            const row = await this.database.getNextDueScheduledMessage(sessionId);
+            if (!row) {
+                return;
+            }
+
+            // A run is "missed" once it is overdue by more than the grace period (server down, session offline)
+            const missed = Date.now() - row.next_run_at > this.missedGrace;
+            if (missed && row.missed_policy === 'skip') {
+                if (await this.database.claimScheduledMessage(row.id, row.next_run_at)) {
+                    await this.finishRun(row, { lastStatus: 'skipped', lastError: 'Missed run skipped by policy' });
+                }
+                continue;
+            }
+
+            // Due runs wait until the session is connected again
+            const session = this.sessionManager.sessions.get(sessionId);
+            if (!session || !session.isSessionConnected()) {
+                return;
+            }
+
+            // Scheduled sends share the session's rate limits with direct and queued sends
+            const slot = await this.sessionManager.reserveSendSlot(sessionId);
+            if (!slot.allowed) {
+                this.rateLimitedUntil.set(sessionId, Date.now() + slot.retryAfterMs);
+                logger.session(sessionId, 'Scheduled messages paused by rate limit', {
+                    limit: slot.limit,
+                    max: slot.max,
+                    retryIn: Math.ceil(slot.retryAfterMs / 1000) + 's'
+                });
+                return;
+            }
+
+            if (slot.delayMs > 0) {
+                await new Promise(resolve => setTimeout(resolve, slot.delayMs));
+            }
+
+            const claimed = await this.database.claimScheduledMessage(row.id, row.next_run_at);
+            if (!claimed) {
+                this.sessionManager.releaseSendSlot(sessionId, slot);
+                continue;
+            }
+
+            await this.runSchedule(row, missed, slot);
+        }
+    }
+
+    // Sends through SessionManager so scheduled messages get the same reconnect handling and bookkeeping as API sends.
+    // Failed sends give their slot back; a timed-out one keeps it because it may still be delivered
+    async runSchedule(row, missed, slot = null) {
+        const payload = JSON.parse(row.payload);
+        // WhatsApp may still deliver a send we stopped waiting for, so a timed-out run is never retried
+        const timeoutError = new Error('Scheduled message send timeout (delivery unknown, not retried)');
+        let sendPromise;
+
+        try {
+            if (row.message_type === 'media') {
+                const mediaBuffer = await fs.promises.readFile(payload.mediaPath);
+                sendPromise = this.sessionManager.sendMediaMessage(row.session_id, row.receiver_id, mediaBuffer, payload.mediaType, payload.caption, payload.fileName);
+            } else {
+                sendPromise = this.sessionManager.sendTextMessage(row.session_id, row.receiver_id, payload.messageText);
+            }
+
+            let timeoutId;
+            const timeoutPromise = new Promise((_, reject) => {
+                timeoutId = setTimeout(() => reject(timeoutError), this.sendTimeout);
+            });
+
+            const result = await Promise.race([sendPromise, timeoutPromise]).finally(() => clearTimeout(timeoutId));
+            const messageId = result?.key?.id || null;
+            await this.finishRun(row, { lastStatus: 'sent', lastMessageId: messageId, sent: true });
+            logger.session(row.session_id, 'Scheduled message sent', { scheduleId: row.id, messageId, caughtUp: missed });
+        } catch (error) {
+            if (error === timeoutError) {
+                const runAt = Date.now();
+                await this.finishRun(row, { lastStatus: 'failed', lastError: error.message, runAt });
+                logger.warn('Scheduled message send timed out, not retried', {
+                    sessionId: row.session_id,
+                    scheduleId: row.id
+                });
+                this.recordLateDelivery(row, runAt, sendPromise);
+                return;
+            }
+
+            this.sessionManager.releaseSendSlot(row.session_id, slot);
+            await this.finishRun(row, { lastStatus: 'failed', lastError: error.message });
+            logger.error('Scheduled message failed', {
+                sessionId: row.session_id,
+                scheduleId: row.id,
+                error: error.message
+            });
+        }
+    }
+
+    recordLateDelivery(row, runAt, sendPromise) {
+        sendPromise.then(async (result) => {
+            const messageId = result?.key?.id || null;
+            await this.database.recordLateScheduledRun(row.id, runAt, messageId);
+            logger.session(row.session_id, 'Scheduled message sent after timeout', { scheduleId: row.id, messageId });
+        }).catch(() => {});
+    }
+
+    // Recurring schedules move on to their next run after now, so a catch-up sends once rather than once per missed run
+    async finishRun(row, outcome) {
+        const rule = { type: row.schedule_type, rule: JSON.parse(row.schedule_rule), expression: row.cron_expression };
+        const nextRunAt = this.planNextRun(rule, row.timezone, row.end_at, Date.now());
+
+        let status = 'active';
+        if (nextRunAt === null) {
+            status = row.schedule_type === 'once' && outcome.lastStatus !== 'sent' ? outcome.lastStatus : 'completed';
+        }
+
+        await this.database.recordScheduledRun(row.id, { status, nextRunAt, ...outcome });
+
+        if (status !== 'active' && row.message_type === 'media') {
+            this.removeMediaFile(JSON.parse(row.payload).mediaPath);
+        }
+    }
+
+    removeMediaFile(mediaPath) {
+        fs.promises.unlink(mediaPath).catch(() => {});
+    }
+
+    clearRateLimitPause(sessionId) {
+        this.rateLimitedUntil.delete(sessionId);
+    }
+
+    async deleteSessionSchedules(sessionId) {
+        return this.database.deleteScheduledMessagesBySession(sessionId);
+    }
+}
+
+module.exports = MessageScheduler;
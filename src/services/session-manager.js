@@ -1,8 +1,14 @@
 const BaileysSession = require('./baileys-session');
 const WebhookManager = require('./webhook-manager');
+const MessageQueue = require('./message-queue');
+const CampaignManager = require('./campaign-manager');
+const MessageScheduler = require('./message-scheduler');
+const TemplateManager = require('./template-manager');
+const EventStream = require('./event-stream');
 const Database = require('../database/db');
 const logger = require('../utils/logger');
 const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
@@ -10,7 +16,12 @@ class SessionManager {
     constructor() {
         this.sessions = new Map();
         this.database = new Database(process.env.DB_PATH);
-        this.webhookManager = new WebhookManager();
+        this.webhookManager = new WebhookManager(this.database);
+        
+        // NEW: Resumable event feed for consumers that can't receive webhooks (/eventStream)
+        this.eventStream = new EventStream(this.database);
+        this.webhookManager.setEventStream(this.eventStream);
+        this.eventStream.start();
         this.maxSessions = parseInt(process.env.MAX_CONCURRENT_SESSIONS) || 100;
         this.isInitialized = false;
         
@@ -25,7 +36,11 @@ class SessionManager {
         this.sessionUsageTracker = new Map(); // Track session usage patterns
         this.sessionRecoveryLocks = new Map(); // Prevent multiple recovery attempts
         this.maxSessionUsagePerMinute = parseInt(process.env.MAX_SESSION_USAGE_PER_MINUTE) || 20; // Max 20 messages per minute per session
-        this.sessionCooldownPeriod = parseInt(process.env.SESSION_COOLDOWN_PERIOD) || 60000; // 1 minute cooldown
+        this.maxSessionUsagePerHour = parseInt(process.env.MAX_SESSION_USAGE_PER_HOUR) || 200;
+        this.maxSessionUsagePerDay = parseInt(process.env.MAX_SESSION_USAGE_PER_DAY) || 1000;
+        this.sessionCooldownPeriod = parseInt(process.env.SESSION_COOLDOWN_PERIOD) || 60000; // 1 minute cooldown after hitting the per-minute limit
+        this.minSendDelay = parseInt(process.env.SEND_DELAY_MIN_MS) || 1000; // Randomized gap between consecutive sends
+        this.maxSendDelay = parseInt(process.env.SEND_DELAY_MAX_MS) || 3000;
         
         // ENHANCED: Periodic health monitor with longer intervals
         this.healthCheckInterval = null;
@@ -46,6 +61,115 @@ class SessionManager {
 
         // Start health monitor
         this.startHealthMonitor();
+
+        // NEW: Remove inbound media past its retention period
+        this.mediaCleanupTimer = null;
+        this.startMediaCleanup();
+
+        // NEW: Bounded store of message protos for Baileys' getMessage (retries, poll votes)
+        this.messageStoreRetentionHours = parseInt(process.env.MESSAGE_STORE_RETENTION_HOURS) || 72;
+        const maxStoredMessages = parseInt(process.env.MESSAGE_STORE_MAX_PER_SESSION);
+        this.messageStoreMaxPerSession = isNaN(maxStoredMessages) ? 5000 : maxStoredMessages;
+        this.messageStorePruneTimer = null;
+
+        // Chat history kept for getChatHistory and edits/deletes (0 = keep forever)
+        const historyRetentionDays = parseInt(process.env.MESSAGE_HISTORY_RETENTION_DAYS);
+        this.messageHistoryRetentionDays = isNaN(historyRetentionDays) ? 90 : historyRetentionDays;
+        this.startMessageStorePruning();
+
+        // WhatsApp only accepts edits and deletes for everyone of recent messages
+        this.messageEditWindow = parseInt(process.env.MESSAGE_EDIT_WINDOW) || 15 * 60 * 1000; // 15 minutes
+        this.messageDeleteWindow = parseInt(process.env.MESSAGE_DELETE_WINDOW) || 60 * 60 * 60 * 1000; // 60 hours
+
+        // Persistent outbound queue drained by per-session workers
+        this.messageQueue = new MessageQueue(this);
+        this.messageQueue.start().catch(error => {
+            logger.error('Failed to start message queue', { error: error.message });
+        });
+
+        // NEW: Bulk broadcast campaigns, paced through the same send limits
+        this.campaignManager = new CampaignManager(this);
+        this.campaignManager.start().catch(error => {
+            logger.error('Failed to start campaign manager', { error: error.message });
+        });
+
+        // NEW: Reusable message templates (per session or shared per user_id)
+        this.templateManager = new TemplateManager(this.database);
+
+        // NEW: One-off and recurring scheduled sends
+        this.messageScheduler = new MessageScheduler(this);
+        this.messageScheduler.start().catch(error => {
+            logger.error('Failed to start message scheduler', { error: error.message });
+        });
+    }
+
+    startMediaCleanup() {
+        if (this.mediaCleanupTimer) {
+            clearInterval(this.mediaCleanupTimer);
+        }
+
+        this.mediaCleanupTimer = setInterval(async () => {
+            try {
+                await this.cleanupExpiredMedia();
+            } catch (error) {
+                logger.error('Error during inbound media cleanup', { error: error.message });
+            }
+        }, 60 * 60 * 1000); // Hourly
+    }
+
+    async cleanupExpiredMedia() {
+        const expiredFiles = await this.database.getExpiredMediaFiles();
+
+        for (const mediaFile of expiredFiles) {
+            try {
+                await fs.promises.unlink(mediaFile.file_path);
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    logger.warn('Failed to remove expired media file', { mediaId: mediaFile.id, error: error.message });
+                    continue;
+                }
+            }
+            await this.database.deleteMediaFile(mediaFile.id);
+        }
+
+        if (expiredFiles.length > 0) {
+            logger.info('Expired inbound media removed', { count: expiredFiles.length });
+        }
+    }
+
+    startMessageStorePruning() {
+        if (this.messageStorePruneTimer) {
+            clearInterval(this.messageStorePruneTimer);
+        }
+
+        this.messageStorePruneTimer = setInterval(async () => {
+            try {
+                await this.pruneMessageStore();
+            } catch (error) {
+                logger.error('Error pruning message store', { error: error.message });
+            }
+            try {
+                await this.pruneMessageHistory();
+            } catch (error) {
+                logger.error('Error pruning message history', { error: error.message });
+            }
+        }, 60 * 60 * 1000); // Hourly
+    }
+
+    async pruneMessageStore() {
+        const cutoff = Date.now() - this.messageStoreRetentionHours * 60 * 60 * 1000;
+        await this.database.pruneMessagePayloads(cutoff, this.messageStoreMaxPerSession);
+    }
+
+    async pruneMessageHistory() {
+        if (this.messageHistoryRetentionDays <= 0) {
+            return;
+        }
+
+        const removed = await this.database.pruneMessages(Date.now() - this.messageHistoryRetentionDays * 24 * 60 * 60 * 1000);
+        if (removed > 0) {
+            logger.info('Old message history removed', { count: removed, retentionDays: this.messageHistoryRetentionDays });
+        }
     }
 
     startSessionHealthMonitoring() {
@@ -493,7 +617,7 @@ class SessionManager {
                 const sessionData = {
                     session_id: sessionId, // Use senderId as session_id
                     name: additionalData.name || `Session-${sessionId}`,
-                    auth_token: null, // No longer using per-session auth tokens
+                    auth_token: null, // Issued separately via issueSessionToken() so only the hash is stored
                     user_id: additionalData.user_id || sessionId, // Use provided user_id or default to senderId
                     admin_id: additionalData.admin_id || null, // Use provided admin_id
                     webhook_url: additionalData.webhook_url || null
@@ -603,18 +727,65 @@ class SessionManager {
 
     async getSessionByAuthToken(authToken) {
         try {
-            const sessionData = await this.database.getSessionByAuthToken(authToken);
+            const sessionData = await this.database.getSessionByAuthToken(this.hashAuthToken(authToken));
             if (!sessionData) {
                 return null;
             }
             
             return this.sessions.get(sessionData.session_id);
         } catch (error) {
-            logger.error('Failed to get session by auth token', { authToken, error: error.message });
+            logger.error('Failed to get session by auth token', { error: error.message });
             return null;
         }
     }
 
+    // Per-session tokens are stored as SHA-256 hashes so the plain token is only ever shown once
+    hashAuthToken(authToken) {
+        return crypto.createHash('sha256').update(String(authToken)).digest('hex');
+    }
+
+    // Resolve an authToken to its scope: the global AUTH_TOKEN is an admin key, anything else must be a session token
+    async resolveAuthToken(authToken) {
+        if (!authToken) {
+            return null;
+        }
+
+        if (process.env.AUTH_TOKEN && authToken === process.env.AUTH_TOKEN) {
+            return { isAdmin: true, sessionId: null };
+        }
+
+        const sessionData = await this.database.getSessionByAuthToken(this.hashAuthToken(authToken));
+        if (!sessionData) {
+            return null;
+        }
+
+        return { isAdmin: false, sessionId: sessionData.session_id };
+    }
+
+    // Issue a new session token, replacing (and thereby invalidating) any previous one
+    async issueSessionToken(sessionId) {
+        const sessionToken = crypto.randomBytes(32).toString('hex');
+        const changes = await this.database.updateSessionAuthToken(sessionId, this.hashAuthToken(sessionToken));
+
+        if (!changes) {
+            throw new Error(`Session ${sessionId} not found in database`);
+        }
+
+        logger.info('Session token issued', { sessionId });
+        return sessionToken;
+    }
+
+    async revokeSessionToken(sessionId) {
+        const changes = await this.database.updateSessionAuthToken(sessionId, null);
+
+        if (!changes) {
+            throw new Error(`Session ${sessionId} not found in database`);
+        }
+
+        logger.info('Session token revoked', { sessionId });
+        return true;
+    }
+
     async destroySession(sessionId) {
         const session = this.sessions.get(sessionId);
         if (!session) {
@@ -693,6 +864,19 @@ class SessionManager {
             }
 
             // Delete from database
+            await this.messageQueue.deleteSessionMessages(sessionId);
+            await this.campaignManager.deleteSessionCampaigns(sessionId);
+            await this.messageScheduler.deleteSessionSchedules(sessionId);
+            await this.templateManager.deleteSessionTemplates(sessionId);
+            await this.database.deleteMessageStatusBySession(sessionId);
+            await this.database.deleteWebhookEventsBySession(sessionId);
+            await this.database.deleteMediaFilesBySession(sessionId);
+            await this.database.deleteMessagesBySession(sessionId);
+            await this.database.deleteMessagePayloadsBySession(sessionId);
+            await this.database.deleteContactsBySession(sessionId);
+            await this.database.deleteChatsBySession(sessionId);
+            await this.database.deleteStreamEventsBySession(sessionId);
+            this.sessionUsageTracker.delete(sessionId);
             await this.database.deleteSession(sessionId);
             logger.info('Session deleted permanently', { sessionId });
             return true;
@@ -798,7 +982,7 @@ class SessionManager {
             const result = await Promise.race([sendPromise, sendTimeoutPromise]);
             
             logger.info('Text message sent successfully', { senderId, receiverId });
-            return result;
+            return this.recordSentMessage(session, result);
 
         } catch (error) {
             logger.error('Error in sendTextMessage with auto-recovery', { 
@@ -827,7 +1011,7 @@ class SessionManager {
                     if (freshSession && freshSession.isSessionConnected()) {
                         const retryResult = await freshSession.sendTextMessage(receiverId, messageText);
                         logger.info('Message sent successfully on retry', { senderId, receiverId });
-                        return retryResult;
+                        return this.recordSentMessage(freshSession, retryResult);
                     } else {
                         throw new Error('Fresh session still not connected');
                     }
@@ -866,20 +1050,20 @@ class SessionManager {
                     await this.waitForConnection(newSession, 15000); // OPTIMIZED: Reduced from 30s to 15s
                 }
                 
-                return await newSession.sendMediaMessage(receiverId, mediaBuffer, mediaType, caption, fileName);
+                return this.recordSentMessage(newSession, await newSession.sendMediaMessage(receiverId, mediaBuffer, mediaType, caption, fileName));
             }
             
             // OPTIMIZED: Session exists - check if it's connecting with faster timeout
             if (session.isConnecting) {
                 logger.info('Session is connecting, waiting for connection', { senderId });
                 await this.waitForConnection(session, 15000); // OPTIMIZED: Reduced from 30s to 15s
-                return await session.sendMediaMessage(receiverId, mediaBuffer, mediaType, caption, fileName);
+                return this.recordSentMessage(session, await session.sendMediaMessage(receiverId, mediaBuffer, mediaType, caption, fileName));
             }
             
             // Check if session is connected
             if (session.isSessionConnected()) {
                 logger.info('Session connected, sending media message', { senderId });
-                return await session.sendMediaMessage(receiverId, mediaBuffer, mediaType, caption, fileName);
+                return this.recordSentMessage(session, await session.sendMediaMessage(receiverId, mediaBuffer, mediaType, caption, fileName));
             }
             
             // Session exists but not connected - attempt recovery
@@ -914,7 +1098,7 @@ class SessionManager {
                 await this.waitForConnection(recoveredSession, 15000); // OPTIMIZED: Reduced from 30s to 15s
             }
             
-            return await recoveredSession.sendMediaMessage(receiverId, mediaBuffer, mediaType, caption, fileName);
+            return this.recordSentMessage(recoveredSession, await recoveredSession.sendMediaMessage(receiverId, mediaBuffer, mediaType, caption, fileName));
             
         } catch (error) {
             logger.error('Error in sendMediaMessage with enhanced recovery', {
@@ -941,10 +1125,10 @@ class SessionManager {
                     const freshSession = await this.getSessionBySenderId(senderId);
                     
                     if (freshSession && freshSession.isSessionConnected()) {
-                        return await freshSession.sendMediaMessage(receiverId, mediaBuffer, mediaType, caption, fileName);
+                        return this.recordSentMessage(freshSession, await freshSession.sendMediaMessage(receiverId, mediaBuffer, mediaType, caption, fileName));
                     } else if (freshSession) {
                         await this.waitForConnection(freshSession, 15000); // OPTIMIZED: Reduced from 30s to 15s
-                        return await freshSession.sendMediaMessage(receiverId, mediaBuffer, mediaType, caption, fileName);
+                        return this.recordSentMessage(freshSession, await freshSession.sendMediaMessage(receiverId, mediaBuffer, mediaType, caption, fileName));
                     }
                 } catch (retryError) {
                     logger.error('Final recovery attempt also failed', { 
@@ -959,6 +1143,130 @@ class SessionManager {
         }
     }
 
+    // Runs a send on a connected session, reconnecting first if needed (used by the rich message types)
+    async sendWithConnectedSession(senderId, description, sendFn) {
+        let session = await this.getSessionBySenderId(senderId);
+        if (!session) {
+            throw new Error('Session not found in memory');
+        }
+
+        const sessionData = await this.database.getSession(senderId);
+        if (sessionData && (sessionData.status === 'requires_qr' || sessionData.status === 'logged_out')) {
+            throw new Error('Session requires fresh QR scan. Please generate a new QR code and scan with your device.');
+        }
+
+        if (!session.isSessionConnected()) {
+            if (!session.isConnecting) {
+                logger.info('Session not connected, attempting auto-reconnect', { senderId, description });
+                await this.autoReconnectSession(senderId);
+                session = await this.getSessionBySenderId(senderId) || session;
+            }
+
+            try {
+                await this.waitForConnection(session, 15000);
+            } catch (waitError) {
+                throw new Error('Connection timeout - session failed to connect within 15 seconds');
+            }
+        }
+
+        let timeoutId;
+        const sendTimeoutPromise = new Promise((_, reject) => {
+            timeoutId = setTimeout(() => reject(new Error(`${description} send timeout`)), 12000);
+        });
+
+        const result = await Promise.race([sendFn(session), sendTimeoutPromise]).finally(() => clearTimeout(timeoutId));
+        logger.info(`${description} sent successfully`, { senderId });
+        return this.recordSentMessage(session, result);
+    }
+
+    // Adds an API send to the message history and the getMessage store; the emitted 'append' upsert is de-duplicated
+    recordSentMessage(session, result) {
+        if (result?.key) {
+            session.storeMessage(result);
+            session.storeMessagePayload(result);
+        }
+        return result;
+    }
+
+    async sendLocationMessage(senderId, receiverId, location) {
+        return this.sendWithConnectedSession(senderId, 'Location message', session => session.sendLocationMessage(receiverId, location));
+    }
+
+    async sendContactMessage(senderId, receiverId, contacts) {
+        return this.sendWithConnectedSession(senderId, 'Contact message', session => session.sendContactMessage(receiverId, contacts));
+    }
+
+    async sendPollMessage(senderId, receiverId, question, options, selectableCount = 1) {
+        return this.sendWithConnectedSession(senderId, 'Poll message', session => session.sendPollMessage(receiverId, question, options, selectableCount));
+    }
+
+    async sendReaction(senderId, receiverId, messageId, emoji, fromMe = false, participant = null) {
+        return this.sendWithConnectedSession(senderId, 'Reaction', session => session.sendReaction(receiverId, messageId, emoji, fromMe, participant));
+    }
+
+    async sendReplyMessage(senderId, receiverId, messageText, quotedMessageId, quoted = {}) {
+        return this.sendWithConnectedSession(senderId, 'Reply message', session => session.sendReplyMessage(receiverId, messageText, quotedMessageId, quoted));
+    }
+
+    // The history store is the only record of who sent a message and when, so it decides what may be edited or deleted
+    async getOwnRecentMessage(senderId, chatId, messageId, windowMs, action) {
+        const chatJid = this.normalizeChatJid(chatId);
+        const row = await this.database.getStoredMessage(senderId, messageId, chatJid);
+
+        if (!row) {
+            throw new Error(`Message ${messageId} not found in chat ${chatJid} (only messages in the message history can be edited or deleted)`);
+        }
+        if (!row.from_me) {
+            throw new Error(`Message ${messageId} was not sent by this session`);
+        }
+        if (row.message_type === 'revoked') {
+            throw new Error(`Cannot ${action} message ${messageId}: it was already deleted for everyone`);
+        }
+
+        const ageMs = Date.now() - row.message_timestamp * 1000;
+        if (ageMs > windowMs) {
+            throw new Error(`Message ${messageId} is too old to ${action}: sent ${Math.floor(ageMs / 60000)} minutes ago, WhatsApp allows ${Math.floor(windowMs / 60000)} minutes`);
+        }
+
+        return { row, chatJid };
+    }
+
+    async editMessage(senderId, chatId, messageId, messageText) {
+        const { row, chatJid } = await this.getOwnRecentMessage(senderId, chatId, messageId, this.messageEditWindow, 'edit');
+        if (row.message_type !== 'text') {
+            throw new Error(`Cannot edit message ${messageId}: only text messages can be edited`);
+        }
+
+        const result = await this.sendWithConnectedSession(senderId, 'Message edit', session => session.editMessage(chatJid, messageId, messageText));
+
+        let content = {};
+        try {
+            content = row.content ? JSON.parse(row.content) : {};
+        } catch (error) {
+            content = {};
+        }
+        await this.database.updateStoredMessageContent(senderId, chatJid, messageId, 'text', messageText, {
+            ...content,
+            type: 'text',
+            content: messageText,
+            editedAt: Date.now()
+        });
+
+        return { result, chatJid };
+    }
+
+    async deleteMessage(senderId, chatId, messageId) {
+        const { chatJid } = await this.getOwnRecentMessage(senderId, chatId, messageId, this.messageDeleteWindow, 'delete');
+
+        const result = await this.sendWithConnectedSession(senderId, 'Message delete', session => session.deleteMessageForEveryone(chatJid, messageId));
+        await this.database.updateStoredMessageContent(senderId, chatJid, messageId, 'revoked', null, {
+            type: 'revoked',
+            revokedAt: Date.now()
+        });
+
+        return { result, chatJid };
+    }
+
     async getQRCode(senderId) {
         try {
             // Use enhanced session creation
@@ -1000,25 +1308,7 @@ class SessionManager {
         try {
             logger.info('API QR code requested', { senderId });
             
-            // CRITICAL FIX: Use getSessionBySenderId to get existing session or create a minimal one
-            let session = await this.getSessionBySenderId(senderId);
-            
-            if (!session) {
-                // Create session without auto-recovery
-                const sessionData = await this.database.getSession(senderId);
-                if (!sessionData) {
-                    throw new Error(`Session not found. Please create session first.`);
-                }
-                
-                // Create new session instance with lazy initialization
-                session = new BaileysSession(senderId, this.database, this.webhookManager);
-                session.setAutoConnect(false); // Don't auto-connect
-                
-                this.sessions.set(senderId, session);
-                
-                // Initialize without connecting
-                await session.initializeWithoutConnection();
-            }
+            const session = await this.getSessionForLogin(senderId);
             
             const now = Date.now();
             
@@ -1094,6 +1384,14 @@ class SessionManager {
                     await this.restartSessionSocket(session, senderId);
                     break;
                     
+                case 'PAIRING_CODE_VALID':
+                case 'PAIRING_CODE_EXPIRED':
+                    // Switching from pairing code to QR - a fresh socket emits a QR ref right away
+                    logger.info('Switching from pairing code to QR login', { senderId });
+                    session.clearPairingCode();
+                    await this.restartSessionSocket(session, senderId);
+                    break;
+                    
                 default:
                     logger.info('Unknown authentication state, proceeding with caution', { senderId });
             }
@@ -1154,6 +1452,191 @@ class SessionManager {
         }
     }
     
+    // Returns the in-memory session for login flows, creating it lazily (without auto-recovery) when needed
+    async getSessionForLogin(senderId) {
+        // CRITICAL FIX: Use getSessionBySenderId to get existing session or create a minimal one
+        let session = await this.getSessionBySenderId(senderId);
+        
+        if (!session) {
+            // Create session without auto-recovery
+            const sessionData = await this.database.getSession(senderId);
+            if (!sessionData) {
+                throw new Error(`Session not found. Please create session first.`);
+            }
+            
+            // Create new session instance with lazy initialization
+            session = new BaileysSession(senderId, this.database, this.webhookManager);
+            session.setAutoConnect(false); // Don't auto-connect
+            
+            this.sessions.set(senderId, session);
+            
+            // Initialize without connecting
+            await session.initializeWithoutConnection();
+        }
+        
+        return session;
+    }
+    
+    // Pairing-code login: same caching and regeneration rules as getQRCodeForAPI
+    async getPairingCodeForAPI(senderId, phoneNumber) {
+        try {
+            logger.info('API pairing code requested', { senderId, phoneNumber });
+            
+            const session = await this.getSessionForLogin(senderId);
+            
+            if (session.isSessionConnected()) {
+                logger.info('Session already connected, no pairing code needed', { senderId });
+                throw new Error('Session already connected. No pairing code needed.');
+            }
+            
+            const authenticationState = this.getAuthenticationState(session);
+            logger.info('Authentication state analysis', { 
+                senderId, 
+                state: authenticationState.state,
+                socketState: authenticationState.socketState,
+                details: authenticationState.details
+            });
+            
+            switch (authenticationState.state) {
+                case 'AUTHENTICATION_TIMEOUT':
+                case 'NEED_FRESH_START':
+                    logger.info('Starting fresh authentication process for pairing', { senderId });
+                    await this.clearAuthenticationData(session, senderId);
+                    break;
+                    
+                case 'AUTHENTICATION_IN_PROGRESS':
+                    // Code was entered on the phone (or a QR scanned) - never hand out a new code now
+                    logger.info('Authentication in progress - preserving state', { senderId });
+                    if (session.pairingCode) {
+                        return {
+                            pairingCode: session.pairingCode,
+                            phoneNumber: session.pairingPhoneNumber,
+                            state: 'AUTHENTICATION_IN_PROGRESS',
+                            message: 'Pairing code entered. Authentication in progress. Please wait...',
+                            shouldStopPolling: true,
+                            estimatedWaitTime: 30000,
+                            authDuration: authenticationState.authDuration || 0
+                        };
+                    }
+                    throw new Error('Authentication in progress. Please wait for completion.');
+                    
+                case 'PAIRING_CODE_VALID':
+                    if (session.pairingPhoneNumber === phoneNumber) {
+                        logger.info('Returning cached valid pairing code', { senderId });
+                        return {
+                            pairingCode: session.pairingCode,
+                            phoneNumber: phoneNumber,
+                            state: 'PAIRING_CODE_READY',
+                            message: 'Pairing code ready',
+                            shouldStopPolling: false,
+                            expiresIn: Math.max(0, session.pairingCodeExpiry - (Date.now() - session.pairingCodeTimestamp)),
+                            generatedAt: session.pairingCodeTimestamp
+                        };
+                    }
+                    logger.info('Pairing requested for a different number, generating a new code', { senderId });
+                    break;
+                    
+                case 'PAIRING_CODE_EXPIRED':
+                case 'QR_VALID':
+                case 'QR_EXPIRED':
+                    // The socket is still usable - a new code can be requested on it
+                    break;
+                    
+                case 'SOCKET_ERROR':
+                    logger.info('Socket error detected, restarting', { senderId });
+                    await this.restartSessionSocket(session, senderId);
+                    break;
+                    
+                default:
+                    logger.info('Unknown authentication state, proceeding with caution', { senderId });
+            }
+            
+            session.setQRDisplayMode(true, true);
+            await session.startPairing(phoneNumber);
+            
+            if (!session.socket || session.socket.readyState === 3) {
+                logger.info('Creating new socket for pairing code', { senderId });
+                await session.connect();
+            }
+            
+            // The code is requested once the socket is ready (its first QR ref), usually within a few seconds
+            let attempts = 0;
+            const maxAttempts = 100; // 10 seconds (100 * 100ms)
+            
+            while (attempts < maxAttempts && !session.pairingCode && !session.pairingCodeError) {
+                await new Promise(resolve => setTimeout(resolve, 100));
+                attempts++;
+                
+                if (session.isSessionConnected()) {
+                    throw new Error('Session connected successfully. No pairing code needed.');
+                }
+            }
+            
+            if (!session.pairingCode) {
+                throw new Error(`Pairing code generation failed${session.pairingCodeError ? `: ${session.pairingCodeError}` : ''}. Please try again.`);
+            }
+            
+            logger.info('Fresh pairing code generated successfully', { senderId });
+            
+            return {
+                pairingCode: session.pairingCode,
+                phoneNumber: phoneNumber,
+                state: 'PAIRING_CODE_READY',
+                message: 'Fresh pairing code generated. Enter it in WhatsApp under Linked devices > Link with phone number instead.',
+                shouldStopPolling: false,
+                expiresIn: session.pairingCodeExpiry,
+                generatedAt: session.pairingCodeTimestamp
+            };
+            
+        } catch (error) {
+            logger.error('Error in getPairingCodeForAPI', { senderId, error: error.message });
+            throw error;
+        }
+    }
+    
+    // NEW: Live lifecycle events (QR, pairing, connection, logout) for one session; returns an unsubscribe function
+    subscribeToSessionEvents(senderId, listener) {
+        const handler = (event) => {
+            if (event.sessionId === senderId) {
+                listener(event);
+            }
+        };
+        BaileysSession.lifecycleEvents.on('event', handler);
+        return () => BaileysSession.lifecycleEvents.off('event', handler);
+    }
+    
+    // Current login state, sent to live subscribers when they connect so they don't wait for the next event
+    async getSessionSnapshot(senderId) {
+        const sessionData = await this.database.getSession(senderId);
+        const session = this.sessions.get(senderId);
+        const now = Date.now();
+        
+        const snapshot = {
+            type: 'snapshot',
+            sessionId: senderId,
+            databaseStatus: sessionData ? sessionData.status : null,
+            isConnected: false,
+            state: session ? this.getAuthenticationState(session).state : 'SESSION_NOT_IN_MEMORY',
+            qrCode: null,
+            pairingCode: null,
+            timestamp: now
+        };
+        
+        if (session) {
+            snapshot.isConnected = session.isSessionConnected();
+            if (snapshot.state === 'QR_VALID') {
+                snapshot.qrCode = session.qrCodeData;
+                snapshot.expiresIn = Math.max(0, 20000 - (now - session.qrCodeTimestamp));
+            } else if (snapshot.state === 'PAIRING_CODE_VALID') {
+                snapshot.pairingCode = session.pairingCode;
+                snapshot.phoneNumber = session.pairingPhoneNumber;
+                snapshot.expiresIn = Math.max(0, session.pairingCodeExpiry - (now - session.pairingCodeTimestamp));
+            }
+        }
+        
+        return snapshot;
+    }
+    
     // Helper method to analyze authentication state
     getAuthenticationState(session) {
         const now = Date.now();
@@ -1210,6 +1693,24 @@ class SessionManager {
             }
         }
         
+        // NEW: Pairing-code login - a code is valid until it expires or is entered on the phone
+        if (session.pairingCode && session.pairingCodeTimestamp) {
+            const codeAge = now - session.pairingCodeTimestamp;
+            
+            if (codeAge < session.pairingCodeExpiry) {
+                return {
+                    state: 'PAIRING_CODE_VALID',
+                    socketState: socketState,
+                    details: `Pairing code is ${codeAge}ms old, still valid`
+                };
+            }
+            return {
+                state: 'PAIRING_CODE_EXPIRED',
+                socketState: socketState,
+                details: `Pairing code expired (${codeAge}ms old)`
+            };
+        }
+        
         // NEW: Check for timing-based auto-detection
         if (session.qrCodeTimestamp) {
             const qrAge = now - session.qrCodeTimestamp;
@@ -1341,6 +1842,7 @@ class SessionManager {
             session.qrCodeData = null;
             session.qrCodeString = null;
             session.qrCodeTimestamp = null;
+            session.clearPairingCode();
             
             // NEW: Clear authentication state flags
             session.clearAuthenticationState();
@@ -1594,9 +2096,277 @@ class SessionManager {
         }
     }
 
-    async getGroups(senderId) {
+    // CRITICAL: Per-session rate limits; NULL columns fall back to env defaults, 0 disables a limit
+    getRateLimitConfig(sessionData) {
+        const pick = (value, fallback) => (value === null || value === undefined ? fallback : value);
+        const minDelayMs = pick(sessionData?.send_delay_min_ms, this.minSendDelay);
+
+        return {
+            perMinute: pick(sessionData?.rate_limit_per_minute, this.maxSessionUsagePerMinute),
+            perHour: pick(sessionData?.rate_limit_per_hour, this.maxSessionUsagePerHour),
+            perDay: pick(sessionData?.rate_limit_per_day, this.maxSessionUsagePerDay),
+            minDelayMs: minDelayMs,
+            maxDelayMs: Math.max(pick(sessionData?.send_delay_max_ms, this.maxSendDelay), minDelayMs),
+            cooldownMs: this.sessionCooldownPeriod
+        };
+    }
+
+    async getSessionUsage(sessionId) {
+        const dayMs = 24 * 60 * 60 * 1000;
+        let usage = this.sessionUsageTracker.get(sessionId);
+
+        if (!usage) {
+            usage = { sendTimestamps: [], nextSendAt: 0, cooldownUntil: 0 };
+            this.sessionUsageTracker.set(sessionId, usage);
+
+            // Seed from recorded sends so a restart doesn't hand out a fresh daily budget
+            try {
+                const recentSends = await this.database.getOutgoingMessageTimestamps(sessionId, Date.now() - dayMs);
+                usage.sendTimestamps = recentSends.concat(usage.sendTimestamps);
+            } catch (error) {
+                logger.warn('Could not seed session usage from database', { sessionId, error: error.message });
+            }
+        }
+
+        const cutoff = Date.now() - dayMs;
+        usage.sendTimestamps = usage.sendTimestamps.filter(timestamp => timestamp > cutoff);
+        return usage;
+    }
+
+    // Reserves a send for the session. Returns { allowed: true, delayMs, ... } (wait delayMs before sending)
+    // or { allowed: false, limit, max, retryAfterMs } when a limit is exhausted.
+    async reserveSendSlot(sessionId, sessionData = null) {
+        const sessionRow = sessionData || await this.database.getSession(sessionId);
+        const limits = this.getRateLimitConfig(sessionRow);
+        const usage = await this.getSessionUsage(sessionId);
+        const now = Date.now();
+
+        if (usage.cooldownUntil > now) {
+            return { allowed: false, limit: 'cooldown', max: limits.perMinute, retryAfterMs: usage.cooldownUntil - now };
+        }
+
+        const windows = [
+            { limit: 'per_minute', windowMs: 60 * 1000, max: limits.perMinute },
+            { limit: 'per_hour', windowMs: 60 * 60 * 1000, max: limits.perHour },
+            { limit: 'per_day', windowMs: 24 * 60 * 60 * 1000, max: limits.perDay }
+        ];
+
+        for (const { limit, windowMs, max } of windows) {
+            if (!max) {
+                continue;
+            }
+
+            const sendsInWindow = usage.sendTimestamps.filter(timestamp => timestamp > now - windowMs);
+            if (sendsInWindow.length >= max) {
+                let retryAfterMs = sendsInWindow[0] + windowMs - now;
+
+                // Bursting into the per-minute limit puts the session on cooldown
+                if (limit === 'per_minute' && limits.cooldownMs > 0) {
+                    usage.cooldownUntil = now + limits.cooldownMs;
+                    retryAfterMs = Math.max(retryAfterMs, limits.cooldownMs);
+                }
+
+                logger.warn('Session send rate limit reached', { sessionId, limit, max, retryAfterMs });
+                return { allowed: false, limit, max, retryAfterMs };
+            }
+        }
+
+        // Space consecutive sends by a random gap so traffic doesn't look scripted
+        const gapMs = limits.minDelayMs + Math.floor(Math.random() * (limits.maxDelayMs - limits.minDelayMs + 1));
+        const previousNextSendAt = usage.nextSendAt;
+        const sendAt = Math.max(now, usage.nextSendAt);
+        usage.nextSendAt = sendAt + gapMs;
+        usage.sendTimestamps.push(sendAt);
+
+        return { allowed: true, delayMs: sendAt - now, sendAt, previousNextSendAt, nextSendAt: usage.nextSendAt };
+    }
+
+    // Gives back a reservation whose send never happened (rejected input, failed send)
+    releaseSendSlot(sessionId, slot) {
+        const usage = this.sessionUsageTracker.get(sessionId);
+        if (!usage || !slot?.allowed) {
+            return;
+        }
+
+        const index = usage.sendTimestamps.lastIndexOf(slot.sendAt);
+        if (index !== -1) {
+            usage.sendTimestamps.splice(index, 1);
+        }
+        // Only rewind the pacing if nothing was reserved after this slot
+        if (usage.nextSendAt === slot.nextSendAt) {
+            usage.nextSendAt = slot.previousNextSendAt;
+        }
+    }
+
+    async getRateLimitStatus(sessionId) {
+        const sessionData = await this.database.getSession(sessionId);
+        const limits = this.getRateLimitConfig(sessionData);
+        const usage = await this.getSessionUsage(sessionId);
+        const now = Date.now();
+        const countSince = (windowMs) => usage.sendTimestamps.filter(timestamp => timestamp > now - windowMs).length;
+        const isSet = (value) => value !== null && value !== undefined;
+
+        return {
+            limits: limits,
+            usage: {
+                lastMinute: countSince(60 * 1000),
+                lastHour: countSince(60 * 60 * 1000),
+                lastDay: countSince(24 * 60 * 60 * 1000)
+            },
+            cooldownUntil: usage.cooldownUntil > now ? new Date(usage.cooldownUntil).toISOString() : null,
+            customized: {
+                perMinute: isSet(sessionData?.rate_limit_per_minute),
+                perHour: isSet(sessionData?.rate_limit_per_hour),
+                perDay: isSet(sessionData?.rate_limit_per_day),
+                sendDelay: isSet(sessionData?.send_delay_min_ms) || isSet(sessionData?.send_delay_max_ms)
+            }
+        };
+    }
+
+    async updateRateLimitSettings(sessionId, settings) {
+        await this.database.updateRateLimitSettings(sessionId, settings);
+
+        // Limits changed, so drop any cooldown computed from the old ones
+        const usage = this.sessionUsageTracker.get(sessionId);
+        if (usage) {
+            usage.cooldownUntil = 0;
+        }
+        this.messageQueue.clearRateLimitPause(sessionId);
+        this.campaignManager.clearRateLimitPause(sessionId);
+        this.messageScheduler.clearRateLimitPause(sessionId);
+
+        logger.info('Session rate limits updated', { sessionId, ...settings });
+        return this.getRateLimitStatus(sessionId);
+    }
+
+    async getMessageStatus(senderId, messageId) {
+        const status = await this.database.getMessageStatus(senderId, messageId);
+        if (!status) {
+            return null;
+        }
+
+        const events = await this.database.getMessageStatusEvents(senderId, messageId);
+        return {
+            messageId: status.message_id,
+            senderId: status.session_id,
+            remoteJid: status.remote_jid,
+            status: status.status,
+            createdAt: status.created_at,
+            updatedAt: status.updated_at,
+            history: events.map(event => ({
+                status: event.status,
+                participant: event.participant,
+                timestamp: event.event_timestamp,
+                recordedAt: event.created_at
+            }))
+        };
+    }
+
+    // formatAsWhatsAppJID doesn't depend on session state, so history lookups work for offline sessions too
+    normalizeChatJid(chatId) {
+        return BaileysSession.prototype.formatAsWhatsAppJID(String(chatId));
+    }
+
+    formatStoredMessage(row) {
+        let content = null;
+        try {
+            content = row.content ? JSON.parse(row.content) : null;
+        } catch (error) {
+            content = null;
+        }
+
+        return {
+            messageId: row.message_id,
+            chatId: row.chat_jid,
+            fromMe: !!row.from_me,
+            sender: row.from_me ? null : row.sender_jid,
+            pushName: row.push_name,
+            type: row.message_type,
+            text: row.text,
+            content: content,
+            timestamp: row.message_timestamp,
+            ...(row.from_me ? { status: row.delivery_status || null } : {})
+        };
+    }
+
+    async getChatHistory(senderId, chatId, limit = 50, cursor = null) {
+        const chatJid = this.normalizeChatJid(chatId);
+        const rows = await this.database.getChatMessages(senderId, chatJid, limit + 1, cursor);
+        const hasMore = rows.length > limit;
+        const page = hasMore ? rows.slice(0, limit) : rows;
+        const last = page[page.length - 1];
+
+        return {
+            chatId: chatJid,
+            messages: page.map(row => this.formatStoredMessage(row)),
+            hasMore: hasMore,
+            // Opaque cursor: "<timestamp>_<row id>" of the oldest message on this page
+            nextCursor: hasMore && last ? `${last.message_timestamp}_${last.id}` : null
+        };
+    }
+
+    async getStoredMessage(senderId, messageId, chatId = null) {
+        const row = await this.database.getStoredMessage(senderId, messageId, chatId ? this.normalizeChatJid(chatId) : null);
+        return row ? this.formatStoredMessage(row) : null;
+    }
+
+    async getConversations(senderId, limit = 20, offset = 0) {
+        const rows = await this.database.getRecentConversations(senderId, limit, offset);
+        return rows.map(row => ({
+            chatId: row.chat_jid,
+            isGroup: row.chat_jid.endsWith('@g.us'),
+            messageCount: row.message_count,
+            lastMessageAt: row.message_timestamp,
+            lastMessage: this.formatStoredMessage(row)
+        }));
+    }
+
+    formatChat(row) {
+        const now = Date.now();
+        return {
+            chatId: row.jid,
+            name: row.display_name !== undefined ? row.display_name : row.name,
+            isGroup: row.jid.endsWith('@g.us'),
+            unreadCount: row.unread_count || 0,
+            markedUnread: !!row.marked_unread,
+            archived: !!row.archived,
+            pinned: !!row.pinned_at,
+            // WhatsApp uses -1 for "muted until unmuted"
+            muted: row.mute_end_time === -1 || (!!row.mute_end_time && row.mute_end_time > now),
+            muteEndTime: row.mute_end_time && row.mute_end_time > 0 ? new Date(row.mute_end_time).toISOString() : null,
+            lastMessage: row.last_message_id ? {
+                messageId: row.last_message_id,
+                type: row.last_message_type,
+                preview: row.last_message_preview,
+                fromMe: !!row.last_message_from_me,
+                timestamp: row.last_message_at
+            } : null,
+            lastMessageAt: row.last_message_at || null
+        };
+    }
+
+    async getChats(senderId, options = {}) {
+        const { chats, total } = await this.database.getChats(senderId, options);
+        return {
+            total: total,
+            chats: chats.map(row => this.formatChat(row))
+        };
+    }
+
+    async modifyChat(senderId, chatId, action, options = {}) {
         const session = await this.getSessionBySenderId(senderId);
-        
+        if (!session) {
+            throw new Error(`Session not found for senderId ${senderId}`);
+        }
+
+        const row = await session.modifyChat(chatId, action, options);
+        return row ? this.formatChat(row) : null;
+    }
+
+    // Group administration runs directly on the connected session (no auto-reconnect: admin actions shouldn't be delayed silently)
+    async runGroupOperation(senderId, operation) {
+        const session = await this.getSessionBySenderId(senderId);
+
         if (!session) {
             throw new Error(`Session not found for senderId ${senderId}`);
         }
@@ -1605,10 +2375,70 @@ class SessionManager {
             throw new Error('Session not connected');
         }
 
-        return await session.getGroups();
+        return operation(session);
+    }
+
+    // Participants with their admin role and a name from the contact store
+    async buildGroupRoster(senderId, metadata) {
+        const participants = metadata.participants || [];
+        const contacts = await this.database.getContactsByJids(senderId, participants.map(participant => participant.id));
+        const contactsByJid = new Map(contacts.map(contact => [contact.jid, contact]));
+
+        return participants.map((participant) => {
+            const contact = contactsByJid.get(participant.id);
+            return {
+                jid: participant.id,
+                // Baileys reports 'superadmin' for the group creator
+                role: participant.admin === 'superadmin' ? 'superadmin' : participant.admin === 'admin' ? 'admin' : 'member',
+                isAdmin: participant.admin === 'admin' || participant.admin === 'superadmin',
+                name: contact ? contact.name || contact.verified_name || contact.notify || null : null
+            };
+        });
     }
 
-    async getContacts(senderId) {
+    async getGroupDetails(senderId, groupId, maxAgeMs) {
+        return this.runGroupOperation(senderId, async (session) => {
+            const { metadata, cachedAt, fromCache, stale } = await session.getGroupMetadata(groupId, maxAgeMs);
+            const participants = await this.buildGroupRoster(senderId, metadata);
+
+            return {
+                group: {
+                    ...session.summarizeGroupMetadata(metadata),
+                    subjectOwner: metadata.subjectOwner || null,
+                    subjectTime: metadata.subjectTime || null,
+                    descOwner: metadata.descOwner || null,
+                    participantCount: participants.length,
+                    adminCount: participants.filter(participant => participant.isAdmin).length,
+                    participants: participants
+                },
+                cache: {
+                    fromCache: fromCache,
+                    stale: !!stale,
+                    cachedAt: new Date(cachedAt).toISOString(),
+                    ageSeconds: Math.floor((Date.now() - cachedAt) / 1000)
+                }
+            };
+        });
+    }
+
+    async exportGroups(senderId) {
+        return this.runGroupOperation(senderId, async (session) => {
+            const groups = await session.getAllGroupMetadata();
+            const exported = [];
+            for (const metadata of groups) {
+                exported.push({
+                    id: metadata.id,
+                    subject: metadata.subject,
+                    owner: metadata.owner || null,
+                    creation: metadata.creation || null,
+                    participants: await this.buildGroupRoster(senderId, metadata)
+                });
+            }
+            return exported;
+        });
+    }
+
+    async getGroups(senderId) {
         const session = await this.getSessionBySenderId(senderId);
         
         if (!session) {
@@ -1619,7 +2449,25 @@ class SessionManager {
             throw new Error('Session not connected');
         }
 
-        return await session.getContacts();
+        return await session.getGroups();
+    }
+
+    // Served from the contact store, so it also works while the session is reconnecting
+    async getContacts(senderId, options = {}) {
+        const { contacts, total } = await this.database.getContacts(senderId, options);
+
+        return {
+            total: total,
+            contacts: contacts.map(contact => ({
+                id: contact.jid,
+                name: contact.name,
+                notify: contact.notify,
+                verifiedName: contact.verified_name,
+                imgUrl: contact.img_url,
+                status: contact.status,
+                lastMessageAt: contact.last_message_at || null
+            }))
+        };
     }
 
     async waitForConnection(session, timeout = 30000) {
@@ -1723,6 +2571,17 @@ class SessionManager {
         }
     }
 
+    // Pass null to stop signing webhooks for the session
+    async updateWebhookSecret(sessionId, webhookSecret) {
+        await this.database.updateWebhookSecret(sessionId, webhookSecret);
+        logger.info('Webhook secret updated', { sessionId, signingEnabled: !!webhookSecret });
+        return true;
+    }
+
+    generateWebhookSecret() {
+        return 'whsec_' + crypto.randomBytes(32).toString('hex');
+    }
+
     async testWebhook(sessionId, webhookUrl) {
         try {
             const result = await this.webhookManager.testWebhook(webhookUrl, sessionId);
@@ -1737,6 +2596,20 @@ class SessionManager {
     async cleanup() {
         logger.info('Cleaning up session manager');
         
+        this.messageQueue.stop();
+        this.campaignManager.stop();
+        this.messageScheduler.stop();
+        this.webhookManager.stopEventPruning();
+        this.eventStream.stop();
+        if (this.mediaCleanupTimer) {
+            clearInterval(this.mediaCleanupTimer);
+            this.mediaCleanupTimer = null;
+        }
+        if (this.messageStorePruneTimer) {
+            clearInterval(this.messageStorePruneTimer);
+            this.messageStorePruneTimer = null;
+        }
+
         for (const [sessionId, session] of this.sessions) {
             try {
                 await session.destroy();
@@ -1780,8 +2653,12 @@ class SessionManager {
                     }
                 }
                 
+                // Never hand out the webhook signing secret, only whether one is set
+                const { webhook_secret: webhookSecret, ...publicSessionData } = sessionData;
+                
                 return {
-                    ...sessionData,
+                    ...publicSessionData,
+                    webhookSigningEnabled: !!webhookSecret,
                     isConnected: isConnected,
                     hasQRCode: hasQRCode,
                     inMemory: !!activeSession,
@@ -0,0 +1,379 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { extractPlaceholders, renderPlaceholders } = require('../utils/placeholders');
+const { isValidTimezone, parseDateTime } = require('../utils/schedule');
+
+const VARIABLE_TYPES = ['string', 'number', 'currency', 'date'];
+const DATE_FORMATS = {
+    date: { dateStyle: 'medium' },
+    datetime: { dateStyle: 'medium', timeStyle: 'short' },
+    time: { timeStyle: 'short' }
+};
+// WhatsApp's own markup, applied around a substituted value
+const VARIABLE_STYLES = {
+    bold: (value) => `*${value}*`,
+    italic: (value) => `_${value}_`,
+    strikethrough: (value) => `~${value}~`,
+    monospace: (value) => '```' + value + '```'
+};
+const TEMPLATE_NAME_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+const VARIABLE_NAME_PATTERN = /^[A-Za-z0-9_]+$/;
+const MAX_BODY_LENGTH = 4096;
+
+// Named, reusable message texts with typed {{variables}} and an optional media attachment
+class TemplateManager {
+    constructor(database) {
+        this.database = database;
+        this.defaultLocale = process.env.TEMPLATE_DEFAULT_LOCALE || 'en-US';
+        this.mediaDir = process.env.TEMPLATE_MEDIA_PATH || './data/templates';
+    }
+
+    // Formats one value by its definition; throws with a short reason when the value doesn't fit the type
+    formatValue(definition, value, locale) {
+        let formatted;
+
+        if (definition.type === 'number' || definition.type === 'currency') {
+            const number = Number(value);
+            if (value === '' || typeof value === 'boolean' || !Number.isFinite(number)) {
+                throw new Error('must be a number');
+            }
+            if (definition.type === 'currency') {
+                formatted = new Intl.NumberFormat(locale, { style: 'currency', currency: definition.currency || 'USD' }).format(number);
+            } else {
+                formatted = definition.decimals !== undefined ? number.toFixed(definition.decimals) : String(number);
+            }
+        } else if (definition.type === 'date') {
+            const timestamp = value instanceof Date ? value.getTime() : parseDateTime(value, definition.timezone || 'UTC');
+            if (isNaN(timestamp)) {
+                throw new Error('must be a date (ISO string or timestamp in ms)');
+            }
+            formatted = new Intl.DateTimeFormat(locale, {
+                ...DATE_FORMATS[definition.format || 'date'],
+                timeZone: definition.timezone || 'UTC'
+            }).format(new Date(timestamp));
+        } else {
+            formatted = String(value);
+            if (definition.maxLength && formatted.length > definition.maxLength) {
+                throw new Error(`must be at most ${definition.maxLength} characters`);
+            }
+        }
+
+        return definition.style ? VARIABLE_STYLES[definition.style](formatted) : formatted;
+    }
+
+    // Validates the declared variables; returns the cleaned definitions (placeholders without one are implicit strings)
+    normalizeVariables(variables, locale) {
+        if (variables === undefined || variables === null) {
+            return [];
+        }
+        if (!Array.isArray(variables)) {
+            throw new Error('Invalid variables: must be an array of { name, type, required, default } definitions');
+        }
+
+        const seen = new Set();
+        return variables.map((variable, index) => {
+            const label = variable && variable.name ? variable.name : `#${index + 1}`;
+            const fail = (reason) => {
+                throw new Error(`Invalid variable ${label}: ${reason}`);
+            };
+
+            if (!variable || typeof variable !== 'object' || !VARIABLE_NAME_PATTERN.test(variable.name || '')) {
+                fail('name is required (letters, digits and underscores)');
+            }
+            if (seen.has(variable.name)) {
+                fail('declared more than once');
+            }
+            seen.add(variable.name);
+
+            const definition = { name: variable.name, type: variable.type || 'string' };
+            if (!VARIABLE_TYPES.includes(definition.type)) {
+                fail(`type must be one of: ${VARIABLE_TYPES.join(', ')}`);
+            }
+            if (variable.description) {
+                definition.description = String(variable.description).slice(0, 200);
+            }
+            if (variable.style !== undefined) {
+                if (!VARIABLE_STYLES[variable.style]) {
+                    fail(`style must be one of: ${Object.keys(VARIABLE_STYLES).join(', ')}`);
+                }
+                definition.style = variable.style;
+            }
+
+            if (definition.type === 'string' && variable.maxLength !== undefined) {
+                if (!Number.isInteger(Number(variable.maxLength)) || Number(variable.maxLength) < 1) {
+                    fail('maxLength must be a positive integer');
+                }
+                definition.maxLength = Number(variable.maxLength);
+            }
+            if (definition.type === 'number' && variable.decimals !== undefined) {
+                if (!Number.isInteger(Number(variable.decimals)) || Number(variable.decimals) < 0 || Number(variable.decimals) > 10) {
+                    fail('decimals must be an integer between 0 and 10');
+                }
+                definition.decimals = Number(variable.decimals);
+            }
+            if (definition.type === 'currency') {
+                definition.currency = String(variable.currency || 'USD').toUpperCase();
+                try {
+                    new Intl.NumberFormat(locale, { style: 'currency', currency: definition.currency });
+                } catch (error) {
+                    fail(`unknown currency ${definition.currency}`);
+                }
+            }
+            if (definition.type === 'date') {
+                if (variable.format !== undefined && !DATE_FORMATS[variable.format]) {
+                    fail(`format must be one of: ${Object.keys(DATE_FORMATS).join(', ')}`);
+                }
+                if (variable.timezone !== undefined && !isValidTimezone(variable.timezone)) {
+                    fail(`unknown timezone ${variable.timezone}`);
+                }
+                definition.format = variable.format || 'date';
+                definition.timezone = variable.timezone || 'UTC';
+            }
+
+            if (variable.default !== undefined && variable.default !== null) {
+                try {
+                    this.formatValue({ ...definition, style: undefined }, variable.default, locale);
+                } catch (error) {
+                    fail(`default ${error.message}`);
+                }
+                definition.default = variable.default;
+            }
+            definition.required = variable.required === undefined ? definition.default === undefined : !!variable.required;
+
+            return definition;
+        });
+    }
+
+    // Declared variables plus an implicit required string for every other placeholder in the body
+    getVariableDefinitions(row) {
+        const declared = JSON.parse(row.variables || '[]');
+        const names = new Set(declared.map(variable => variable.name));
+        const implicit = extractPlaceholders(row.body)
+            .filter(name => !names.has(name))
+            .map(name => ({ name, type: 'string', required: true }));
+        return [...declared, ...implicit];
+    }
+
+    validateTemplateFields({ name, body, locale }, hasMedia) {
+        if (name !== undefined && !TEMPLATE_NAME_PATTERN.test(name)) {
+            throw new Error('Invalid template name: use 1-64 letters, digits, dots, dashes or underscores');
+        }
+        if (String(body || '').length > MAX_BODY_LENGTH) {
+            throw new Error(`Invalid template body: must be at most ${MAX_BODY_LENGTH} characters`);
+        }
+        if (!String(body || '').trim() && !hasMedia) {
+            throw new Error('Invalid template: body is required unless the template has media');
+        }
+        try {
+            new Intl.NumberFormat(locale);
+        } catch (error) {
+            throw new Error(`Invalid locale: ${locale}`);
+        }
+    }
+
+    async storeMedia(templateId, media) {
+        if (!fs.existsSync(this.mediaDir)) {
+            fs.mkdirSync(this.mediaDir, { recursive: true });
+        }
+        const mediaPath = path.join(this.mediaDir, `${templateId}-${Date.now()}.bin`);
+        await fs.promises.writeFile(mediaPath, media.buffer);
+        return {
+            media_path: mediaPath,
+            media_type: media.mediaType,
+            file_name: media.fileName || null,
+            media_size: media.buffer.length
+        };
+    }
+
+    async createTemplate({ scope, ownerId, name, body, variables, locale, media }) {
+        const finalLocale = locale || this.defaultLocale;
+        this.validateTemplateFields({ name, body, locale: finalLocale }, !!media);
+        const definitions = this.normalizeVariables(variables, finalLocale);
+
+        const existing = await this.database.getMessageTemplate(scope, ownerId, name);
+        if (existing) {
+            throw new Error(`Template ${name} already exists`);
+        }
+
+        const templateId = uuidv4();
+        const mediaColumns = media
+            ? await this.storeMedia(templateId, media)
+            : { media_path: null, media_type: null, file_name: null, media_size: null };
+
+        try {
+            await this.database.createMessageTemplate({
+                id: templateId,
+                scope,
+                owner_id: ownerId,
+                name,
+                body: body || '',
+                variables: definitions,
+                locale: finalLocale,
+                ...mediaColumns
+            });
+        } catch (error) {
+            if (mediaColumns.media_path) {
+                this.removeMediaFile(mediaColumns.media_path);
+            }
+            throw error;
+        }
+
+        logger.info('Message template created', { scope, ownerId, name, hasMedia: !!media });
+        return this.formatTemplate(await this.database.getMessageTemplate(scope, ownerId, name));
+    }
+
+    async getTemplateRow(scope, ownerId, name) {
+        const row = await this.database.getMessageTemplate(scope, ownerId, name);
+        if (!row) {
+            throw new Error(`Template ${name} not found`);
+        }
+        return row;
+    }
+
+    // A session's own template wins over a user-wide one with the same name
+    async resolveTemplate(sessionId, userId, name) {
+        const sessionTemplate = await this.database.getMessageTemplate('session', sessionId, name);
+        if (sessionTemplate) {
+            return sessionTemplate;
+        }
+        if (userId) {
+            const userTemplate = await this.database.getMessageTemplate('user', userId, name);
+            if (userTemplate) {
+                return userTemplate;
+            }
+        }
+        throw new Error(`Template ${name} not found`);
+    }
+
+    async listTemplates(sessionId, userId) {
+        const rows = await this.database.getMessageTemplatesForSession(sessionId, userId || null);
+        return rows.map(row => this.formatTemplate(row));
+    }
+
+    // Only provided fields change; media is replaced by a new upload or dropped with removeMedia
+    async updateTemplate(scope, ownerId, name, { body, variables, locale, media, removeMedia }) {
+        const row = await this.getTemplateRow(scope, ownerId, name);
+
+        const finalBody = body !== undefined ? body : row.body;
+        const finalLocale = locale || row.locale || this.defaultLocale;
+        const keepsMedia = !!media || (!!row.media_path && !removeMedia);
+        this.validateTemplateFields({ body: finalBody, locale: finalLocale }, keepsMedia);
+        const definitions = variables !== undefined
+            ? this.normalizeVariables(variables, finalLocale)
+            : this.normalizeVariables(JSON.parse(row.variables || '[]'), finalLocale);
+
+        let mediaColumns = {
+            media_path: row.media_path,
+            media_type: row.media_type,
+            file_name: row.file_name,
+            media_size: row.media_size
+        };
+        if (media) {
+            mediaColumns = await this.storeMedia(row.id, media);
+        } else if (removeMedia) {
+            mediaColumns = { media_path: null, media_type: null, file_name: null, media_size: null };
+        }
+
+        await this.database.updateMessageTemplate(row.id, {
+            body: finalBody,
+            variables: definitions,
+            locale: finalLocale,
+            ...mediaColumns
+        });
+
+        if (row.media_path && row.media_path !== mediaColumns.media_path) {
+            this.removeMediaFile(row.media_path);
+        }
+
+        logger.info('Message template updated', { scope, ownerId, name });
+        return this.formatTemplate(await this.database.getMessageTemplate(scope, ownerId, name));
+    }
+
+    async deleteTemplate(scope, ownerId, name) {
+        const row = await this.getTemplateRow(scope, ownerId, name);
+        await this.database.deleteMessageTemplate(row.id);
+        if (row.media_path) {
+            this.removeMediaFile(row.media_path);
+        }
+        logger.info('Message template deleted', { scope, ownerId, name });
+    }
+
+    // Final text for the given variables; missing or mistyped values are reported together
+    renderTemplate(row, variables = {}) {
+        const locale = row.locale || this.defaultLocale;
+        const values = {};
+        const errors = [];
+
+        for (const definition of this.getVariableDefinitions(row)) {
+            let value = variables[definition.name];
+            if (value === undefined || value === null || value === '') {
+                value = definition.default;
+            }
+
+            if (value === undefined || value === null) {
+                if (definition.required) {
+                    errors.push(`${definition.name} is required`);
+                } else {
+                    values[definition.name] = '';
+                }
+                continue;
+            }
+
+            try {
+                values[definition.name] = this.formatValue(definition, value, locale);
+            } catch (error) {
+                errors.push(`${definition.name} ${error.message}`);
+            }
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid variables: ${errors.join('; ')}`);
+        }
+
+        return {
+            text: renderPlaceholders(row.body, values),
+            values
+        };
+    }
+
+    async loadTemplateMedia(row) {
+        if (!row.media_path) {
+            return null;
+        }
+        return {
+            buffer: await fs.promises.readFile(row.media_path),
+            mediaType: row.media_type,
+            fileName: row.file_name
+        };
+    }
+
+    formatTemplate(row) {
+        return {
+            templateId: row.id,
+            name: row.name,
+            scope: row.scope,
+            ownerId: row.owner_id,
+            body: row.body,
+            locale: row.locale,
+            variables: this.getVariableDefinitions(row),
+            media: row.media_path ? { mediaType: row.media_type, fileName: row.file_name, size: row.media_size } : null,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    removeMediaFile(mediaPath) {
+        fs.promises.unlink(mediaPath).catch(() => {});
+    }
+
+    // User-wide templates outlive a single session, so only the session's own are removed
+    async deleteSessionTemplates(sessionId) {
+        const rows = await this.database.getMessageTemplatesByOwner('session', sessionId);
+        rows.filter(row => row.media_path).forEach(row => this.removeMediaFile(row.media_path));
+        return this.database.deleteMessageTemplatesByOwner('session', sessionId);
+    }
+}
+
+module.exports = TemplateManager;
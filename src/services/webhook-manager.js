@@ -1,8 +1,11 @@
 const axios = require('axios');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
 
 class WebhookManager {
-    constructor() {
+    constructor(database = null) {
+        this.database = database; // Persists events, attempts and dead letters when provided
         this.timeout = parseInt(process.env.WEBHOOK_TIMEOUT) || 5000;
         this.retryAttempts = parseInt(process.env.WEBHOOK_RETRY_ATTEMPTS) || 3;
         
@@ -10,9 +13,157 @@ class WebhookManager {
         this.maxRedirects = parseInt(process.env.WEBHOOK_MAX_REDIRECTS) || 5;
         this.keepAlive = process.env.WEBHOOK_KEEP_ALIVE !== 'false'; // Default true
         this.followRedirect = process.env.WEBHOOK_FOLLOW_REDIRECT !== 'false'; // Default true
+
+        // NEW: Delivered events are kept this long for inspection, failed ones until replayed
+        this.eventRetentionDays = parseInt(process.env.WEBHOOK_EVENT_RETENTION_DAYS) || 7;
+        this.pruneTimer = null;
+        this.replaysInFlight = new Set(); // Sessions with a bulk dead-letter replay running
+        if (this.database) {
+            this.startEventPruning();
+            this.recoverInterruptedEvents();
+        }
+
+        this.eventStream = null; // Set by SessionManager; sessions with event_stream_enabled also publish there
+    }
+
+    setEventStream(eventStream) {
+        this.eventStream = eventStream;
+    }
+
+    // True when a session event has somewhere to go: the webhook, the event stream, or both
+    isDeliveryEnabled(sessionData) {
+        return !!sessionData && !!((sessionData.webhook_status && sessionData.webhook_url) ||
+            (sessionData.event_stream_enabled && this.eventStream));
+    }
+
+    // Single entry point for session events: publishes to the event stream and dispatches the webhook, as enabled
+    async deliverEvent(sessionData, data) {
+        if (sessionData.event_stream_enabled && this.eventStream) {
+            try {
+                await this.eventStream.publish(sessionData.session_id, data);
+            } catch (error) {
+                logger.error('Failed to publish event to stream', { sessionId: sessionData.session_id, event: data.event, error: error.message });
+            }
+        }
+
+        if (sessionData.webhook_status && sessionData.webhook_url) {
+            return this.dispatchEvent(sessionData.session_id, sessionData.webhook_url, sessionData.user_id, data);
+        }
+
+        return { success: true, status: 'streamed' };
+    }
+
+    // Signature is HMAC-SHA256 over "<timestamp>.<raw body>" so a captured request can't be replayed later
+    signPayload(secret, timestamp, body) {
+        return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    async getWebhookSecret(sessionId) {
+        if (!this.database || !sessionId) {
+            return null;
+        }
+        try {
+            const sessionData = await this.database.getSession(sessionId);
+            return sessionData?.webhook_secret || null;
+        } catch (error) {
+            logger.error('Failed to load webhook secret', { sessionId, error: error.message });
+            return null;
+        }
+    }
+
+    startEventPruning() {
+        if (this.pruneTimer) {
+            clearInterval(this.pruneTimer);
+        }
+
+        this.pruneTimer = setInterval(async () => {
+            try {
+                const removed = await this.database.pruneDeliveredWebhookEvents(this.eventRetentionDays);
+                if (removed > 0) {
+                    logger.info('Pruned delivered webhook events', { removed, retentionDays: this.eventRetentionDays });
+                }
+            } catch (error) {
+                logger.error('Error pruning webhook events', { error: error.message });
+            }
+        }, 60 * 60 * 1000); // Hourly
+    }
+
+    // Deliveries run in-process, so events left pending by a restart would otherwise never be retried.
+    // They go to the dead-letter store, where /getFailedWebhooks lists them and /replayWebhooks resends them
+    async recoverInterruptedEvents() {
+        try {
+            const recovered = await this.database.deadLetterInterruptedWebhookEvents('Delivery interrupted by a server restart');
+            if (recovered > 0) {
+                logger.info('Moved webhook events interrupted by restart to dead letters', { count: recovered });
+            }
+        } catch (error) {
+            logger.error('Failed to recover interrupted webhook events', { error: error.message });
+        }
+    }
+
+    stopEventPruning() {
+        if (this.pruneTimer) {
+            clearInterval(this.pruneTimer);
+            this.pruneTimer = null;
+        }
+    }
+
+    // Persists the event before sending so it can be inspected and replayed if every attempt fails
+    async dispatchEvent(sessionId, webhookUrl, userId, data) {
+        if (!this.database) {
+            return this.sendWebhook(webhookUrl, userId, data);
+        }
+
+        const eventId = uuidv4();
+        data.webhookEventId = eventId; // Lets receivers de-duplicate replays
+
+        try {
+            await this.database.createWebhookEvent({
+                id: eventId,
+                session_id: sessionId,
+                user_id: userId ? String(userId) : null,
+                webhook_url: webhookUrl,
+                event_type: data.event || 'message',
+                payload: data
+            });
+        } catch (error) {
+            // Still deliver, just without a durable record
+            logger.error('Failed to persist webhook event', { sessionId, eventId, error: error.message });
+            return this.sendWebhook(webhookUrl, userId, data);
+        }
+
+        return this.sendWebhook(webhookUrl, userId, data, 1, eventId);
+    }
+
+    async trackAttempt(eventId, attemptData) {
+        if (!eventId || !this.database) {
+            return;
+        }
+        try {
+            await this.database.recordWebhookAttempt(eventId, attemptData);
+        } catch (error) {
+            logger.error('Failed to record webhook attempt', { eventId, error: error.message });
+        }
     }
 
-    async sendWebhook(webhookUrl, userId, data, attempt = 1) {
+    async trackOutcome(eventId, data, success, errorMessage = null) {
+        if (!eventId || !this.database) {
+            return;
+        }
+        try {
+            if (success) {
+                await this.database.markWebhookEventDelivered(eventId);
+            } else {
+                await this.database.markWebhookEventFailed(eventId, data.sessionId, data.event || 'message', errorMessage);
+            }
+        } catch (error) {
+            logger.error('Failed to record webhook outcome', { eventId, error: error.message });
+        }
+    }
+
+    async sendWebhook(webhookUrl, userId, data, attempt = 1, eventId = null) {
+        let signing = { signed: false };
+
         try {
             logger.webhook(data.sessionId, `Sending webhook (attempt ${attempt}/${this.retryAttempts})`, { 
                 webhookUrl, 
@@ -58,8 +209,19 @@ class WebhookManager {
             // Fix: Ensure userId is always a string to prevent property assignment errors
             data.userId = userId ? String(userId) : 'unknown';
 
+            // NEW: Sign the exact bytes we send when the session has a webhook secret
+            const body = JSON.stringify(data);
+            const webhookSecret = await this.getWebhookSecret(data.sessionId);
+            if (webhookSecret) {
+                const timestamp = Math.floor(Date.now() / 1000).toString();
+                const signature = this.signPayload(webhookSecret, timestamp, body);
+                axiosConfig.headers['X-Webhook-Timestamp'] = timestamp;
+                axiosConfig.headers['X-Webhook-Signature'] = signature;
+                signing = { signed: true, timestamp, signature };
+            }
+
             const startTime = Date.now();
-            const response = await axios.post(webhookUrl, data, axiosConfig);
+            const response = await axios.post(webhookUrl, body, axiosConfig);
             const duration = Date.now() - startTime;
 
             logger.webhook(data.sessionId, 'Webhook sent successfully', { 
@@ -72,8 +234,13 @@ class WebhookManager {
                 responseSize: response.data ? JSON.stringify(response.data).length : 0
             });
 
+            await this.trackAttempt(eventId, { webhook_url: webhookUrl, success: true, status_code: response.status, duration_ms: duration });
+            await this.trackOutcome(eventId, data, true);
+
             return {
                 success: true,
+                eventId: eventId,
+                signing: signing,
                 status: response.status,
                 statusText: response.statusText,
                 response: response.data,
@@ -122,6 +289,14 @@ class WebhookManager {
 
             logger.webhook(data.sessionId, `Webhook failed (attempt ${attempt}/${this.retryAttempts})`, errorDetails);
 
+            await this.trackAttempt(eventId, {
+                webhook_url: webhookUrl,
+                success: false,
+                status_code: error.response?.status || null,
+                error: error.message,
+                duration_ms: duration
+            });
+
             // Retry logic with improved backoff
             if (attempt < this.retryAttempts) {
                 // Don't retry on client errors (4xx) unless it's a specific retryable error
@@ -141,7 +316,7 @@ class WebhookManager {
                     });
 
                     await this.delay(retryDelay);
-                    return this.sendWebhook(webhookUrl, data, attempt + 1);
+                    return this.sendWebhook(webhookUrl, userId, data, attempt + 1, eventId);
                 } else {
                     logger.webhook(data.sessionId, 'Webhook not retryable due to client error', { 
                         webhookUrl, 
@@ -163,8 +338,12 @@ class WebhookManager {
                 suggestion: errorDetails.suggestion
             });
 
+            await this.trackOutcome(eventId, data, false, error.message);
+
             return {
                 success: false,
+                eventId: eventId,
+                signing: signing,
                 error: error.message,
                 errorType: errorDetails.errorType,
                 code: error.code,
@@ -178,6 +357,109 @@ class WebhookManager {
         }
     }
 
+    // Resends a stored event, by default to the URL it was first sent to
+    async replayEvent(eventId, webhookUrl = null) {
+        const event = await this.database.getWebhookEvent(eventId);
+        if (!event) {
+            throw new Error(`Webhook event ${eventId} not found`);
+        }
+
+        const payload = JSON.parse(event.payload);
+        const targetUrl = webhookUrl || event.webhook_url;
+
+        await this.database.incrementDeadLetterReplayCount(eventId);
+        logger.webhook(event.session_id, 'Replaying webhook event', { eventId, webhookUrl: targetUrl, eventType: event.event_type });
+
+        return this.sendWebhook(targetUrl, event.user_id, payload, 1, eventId);
+    }
+
+    // Selects the dead letters to replay and resends them in the background, one bulk replay per session at a time.
+    // Returns the selected dead letters, or null while an earlier replay for the session is still running
+    async startDeadLetterReplay(sessionId, webhookUrl = null, fromSeconds = null, toSeconds = null, limit = 500) {
+        if (this.replaysInFlight.has(sessionId)) {
+            return null;
+        }
+        this.replaysInFlight.add(sessionId);
+
+        let deadLetters;
+        try {
+            deadLetters = await this.database.getDeadLetters(sessionId, fromSeconds, toSeconds, limit);
+        } catch (error) {
+            this.replaysInFlight.delete(sessionId);
+            throw error;
+        }
+
+        this.replayDeadLetters(sessionId, deadLetters, webhookUrl)
+            .catch(error => {
+                logger.error('Bulk webhook replay failed', { sessionId, error: error.message });
+            })
+            .finally(() => {
+                this.replaysInFlight.delete(sessionId);
+            });
+
+        return deadLetters;
+    }
+
+    // Replays dead letters one at a time, in the given (oldest first) order
+    async replayDeadLetters(sessionId, deadLetters, webhookUrl = null) {
+        const summary = { total: deadLetters.length, delivered: 0, failed: 0, failedEventIds: [] };
+
+        for (const deadLetter of deadLetters) {
+            try {
+                const result = await this.replayEvent(deadLetter.event_id, webhookUrl);
+                if (result.success) {
+                    summary.delivered++;
+                } else {
+                    summary.failed++;
+                    summary.failedEventIds.push(deadLetter.event_id);
+                }
+            } catch (error) {
+                logger.error('Error replaying webhook event', { sessionId, eventId: deadLetter.event_id, error: error.message });
+                summary.failed++;
+                summary.failedEventIds.push(deadLetter.event_id);
+            }
+        }
+
+        logger.webhook(sessionId, 'Dead letter replay completed', {
+            total: summary.total,
+            delivered: summary.delivered,
+            failed: summary.failed
+        });
+
+        return summary;
+    }
+
+    async getEventWithAttempts(eventId) {
+        const event = await this.database.getWebhookEvent(eventId);
+        if (!event) {
+            return null;
+        }
+
+        const attempts = await this.database.getWebhookEventAttempts(eventId);
+        return {
+            eventId: event.id,
+            sessionId: event.session_id,
+            eventType: event.event_type,
+            status: event.status,
+            webhookUrl: event.webhook_url,
+            attempts: event.attempts,
+            lastError: event.last_error,
+            lastStatusCode: event.last_status_code,
+            createdAt: event.created_at,
+            deliveredAt: event.delivered_at,
+            payload: JSON.parse(event.payload),
+            attemptHistory: attempts.map(attempt => ({
+                attempt: attempt.attempt,
+                webhookUrl: attempt.webhook_url,
+                success: !!attempt.success,
+                statusCode: attempt.status_code,
+                error: attempt.error,
+                durationMs: attempt.duration_ms,
+                attemptedAt: attempt.created_at
+            }))
+        };
+    }
+
     async testWebhook(webhookUrl, sessionId) {
         const testData = {
             sessionId: sessionId,
@@ -204,7 +486,7 @@ class WebhookManager {
             testDataSize: JSON.stringify(testData).length
         });
 
-        const result = await this.sendWebhook(webhookUrl, testData);
+        const result = await this.sendWebhook(webhookUrl, null, testData);
         
         // Add additional test information
         result.testMetadata = {
@@ -212,7 +494,14 @@ class WebhookManager {
             testStartTime: new Date().toISOString(),
             payloadSize: JSON.stringify(testData).length,
             timeout: this.timeout,
-            retryAttempts: this.retryAttempts
+            retryAttempts: this.retryAttempts,
+            signatureVerification: result.signing.signed ? {
+                algorithm: 'HMAC-SHA256',
+                signatureHeader: 'X-Webhook-Signature',
+                timestampHeader: 'X-Webhook-Timestamp',
+                signedContent: '<X-Webhook-Timestamp>.<raw request body>',
+                signatureFormat: 'sha256=<hex digest>'
+            } : 'No webhook secret set for this session; payload was sent unsigned'
         };
 
         return result;
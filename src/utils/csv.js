@@ -0,0 +1,89 @@
+// Minimal RFC 4180 parser: quoted fields, "" escapes, embedded newlines, CRLF/LF line endings and a UTF-8 BOM
+const parseCsv = (text) => {
+    const input = String(text || '').replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error('Unterminated quoted field in CSV');
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Blank lines carry no data
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// First row is the header; returns one object per data row keyed by trimmed header names
+const parseCsvObjects = (text) => {
+    const rows = parseCsv(text);
+    if (rows.length === 0) {
+        return { headers: [], records: [] };
+    }
+
+    const headers = rows[0].map(header => header.trim());
+    const records = rows.slice(1).map(cells => {
+        const record = {};
+        headers.forEach((header, index) => {
+            if (header) {
+                record[header] = (cells[index] || '').trim();
+            }
+        });
+        return record;
+    });
+
+    return { headers, records };
+};
+
+// Cells starting with one of these are run as formulas by spreadsheet apps, so they are exported as text
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const formatCsvValue = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serializes an array of rows (arrays of cells) with CRLF line endings
+const toCsv = (rows) => rows.map(row => row.map(formatCsvValue).join(',')).join('\r\n') + '\r\n';
+
+module.exports = { parseCsv, parseCsvObjects, formatCsvValue, toCsv };
@@ -0,0 +1,20 @@
+// {{name}} placeholders in message texts; names are letters, digits and underscores
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g;
+
+const extractPlaceholders = (text) => {
+    const names = new Set();
+    for (const match of String(text || '').matchAll(PLACEHOLDER_PATTERN)) {
+        names.add(match[1]);
+    }
+    return [...names];
+};
+
+// Placeholders without a value are left as they are so a missing variable is visible rather than silently blank
+const renderPlaceholders = (text, variables = {}) => {
+    return String(text || '').replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+        const value = variables[name];
+        return value === undefined || value === null ? placeholder : String(value);
+    });
+};
+
+module.exports = { extractPlaceholders, renderPlaceholders };
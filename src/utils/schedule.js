@@ -0,0 +1,258 @@
+// Timezone-aware run times for scheduled messages: one-off, daily, weekly and 5-field cron rules
+
+const SCHEDULE_TYPES = ['once', 'daily', 'weekly', 'cron'];
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+// Upper bound on the search for the next cron match (an impossible date like "0 0 30 2 *" never matches)
+const MAX_SEARCH_STEPS = 200000;
+
+const formatters = new Map();
+const getFormatter = (timezone) => {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hourCycle: 'h23'
+        }));
+    }
+    return formatters.get(timezone);
+};
+
+const isValidTimezone = (timezone) => {
+    try {
+        getFormatter(timezone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Wall-clock time of an instant in the timezone, expressed as a UTC timestamp (so UTC getters read local fields)
+const toWallClock = (timestamp, timezone) => {
+    const parts = {};
+    getFormatter(timezone).formatToParts(new Date(timestamp)).forEach(part => {
+        parts[part.type] = part.value;
+    });
+    return Date.UTC(
+        parseInt(parts.year),
+        parseInt(parts.month) - 1,
+        parseInt(parts.day),
+        parseInt(parts.hour) % 24,
+        parseInt(parts.minute),
+        parseInt(parts.second)
+    );
+};
+
+// Inverse of toWallClock. Repeated times (DST ends) resolve to their first occurrence;
+// times skipped when DST starts are shifted forward by the gap, as cron does
+const fromWallClock = (wallClock, timezone) => {
+    const firstGuess = wallClock - (toWallClock(wallClock, timezone) - wallClock);
+    const candidate = wallClock - (toWallClock(firstGuess, timezone) - firstGuess);
+    if (toWallClock(candidate, timezone) === wallClock) {
+        return candidate;
+    }
+    return Math.max(candidate, firstGuess);
+};
+
+// Accepts a timestamp in ms, an ISO date with offset, or a local "YYYY-MM-DD HH:MM[:SS]" read in the timezone
+const parseDateTime = (value, timezone = 'UTC') => {
+    if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+        return Number(value);
+    }
+
+    const match = LOCAL_DATE_TIME.exec(String(value).trim());
+    if (match) {
+        const [, year, month, day, hour, minute, second] = match.map(part => parseInt(part || '0'));
+        return fromWallClock(Date.UTC(year, month - 1, day, hour, minute, second), timezone);
+    }
+
+    return Date.parse(value);
+};
+
+const parseCronValue = (value, names, offset) => {
+    const index = names ? names.indexOf(value.toLowerCase()) : -1;
+    if (index !== -1) {
+        return index + offset;
+    }
+    return /^\d+$/.test(value) ? parseInt(value) : NaN;
+};
+
+const parseCronField = (field, min, max, names = null, offset = 0) => {
+    const values = new Set();
+
+    for (const part of field.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText);
+        if (!(step > 0) || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+            throw new Error(`Invalid step in cron field "${field}"`);
+        }
+
+        let start;
+        let end;
+        if (range === '*') {
+            start = min;
+            end = max;
+        } else if (range.includes('-')) {
+            const [from, to] = range.split('-');
+            start = parseCronValue(from, names, offset);
+            end = parseCronValue(to, names, offset);
+        } else {
+            start = parseCronValue(range, names, offset);
+            end = stepText === undefined ? start : max;
+        }
+
+        if (isNaN(start) || isNaN(end) || start < min || end > max || start > end) {
+            throw new Error(`Invalid value in cron field "${field}" (allowed ${min}-${max})`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+};
+
+// Standard 5-field cron: minute hour day-of-month month day-of-week (0 or 7 = Sunday)
+const parseCronExpression = (expression) => {
+    const fields = String(expression || '').trim().split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+    }
+
+    const daysOfWeek = parseCronField(fields[4], 0, 7, WEEKDAY_NAMES);
+    if (daysOfWeek.has(7)) {
+        daysOfWeek.delete(7);
+        daysOfWeek.add(0);
+    }
+
+    return {
+        minutes: parseCronField(fields[0], 0, 59),
+        hours: parseCronField(fields[1], 0, 23),
+        daysOfMonth: parseCronField(fields[2], 1, 31),
+        months: parseCronField(fields[3], 1, 12, MONTH_NAMES, 1),
+        daysOfWeek,
+        // As in cron, when both day fields are restricted a day matching either one runs
+        daysOfMonthRestricted: fields[2] !== '*',
+        daysOfWeekRestricted: fields[4] !== '*'
+    };
+};
+
+const matchesDay = (cron, date) => {
+    const dayOfMonth = cron.daysOfMonth.has(date.getUTCDate());
+    const dayOfWeek = cron.daysOfWeek.has(date.getUTCDay());
+    if (cron.daysOfMonthRestricted && cron.daysOfWeekRestricted) {
+        return dayOfMonth || dayOfWeek;
+    }
+    return dayOfMonth && dayOfWeek;
+};
+
+// First run strictly after `after`, walking the timezone's wall clock and skipping whole months/days/hours that can't match
+const getNextCronRun = (expression, timezone, after) => {
+    const cron = parseCronExpression(expression);
+    let wallClock = Math.floor(toWallClock(after, timezone) / 60000) * 60000 + 60000;
+
+    for (let step = 0; step < MAX_SEARCH_STEPS; step++) {
+        const date = new Date(wallClock);
+        const year = date.getUTCFullYear();
+        const month = date.getUTCMonth();
+        const day = date.getUTCDate();
+        const hour = date.getUTCHours();
+
+        if (!cron.months.has(month + 1)) {
+            wallClock = Date.UTC(year, month + 1, 1);
+        } else if (!matchesDay(cron, date)) {
+            wallClock = Date.UTC(year, month, day + 1);
+        } else if (!cron.hours.has(hour)) {
+            wallClock = Date.UTC(year, month, day, hour + 1);
+        } else if (!cron.minutes.has(date.getUTCMinutes())) {
+            wallClock += 60000;
+        } else {
+            const runAt = fromWallClock(wallClock, timezone);
+            if (runAt > after) {
+                return runAt;
+            }
+            wallClock += 60000;
+        }
+    }
+
+    throw new Error(`Cron expression "${expression}" has no upcoming run`);
+};
+
+// Validates a schedule rule from the API and returns { type, rule, expression } (expression is null for one-off sends)
+const normalizeScheduleRule = (schedule, timezone) => {
+    if (!schedule || typeof schedule !== 'object') {
+        throw new Error('schedule must be an object with a type');
+    }
+    if (!SCHEDULE_TYPES.includes(schedule.type)) {
+        throw new Error(`schedule.type must be one of: ${SCHEDULE_TYPES.join(', ')}`);
+    }
+
+    if (schedule.type === 'once') {
+        const at = schedule.at !== undefined && schedule.at !== null ? parseDateTime(schedule.at, timezone) : NaN;
+        if (isNaN(at)) {
+            throw new Error('schedule.at must be a timestamp in ms, an ISO date, or a local "YYYY-MM-DD HH:MM" in the timezone');
+        }
+        return { type: 'once', rule: { at }, expression: null };
+    }
+
+    if (schedule.type === 'cron') {
+        parseCronExpression(schedule.expression);
+        return { type: 'cron', rule: { expression: String(schedule.expression).trim() }, expression: String(schedule.expression).trim() };
+    }
+
+    const time = TIME_OF_DAY.exec(String(schedule.time || ''));
+    if (!time) {
+        throw new Error('schedule.time must be HH:MM (24-hour)');
+    }
+    const [, hour, minute] = time;
+
+    if (schedule.type === 'daily') {
+        return { type: 'daily', rule: { time: schedule.time }, expression: `${parseInt(minute)} ${parseInt(hour)} * * *` };
+    }
+
+    const days = Array.isArray(schedule.days) ? schedule.days : [schedule.days];
+    if (days.length === 0) {
+        throw new Error('schedule.days must list at least one weekday');
+    }
+    const dayNumbers = days.map(day => {
+        const index = /^[0-7]$/.test(String(day)) ? Number(day) % 7 : WEEKDAY_NAMES.indexOf(String(day).slice(0, 3).toLowerCase());
+        if (!Number.isInteger(index) || index < 0 || index > 6) {
+            throw new Error('schedule.days must list weekdays as names (mon, tue, ...) or numbers 0-6 (0 = Sunday)');
+        }
+        return index;
+    });
+    const uniqueDays = [...new Set(dayNumbers)].sort();
+
+    return {
+        type: 'weekly',
+        rule: { time: schedule.time, days: uniqueDays.map(day => WEEKDAY_NAMES[day]) },
+        expression: `${parseInt(minute)} ${parseInt(hour)} * * ${uniqueDays.join(',')}`
+    };
+};
+
+// Next run after `after`; one-off schedules only have their single time, and only while it's still ahead
+const getNextRunAt = ({ type, rule, expression }, timezone, after) => {
+    if (type === 'once') {
+        return rule.at > after ? rule.at : null;
+    }
+    return getNextCronRun(expression, timezone, after);
+};
+
+module.exports = {
+    SCHEDULE_TYPES,
+    isValidTimezone,
+    parseDateTime,
+    parseCronExpression,
+    getNextCronRun,
+    normalizeScheduleRule,
+    getNextRunAt
+};
@@ -0,0 +1,72 @@
+const { openTestDatabase, closeTestDatabase } = require('../helpers/database');
+
+const ASHA = '919876543211@s.whatsapp.net';
+const RAVI = '919876543212@s.whatsapp.net';
+const GROUP = '120363168346132205@g.us';
+
+describe('chats store', () => {
+    let database;
+
+    const lastMessage = (messageId, timestamp) => ({ message_id: messageId, message_type: 'text', preview: `Message ${messageId}`, from_me: false, timestamp });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        database = await openTestDatabase();
+    });
+
+    afterEach(async () => {
+        await closeTestDatabase(database);
+        jest.restoreAllMocks();
+    });
+
+    test('applies only the fields each update carries and adds unread deltas', async () => {
+        await database.applyChatUpdates('s1', [{ jid: ASHA, name: 'Asha', unreadCount: 2, archived: true }]);
+        await database.applyChatUpdates('s1', [{ jid: ASHA, unreadDelta: 3 }, { jid: ASHA, conversationTimestamp: 50 }]);
+
+        expect(await database.getChat('s1', ASHA)).toMatchObject({ name: 'Asha', unread_count: 5, archived: 1, last_message_at: 50 });
+    });
+
+    test('keeps the newest last-message preview', async () => {
+        await database.updateChatLastMessage('s1', ASHA, lastMessage('M2', 200));
+        await database.updateChatLastMessage('s1', ASHA, lastMessage('M1', 100));
+
+        expect(await database.getChat('s1', ASHA)).toMatchObject({ last_message_id: 'M2', last_message_at: 200 });
+    });
+
+    test('lists pinned chats first, then by recent activity, with contact names', async () => {
+        await database.upsertContacts('s1', [{ jid: RAVI, name: 'Ravi Kumar' }]);
+        await database.updateChatLastMessage('s1', ASHA, lastMessage('A1', 100));
+        await database.updateChatLastMessage('s1', RAVI, lastMessage('R1', 300));
+        await database.updateChatLastMessage('s1', GROUP, lastMessage('G1', 200));
+        await database.applyChatUpdates('s1', [{ jid: ASHA, pinnedAt: 10 }, { jid: GROUP, archived: true }]);
+
+        const { chats, total } = await database.getChats('s1');
+        expect(total).toBe(2);
+        expect(chats.map(chat => [chat.jid, chat.display_name])).toEqual([[ASHA, null], [RAVI, 'Ravi Kumar']]);
+
+        expect((await database.getChats('s1', { archived: true })).chats.map(chat => chat.jid)).toEqual([GROUP]);
+        expect((await database.getChats('s1', { archived: null })).total).toBe(3);
+    });
+
+    test('filters unread chats, including ones marked unread', async () => {
+        await database.applyChatUpdates('s1', [
+            { jid: ASHA, unreadCount: 1 },
+            { jid: RAVI, markedUnread: true },
+            { jid: GROUP, unreadCount: 0 }
+        ]);
+
+        const { chats } = await database.getChats('s1', { unreadOnly: true });
+        expect(chats.map(chat => chat.jid).sort()).toEqual([ASHA, RAVI]);
+    });
+
+    test('clears a chat\'s stored messages and preview', async () => {
+        await database.saveMessage({ session_id: 's1', chat_jid: ASHA, message_id: 'A1', message_type: 'text', text: 'Hi', message_timestamp: 100 });
+        await database.updateChatLastMessage('s1', ASHA, lastMessage('A1', 100));
+        await database.applyChatUpdates('s1', [{ jid: ASHA, unreadCount: 4 }]);
+
+        await database.clearChatMessages('s1', ASHA);
+
+        expect(await database.getChatMessages('s1', ASHA, 10)).toEqual([]);
+        expect(await database.getChat('s1', ASHA)).toMatchObject({ last_message_id: null, unread_count: 0, last_message_at: 100 });
+    });
+});
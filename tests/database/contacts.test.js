@@ -0,0 +1,51 @@
+const { openTestDatabase, closeTestDatabase } = require('../helpers/database');
+
+describe('contacts store', () => {
+    let database;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        database = await openTestDatabase();
+    });
+
+    afterEach(async () => {
+        await closeTestDatabase(database);
+        jest.restoreAllMocks();
+    });
+
+    test('merges contact sync with push names without losing known fields', async () => {
+        await database.upsertContacts('s1', [{ jid: '919876543211@s.whatsapp.net', name: 'Asha Rao' }]);
+        await database.touchContact('s1', '919876543211@s.whatsapp.net', 'asha', 1736937200);
+        await database.upsertContacts('s1', [{ jid: '919876543211@s.whatsapp.net', verified_name: 'Asha Stores' }]);
+
+        const { contacts, total } = await database.getContacts('s1');
+        expect(total).toBe(1);
+        expect(contacts[0]).toMatchObject({
+            name: 'Asha Rao',
+            notify: 'asha',
+            verified_name: 'Asha Stores',
+            last_message_at: 1736937200
+        });
+    });
+
+    test('searches names literally and pages by recent activity', async () => {
+        await database.upsertContacts('s1', [
+            { jid: '919876543211@s.whatsapp.net', name: 'Asha' },
+            { jid: '919876543212@s.whatsapp.net', name: '100% Ravi' },
+            { jid: '919876543213@s.whatsapp.net', name: 'Zoya' }
+        ]);
+        await database.touchContact('s1', '919876543213@s.whatsapp.net', null, 200);
+        await database.touchContact('s1', '919876543211@s.whatsapp.net', null, 100);
+        await database.upsertContacts('s2', [{ jid: '919876543214@s.whatsapp.net', name: 'Other session' }]);
+
+        const recent = await database.getContacts('s1', { limit: 2 });
+        expect(recent.total).toBe(3);
+        expect(recent.contacts.map(contact => contact.name)).toEqual(['Zoya', 'Asha']);
+
+        const search = await database.getContacts('s1', { search: '100%' });
+        expect(search.contacts.map(contact => contact.name)).toEqual(['100% Ravi']);
+
+        const byName = await database.getContacts('s1', { sort: 'name' });
+        expect(byName.contacts.map(contact => contact.name)).toEqual(['100% Ravi', 'Asha', 'Zoya']);
+    });
+});
@@ -0,0 +1,81 @@
+const { openTestDatabase, closeTestDatabase } = require('../helpers/database');
+
+const CHAT = '919876543211@s.whatsapp.net';
+const OTHER_CHAT = '120363168346132205@g.us';
+
+describe('message history store', () => {
+    let database;
+
+    const save = (messageId, timestamp, overrides = {}) => database.saveMessage({
+        session_id: 's1',
+        chat_jid: CHAT,
+        message_id: messageId,
+        from_me: false,
+        sender_jid: CHAT,
+        push_name: 'Asha',
+        message_type: 'text',
+        text: `Message ${messageId}`,
+        content: { conversation: `Message ${messageId}` },
+        message_timestamp: timestamp,
+        ...overrides
+    });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        database = await openTestDatabase();
+    });
+
+    afterEach(async () => {
+        await closeTestDatabase(database);
+        jest.restoreAllMocks();
+    });
+
+    test('keeps one row when the same message is stored twice', async () => {
+        await save('M1', 100, { push_name: 'Asha' });
+        await save('M1', 100, { push_name: null, text: 'Edited text' });
+
+        const rows = await database.getChatMessages('s1', CHAT, 10);
+        expect(rows).toHaveLength(1);
+        expect(rows[0]).toMatchObject({ push_name: 'Asha', text: 'Edited text' });
+        expect(JSON.parse(rows[0].content)).toEqual({ conversation: 'Message M1' });
+    });
+
+    test('pages newest first with a (timestamp, id) cursor across equal timestamps', async () => {
+        await save('M1', 100);
+        await save('M2', 200);
+        await save('M3', 200);
+        await save('M4', 300);
+
+        const first = await database.getChatMessages('s1', CHAT, 2);
+        expect(first.map(row => row.message_id)).toEqual(['M4', 'M3']);
+
+        const last = first[first.length - 1];
+        const second = await database.getChatMessages('s1', CHAT, 2, { timestamp: last.message_timestamp, id: last.id });
+        expect(second.map(row => row.message_id)).toEqual(['M2', 'M1']);
+    });
+
+    test('joins the delivery status and scopes lookups by chat', async () => {
+        await save('M1', 100, { from_me: true });
+        await save('M1', 150, { chat_jid: OTHER_CHAT });
+        await database.upsertMessageStatus('s1', 'M1', CHAT, 'read');
+
+        expect(await database.getStoredMessage('s1', 'M1', CHAT)).toMatchObject({ chat_jid: CHAT, from_me: 1, delivery_status: 'read' });
+        expect(await database.getStoredMessage('s1', 'M1', OTHER_CHAT)).toMatchObject({ chat_jid: OTHER_CHAT });
+        expect(await database.getStoredMessage('s2', 'M1')).toBeUndefined();
+    });
+
+    test('lists each chat once with its latest message, most recent first', async () => {
+        await save('M1', 100);
+        await save('M2', 300);
+        await save('G1', 200, { chat_jid: OTHER_CHAT });
+        await save('X1', 400, { session_id: 's2' });
+
+        const conversations = await database.getRecentConversations('s1');
+
+        expect(conversations.map(row => [row.chat_jid, row.message_id, row.message_count])).toEqual([
+            [CHAT, 'M2', 2],
+            [OTHER_CHAT, 'G1', 1]
+        ]);
+        expect(await database.getRecentConversations('s1', 1, 1)).toHaveLength(1);
+    });
+});
@@ -0,0 +1,62 @@
+const { openTestDatabase, closeTestDatabase, query } = require('../helpers/database');
+
+describe('Database.runTransaction', () => {
+    let database;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        database = await openTestDatabase();
+    });
+
+    afterEach(async () => {
+        await closeTestDatabase(database);
+        jest.restoreAllMocks();
+    });
+
+    test('rolls back the whole contact batch when one statement fails', async () => {
+        await expect(database.upsertContacts('s1', [
+            { jid: '919876543211@s.whatsapp.net', name: 'Asha' },
+            { jid: null, name: 'Broken' }
+        ])).rejects.toThrow('NOT NULL');
+
+        expect(await query(database, 'SELECT jid FROM contacts')).toEqual([]);
+    });
+
+    test('keeps writes issued while a failing transaction is open', async () => {
+        const failing = database.upsertContacts('s1', [
+            { jid: '919876543211@s.whatsapp.net', name: 'Asha' },
+            { jid: null, name: 'Broken' }
+        ]);
+        // Let the queued transaction issue BEGIN and its statements first
+        await Promise.resolve();
+        const touched = database.touchContact('s1', '919876543212@s.whatsapp.net', 'Ravi', 1736937200);
+
+        await expect(failing).rejects.toThrow('NOT NULL');
+        await touched;
+
+        expect(await query(database, 'SELECT jid, notify FROM contacts')).toEqual([
+            { jid: '919876543212@s.whatsapp.net', notify: 'Ravi' }
+        ]);
+    });
+
+    test('runs overlapping transactions one after another', async () => {
+        const contacts = (prefix) => Array.from({ length: 20 }, (_, index) => ({ jid: `${prefix}${index}@s.whatsapp.net`, name: `${prefix}${index}` }));
+
+        const results = await Promise.allSettled([
+            database.upsertContacts('s1', contacts('91')),
+            database.upsertContacts('s1', [...contacts('92'), { jid: null }]),
+            database.upsertContacts('s2', contacts('93'))
+        ]);
+
+        expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected', 'fulfilled']);
+        expect(await query(database, 'SELECT session_id, COUNT(*) AS count FROM contacts GROUP BY session_id')).toEqual([
+            { session_id: 's1', count: 20 },
+            { session_id: 's2', count: 20 }
+        ]);
+    });
+
+    test('returns the statement count and treats an empty batch as a no-op', async () => {
+        expect(await database.runTransaction([])).toBe(0);
+        expect(await database.upsertContacts('s1', [{ jid: '919876543211@s.whatsapp.net' }])).toBe(1);
+    });
+});
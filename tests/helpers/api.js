@@ -0,0 +1,83 @@
+const express = require('express');
+const { router, setSessionManager } = require('../../src/routes/api');
+
+// Serves the API router on an ephemeral port against the given (mocked) session manager
+const startApi = async (sessionManager) => {
+    setSessionManager(sessionManager);
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api', router);
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+    const request = async (method, route, body, headers = {}) => {
+        // FormData bodies set their own multipart Content-Type
+        const isForm = body instanceof FormData;
+        const response = await fetch(`${baseUrl}${route}`, {
+            method,
+            headers: body && !isForm ? { 'Content-Type': 'application/json', ...headers } : headers,
+            body: body && !isForm ? JSON.stringify(body) : body
+        });
+        const type = response.headers.get('content-type') || '';
+        return {
+            status: response.status,
+            headers: response.headers,
+            body: type.includes('application/json') ? await response.json() : await response.text()
+        };
+    };
+
+    // Opens a Server-Sent Events response; next() resolves with the following event (comments skipped)
+    const stream = async (route, headers = {}) => {
+        const controller = new AbortController();
+        const response = await fetch(`${baseUrl}${route}`, { headers, signal: controller.signal });
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        const next = async () => {
+            let end;
+            while ((end = buffer.indexOf('\n\n')) === -1) {
+                const { value, done } = await reader.read();
+                if (done) {
+                    return null;
+                }
+                buffer += decoder.decode(value, { stream: true });
+            }
+            const block = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+
+            const fields = {};
+            block.split('\n').filter(line => !line.startsWith(':')).forEach((line) => {
+                const separator = line.indexOf(': ');
+                fields[line.slice(0, separator)] = line.slice(separator + 2);
+            });
+            if (!fields.data) {
+                return next();
+            }
+            return { id: fields.id, event: fields.event, data: JSON.parse(fields.data) };
+        };
+
+        return {
+            status: response.status,
+            headers: response.headers,
+            next,
+            close: () => controller.abort()
+        };
+    };
+
+    return {
+        get: (route) => request('GET', route),
+        stream,
+        post: (route, body, headers) => request('POST', route, body, headers),
+        close: () => new Promise(resolve => {
+            server.close(resolve);
+            server.closeAllConnections();
+        })
+    };
+};
+
+module.exports = { startApi };
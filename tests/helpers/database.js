@@ -0,0 +1,32 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('../../src/database/db');
+
+// A fresh database file per test; resolves once the tables queued by the constructor exist
+const openTestDatabase = async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'whatsapp-api-test-'));
+    const database = new Database(path.join(dir, 'test.db'));
+    await new Promise((resolve) => {
+        database.db.serialize(() => database.db.get('SELECT 1', resolve));
+    });
+    database.testDir = dir;
+    return database;
+};
+
+const closeTestDatabase = async (database) => {
+    await new Promise(resolve => database.db.close(resolve));
+    fs.rmSync(database.testDir, { recursive: true, force: true });
+};
+
+const query = (database, sql, params = []) => new Promise((resolve, reject) => {
+    database.db.all(sql, params, (err, rows) => {
+        if (err) {
+            reject(err);
+        } else {
+            resolve(rows);
+        }
+    });
+});
+
+module.exports = { openTestDatabase, closeTestDatabase, query };
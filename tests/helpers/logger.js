@@ -0,0 +1,11 @@
+// Silent stand-in for src/utils/logger: jest.mock('../../src/utils/logger', () => require('../helpers/logger'))
+module.exports = {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    session: jest.fn(),
+    webhook: jest.fn(),
+    api: jest.fn(),
+    baileys: jest.fn()
+};
@@ -0,0 +1,12 @@
+// Polls until the condition holds; background workers here are fire-and-forget
+const waitFor = async (condition, timeoutMs = 2000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (!(await condition())) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+};
+
+module.exports = { waitFor };
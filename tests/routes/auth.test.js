@@ -0,0 +1,99 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+
+const { startApi } = require('../helpers/api');
+
+const SENDER = '919876543210';
+const OTHER_SENDER = '919876543219';
+
+const ADMIN_ONLY_ROUTES = [
+    '/testWebhook',
+    '/webhookDiagnostics',
+    '/testWebhookConnection',
+    '/compareWebhookPayloads',
+    '/triggerHealthCheck',
+    '/testAppTypeDetection',
+    '/updateRateLimits'
+];
+
+describe('authToken scoping', () => {
+    let api;
+    let sessionManager;
+
+    beforeEach(async () => {
+        const scopes = {
+            'admin-token': { isAdmin: true, sessionId: null },
+            'session-token': { isAdmin: false, sessionId: SENDER }
+        };
+        sessionManager = {
+            resolveAuthToken: jest.fn(async (authToken) => scopes[authToken] || null),
+            database: { getSession: jest.fn().mockResolvedValue({ session_id: SENDER, status: 'connected' }) },
+            performSessionHealthCheck: jest.fn().mockResolvedValue(),
+            getSessionStats: jest.fn().mockReturnValue({ total: 1 }),
+            testWebhook: jest.fn(),
+            webhookManager: { testConnection: jest.fn() }
+        };
+        api = await startApi(sessionManager);
+    });
+
+    afterEach(async () => {
+        await api.close();
+    });
+
+    test('requires a token', async () => {
+        const response = await api.post('/updateRateLimits', { senderId: SENDER });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('authToken is required');
+    });
+
+    test('rejects an unknown token', async () => {
+        const response = await api.post('/updateRateLimits', { authToken: 'wrong', senderId: SENDER });
+
+        expect(response.status).toBe(401);
+    });
+
+    test('keeps a session token to its own senderId', async () => {
+        const response = await api.post('/updateRateLimits', { authToken: 'session-token', senderId: OTHER_SENDER });
+
+        expect(response.status).toBe(403);
+        expect(response.body.error).toBe(`authToken is not valid for senderId: ${OTHER_SENDER}`);
+        expect(sessionManager.database.getSession).not.toHaveBeenCalled();
+    });
+
+    test('treats sessionId as the senderId alias when scoping', async () => {
+        const response = await api.post('/triggerHealthCheck', { authToken: 'session-token', sessionId: OTHER_SENDER });
+
+        expect(response.status).toBe(403);
+        expect(response.body.error).toBe(`authToken is not valid for senderId: ${OTHER_SENDER}`);
+    });
+
+    test('rejects a session token on endpoints without a senderId', async () => {
+        const response = await api.post('/testWebhookConnection', { authToken: 'session-token', webhookUrl: 'https://example.com/hook' });
+
+        expect(response.status).toBe(403);
+        expect(response.body.error).toBe('This endpoint requires the global admin authToken');
+    });
+
+    test.each(ADMIN_ONLY_ROUTES)('%s rejects a session token for its own session', async (route) => {
+        const response = await api.post(route, {
+            authToken: 'session-token',
+            senderId: SENDER,
+            webhookUrl: 'https://example.com/hook'
+        });
+
+        expect(response.status).toBe(403);
+        expect(response.body).toMatchObject({ success: false, message: 'Access denied' });
+        expect(response.body.error).toMatch(/requires? the global admin authToken$/);
+        expect(sessionManager.performSessionHealthCheck).not.toHaveBeenCalled();
+        expect(sessionManager.testWebhook).not.toHaveBeenCalled();
+        expect(sessionManager.webhookManager.testConnection).not.toHaveBeenCalled();
+    });
+
+    test('lets the admin token run diagnostics', async () => {
+        const response = await api.post('/triggerHealthCheck', { authToken: 'admin-token' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.sessionStats).toEqual({ total: 1 });
+        expect(sessionManager.performSessionHealthCheck).toHaveBeenCalled();
+    });
+});
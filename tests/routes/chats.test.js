@@ -0,0 +1,70 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+
+const { startApi } = require('../helpers/api');
+
+const SENDER = '919876543210';
+const CHAT = '919876543211@s.whatsapp.net';
+
+describe('chat endpoints', () => {
+    let api;
+    let sessionManager;
+
+    const call = (route, body) => api.post(route, { authToken: 'admin-token', senderId: SENDER, ...body });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        sessionManager = {
+            resolveAuthToken: jest.fn().mockResolvedValue({ isAdmin: true, sessionId: null }),
+            database: { getSession: jest.fn().mockResolvedValue({ session_id: SENDER, status: 'connected' }) },
+            getChats: jest.fn().mockResolvedValue({ chats: [{ chatId: CHAT }], total: 7 }),
+            modifyChat: jest.fn().mockResolvedValue({ chatId: CHAT, muted: true })
+        };
+        api = await startApi(sessionManager);
+    });
+
+    afterEach(async () => {
+        await api.close();
+        jest.restoreAllMocks();
+    });
+
+    test('hides archived chats unless asked', async () => {
+        const response = await call('/getChats', {});
+
+        expect(response.body.data).toMatchObject({ count: 1, total: 7, limit: 50, offset: 0 });
+        expect(sessionManager.getChats).toHaveBeenCalledWith(SENDER, { archived: false, unreadOnly: false, limit: 50, offset: 0 });
+
+        await call('/getChats', { archived: 'all', unreadOnly: 'true', limit: 10 });
+        expect(sessionManager.getChats).toHaveBeenLastCalledWith(SENDER, { archived: null, unreadOnly: true, limit: 10, offset: 0 });
+    });
+
+    test('rejects out-of-range paging', async () => {
+        expect((await call('/getChats', { limit: 501 })).status).toBe(400);
+        expect(sessionManager.getChats).not.toHaveBeenCalled();
+    });
+
+    test('mutes a chat for the given duration', async () => {
+        const response = await call('/modifyChat', { chatId: CHAT, action: 'mute', duration: 3600 });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.chat).toEqual({ chatId: CHAT, muted: true });
+        expect(sessionManager.modifyChat).toHaveBeenCalledWith(SENDER, CHAT, 'mute', { durationSeconds: 3600 });
+    });
+
+    test.each([
+        [{ chatId: CHAT, action: 'star' }, /^action must be one of: archive/],
+        [{ chatId: CHAT, action: 'mute', duration: 30 }, /^duration must be between 60 seconds/],
+        [{ action: 'pin' }, /^chatId and action are required$/]
+    ])('rejects %j', async (body, error) => {
+        const response = await call('/modifyChat', body);
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toMatch(error);
+        expect(sessionManager.modifyChat).not.toHaveBeenCalled();
+    });
+
+    test('answers 409 while the session is offline', async () => {
+        sessionManager.modifyChat.mockRejectedValue(new Error('Session not connected'));
+
+        expect((await call('/modifyChat', { chatId: CHAT, action: 'archive' })).status).toBe(409);
+    });
+});
@@ -0,0 +1,121 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+// EventStream only needs the lifecycle emitter from the Baileys session module
+jest.mock('../../src/services/baileys-session', () => ({ lifecycleEvents: new (require('events').EventEmitter)() }));
+
+const EventStream = require('../../src/services/event-stream');
+const { startApi } = require('../helpers/api');
+const { openTestDatabase, closeTestDatabase } = require('../helpers/database');
+
+const SENDER = '919876543210';
+const OTHER_SENDER = '919876543219';
+
+describe('GET /eventStream', () => {
+    let api;
+    let database;
+    let eventStream;
+    let stream;
+
+    const open = async (query, headers) => {
+        stream = await api.stream(`/eventStream?${query}`, headers);
+        return stream;
+    };
+    const publish = (sessionId, messageId) => eventStream.publish(sessionId, { event: 'message', messageId });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        database = await openTestDatabase();
+        for (const sessionId of [SENDER, OTHER_SENDER]) {
+            await database.createSession({ session_id: sessionId, name: 'Test', auth_token: null, user_id: 'user1', admin_id: null, webhook_url: null });
+        }
+        eventStream = new EventStream(database);
+
+        const scopes = {
+            'admin-token': { isAdmin: true, sessionId: null },
+            'session-token': { isAdmin: false, sessionId: SENDER }
+        };
+        api = await startApi({
+            database,
+            eventStream,
+            resolveAuthToken: jest.fn(async (authToken) => scopes[authToken] || null)
+        });
+    });
+
+    afterEach(async () => {
+        if (stream) {
+            stream.close();
+            stream = null;
+        }
+        await api.close();
+        await closeTestDatabase(database);
+        jest.restoreAllMocks();
+    });
+
+    test('replays the events after the cursor, then continues live', async () => {
+        const first = await publish(SENDER, 'M1');
+        await publish(OTHER_SENDER, 'X1');
+        const second = await publish(SENDER, 'M2');
+
+        await open(`authToken=session-token&cursor=${first}`);
+
+        expect(await stream.next()).toMatchObject({ event: 'stream.ready', data: { resumeFrom: first, latestCursor: second } });
+        expect(await stream.next()).toEqual({
+            id: String(second),
+            event: 'message',
+            data: { cursor: second, sessionId: SENDER, event: 'message', payload: { event: 'message', messageId: 'M2' } }
+        });
+
+        await publish(OTHER_SENDER, 'X2');
+        const live = await publish(SENDER, 'M3');
+        expect(await stream.next()).toMatchObject({ id: String(live), data: { payload: { messageId: 'M3' } } });
+    });
+
+    test('resumes from the Last-Event-ID header', async () => {
+        const first = await publish(SENDER, 'M1');
+        await publish(SENDER, 'M2');
+
+        await open(`authToken=admin-token&sessions=${SENDER}`, { 'Last-Event-ID': String(first) });
+
+        expect((await stream.next()).data.resumeFrom).toBe(first);
+        expect((await stream.next()).data.payload.messageId).toBe('M2');
+    });
+
+    test('starts live without a cursor', async () => {
+        await publish(SENDER, 'M1');
+
+        await open(`authToken=admin-token&sessions=${SENDER},${OTHER_SENDER}`);
+        expect((await stream.next()).data).toMatchObject({ event: 'stream.ready', resumeFrom: null });
+
+        await publish(OTHER_SENDER, 'X1');
+        expect((await stream.next()).data).toMatchObject({ sessionId: OTHER_SENDER, payload: { messageId: 'X1' } });
+    });
+
+    test('reports a gap when the cursor was pruned', async () => {
+        const pruned = await publish(SENDER, 'M1');
+        await database.pruneStreamEvents(Date.now() + 1);
+        const kept = await publish(SENDER, 'M2');
+
+        await open('authToken=session-token&cursor=0');
+
+        await stream.next();
+        expect(await stream.next()).toMatchObject({
+            event: 'stream.gap',
+            data: { sessionId: SENDER, requestedCursor: 0, oldestAvailableCursor: kept }
+        });
+        expect(pruned).toBeLessThan(kept);
+        expect((await stream.next()).id).toBe(String(kept));
+    });
+
+    test('keeps a session token to its own session', async () => {
+        const response = await api.get(`/eventStream?authToken=session-token&sessions=${OTHER_SENDER}`);
+
+        expect(response.status).toBe(403);
+        expect(response.body.error).toBe(`authToken is only valid for senderId: ${SENDER}`);
+    });
+
+    test('rejects a cursor that is not a number', async () => {
+        const response = await api.get('/eventStream?authToken=session-token&cursor=abc');
+
+        expect(response.status).toBe(400);
+        expect(response.body.message).toBe('Invalid cursor');
+    });
+});
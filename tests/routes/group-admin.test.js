@@ -0,0 +1,85 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+
+const { startApi } = require('../helpers/api');
+
+const SENDER = '919876543210';
+const GROUP = '120363168346132205@g.us';
+
+describe('group administration endpoints', () => {
+    let api;
+    let session;
+    let sessionManager;
+
+    const call = (route, body) => api.post(route, { authToken: 'admin-token', senderId: SENDER, ...body });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        session = {
+            updateGroupParticipants: jest.fn().mockResolvedValue([
+                { participant: '919876543211@s.whatsapp.net', success: true },
+                { participant: '919876543212@s.whatsapp.net', success: false, status: '403' }
+            ]),
+            updateGroupSettings: jest.fn().mockResolvedValue(),
+            updateGroupSubject: jest.fn().mockResolvedValue(),
+            joinGroupByInvite: jest.fn().mockResolvedValue(GROUP)
+        };
+        sessionManager = {
+            resolveAuthToken: jest.fn().mockResolvedValue({ isAdmin: true, sessionId: null }),
+            database: { getSession: jest.fn().mockResolvedValue({ session_id: SENDER, status: 'connected' }) },
+            runGroupOperation: jest.fn((senderId, operation) => operation(session))
+        };
+        api = await startApi(sessionManager);
+    });
+
+    afterEach(async () => {
+        await api.close();
+        jest.restoreAllMocks();
+    });
+
+    test('reports per-participant results', async () => {
+        const participants = ['919876543211', '919876543212'];
+        const response = await call('/updateGroupParticipants', { groupId: GROUP, action: 'add', participants });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({ groupId: GROUP, action: 'add', succeeded: 1, failed: 1 });
+        expect(session.updateGroupParticipants).toHaveBeenCalledWith(GROUP, participants, 'add');
+    });
+
+    test('validates before touching the session', async () => {
+        const response = await call('/updateGroupParticipants', { groupId: GROUP, action: 'kick', participants: ['919876543211'] });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('action must be one of: add, remove, promote, demote');
+        expect(sessionManager.runGroupOperation).not.toHaveBeenCalled();
+    });
+
+    test('only changes the settings that were sent', async () => {
+        const response = await call('/updateGroupSettings', { groupId: GROUP, announce: 'true' });
+
+        expect(response.body.data.settings).toEqual({ announce: true });
+        expect(session.updateGroupSettings).toHaveBeenCalledWith(GROUP, { announce: true });
+        expect((await call('/updateGroupSettings', { groupId: GROUP })).status).toBe(400);
+    });
+
+    test('joins with the code from a full invite link', async () => {
+        const response = await call('/joinGroup', { inviteLink: 'https://chat.whatsapp.com/AbCdEfGhIj12' });
+
+        expect(response.body.data).toMatchObject({ joinedGroupId: GROUP, pendingApproval: false });
+        expect(session.joinGroupByInvite).toHaveBeenCalledWith('AbCdEfGhIj12');
+    });
+
+    test('answers 403 when WhatsApp says we are not an admin', async () => {
+        session.updateGroupSubject.mockRejectedValue(Object.assign(new Error('not-authorized'), { output: { statusCode: 403 } }));
+
+        const response = await call('/updateGroupSubject', { groupId: GROUP, subject: 'Team' });
+
+        expect(response.status).toBe(403);
+        expect(response.body).toMatchObject({ success: false, message: 'Group subject update failed', error: 'not-authorized' });
+    });
+
+    test('answers 409 while the session is offline', async () => {
+        sessionManager.runGroupOperation.mockRejectedValue(new Error('Session not connected'));
+
+        expect((await call('/updateGroupSubject', { groupId: GROUP, subject: 'Team' })).status).toBe(409);
+    });
+});
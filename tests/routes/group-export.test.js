@@ -0,0 +1,77 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+
+const { startApi } = require('../helpers/api');
+
+const SENDER = '919876543210';
+const GROUP = '120363168346132205@g.us';
+
+describe('group detail and export endpoints', () => {
+    let api;
+    let sessionManager;
+
+    const call = (route, body) => api.post(route, { authToken: 'admin-token', senderId: SENDER, ...body });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        sessionManager = {
+            resolveAuthToken: jest.fn().mockResolvedValue({ isAdmin: true, sessionId: null }),
+            database: { getSession: jest.fn().mockResolvedValue({ session_id: SENDER, status: 'connected' }) },
+            runGroupOperation: jest.fn((senderId, operation) => operation({})),
+            getGroupDetails: jest.fn().mockResolvedValue({ group: { id: GROUP }, cache: { fromCache: true } }),
+            exportGroups: jest.fn().mockResolvedValue([{
+                id: GROUP,
+                subject: 'Sales, "North"',
+                participants: [
+                    { jid: '919876543210@s.whatsapp.net', name: null, role: 'superadmin' },
+                    { jid: '919876543211@s.whatsapp.net', name: 'Asha', role: 'member' }
+                ]
+            }])
+        };
+        api = await startApi(sessionManager);
+    });
+
+    afterEach(async () => {
+        await api.close();
+        jest.restoreAllMocks();
+    });
+
+    test('passes maxAge in milliseconds, and 0 for refresh', async () => {
+        await call('/getGroupDetails', { groupId: GROUP, maxAge: 30 });
+        expect(sessionManager.getGroupDetails).toHaveBeenLastCalledWith(SENDER, GROUP, 30000);
+
+        await call('/getGroupDetails', { groupId: GROUP, maxAge: 30, refresh: true });
+        expect(sessionManager.getGroupDetails).toHaveBeenLastCalledWith(SENDER, GROUP, 0);
+
+        const response = await call('/getGroupDetails', { groupId: GROUP });
+        expect(sessionManager.getGroupDetails).toHaveBeenLastCalledWith(SENDER, GROUP, undefined);
+        expect(response.body.data).toMatchObject({ groupId: GROUP, group: { id: GROUP }, cache: { fromCache: true } });
+    });
+
+    test('rejects a negative maxAge', async () => {
+        const response = await call('/getGroupDetails', { groupId: GROUP, maxAge: -1 });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('maxAge must be 0 or more seconds');
+    });
+
+    test('exports one CSV row per member with quoted values', async () => {
+        const response = await call('/exportGroups', { format: 'CSV' });
+
+        expect(response.status).toBe(200);
+        expect(response.headers.get('content-type')).toBe('text/csv; charset=utf-8');
+        expect(response.headers.get('content-disposition')).toBe(`attachment; filename="groups-${SENDER}.csv"`);
+        expect(response.body.split('\r\n')).toEqual([
+            'group_id,group_subject,participant_jid,participant_name,role',
+            `${GROUP},"Sales, ""North""",919876543210@s.whatsapp.net,,superadmin`,
+            `${GROUP},"Sales, ""North""",919876543211@s.whatsapp.net,Asha,member`,
+            ''
+        ]);
+    });
+
+    test('exports JSON with totals by default', async () => {
+        const response = await call('/exportGroups', {});
+
+        expect(response.body.data).toMatchObject({ groupCount: 1, participantCount: 2 });
+        expect((await call('/exportGroups', { format: 'xml' })).status).toBe(400);
+    });
+});
@@ -0,0 +1,101 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { startApi } = require('../helpers/api');
+
+const SENDER = '919876543210';
+const OTHER_SENDER = '919876543219';
+const CONTENT = Buffer.from('%PDF-1.4 test document');
+
+describe('GET /media/:senderId/:mediaId', () => {
+    let api;
+    let dir;
+    let mediaFile;
+    let sessionManager;
+
+    const download = (authToken = 'session-token', senderId = SENDER, mediaId = 'media-1') =>
+        api.get(`/media/${senderId}/${mediaId}${authToken ? `?authToken=${authToken}` : ''}`);
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-media-'));
+        const filePath = path.join(dir, 'media-1.pdf');
+        fs.writeFileSync(filePath, CONTENT);
+
+        mediaFile = {
+            id: 'media-1',
+            session_id: SENDER,
+            file_path: filePath,
+            file_name: 'Rechnung März "final".pdf',
+            mimetype: 'application/pdf',
+            size: CONTENT.length,
+            sha256: crypto.createHash('sha256').update(CONTENT).digest('hex'),
+            expires_at: Date.now() + 60000
+        };
+
+        const scopes = {
+            'admin-token': { isAdmin: true, sessionId: null },
+            'session-token': { isAdmin: false, sessionId: SENDER },
+            'other-token': { isAdmin: false, sessionId: OTHER_SENDER }
+        };
+        sessionManager = {
+            resolveAuthToken: jest.fn(async (authToken) => scopes[authToken] || null),
+            database: { getMediaFile: jest.fn(async (mediaId) => (mediaId === mediaFile.id ? mediaFile : null)) }
+        };
+        api = await startApi(sessionManager);
+    });
+
+    afterEach(async () => {
+        await api.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('streams the file with its type, size and checksum', async () => {
+        const response = await download();
+
+        expect(response.status).toBe(200);
+        expect(response.body).toBe(CONTENT.toString());
+        expect(response.headers.get('content-type')).toBe('application/pdf');
+        expect(response.headers.get('content-length')).toBe(String(CONTENT.length));
+        expect(response.headers.get('x-content-sha256')).toBe(mediaFile.sha256);
+    });
+
+    test('sends an ASCII fallback name and the UTF-8 name in Content-Disposition', async () => {
+        const response = await download('admin-token');
+
+        expect(response.headers.get('content-disposition')).toBe(
+            'attachment; filename="Rechnung M_rz _final_.pdf"; filename*=UTF-8\'\'Rechnung%20M%C3%A4rz%20%22final%22.pdf'
+        );
+    });
+
+    test('requires a token for the session', async () => {
+        expect((await download(null)).status).toBe(401);
+        expect((await download('wrong')).status).toBe(401);
+        expect((await download('other-token')).status).toBe(401);
+        expect(sessionManager.database.getMediaFile).not.toHaveBeenCalled();
+    });
+
+    test('hides media that belongs to another session', async () => {
+        const response = await download('other-token', OTHER_SENDER);
+
+        expect(response.status).toBe(404);
+    });
+
+    test('answers 410 once the media has expired', async () => {
+        mediaFile.expires_at = Date.now() - 1000;
+
+        expect((await download()).status).toBe(410);
+    });
+
+    test('answers 500 when the file cannot be read', async () => {
+        mediaFile.file_path = dir;
+
+        const response = await download();
+
+        expect(response.status).toBe(500);
+        expect(response.body).toMatchObject({ success: false, error: 'Media file could not be read' });
+        expect(response.headers.get('content-disposition')).toBeNull();
+    });
+});
@@ -0,0 +1,61 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+
+const { startApi } = require('../helpers/api');
+
+const SENDER = '919876543210';
+
+describe('POST /getPairingCode', () => {
+    let api;
+    let sessionManager;
+
+    const request = (body) => api.post('/getPairingCode', { authToken: 'admin-token', senderId: SENDER, ...body });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        sessionManager = {
+            resolveAuthToken: jest.fn().mockResolvedValue({ isAdmin: true, sessionId: null }),
+            getPairingCodeForAPI: jest.fn().mockResolvedValue({ pairingCode: 'ABCD1234', phoneNumber: SENDER, state: 'PAIRING_CODE_READY' })
+        };
+        api = await startApi(sessionManager);
+    });
+
+    afterEach(async () => {
+        await api.close();
+        jest.restoreAllMocks();
+    });
+
+    test('pairs the senderId number by default and formats the code for display', async () => {
+        const response = await request({});
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({ pairingCode: 'ABCD1234', displayCode: 'ABCD-1234', state: 'PAIRING_CODE_READY' });
+        expect(sessionManager.getPairingCodeForAPI).toHaveBeenCalledWith(SENDER, SENDER);
+    });
+
+    test('strips formatting from phoneNumber', async () => {
+        await request({ phoneNumber: '+91 (98765) 432-11' });
+
+        expect(sessionManager.getPairingCodeForAPI).toHaveBeenCalledWith(SENDER, '919876543211');
+    });
+
+    test('rejects a number that is too short', async () => {
+        const response = await request({ phoneNumber: '12345' });
+
+        expect(response.status).toBe(400);
+        expect(sessionManager.getPairingCodeForAPI).not.toHaveBeenCalled();
+    });
+
+    test.each([
+        ['Session already connected. No pairing code needed.', 409, 'ALREADY_CONNECTED'],
+        ['Session not found. Please create session first.', 404, 'SESSION_NOT_FOUND'],
+        ['Authentication in progress. Please wait for completion.', 202, 'AUTHENTICATION_IN_PROGRESS'],
+        ['Pairing code generation failed: rate-overlimit. Please try again.', 500, 'ERROR']
+    ])('maps "%s" to %i', async (message, status, state) => {
+        sessionManager.getPairingCodeForAPI.mockRejectedValue(new Error(message));
+
+        const response = await request({});
+
+        expect(response.status).toBe(status);
+        expect(response.body.data.state).toBe(state);
+    });
+});
@@ -0,0 +1,113 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+
+const { startApi } = require('../helpers/api');
+
+const SENDER = '919876543210';
+const RECEIVER = '919876543211';
+
+describe('rich message endpoints', () => {
+    let api;
+    let sessionManager;
+
+    const send = (route, body) => api.post(route, { authToken: 'admin-token', senderId: SENDER, receiverId: RECEIVER, ...body });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const sent = jest.fn().mockResolvedValue({ key: { id: 'MSG1' } });
+        sessionManager = {
+            resolveAuthToken: jest.fn().mockResolvedValue({ isAdmin: true, sessionId: null }),
+            database: { getSession: jest.fn().mockResolvedValue({ session_id: SENDER, status: 'connected' }) },
+            reserveSendSlot: jest.fn().mockResolvedValue({ allowed: true, delayMs: 0 }),
+            releaseSendSlot: jest.fn(),
+            sendLocationMessage: sent,
+            sendContactMessage: sent,
+            sendPollMessage: sent,
+            sendReaction: sent,
+            sendReplyMessage: sent
+        };
+        api = await startApi(sessionManager);
+    });
+
+    afterEach(async () => {
+        await api.close();
+        jest.restoreAllMocks();
+    });
+
+    test('sends a location pin with parsed coordinates', async () => {
+        const response = await send('/sendLocation', { latitude: '12.97', longitude: 77.59, name: 'Office' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({ messageId: 'MSG1', latitude: 12.97, longitude: 77.59, name: 'Office', address: null });
+        expect(sessionManager.sendLocationMessage).toHaveBeenCalledWith(SENDER, RECEIVER, { latitude: 12.97, longitude: 77.59, name: 'Office', address: undefined });
+    });
+
+    test('rejects coordinates out of range', async () => {
+        const response = await send('/sendLocation', { latitude: 91, longitude: 0 });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('latitude must be between -90 and 90 and longitude between -180 and 180');
+        expect(sessionManager.sendLocationMessage).not.toHaveBeenCalled();
+        expect(sessionManager.releaseSendSlot).toHaveBeenCalled();
+    });
+
+    test('sends a single contact from the flat parameters', async () => {
+        const response = await send('/sendContact', { contactName: 'Asha Rao', contactNumber: '+91 98765 43212' });
+
+        expect(response.status).toBe(200);
+        expect(sessionManager.sendContactMessage).toHaveBeenCalledWith(SENDER, RECEIVER, [
+            { fullName: 'Asha Rao', phoneNumber: '+91 98765 43212', organization: undefined, email: undefined }
+        ]);
+    });
+
+    test('points at the contact without a phone number', async () => {
+        const response = await send('/sendContact', { contacts: [{ fullName: 'Asha', phoneNumber: '919876543212' }, { fullName: 'Ravi' }] });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('contacts[1] needs a fullName and a phoneNumber');
+    });
+
+    test('sends a poll with trimmed options and a single choice by default', async () => {
+        const response = await send('/sendPoll', { question: 'Lunch?', options: [' Pizza ', 'Salad'] });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({ question: 'Lunch?', options: ['Pizza', 'Salad'], selectableCount: 1 });
+        expect(sessionManager.sendPollMessage).toHaveBeenCalledWith(SENDER, RECEIVER, 'Lunch?', ['Pizza', 'Salad'], 1);
+    });
+
+    test.each([
+        [{ options: ['Pizza'] }, 'options must be an array of 2 to 12 choices'],
+        [{ options: ['Pizza', 'pizza ', 'Pizza'] }, 'options must be non-empty and unique'],
+        [{ options: ['Pizza', 'Salad'], selectableCount: 3 }, 'selectableCount must be between 0 and 2']
+    ])('rejects the poll %j', async (body, error) => {
+        const response = await send('/sendPoll', { question: 'Lunch?', ...body });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe(error);
+    });
+
+    test('removes a reaction with an empty emoji', async () => {
+        const response = await send('/sendReaction', { messageId: 'ABC', fromMe: 'true' });
+
+        expect(response.body.data).toMatchObject({ reactedMessageId: 'ABC', emoji: '', removed: true });
+        expect(sessionManager.sendReaction).toHaveBeenCalledWith(SENDER, RECEIVER, 'ABC', '', true, null);
+    });
+
+    test('quotes the replied-to message', async () => {
+        const response = await send('/sendReply', { messageText: 'Sure', quotedMessageId: 'ABC', quotedParticipant: `${RECEIVER}@s.whatsapp.net` });
+
+        expect(response.status).toBe(200);
+        expect(sessionManager.sendReplyMessage).toHaveBeenCalledWith(SENDER, RECEIVER, 'Sure', 'ABC', {
+            fromMe: false,
+            participant: `${RECEIVER}@s.whatsapp.net`,
+            text: ''
+        });
+    });
+
+    test('rejects an invalid receiver', async () => {
+        const response = await send('/sendReply', { receiverId: 'abc', messageText: 'Sure', quotedMessageId: 'ABC' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.message).toBe('Invalid receiver ID format');
+        expect(sessionManager.sendReplyMessage).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,102 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+
+const { startApi } = require('../helpers/api');
+
+const SENDER = '919876543210';
+const RECEIVER = '919876543211';
+const CONTENT = Buffer.from('%PDF-1.4 test document');
+
+describe('POST /sendMediaSMS', () => {
+    let api;
+    let sessionManager;
+
+    const uploadForm = (fields = {}) => {
+        const form = new FormData();
+        form.append('senderId', SENDER);
+        form.append('receiverId', RECEIVER);
+        for (const [name, value] of Object.entries(fields)) {
+            form.append(name, value);
+        }
+        form.append('file', new Blob([CONTENT], { type: 'application/octet-stream' }), 'invoice.pdf');
+        return form;
+    };
+    const sendBase64 = (body) => api.post('/sendMediaSMS', { authToken: 'session-token', senderId: SENDER, receiverId: RECEIVER, ...body });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const scopes = {
+            'admin-token': { isAdmin: true, sessionId: null },
+            'session-token': { isAdmin: false, sessionId: SENDER }
+        };
+        sessionManager = {
+            resolveAuthToken: jest.fn(async (authToken) => scopes[authToken] || null),
+            database: { getSession: jest.fn().mockResolvedValue({ session_id: SENDER, status: 'connected' }) },
+            getSessionBySenderId: jest.fn().mockResolvedValue(null),
+            reserveSendSlot: jest.fn().mockResolvedValue({ allowed: true, delayMs: 0 }),
+            releaseSendSlot: jest.fn(),
+            sendMediaMessage: jest.fn().mockResolvedValue({ key: { id: 'MSG1' } })
+        };
+        api = await startApi(sessionManager);
+    });
+
+    afterEach(async () => {
+        await api.close();
+        jest.restoreAllMocks();
+    });
+
+    test('sends a multipart upload authenticated by the X-Auth-Token header', async () => {
+        const response = await api.post('/sendMediaSMS', uploadForm({ caption: 'Your invoice' }), { 'X-Auth-Token': 'session-token' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({ mediaSource: 'upload', mediaType: 'application/pdf', fileName: 'invoice.pdf' });
+        expect(sessionManager.sendMediaMessage).toHaveBeenCalledWith(SENDER, RECEIVER, CONTENT, 'application/pdf', 'Your invoice', 'invoice.pdf');
+    });
+
+    test('rejects a multipart upload without a token before reading the file', async () => {
+        const response = await api.post('/sendMediaSMS', uploadForm({ authToken: 'session-token' }));
+
+        expect(response.status).toBe(401);
+        expect(response.body.error).toMatch(/X-Auth-Token header or the authToken query parameter$/);
+        expect(sessionManager.resolveAuthToken).not.toHaveBeenCalled();
+        expect(sessionManager.sendMediaMessage).not.toHaveBeenCalled();
+    });
+
+    test('keeps an upload token to its own senderId', async () => {
+        const form = uploadForm();
+        form.set('senderId', '919876543219');
+
+        const response = await api.post('/sendMediaSMS?authToken=session-token', form);
+
+        expect(response.status).toBe(403);
+        expect(sessionManager.sendMediaMessage).not.toHaveBeenCalled();
+    });
+
+    test('decodes a data: URI and takes its mime type', async () => {
+        const response = await sendBase64({ mediaBase64: `data:application/pdf;base64,${CONTENT.toString('base64')}`, fileName: 'invoice.pdf' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({ mediaSource: 'base64', mediaType: 'application/pdf' });
+        expect(sessionManager.sendMediaMessage).toHaveBeenCalledWith(SENDER, RECEIVER, CONTENT, 'application/pdf', '', 'invoice.pdf');
+    });
+
+    test('guesses the mime type of plain base64 from the file name', async () => {
+        await sendBase64({ base64: CONTENT.toString('base64'), fileName: 'invoice.pdf' });
+
+        expect(sessionManager.sendMediaMessage).toHaveBeenCalledWith(SENDER, RECEIVER, CONTENT, 'application/pdf', '', 'invoice.pdf');
+    });
+
+    test('rejects malformed base64', async () => {
+        const response = await sendBase64({ mediaBase64: 'not base64!' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('mediaBase64 must be base64 data or a data: URI');
+        expect(sessionManager.sendMediaMessage).not.toHaveBeenCalled();
+    });
+
+    test('rejects more than one media source', async () => {
+        const response = await sendBase64({ mediaBase64: CONTENT.toString('base64'), mediaurl: 'https://example.com/invoice.pdf' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.data.received).toEqual(['base64', 'url']);
+    });
+});
@@ -0,0 +1,86 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+
+const { startApi } = require('../helpers/api');
+const { waitFor } = require('../helpers/wait');
+
+const SENDER = '919876543210';
+const RECEIVER = '919876543211';
+
+describe('enforceSendRateLimit', () => {
+    let api;
+    let sessionManager;
+    let slot;
+
+    const sendText = (body = {}) => api.post('/sendTextSMS', {
+        authToken: 'admin-token',
+        senderId: SENDER,
+        receiverId: RECEIVER,
+        messageText: 'Hello',
+        ...body
+    });
+
+    beforeEach(async () => {
+        slot = { allowed: true, delayMs: 0 };
+        sessionManager = {
+            resolveAuthToken: jest.fn().mockResolvedValue({ isAdmin: true, sessionId: null }),
+            database: { getSession: jest.fn().mockResolvedValue({ session_id: SENDER, status: 'connected' }) },
+            reserveSendSlot: jest.fn().mockResolvedValue(slot),
+            releaseSendSlot: jest.fn(),
+            getSessionBySenderId: jest.fn().mockResolvedValue(null),
+            sendTextMessage: jest.fn().mockResolvedValue({ key: { id: 'MSG1' } })
+        };
+        api = await startApi(sessionManager);
+    });
+
+    afterEach(async () => {
+        await api.close();
+    });
+
+    test('keeps the slot of a successful send', async () => {
+        const response = await sendText();
+
+        expect(response.status).toBe(200);
+        expect(sessionManager.reserveSendSlot).toHaveBeenCalledWith(SENDER, expect.objectContaining({ session_id: SENDER }));
+        expect(sessionManager.releaseSendSlot).not.toHaveBeenCalled();
+    });
+
+    test('gives the slot back when the request is rejected', async () => {
+        const response = await sendText({ receiverId: 'not-a-number' });
+
+        expect(response.status).toBe(400);
+        await waitFor(() => sessionManager.releaseSendSlot.mock.calls.length === 1);
+        expect(sessionManager.releaseSendSlot).toHaveBeenCalledWith(SENDER, slot);
+    });
+
+    test('gives the slot back when the send fails before anything goes out', async () => {
+        sessionManager.sendTextMessage.mockRejectedValue(new Error(`Phone number ${RECEIVER} is not registered on WhatsApp`));
+
+        const response = await sendText();
+
+        expect(response.status).toBe(500);
+        expect(response.body.status).toBe('not on WA');
+        await waitFor(() => sessionManager.releaseSendSlot.mock.calls.length === 1);
+    });
+
+    test('keeps the slot when the send times out and delivery is unknown', async () => {
+        sessionManager.sendTextMessage.mockRejectedValue(new Error('Message send timeout'));
+
+        const response = await sendText();
+
+        expect(response.status).toBe(500);
+        expect(response.body.error).toBe('Message send timeout');
+        await new Promise(resolve => setTimeout(resolve, 20));
+        expect(sessionManager.releaseSendSlot).not.toHaveBeenCalled();
+    });
+
+    test('answers 429 with Retry-After when the session is over its limit', async () => {
+        sessionManager.reserveSendSlot.mockResolvedValue({ allowed: false, limit: 'per_minute', max: 20, retryAfterMs: 1500 });
+
+        const response = await sendText();
+
+        expect(response.status).toBe(429);
+        expect(response.headers.get('retry-after')).toBe('2');
+        expect(response.body.data).toMatchObject({ limit: 'per_minute', max: 20, retryAfter: 2 });
+        expect(sessionManager.sendTextMessage).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,68 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+
+const { startApi } = require('../helpers/api');
+
+const SENDER = '919876543210';
+const CHAT = '919876543211@s.whatsapp.net';
+
+describe('message edit and delete endpoints', () => {
+    let api;
+    let sessionManager;
+
+    const call = (route, body) => api.post(route, { authToken: 'admin-token', senderId: SENDER, messageId: 'M1', ...body });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        sessionManager = {
+            resolveAuthToken: jest.fn().mockResolvedValue({ isAdmin: true, sessionId: null }),
+            database: { getSession: jest.fn().mockResolvedValue({ session_id: SENDER, status: 'connected' }) },
+            reserveSendSlot: jest.fn().mockResolvedValue({ allowed: true, delayMs: 0 }),
+            releaseSendSlot: jest.fn(),
+            editMessage: jest.fn().mockResolvedValue({ result: { key: { id: 'EDIT1' } }, chatJid: CHAT }),
+            deleteMessage: jest.fn().mockResolvedValue({ result: { key: { id: 'DEL1' } }, chatJid: CHAT })
+        };
+        api = await startApi(sessionManager);
+    });
+
+    afterEach(async () => {
+        await api.close();
+        jest.restoreAllMocks();
+    });
+
+    test('edits through the receiverId alias', async () => {
+        const response = await call('/editMessage', { receiverId: '919876543211', messageText: 'Hello' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({ messageId: 'M1', chatId: CHAT, protocolMessageId: 'EDIT1', messageLength: 5 });
+        expect(sessionManager.editMessage).toHaveBeenCalledWith(SENDER, '919876543211', 'M1', 'Hello');
+    });
+
+    test('deletes for everyone', async () => {
+        const response = await call('/deleteMessage', { chatId: CHAT });
+
+        expect(response.body.data).toMatchObject({ protocolMessageId: 'DEL1', deletedForEveryone: true });
+    });
+
+    test('requires the new text', async () => {
+        const response = await call('/editMessage', { chatId: CHAT, messageText: '  ' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('messageText is required');
+        expect(sessionManager.editMessage).not.toHaveBeenCalled();
+    });
+
+    test.each([
+        [`Message M1 not found in chat ${CHAT} (only messages in the message history can be edited or deleted)`, 404],
+        ['Message M1 was not sent by this session', 403],
+        ['Message M1 is too old to edit: sent 20 minutes ago, WhatsApp allows 15 minutes', 409],
+        ['Cannot edit message M1: only text messages can be edited', 409]
+    ])('answers "%s" with %i and gives the send slot back', async (message, status) => {
+        sessionManager.editMessage.mockRejectedValue(new Error(message));
+
+        const response = await call('/editMessage', { chatId: CHAT, messageText: 'Hello' });
+
+        expect(response.status).toBe(status);
+        expect(response.body.error).toBe(message);
+        expect(sessionManager.releaseSendSlot).toHaveBeenCalled();
+    });
+});
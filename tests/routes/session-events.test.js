@@ -0,0 +1,77 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+
+const { startApi } = require('../helpers/api');
+const { waitFor } = require('../helpers/wait');
+
+const SENDER = '919876543210';
+const OTHER_SENDER = '919876543219';
+
+describe('GET /sessionEvents/:senderId', () => {
+    let api;
+    let sessionManager;
+    let listener;
+    let unsubscribe;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const scopes = {
+            'admin-token': { isAdmin: true, sessionId: null },
+            'session-token': { isAdmin: false, sessionId: SENDER }
+        };
+        unsubscribe = jest.fn();
+        sessionManager = {
+            resolveAuthToken: jest.fn(async (authToken) => scopes[authToken] || null),
+            database: { getSession: jest.fn(async (senderId) => (senderId === SENDER ? { session_id: SENDER, status: 'qr_pending' } : null)) },
+            getSessionSnapshot: jest.fn().mockResolvedValue({ type: 'snapshot', sessionId: SENDER, state: 'QR_VALID', qrCode: 'data:image/png;base64,QR' }),
+            subscribeToSessionEvents: jest.fn((senderId, handler) => {
+                listener = handler;
+                return unsubscribe;
+            })
+        };
+        api = await startApi(sessionManager);
+    });
+
+    afterEach(async () => {
+        await api.close();
+        jest.restoreAllMocks();
+    });
+
+    test('sends the current snapshot first, then live events', async () => {
+        const stream = await api.stream(`/sessionEvents/${SENDER}?authToken=session-token`);
+
+        expect(stream.status).toBe(200);
+        expect(stream.headers.get('content-type')).toMatch(/^text\/event-stream/);
+        expect(await stream.next()).toEqual({
+            event: 'snapshot',
+            data: { type: 'snapshot', sessionId: SENDER, state: 'QR_VALID', qrCode: 'data:image/png;base64,QR' }
+        });
+
+        await waitFor(() => listener);
+        listener({ type: 'connection.update', sessionId: SENDER, status: 'connected' });
+
+        expect(await stream.next()).toMatchObject({ event: 'connection.update', data: { status: 'connected' } });
+        stream.close();
+    });
+
+    test('unsubscribes when the client disconnects', async () => {
+        const stream = await api.stream(`/sessionEvents/${SENDER}?authToken=admin-token`);
+        await stream.next();
+
+        stream.close();
+
+        await waitFor(() => unsubscribe.mock.calls.length === 1);
+    });
+
+    test('requires a token for the session', async () => {
+        expect((await api.get(`/sessionEvents/${SENDER}`)).status).toBe(401);
+        expect((await api.get(`/sessionEvents/${OTHER_SENDER}?authToken=session-token`)).status).toBe(401);
+        expect(sessionManager.subscribeToSessionEvents).not.toHaveBeenCalled();
+    });
+
+    test('answers 404 for an unknown session', async () => {
+        const response = await api.get(`/sessionEvents/${OTHER_SENDER}?authToken=admin-token`);
+
+        expect(response.status).toBe(404);
+        expect(sessionManager.getSessionSnapshot).not.toHaveBeenCalled();
+    });
+});
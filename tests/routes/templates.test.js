@@ -0,0 +1,103 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+
+const path = require('path');
+const TemplateManager = require('../../src/services/template-manager');
+const { startApi } = require('../helpers/api');
+const { openTestDatabase, closeTestDatabase } = require('../helpers/database');
+
+const SENDER = '919876543210';
+const RECEIVER = '919876543211';
+
+describe('message templates', () => {
+    let api;
+    let database;
+    let sessionManager;
+
+    const sendText = (body) => api.post('/sendTextSMS', { authToken: 'admin-token', receiverId: RECEIVER, ...body });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        database = await openTestDatabase();
+        process.env.TEMPLATE_MEDIA_PATH = path.join(database.testDir, 'templates');
+        await database.createSession({ session_id: SENDER, name: 'Test', auth_token: null, user_id: 'user1', admin_id: null, webhook_url: null });
+
+        const templateManager = new TemplateManager(database);
+        await templateManager.createTemplate({
+            scope: 'session',
+            ownerId: SENDER,
+            name: 'order_ready',
+            body: 'Hi {{name}}, your order of {{total}} is ready',
+            variables: [{ name: 'total', type: 'currency', currency: 'EUR' }],
+            locale: 'en-US'
+        });
+        await templateManager.createTemplate({ scope: 'user', ownerId: 'user1', name: 'greeting', body: 'Hello from the team, {{name}}' });
+
+        sessionManager = {
+            database,
+            templateManager,
+            resolveAuthToken: jest.fn().mockResolvedValue({ isAdmin: true, sessionId: null }),
+            reserveSendSlot: jest.fn().mockResolvedValue({ allowed: true, delayMs: 0 }),
+            releaseSendSlot: jest.fn(),
+            getSessionBySenderId: jest.fn().mockResolvedValue(null),
+            sendTextMessage: jest.fn().mockResolvedValue({ key: { id: 'MSG1' } })
+        };
+        api = await startApi(sessionManager);
+    });
+
+    afterEach(async () => {
+        await api.close();
+        await closeTestDatabase(database);
+        delete process.env.TEMPLATE_MEDIA_PATH;
+        jest.restoreAllMocks();
+    });
+
+    test('sends the rendered template text in place of messageText', async () => {
+        const response = await sendText({ senderId: SENDER, templateName: 'order_ready', variables: { name: 'Asha', total: 12.5 } });
+
+        expect(response.status).toBe(200);
+        expect(sessionManager.sendTextMessage).toHaveBeenCalledWith(SENDER, RECEIVER, 'Hi Asha, your order of €12.50 is ready');
+    });
+
+    test('resolves templates for the sessionId alias', async () => {
+        const response = await sendText({ sessionId: SENDER, templateName: 'order_ready', variables: { name: 'Ravi', total: 3 } });
+
+        expect(response.status).toBe(200);
+        expect(sessionManager.sendTextMessage).toHaveBeenCalledWith(SENDER, RECEIVER, 'Hi Ravi, your order of €3.00 is ready');
+    });
+
+    test('falls back to a user-wide template', async () => {
+        await sendText({ senderId: SENDER, templateName: 'greeting', variables: { name: 'Asha' } });
+
+        expect(sessionManager.sendTextMessage).toHaveBeenCalledWith(SENDER, RECEIVER, 'Hello from the team, Asha');
+    });
+
+    test('rejects missing or mistyped variables before sending', async () => {
+        const response = await sendText({ senderId: SENDER, templateName: 'order_ready', variables: { total: 'lots' } });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Invalid variables: total must be a number; name is required');
+        expect(sessionManager.reserveSendSlot).not.toHaveBeenCalled();
+        expect(sessionManager.sendTextMessage).not.toHaveBeenCalled();
+    });
+
+    test('rejects a template together with messageText', async () => {
+        const response = await sendText({ senderId: SENDER, templateName: 'order_ready', messageText: 'Hi' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Provide either templateName or messageText, not both');
+    });
+
+    test('answers 404 for an unknown template', async () => {
+        const response = await sendText({ senderId: SENDER, templateName: 'missing' });
+
+        expect(response.status).toBe(404);
+        expect(response.body.error).toBe('Template missing not found');
+    });
+
+    test('stores session templates under the sessionId alias', async () => {
+        const response = await api.post('/createTemplate', { authToken: 'admin-token', sessionId: SENDER, name: 'welcome', body: 'Welcome {{name}}' });
+
+        expect(response.status).toBe(201);
+        expect(await database.getMessageTemplate('session', SENDER, 'welcome')).toMatchObject({ body: 'Welcome {{name}}' });
+    });
+});
@@ -0,0 +1,109 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+
+const { startApi } = require('../helpers/api');
+const { openTestDatabase, closeTestDatabase } = require('../helpers/database');
+
+const SENDER = '919876543210';
+
+describe('POST /updateWebhookEvents', () => {
+    let api;
+    let database;
+
+    const update = (settings) => api.post('/updateWebhookEvents', { authToken: 'admin-token', senderId: SENDER, ...settings });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        database = await openTestDatabase();
+        await database.createSession({ session_id: SENDER, name: 'Test', auth_token: null, user_id: 'user1', admin_id: null, webhook_url: null });
+
+        api = await startApi({
+            database,
+            resolveAuthToken: jest.fn().mockResolvedValue({ isAdmin: true, sessionId: null }),
+            getSessionBySenderId: jest.fn().mockResolvedValue(null)
+        });
+    });
+
+    afterEach(async () => {
+        await api.close();
+        await closeTestDatabase(database);
+        jest.restoreAllMocks();
+    });
+
+    test('leaves message.status webhooks off until the session opts in', async () => {
+        expect((await database.getSession(SENDER)).send_message_status).toBe(0);
+
+        const response = await update({ statuses: true });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.events).toMatchObject({ 'message.status': true, 'message.reaction': false });
+        expect((await database.getSession(SENDER)).send_message_status).toBe(1);
+    });
+
+    test('leaves poll.vote webhooks off until the session opts in', async () => {
+        expect((await database.getSession(SENDER)).send_poll_votes).toBe(0);
+
+        const response = await update({ pollVotes: 'true' });
+
+        expect(response.body.data.events).toMatchObject({ 'poll.vote': true, 'message.status': false });
+        expect((await database.getSession(SENDER)).send_poll_votes).toBe(1);
+    });
+
+    test('leaves group.* webhooks off until the session opts in, independent of group messages', async () => {
+        expect((await database.getSession(SENDER)).send_group_events).toBe(0);
+
+        const response = await update({ groupEvents: true });
+
+        expect(response.body.data.events).toMatchObject({ 'group.*': true, 'message.outgoing': false });
+        expect(response.body.data.sendGroupMessages).toBe(false);
+        expect(await database.getSession(SENDER)).toMatchObject({ send_group_events: 1, send_group_messages: 0 });
+    });
+
+    test('keeps omitted subscriptions', async () => {
+        await update({ statuses: true, reactions: true });
+
+        const response = await update({ reactions: false });
+
+        expect(response.body.data.events).toMatchObject({ 'message.status': true, 'message.reaction': false });
+    });
+
+    test('subscribes to outgoing, edited, deleted and reaction events independently', async () => {
+        const response = await update({ outgoing: true, edited: '1', deleted: 'false', reactions: 1 });
+
+        expect(response.body.data.events).toEqual({
+            'message.outgoing': true,
+            'message.edited': true,
+            'message.deleted': false,
+            'message.reaction': true,
+            'message.status': false,
+            'poll.vote': false,
+            'group.*': false,
+            'call.*': false
+        });
+        expect(await database.getSession(SENDER)).toMatchObject({
+            send_outgoing_messages: 1,
+            send_edited_messages: 1,
+            send_deleted_messages: 0,
+            send_reactions: 1
+        });
+    });
+
+    test('reports the subscriptions in the session status', async () => {
+        await update({ edited: true, groupEvents: true });
+
+        const response = await api.get(`/sessionStatus/${SENDER}?authToken=admin-token`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.webhookEvents).toMatchObject({
+            'message.outgoing': false,
+            'message.edited': true,
+            'group.*': true
+        });
+    });
+
+    test('requires at least one setting', async () => {
+        const response = await update({});
+
+        expect(response.status).toBe(400);
+        expect(response.body.data.acceptedParameters).toHaveProperty('statuses');
+    });
+});
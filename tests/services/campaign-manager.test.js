@@ -0,0 +1,152 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+
+const path = require('path');
+const CampaignManager = require('../../src/services/campaign-manager');
+const { openTestDatabase, closeTestDatabase, query } = require('../helpers/database');
+const { waitFor } = require('../helpers/wait');
+
+const recipients = [
+    { receiverId: '919876543211', variables: { name: 'Asha' } },
+    { receiverId: '919876543212', variables: { name: 'Ravi' } }
+];
+
+describe('CampaignManager', () => {
+    let database;
+    let session;
+    let sessionManager;
+    let manager;
+    let slot;
+
+    const idle = () => waitFor(() => manager.activeWorkers.size === 0);
+    const recipientRows = (campaignId) => query(database,
+        'SELECT receiver_id, status, message_id, error FROM campaign_recipients WHERE campaign_id = ? ORDER BY receiver_id', [campaignId]);
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        database = await openTestDatabase();
+        process.env.SESSION_STORAGE_PATH = path.join(database.testDir, 'sessions');
+
+        let sent = 0;
+        session = {
+            isSessionConnected: () => true,
+            sendTextMessage: jest.fn().mockImplementation(async () => ({ key: { id: `MSG${++sent}` } })),
+            sendMediaMessage: jest.fn()
+        };
+        slot = { allowed: true, delayMs: 0 };
+        sessionManager = {
+            database,
+            sessions: new Map([['s1', session]]),
+            reserveSendSlot: jest.fn().mockResolvedValue(slot),
+            releaseSendSlot: jest.fn(),
+            recordSentMessage: jest.fn()
+        };
+        manager = new CampaignManager(sessionManager);
+        manager.sendTimeout = 50;
+    });
+
+    afterEach(async () => {
+        manager.stop();
+        await closeTestDatabase(database);
+        delete process.env.SESSION_STORAGE_PATH;
+        jest.restoreAllMocks();
+    });
+
+    test('sends each recipient its personalized text and completes the campaign', async () => {
+        const campaign = await manager.createCampaign('s1', { messageText: 'Hi {{name}} ({{receiverId}})', recipients, autoStart: true });
+        await idle();
+
+        expect(session.sendTextMessage.mock.calls).toEqual([
+            ['919876543211', 'Hi Asha (919876543211)'],
+            ['919876543212', 'Hi Ravi (919876543212)']
+        ]);
+        expect(await manager.getCampaign('s1', campaign.campaignId)).toMatchObject({
+            status: 'completed',
+            counts: { sent: 2, failed: 0, pending: 0 },
+            progress: 100
+        });
+        expect(sessionManager.releaseSendSlot).not.toHaveBeenCalled();
+    });
+
+    test('fails a timed-out recipient without re-sending and records a late delivery', async () => {
+        session.sendTextMessage.mockImplementationOnce(() => new Promise(resolve => setTimeout(() => resolve({ key: { id: 'LATE1' } }), 150)));
+
+        const campaign = await manager.createCampaign('s1', { messageText: 'Hi {{name}}', recipients, autoStart: true });
+        await idle();
+
+        expect(session.sendTextMessage).toHaveBeenCalledTimes(2);
+        expect((await recipientRows(campaign.campaignId))[0]).toMatchObject({
+            status: 'failed',
+            error: 'Campaign message send timeout (delivery unknown, not retried)'
+        });
+
+        await waitFor(async () => (await recipientRows(campaign.campaignId))[0].status === 'sent');
+        expect((await recipientRows(campaign.campaignId))[0]).toMatchObject({ message_id: 'LATE1' });
+        expect(session.sendTextMessage).toHaveBeenCalledTimes(2);
+        expect(sessionManager.releaseSendSlot).not.toHaveBeenCalled();
+    });
+
+    test('puts a recipient back when the connection drops and gives its slot back', async () => {
+        session.sendTextMessage.mockRejectedValueOnce(new Error('Connection Closed'));
+
+        const campaign = await manager.createCampaign('s1', { messageText: 'Hi', recipients, autoStart: true });
+        await idle();
+
+        expect(session.sendTextMessage).toHaveBeenCalledTimes(1);
+        expect((await recipientRows(campaign.campaignId)).map(row => row.status)).toEqual(['pending', 'pending']);
+        expect(sessionManager.releaseSendSlot).toHaveBeenCalledWith('s1', slot);
+    });
+
+    test('gives the slot back when the campaign is paused during the pacing delay', async () => {
+        const campaign = await manager.createCampaign('s1', { messageText: 'Hi', recipients });
+        sessionManager.reserveSendSlot.mockImplementationOnce(async () => {
+            await manager.pauseCampaign('s1', campaign.campaignId);
+            return slot;
+        });
+
+        await manager.startCampaign('s1', campaign.campaignId);
+        await idle();
+
+        expect(session.sendTextMessage).not.toHaveBeenCalled();
+        expect(sessionManager.releaseSendSlot).toHaveBeenCalledWith('s1', slot);
+        expect((await manager.getCampaign('s1', campaign.campaignId)).status).toBe('paused');
+    });
+
+    test('gives the slot back when the recipient claim is lost', async () => {
+        const updateRecipient = database.updateCampaignRecipient.bind(database);
+        let claimsLost = 0;
+        jest.spyOn(database, 'updateCampaignRecipient').mockImplementation((recipientId, status, details) => {
+            if (status === 'sending' && claimsLost === 0) {
+                claimsLost++;
+                return Promise.resolve(0);
+            }
+            return updateRecipient(recipientId, status, details);
+        });
+
+        const campaign = await manager.createCampaign('s1', { messageText: 'Hi', recipients, autoStart: true });
+        await idle();
+
+        expect(sessionManager.releaseSendSlot).toHaveBeenCalledTimes(1);
+        expect(session.sendTextMessage).toHaveBeenCalledTimes(2);
+        expect((await manager.getCampaign('s1', campaign.campaignId)).counts.sent).toBe(2);
+    });
+
+    test('fails recipients interrupted by a restart instead of sending to them again', async () => {
+        session.isSessionConnected = () => false;
+        const campaign = await manager.createCampaign('s1', { messageText: 'Hi', recipients, autoStart: true });
+        const [first] = await query(database, 'SELECT id FROM campaign_recipients WHERE receiver_id = ?', ['919876543211']);
+        await database.updateCampaignRecipient(first.id, 'sending');
+
+        await manager.start();
+
+        expect(await recipientRows(campaign.campaignId)).toEqual([
+            { receiver_id: '919876543211', status: 'failed', message_id: null, error: 'Send interrupted by a server restart (delivery unknown, not retried)' },
+            { receiver_id: '919876543212', status: 'pending', message_id: null, error: null }
+        ]);
+    });
+
+    test('hides other sessions\' campaigns', async () => {
+        const campaign = await manager.createCampaign('s1', { messageText: 'Hi', recipients });
+
+        await expect(manager.getCampaign('s2', campaign.campaignId)).rejects.toThrow('not found');
+    });
+});
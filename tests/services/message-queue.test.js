@@ -0,0 +1,166 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+
+const fs = require('fs');
+const path = require('path');
+const MessageQueue = require('../../src/services/message-queue');
+const { openTestDatabase, closeTestDatabase, query } = require('../helpers/database');
+const { waitFor } = require('../helpers/wait');
+
+const RECEIVER = '919876543211';
+
+describe('MessageQueue', () => {
+    let database;
+    let session;
+    let sessionManager;
+    let queue;
+    let slot;
+
+    const idle = () => waitFor(() => queue.activeWorkers.size === 0);
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        database = await openTestDatabase();
+        process.env.SESSION_STORAGE_PATH = path.join(database.testDir, 'sessions');
+
+        session = {
+            isSessionConnected: () => true,
+            sendTextMessage: jest.fn().mockResolvedValue({ key: { id: 'MSG1' } }),
+            sendMediaMessage: jest.fn().mockResolvedValue({ key: { id: 'MEDIA1' } })
+        };
+        slot = { allowed: true, delayMs: 0 };
+        sessionManager = {
+            database,
+            sessions: new Map([['s1', session]]),
+            reserveSendSlot: jest.fn().mockResolvedValue(slot),
+            releaseSendSlot: jest.fn(),
+            recordSentMessage: jest.fn()
+        };
+        queue = new MessageQueue(sessionManager);
+        queue.sendTimeout = 50;
+    });
+
+    afterEach(async () => {
+        queue.stop();
+        await closeTestDatabase(database);
+        delete process.env.SESSION_STORAGE_PATH;
+        jest.restoreAllMocks();
+    });
+
+    test('sends a queued message once and keeps its send slot', async () => {
+        const queueId = await queue.enqueueText('s1', RECEIVER, 'Hello');
+        await idle();
+
+        expect(session.sendTextMessage).toHaveBeenCalledTimes(1);
+        expect(session.sendTextMessage).toHaveBeenCalledWith(RECEIVER, 'Hello');
+        expect(await queue.getMessage(queueId)).toMatchObject({ status: 'sent', attempts: 1, messageId: 'MSG1' });
+        expect(sessionManager.releaseSendSlot).not.toHaveBeenCalled();
+    });
+
+    test('fails a timed-out send without retrying and records a late delivery', async () => {
+        session.sendTextMessage.mockImplementation(() => new Promise(resolve => setTimeout(() => resolve({ key: { id: 'LATE1' } }), 150)));
+
+        const queueId = await queue.enqueueText('s1', RECEIVER, 'Hello');
+        await idle();
+
+        expect(await queue.getMessage(queueId)).toMatchObject({
+            status: 'failed',
+            lastError: 'Queued message send timeout (delivery unknown, not retried)'
+        });
+
+        await waitFor(async () => (await queue.getMessage(queueId)).status === 'sent');
+        expect(await queue.getMessage(queueId)).toMatchObject({ status: 'sent', messageId: 'LATE1' });
+        expect(session.sendTextMessage).toHaveBeenCalledTimes(1);
+        expect(sessionManager.releaseSendSlot).not.toHaveBeenCalled();
+    });
+
+    test('requeues a failed send with backoff and gives its slot back', async () => {
+        session.sendTextMessage.mockRejectedValue(new Error('Connection Closed'));
+
+        const queueId = await queue.enqueueText('s1', RECEIVER, 'Hello');
+        await idle();
+
+        const message = await queue.getMessage(queueId);
+        expect(message).toMatchObject({ status: 'queued', attempts: 1, lastError: 'Connection Closed' });
+        expect(Date.parse(message.nextAttemptAt)).toBeGreaterThan(Date.now());
+        expect(sessionManager.releaseSendSlot).toHaveBeenCalledWith('s1', slot);
+    });
+
+    test('fails permanently once attempts run out', async () => {
+        queue.maxAttempts = 1;
+        session.sendTextMessage.mockRejectedValue(new Error('Phone number 919876543211 is not registered on WhatsApp'));
+
+        const queueId = await queue.enqueueText('s1', RECEIVER, 'Hello');
+        await idle();
+
+        expect(await queue.getMessage(queueId)).toMatchObject({ status: 'failed', attempts: 1 });
+    });
+
+    test('gives the slot back when another worker claimed the message first', async () => {
+        jest.spyOn(database, 'markQueuedMessageSending').mockResolvedValueOnce(0);
+
+        const queueId = await queue.enqueueText('s1', RECEIVER, 'Hello');
+        await idle();
+
+        expect(sessionManager.releaseSendSlot).toHaveBeenCalledTimes(1);
+        expect(sessionManager.releaseSendSlot).toHaveBeenCalledWith('s1', slot);
+        expect(session.sendTextMessage).toHaveBeenCalledTimes(1);
+        expect(await queue.getMessage(queueId)).toMatchObject({ status: 'sent' });
+    });
+
+    test('picks up rows queued straight into the database on the next poll', async () => {
+        // Call reject replies are queued this way by the session, with a JID receiver and a single attempt
+        await database.enqueueMessage({
+            id: 'call-reply-1',
+            session_id: 's1',
+            receiver_id: `${RECEIVER}@s.whatsapp.net`,
+            message_type: 'text',
+            payload: { messageText: 'Please send us a message instead' },
+            max_attempts: 1
+        });
+
+        await queue.pollDueSessions();
+        await idle();
+
+        expect(sessionManager.reserveSendSlot).toHaveBeenCalledWith('s1');
+        expect(session.sendTextMessage).toHaveBeenCalledWith(`${RECEIVER}@s.whatsapp.net`, 'Please send us a message instead');
+        expect(sessionManager.recordSentMessage).toHaveBeenCalledWith(session, { key: { id: 'MSG1' } });
+        expect(await queue.getMessage('call-reply-1')).toMatchObject({ status: 'sent', messageId: 'MSG1' });
+    });
+
+    test('leaves messages queued while the session is rate limited', async () => {
+        sessionManager.reserveSendSlot.mockResolvedValue({ allowed: false, limit: 'per_minute', max: 1, retryAfterMs: 60000 });
+
+        const queueId = await queue.enqueueText('s1', RECEIVER, 'Hello');
+        await idle();
+
+        expect(session.sendTextMessage).not.toHaveBeenCalled();
+        expect(await queue.getMessage(queueId)).toMatchObject({ status: 'queued', attempts: 0 });
+        expect(queue.rateLimitedUntil.get('s1')).toBeGreaterThan(Date.now());
+    });
+
+    test('fails messages interrupted by a restart instead of sending them again', async () => {
+        session.isSessionConnected = () => false;
+        const queueId = await queue.enqueueMedia('s1', RECEIVER, Buffer.from('image'), 'image', 'Caption', 'photo.jpg');
+        const { mediaPath } = JSON.parse((await database.getQueuedMessage(queueId)).payload);
+        await database.markQueuedMessageSending(queueId);
+
+        await queue.start();
+
+        expect(await queue.getMessage(queueId)).toMatchObject({
+            status: 'failed',
+            lastError: 'Send interrupted by a server restart (delivery unknown, not retried)'
+        });
+        await waitFor(() => !fs.existsSync(mediaPath));
+    });
+
+    test('removes queued rows and media when a session is deleted', async () => {
+        session.isSessionConnected = () => false;
+        await queue.enqueueMedia('s1', RECEIVER, Buffer.from('image'), 'image', '', 'photo.jpg');
+        await idle();
+
+        await queue.deleteSessionMessages('s1');
+
+        expect(await query(database, 'SELECT id FROM message_queue')).toEqual([]);
+        expect(fs.existsSync(queue.getMediaDir('s1'))).toBe(false);
+    });
+});
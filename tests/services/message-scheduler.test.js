@@ -0,0 +1,118 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+
+const path = require('path');
+const MessageScheduler = require('../../src/services/message-scheduler');
+const { openTestDatabase, closeTestDatabase, query } = require('../helpers/database');
+const { waitFor } = require('../helpers/wait');
+
+const RECEIVER = '919876543211';
+const INTERRUPTED = 'Run interrupted by a server restart (delivery unknown, not retried)';
+
+describe('MessageScheduler', () => {
+    let database;
+    let sessionManager;
+    let scheduler;
+    let slot;
+
+    const idle = () => waitFor(() => scheduler.activeWorkers.size === 0);
+    const schedule = (rule = { type: 'once', at: Date.now() + 60000 }) =>
+        scheduler.createSchedule('s1', { receiverId: RECEIVER, messageText: 'Reminder', schedule: rule, timezone: 'UTC' });
+    // Moves the next run (and a one-off's time) into the past, within the missed-run grace
+    const makeDue = (scheduleId, status = 'active') => {
+        const dueAt = Date.now() - 1000;
+        return query(database,
+            `UPDATE scheduled_messages SET next_run_at = ?, status = ?,
+                 schedule_rule = CASE WHEN schedule_type = 'once' THEN ? ELSE schedule_rule END
+             WHERE id = ?`,
+            [dueAt, status, JSON.stringify({ at: dueAt }), scheduleId]);
+    };
+    const runDue = async (scheduleId) => {
+        await makeDue(scheduleId);
+        scheduler.runSession('s1');
+        await idle();
+        return scheduler.getSchedule('s1', scheduleId);
+    };
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        database = await openTestDatabase();
+        process.env.SESSION_STORAGE_PATH = path.join(database.testDir, 'sessions');
+
+        slot = { allowed: true, delayMs: 0 };
+        sessionManager = {
+            database,
+            sessions: new Map([['s1', { isSessionConnected: () => true }]]),
+            reserveSendSlot: jest.fn().mockResolvedValue(slot),
+            releaseSendSlot: jest.fn(),
+            sendTextMessage: jest.fn().mockResolvedValue({ key: { id: 'MSG1' } }),
+            sendMediaMessage: jest.fn()
+        };
+        scheduler = new MessageScheduler(sessionManager);
+        scheduler.sendTimeout = 50;
+    });
+
+    afterEach(async () => {
+        scheduler.stop();
+        await closeTestDatabase(database);
+        delete process.env.SESSION_STORAGE_PATH;
+        jest.restoreAllMocks();
+    });
+
+    test('sends a due run once, completes a one-off schedule and keeps its slot', async () => {
+        const { scheduleId } = await schedule();
+
+        expect(await runDue(scheduleId)).toMatchObject({ status: 'completed', lastStatus: 'sent', lastMessageId: 'MSG1', runCount: 1 });
+        expect(sessionManager.sendTextMessage).toHaveBeenCalledWith('s1', RECEIVER, 'Reminder');
+        expect(sessionManager.releaseSendSlot).not.toHaveBeenCalled();
+    });
+
+    test('fails a timed-out run without re-sending and records a late delivery', async () => {
+        sessionManager.sendTextMessage.mockImplementation(() => new Promise(resolve => setTimeout(() => resolve({ key: { id: 'LATE1' } }), 150)));
+        const { scheduleId } = await schedule();
+
+        expect(await runDue(scheduleId)).toMatchObject({
+            status: 'failed',
+            lastStatus: 'failed',
+            lastError: 'Scheduled message send timeout (delivery unknown, not retried)',
+            runCount: 0
+        });
+
+        await waitFor(async () => (await scheduler.getSchedule('s1', scheduleId)).lastStatus === 'sent');
+        expect(await scheduler.getSchedule('s1', scheduleId)).toMatchObject({ status: 'completed', lastMessageId: 'LATE1', lastError: null, runCount: 1 });
+        expect(sessionManager.sendTextMessage).toHaveBeenCalledTimes(1);
+        expect(sessionManager.releaseSendSlot).not.toHaveBeenCalled();
+    });
+
+    test('gives the slot back when a run fails', async () => {
+        sessionManager.sendTextMessage.mockRejectedValue(new Error(`Phone number ${RECEIVER} is not registered on WhatsApp`));
+        const { scheduleId } = await schedule({ type: 'daily', time: '09:00' });
+
+        expect(await runDue(scheduleId)).toMatchObject({ status: 'active', lastStatus: 'failed', runCount: 0 });
+        expect(sessionManager.releaseSendSlot).toHaveBeenCalledWith('s1', slot);
+    });
+
+    test('gives the slot back when the run was claimed elsewhere', async () => {
+        jest.spyOn(database, 'claimScheduledMessage').mockResolvedValueOnce(false);
+        const { scheduleId } = await schedule();
+
+        expect(await runDue(scheduleId)).toMatchObject({ status: 'completed', runCount: 1 });
+        expect(sessionManager.releaseSendSlot).toHaveBeenCalledTimes(1);
+        expect(sessionManager.releaseSendSlot).toHaveBeenCalledWith('s1', slot);
+        expect(sessionManager.sendTextMessage).toHaveBeenCalledTimes(1);
+    });
+
+    test('fails runs interrupted by a restart instead of sending them again', async () => {
+        const once = await schedule();
+        const daily = await schedule({ type: 'daily', time: '09:00' });
+        await makeDue(once.scheduleId, 'sending');
+        await makeDue(daily.scheduleId, 'sending');
+
+        await scheduler.start();
+
+        expect(await scheduler.getSchedule('s1', once.scheduleId)).toMatchObject({ status: 'failed', lastError: INTERRUPTED });
+        const recurring = await scheduler.getSchedule('s1', daily.scheduleId);
+        expect(recurring).toMatchObject({ status: 'active', lastStatus: 'failed', lastError: INTERRUPTED });
+        expect(Date.parse(recurring.nextRunAt)).toBeGreaterThan(Date.now());
+        expect(sessionManager.sendTextMessage).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,433 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+// The Baileys session and SQLite layers aren't loaded; each test sets up the manager state it exercises
+jest.mock('../../src/services/baileys-session', () => jest.fn());
+jest.mock('../../src/database/db', () => jest.fn());
+
+const SessionManager = require('../../src/services/session-manager');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const START = Date.parse('2025-01-15T09:00:00Z');
+
+// A manager without the constructor's timers and session restore; only the rate-limit state is set up
+const createManager = (recentSends = []) => {
+    const manager = Object.create(SessionManager.prototype);
+    manager.sessionUsageTracker = new Map();
+    manager.maxSessionUsagePerMinute = 20;
+    manager.maxSessionUsagePerHour = 200;
+    manager.maxSessionUsagePerDay = 1000;
+    manager.sessionCooldownPeriod = MINUTE;
+    manager.minSendDelay = 1000;
+    manager.maxSendDelay = 3000;
+    manager.database = {
+        getSession: jest.fn().mockResolvedValue(null),
+        getOutgoingMessageTimestamps: jest.fn().mockResolvedValue(recentSends)
+    };
+    return manager;
+};
+
+// Per-session overrides; no pacing delay unless a test asks for one
+const limits = (overrides = {}) => ({
+    rate_limit_per_minute: 0,
+    rate_limit_per_hour: 0,
+    rate_limit_per_day: 0,
+    send_delay_min_ms: 0,
+    send_delay_max_ms: 0,
+    ...overrides
+});
+
+describe('SessionManager.reserveSendSlot', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(START);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    test('spaces consecutive sends by the configured delay', async () => {
+        const manager = createManager();
+        const sessionData = limits({ send_delay_min_ms: 1000, send_delay_max_ms: 1000 });
+
+        const first = await manager.reserveSendSlot('s1', sessionData);
+        const second = await manager.reserveSendSlot('s1', sessionData);
+
+        expect(first).toMatchObject({ allowed: true, delayMs: 0, sendAt: START });
+        expect(second).toMatchObject({ allowed: true, delayMs: 1000, sendAt: START + 1000 });
+    });
+
+    test('picks the delay between the minimum and maximum', async () => {
+        const manager = createManager();
+        jest.spyOn(Math, 'random').mockReturnValue(0.5);
+
+        await manager.reserveSendSlot('s1', limits({ send_delay_min_ms: 1000, send_delay_max_ms: 3000 }));
+        const slot = await manager.reserveSendSlot('s1', limits({ send_delay_min_ms: 1000, send_delay_max_ms: 3000 }));
+
+        expect(slot.delayMs).toBe(2000);
+    });
+
+    test('puts the session on cooldown when the per-minute limit is hit', async () => {
+        const manager = createManager();
+        const sessionData = limits({ rate_limit_per_minute: 2 });
+
+        await manager.reserveSendSlot('s1', sessionData);
+        await manager.reserveSendSlot('s1', sessionData);
+
+        expect(await manager.reserveSendSlot('s1', sessionData))
+            .toEqual({ allowed: false, limit: 'per_minute', max: 2, retryAfterMs: MINUTE });
+
+        jest.advanceTimersByTime(30 * 1000);
+        expect(await manager.reserveSendSlot('s1', sessionData))
+            .toEqual({ allowed: false, limit: 'cooldown', max: 2, retryAfterMs: 30 * 1000 });
+
+        jest.advanceTimersByTime(30 * 1000 + 1);
+        expect(await manager.reserveSendSlot('s1', sessionData)).toMatchObject({ allowed: true });
+    });
+
+    test('counts the hourly window from the oldest send in it', async () => {
+        const manager = createManager();
+        const sessionData = limits({ rate_limit_per_hour: 2 });
+
+        await manager.reserveSendSlot('s1', sessionData);
+        jest.advanceTimersByTime(10 * MINUTE);
+        await manager.reserveSendSlot('s1', sessionData);
+        jest.advanceTimersByTime(10 * MINUTE);
+
+        expect(await manager.reserveSendSlot('s1', sessionData))
+            .toEqual({ allowed: false, limit: 'per_hour', max: 2, retryAfterMs: 40 * MINUTE });
+
+        jest.advanceTimersByTime(40 * MINUTE + 1);
+        expect(await manager.reserveSendSlot('s1', sessionData)).toMatchObject({ allowed: true });
+    });
+
+    test('seeds the daily window from recorded sends after a restart', async () => {
+        const manager = createManager([START - 23 * HOUR, START - 2 * HOUR]);
+        const sessionData = limits({ rate_limit_per_day: 2 });
+
+        expect(await manager.reserveSendSlot('s1', sessionData))
+            .toEqual({ allowed: false, limit: 'per_day', max: 2, retryAfterMs: HOUR });
+        expect(manager.database.getOutgoingMessageTimestamps).toHaveBeenCalledWith('s1', START - DAY);
+
+        jest.advanceTimersByTime(HOUR + 1);
+        expect(await manager.reserveSendSlot('s1', sessionData)).toMatchObject({ allowed: true });
+    });
+
+    test('skips limits set to 0 and keeps sessions independent', async () => {
+        const manager = createManager();
+
+        for (let i = 0; i < 50; i++) {
+            expect(await manager.reserveSendSlot('s1', limits())).toMatchObject({ allowed: true });
+        }
+        await manager.reserveSendSlot('s2', limits({ rate_limit_per_minute: 1 }));
+        expect(await manager.reserveSendSlot('s2', limits({ rate_limit_per_minute: 1 }))).toMatchObject({ allowed: false });
+        expect(await manager.reserveSendSlot('s1', limits({ rate_limit_per_minute: 100 }))).toMatchObject({ allowed: true });
+    });
+
+    test('falls back to the defaults for limits the session does not set', async () => {
+        const manager = createManager();
+        manager.maxSessionUsagePerMinute = 1;
+
+        await manager.reserveSendSlot('s1');
+        expect(await manager.reserveSendSlot('s1')).toMatchObject({ allowed: false, limit: 'per_minute', max: 1 });
+        expect(manager.database.getSession).toHaveBeenCalledWith('s1');
+    });
+});
+
+describe('SessionManager.releaseSendSlot', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(START);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('gives the reservation back to the window and the pacing', async () => {
+        const manager = createManager();
+        const sessionData = limits({ rate_limit_per_minute: 1, send_delay_min_ms: 1000, send_delay_max_ms: 1000 });
+
+        const slot = await manager.reserveSendSlot('s1', sessionData);
+        manager.releaseSendSlot('s1', slot);
+
+        expect(await manager.reserveSendSlot('s1', sessionData)).toMatchObject({ allowed: true, delayMs: 0 });
+    });
+
+    test('keeps the pacing when a later slot was reserved', async () => {
+        const manager = createManager();
+        const sessionData = limits({ send_delay_min_ms: 1000, send_delay_max_ms: 1000 });
+
+        const first = await manager.reserveSendSlot('s1', sessionData);
+        await manager.reserveSendSlot('s1', sessionData);
+        manager.releaseSendSlot('s1', first);
+
+        expect(await manager.reserveSendSlot('s1', sessionData)).toMatchObject({ delayMs: 2000 });
+        expect(manager.sessionUsageTracker.get('s1').sendTimestamps).toEqual([START + 1000, START + 2000]);
+    });
+
+    test('ignores rejected reservations', async () => {
+        const manager = createManager();
+        const sessionData = limits({ rate_limit_per_minute: 1 });
+
+        await manager.reserveSendSlot('s1', sessionData);
+        manager.releaseSendSlot('s1', await manager.reserveSendSlot('s1', sessionData));
+
+        expect(manager.sessionUsageTracker.get('s1').sendTimestamps).toEqual([START]);
+    });
+});
+
+describe('SessionManager.getGroupDetails', () => {
+    const GROUP = '120363168346132205@g.us';
+    const metadata = {
+        id: GROUP,
+        subject: 'Team',
+        participants: [
+            { id: '919876543210@s.whatsapp.net', admin: 'superadmin' },
+            { id: '919876543211@s.whatsapp.net', admin: 'admin' },
+            { id: '919876543212@s.whatsapp.net', admin: null }
+        ]
+    };
+
+    const createGroupManager = (session) => {
+        const manager = Object.create(SessionManager.prototype);
+        manager.database = {
+            getContactsByJids: jest.fn().mockResolvedValue([
+                { jid: '919876543211@s.whatsapp.net', name: null, verified_name: 'Asha Stores', notify: 'asha' }
+            ])
+        };
+        manager.getSessionBySenderId = jest.fn().mockResolvedValue(session);
+        return manager;
+    };
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('lists roles and contact names with the cache age', async () => {
+        jest.useFakeTimers();
+        jest.setSystemTime(START);
+        const session = {
+            isSessionConnected: () => true,
+            getGroupMetadata: jest.fn().mockResolvedValue({ metadata, cachedAt: START - 90 * 1000, fromCache: true, stale: false }),
+            summarizeGroupMetadata: (group) => ({ id: group.id, subject: group.subject })
+        };
+        const manager = createGroupManager(session);
+
+        const { group, cache } = await manager.getGroupDetails('s1', GROUP, 60 * 1000);
+
+        expect(session.getGroupMetadata).toHaveBeenCalledWith(GROUP, 60 * 1000);
+        expect(group).toMatchObject({ id: GROUP, participantCount: 3, adminCount: 2 });
+        expect(group.participants.map(participant => [participant.role, participant.name])).toEqual([
+            ['superadmin', null],
+            ['admin', 'Asha Stores'],
+            ['member', null]
+        ]);
+        expect(cache).toEqual({ fromCache: true, stale: false, cachedAt: new Date(START - 90 * 1000).toISOString(), ageSeconds: 90 });
+    });
+
+    test('refuses while the session is offline', async () => {
+        const manager = createGroupManager({ isSessionConnected: () => false });
+
+        await expect(manager.getGroupDetails('s1', GROUP)).rejects.toThrow('Session not connected');
+    });
+});
+
+describe('SessionManager.getPairingCodeForAPI', () => {
+    // A disconnected session with an open socket; startPairing hands out the code straight away
+    const createPairingSession = (overrides = {}) => {
+        const session = {
+            sessionId: 's1',
+            socket: { readyState: 1 },
+            pairingCodeExpiry: 3 * MINUTE,
+            isSessionConnected: () => false,
+            setQRDisplayMode: jest.fn(),
+            connect: jest.fn(),
+            startPairing: jest.fn(async (phoneNumber) => {
+                session.pairingCode = 'ABCD1234';
+                session.pairingPhoneNumber = phoneNumber;
+                session.pairingCodeTimestamp = Date.now();
+            }),
+            ...overrides
+        };
+        return session;
+    };
+
+    const createPairingManager = (session) => {
+        const manager = Object.create(SessionManager.prototype);
+        manager.getSessionBySenderId = jest.fn().mockResolvedValue(session);
+        return manager;
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(START);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    test('requests a fresh code for the number', async () => {
+        const session = createPairingSession();
+
+        const result = await createPairingManager(session).getPairingCodeForAPI('s1', '919876543210');
+
+        expect(session.startPairing).toHaveBeenCalledWith('919876543210');
+        expect(session.connect).not.toHaveBeenCalled();
+        expect(result).toMatchObject({ pairingCode: 'ABCD1234', state: 'PAIRING_CODE_READY', expiresIn: 3 * MINUTE, generatedAt: START });
+    });
+
+    test('returns the cached code for the same number until it expires', async () => {
+        const session = createPairingSession({ pairingCode: 'WXYZ9876', pairingPhoneNumber: '919876543210', pairingCodeTimestamp: START - MINUTE });
+        const manager = createPairingManager(session);
+
+        expect(await manager.getPairingCodeForAPI('s1', '919876543210')).toMatchObject({ pairingCode: 'WXYZ9876', expiresIn: 2 * MINUTE });
+        expect(session.startPairing).not.toHaveBeenCalled();
+
+        expect(await manager.getPairingCodeForAPI('s1', '919876543211')).toMatchObject({ pairingCode: 'ABCD1234', phoneNumber: '919876543211' });
+    });
+
+    test('keeps the entered code while authentication is in progress', async () => {
+        const session = createPairingSession({ pairingCode: 'WXYZ9876', isAuthenticating: true, authenticationStartTime: START - 5000 });
+
+        expect(await createPairingManager(session).getPairingCodeForAPI('s1', '919876543210')).toMatchObject({
+            pairingCode: 'WXYZ9876',
+            state: 'AUTHENTICATION_IN_PROGRESS',
+            shouldStopPolling: true
+        });
+        expect(session.startPairing).not.toHaveBeenCalled();
+    });
+
+    test('reports why WhatsApp refused the code', async () => {
+        const session = createPairingSession({ startPairing: jest.fn(async () => { session.pairingCodeError = 'rate-overlimit'; }) });
+
+        await expect(createPairingManager(session).getPairingCodeForAPI('s1', '919876543210'))
+            .rejects.toThrow('Pairing code generation failed: rate-overlimit. Please try again.');
+    });
+
+    test('refuses when the session is already connected', async () => {
+        const session = createPairingSession({ isSessionConnected: () => true });
+
+        await expect(createPairingManager(session).getPairingCodeForAPI('s1', '919876543210')).rejects.toThrow('Session already connected');
+    });
+});
+
+describe('SessionManager.getSessionSnapshot', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(START);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    const createSnapshotManager = (session) => {
+        const manager = Object.create(SessionManager.prototype);
+        manager.database = { getSession: jest.fn().mockResolvedValue({ session_id: 's1', status: 'qr_pending' }) };
+        manager.sessions = new Map(session ? [['s1', session]] : []);
+        return manager;
+    };
+
+    test('includes a still-valid pairing code with its remaining time', async () => {
+        const manager = createSnapshotManager({
+            isSessionConnected: () => false,
+            pairingCode: 'ABCD1234',
+            pairingPhoneNumber: '919876543210',
+            pairingCodeTimestamp: START - MINUTE,
+            pairingCodeExpiry: 3 * MINUTE
+        });
+
+        expect(await manager.getSessionSnapshot('s1')).toMatchObject({
+            type: 'snapshot',
+            databaseStatus: 'qr_pending',
+            state: 'PAIRING_CODE_VALID',
+            pairingCode: 'ABCD1234',
+            phoneNumber: '919876543210',
+            expiresIn: 2 * MINUTE,
+            qrCode: null
+        });
+    });
+
+    test('reports sessions that are not loaded', async () => {
+        expect(await createSnapshotManager(null).getSessionSnapshot('s1')).toMatchObject({ state: 'SESSION_NOT_IN_MEMORY', isConnected: false });
+    });
+});
+
+describe('SessionManager edits and deletes', () => {
+    const CHAT = '919876543211@s.whatsapp.net';
+
+    const createEditManager = (row) => {
+        const session = {
+            editMessage: jest.fn().mockResolvedValue({ key: { id: 'EDIT1' } }),
+            deleteMessageForEveryone: jest.fn().mockResolvedValue({ key: { id: 'DEL1' } })
+        };
+        const manager = Object.create(SessionManager.prototype);
+        manager.messageEditWindow = 15 * MINUTE;
+        manager.messageDeleteWindow = 60 * HOUR;
+        manager.normalizeChatJid = jest.fn(() => CHAT);
+        manager.sendWithConnectedSession = jest.fn((senderId, label, send) => send(session));
+        manager.database = {
+            getStoredMessage: jest.fn().mockResolvedValue(row),
+            updateStoredMessageContent: jest.fn().mockResolvedValue(1)
+        };
+        return { manager, session };
+    };
+    const sentMessage = (overrides = {}) => ({
+        message_id: 'M1',
+        from_me: 1,
+        message_type: 'text',
+        content: JSON.stringify({ type: 'text', content: 'Helo', quoted: 'Q1' }),
+        message_timestamp: Math.floor((START - 5 * MINUTE) / 1000),
+        ...overrides
+    });
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(START);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('edits an own recent text message and updates the stored copy', async () => {
+        const { manager, session } = createEditManager(sentMessage());
+
+        const { result, chatJid } = await manager.editMessage('s1', '919876543211', 'M1', 'Hello');
+
+        expect(chatJid).toBe(CHAT);
+        expect(result.key.id).toBe('EDIT1');
+        expect(session.editMessage).toHaveBeenCalledWith(CHAT, 'M1', 'Hello');
+        expect(manager.database.updateStoredMessageContent).toHaveBeenCalledWith('s1', CHAT, 'M1', 'text', 'Hello', {
+            type: 'text', content: 'Hello', quoted: 'Q1', editedAt: START
+        });
+    });
+
+    test('marks a deleted message as revoked', async () => {
+        const { manager, session } = createEditManager(sentMessage({ message_type: 'image' }));
+
+        await manager.deleteMessage('s1', CHAT, 'M1');
+
+        expect(session.deleteMessageForEveryone).toHaveBeenCalledWith(CHAT, 'M1');
+        expect(manager.database.updateStoredMessageContent).toHaveBeenCalledWith('s1', CHAT, 'M1', 'revoked', null, { type: 'revoked', revokedAt: START });
+    });
+
+    test.each([
+        ['an unknown message', undefined, 'not found in chat'],
+        ['a received message', sentMessage({ from_me: 0 }), 'was not sent by this session'],
+        ['a deleted message', sentMessage({ message_type: 'revoked' }), 'Cannot edit message M1: it was already deleted for everyone'],
+        ['a media message', sentMessage({ message_type: 'image' }), 'Cannot edit message M1: only text messages can be edited'],
+        ['a message past the edit window', sentMessage({ message_timestamp: Math.floor((START - 20 * MINUTE) / 1000) }), 'is too old to edit: sent 20 minutes ago, WhatsApp allows 15 minutes']
+    ])('refuses to edit %s', async (name, row, error) => {
+        const { manager, session } = createEditManager(row);
+
+        await expect(manager.editMessage('s1', CHAT, 'M1', 'Hello')).rejects.toThrow(error);
+        expect(session.editMessage).not.toHaveBeenCalled();
+        expect(manager.database.updateStoredMessageContent).not.toHaveBeenCalled();
+    });
+});
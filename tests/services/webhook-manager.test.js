@@ -0,0 +1,111 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+
+const crypto = require('crypto');
+const WebhookManager = require('../../src/services/webhook-manager');
+const { openTestDatabase, closeTestDatabase, query } = require('../helpers/database');
+const { waitFor } = require('../helpers/wait');
+
+describe('WebhookManager.signPayload', () => {
+    const webhookManager = new WebhookManager();
+    const secret = 'whsec_test';
+    const timestamp = '1736937200';
+    const body = JSON.stringify({ event: 'message.status', messageId: '3EB0A1B2C3D4', status: 'read' });
+
+    test('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+        const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+        expect(webhookManager.signPayload(secret, timestamp, body)).toBe(`sha256=${expected}`);
+    });
+
+    test('matches a known signature', () => {
+        expect(webhookManager.signPayload('secret', '1', '{}'))
+            .toBe('sha256=1122767b193110cfec322b6f199b599edbf608ed087f2d27afb0b97d99523908');
+    });
+
+    test('changes when the timestamp, body or secret changes', () => {
+        const signature = webhookManager.signPayload(secret, timestamp, body);
+        expect(webhookManager.signPayload(secret, '1736937201', body)).not.toBe(signature);
+        expect(webhookManager.signPayload(secret, timestamp, body.replace('read', 'delivered'))).not.toBe(signature);
+        expect(webhookManager.signPayload('other-secret', timestamp, body)).not.toBe(signature);
+    });
+});
+
+describe('WebhookManager dead letters', () => {
+    let database;
+    let webhookManager;
+
+    const createEvent = async (id, sessionId = 's1') => {
+        await database.createWebhookEvent({
+            id,
+            session_id: sessionId,
+            user_id: 'user1',
+            webhook_url: 'https://example.com/hook',
+            event_type: 'message',
+            payload: { messageId: id }
+        });
+        return id;
+    };
+    const deadLetter = async (id, sessionId = 's1') => {
+        await createEvent(id, sessionId);
+        await database.markWebhookEventFailed(id, sessionId, 'message', 'HTTP 500');
+    };
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        database = await openTestDatabase();
+        webhookManager = new WebhookManager(database);
+    });
+
+    afterEach(async () => {
+        webhookManager.stopEventPruning();
+        await closeTestDatabase(database);
+        jest.restoreAllMocks();
+    });
+
+    test('moves events left pending by a restart to the dead-letter store', async () => {
+        await createEvent('evt-1');
+        await createEvent('evt-2', 's2');
+        await createEvent('evt-3');
+        await database.markWebhookEventDelivered('evt-3');
+
+        expect(await database.deadLetterInterruptedWebhookEvents('Delivery interrupted by a server restart')).toBe(2);
+
+        expect(await query(database, 'SELECT id, status, last_error FROM webhook_events ORDER BY id')).toEqual([
+            { id: 'evt-1', status: 'failed', last_error: 'Delivery interrupted by a server restart' },
+            { id: 'evt-2', status: 'failed', last_error: 'Delivery interrupted by a server restart' },
+            { id: 'evt-3', status: 'delivered', last_error: null }
+        ]);
+        expect(await query(database, 'SELECT event_id, session_id FROM webhook_dead_letters ORDER BY event_id')).toEqual([
+            { event_id: 'evt-1', session_id: 's1' },
+            { event_id: 'evt-2', session_id: 's2' }
+        ]);
+        expect(await database.deadLetterInterruptedWebhookEvents('Delivery interrupted by a server restart')).toBe(0);
+    });
+
+    test('replays the selected dead letters and runs one bulk replay per session at a time', async () => {
+        await deadLetter('evt-1');
+        await deadLetter('evt-2');
+        await deadLetter('evt-3', 's2');
+
+        let finishReplay;
+        const replayDone = new Promise(resolve => {
+            finishReplay = resolve;
+        });
+        jest.spyOn(webhookManager, 'sendWebhook').mockImplementation(async (url, userId, payload, attempt, eventId) => {
+            await replayDone;
+            await database.markWebhookEventDelivered(eventId);
+            return { success: true };
+        });
+
+        const replayed = await webhookManager.startDeadLetterReplay('s1', 'https://example.com/new-hook');
+        expect(replayed.map(row => row.event_id)).toEqual(['evt-1', 'evt-2']);
+        expect(await webhookManager.startDeadLetterReplay('s1')).toBeNull();
+        expect((await webhookManager.startDeadLetterReplay('s2')).map(row => row.event_id)).toEqual(['evt-3']);
+
+        finishReplay();
+        await waitFor(() => webhookManager.replaysInFlight.size === 0);
+
+        expect(webhookManager.sendWebhook).toHaveBeenCalledWith('https://example.com/new-hook', 'user1', { messageId: 'evt-1' }, 1, 'evt-1');
+        expect(await database.getDeadLetters('s1')).toEqual([]);
+        expect(await webhookManager.startDeadLetterReplay('s1')).toEqual([]);
+    });
+});
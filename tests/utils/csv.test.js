@@ -0,0 +1,85 @@
+const { parseCsv, parseCsvObjects, formatCsvValue, toCsv } = require('../../src/utils/csv');
+
+describe('parseCsv', () => {
+    test('splits rows and fields', () => {
+        expect(parseCsv('a,b,c\n1,2,3')).toEqual([['a', 'b', 'c'], ['1', '2', '3']]);
+    });
+
+    test('handles quoted fields with commas, escaped quotes and embedded newlines', () => {
+        expect(parseCsv('"Doe, John","say ""hi""","line 1\nline 2"\n')).toEqual([
+            ['Doe, John', 'say "hi"', 'line 1\nline 2']
+        ]);
+    });
+
+    test('accepts CRLF line endings and strips a UTF-8 BOM', () => {
+        expect(parseCsv('\uFEFFphone,name\r\n919876543210,Asha\r\n')).toEqual([
+            ['phone', 'name'],
+            ['919876543210', 'Asha']
+        ]);
+    });
+
+    test('keeps empty fields but drops blank lines', () => {
+        expect(parseCsv('a,,c\n\n , \n1,2,\n')).toEqual([['a', '', 'c'], ['1', '2', '']]);
+    });
+
+    test('returns no rows for empty input', () => {
+        expect(parseCsv('')).toEqual([]);
+        expect(parseCsv(null)).toEqual([]);
+    });
+
+    test('rejects an unterminated quoted field', () => {
+        expect(() => parseCsv('a,"b\n1,2')).toThrow('Unterminated quoted field');
+    });
+});
+
+describe('parseCsvObjects', () => {
+    test('keys each row by the trimmed header and trims values', () => {
+        expect(parseCsvObjects(' phone , name \n919876543210, Asha \n919876543211')).toEqual({
+            headers: ['phone', 'name'],
+            records: [
+                { phone: '919876543210', name: 'Asha' },
+                { phone: '919876543211', name: '' }
+            ]
+        });
+    });
+
+    test('ignores columns without a header', () => {
+        expect(parseCsvObjects('phone,\n919876543210,extra').records).toEqual([{ phone: '919876543210' }]);
+    });
+
+    test('returns no headers or records for empty input', () => {
+        expect(parseCsvObjects('')).toEqual({ headers: [], records: [] });
+    });
+});
+
+describe('formatCsvValue', () => {
+    test('quotes values with separators, quotes or newlines', () => {
+        expect(formatCsvValue('plain')).toBe('plain');
+        expect(formatCsvValue('a,b')).toBe('"a,b"');
+        expect(formatCsvValue('say "hi"')).toBe('"say ""hi"""');
+        expect(formatCsvValue('line 1\nline 2')).toBe('"line 1\nline 2"');
+    });
+
+    test('writes null and undefined as empty fields', () => {
+        expect(formatCsvValue(null)).toBe('');
+        expect(formatCsvValue(undefined)).toBe('');
+        expect(formatCsvValue(42)).toBe('42');
+    });
+
+    test('prefixes values spreadsheet apps would run as formulas', () => {
+        expect(formatCsvValue('=HYPERLINK("http://example.com")')).toBe('"\'=HYPERLINK(""http://example.com"")"');
+        expect(formatCsvValue('+123')).toBe('\'+123');
+        expect(formatCsvValue('-2+3')).toBe('\'-2+3');
+        expect(formatCsvValue('@SUM(A1)')).toBe('\'@SUM(A1)');
+        expect(formatCsvValue('a=b')).toBe('a=b');
+    });
+});
+
+describe('toCsv', () => {
+    test('joins rows with CRLF and round-trips through parseCsv', () => {
+        const rows = [['group_id', 'group_subject'], ['120363168346132205@g.us', 'Team, "core"']];
+        const csv = toCsv(rows);
+        expect(csv).toBe('group_id,group_subject\r\n120363168346132205@g.us,"Team, ""core"""\r\n');
+        expect(parseCsv(csv)).toEqual(rows);
+    });
+});
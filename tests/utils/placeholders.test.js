@@ -0,0 +1,33 @@
+const { extractPlaceholders, renderPlaceholders } = require('../../src/utils/placeholders');
+
+describe('extractPlaceholders', () => {
+    test('lists each placeholder name once, in order of appearance', () => {
+        expect(extractPlaceholders('Hi {{name}}, your order {{ order_id }} ships {{date}}. Thanks {{name}}!'))
+            .toEqual(['name', 'order_id', 'date']);
+    });
+
+    test('ignores text that is not a valid placeholder', () => {
+        expect(extractPlaceholders('{name} {{first name}} {{}} {{ok-1}}')).toEqual([]);
+        expect(extractPlaceholders('')).toEqual([]);
+        expect(extractPlaceholders(null)).toEqual([]);
+    });
+});
+
+describe('renderPlaceholders', () => {
+    test('substitutes every occurrence, allowing spaces inside the braces', () => {
+        expect(renderPlaceholders('Hi {{name}}, {{ name }} again', { name: 'Asha' })).toBe('Hi Asha, Asha again');
+    });
+
+    test('converts non-string values to text', () => {
+        expect(renderPlaceholders('Total: {{amount}} ({{paid}})', { amount: 0, paid: false })).toBe('Total: 0 (false)');
+    });
+
+    test('leaves placeholders without a value untouched', () => {
+        expect(renderPlaceholders('Hi {{name}}, code {{code}}', { name: 'Asha', code: null })).toBe('Hi Asha, code {{code}}');
+        expect(renderPlaceholders('Hi {{name}}')).toBe('Hi {{name}}');
+    });
+
+    test('does not re-expand placeholders that appear in values', () => {
+        expect(renderPlaceholders('{{a}} {{b}}', { a: '{{b}}', b: 'x' })).toBe('{{b}} x');
+    });
+});
@@ -0,0 +1,149 @@
+const {
+    isValidTimezone,
+    parseDateTime,
+    parseCronExpression,
+    getNextCronRun,
+    normalizeScheduleRule,
+    getNextRunAt
+} = require('../../src/utils/schedule');
+
+const NEW_YORK = 'America/New_York';
+const at = (iso) => Date.parse(iso);
+
+describe('isValidTimezone', () => {
+    test('accepts IANA names and rejects unknown ones', () => {
+        expect(isValidTimezone('Asia/Kolkata')).toBe(true);
+        expect(isValidTimezone('UTC')).toBe(true);
+        expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+    });
+});
+
+describe('parseDateTime', () => {
+    test('passes timestamps through and honours ISO offsets', () => {
+        expect(parseDateTime(1736937200000)).toBe(1736937200000);
+        expect(parseDateTime('1736937200000')).toBe(1736937200000);
+        expect(parseDateTime('2025-01-15T10:00:00+05:30')).toBe(at('2025-01-15T04:30:00Z'));
+    });
+
+    test('reads local date-times in the timezone', () => {
+        expect(parseDateTime('2025-01-15 09:30', 'Asia/Kolkata')).toBe(at('2025-01-15T04:00:00Z'));
+        expect(parseDateTime('2025-07-01T09:30:15', NEW_YORK)).toBe(at('2025-07-01T13:30:15Z'));
+    });
+
+    test('shifts times skipped when DST starts forward by the gap', () => {
+        // 02:30 does not exist on 2024-03-10 in New York; clocks jump from 02:00 EST to 03:00 EDT
+        expect(parseDateTime('2024-03-10 02:30', NEW_YORK)).toBe(at('2024-03-10T07:30:00Z'));
+    });
+
+    test('resolves times repeated when DST ends to their first occurrence', () => {
+        // 01:30 happens twice on 2024-11-03 in New York, first as EDT (UTC-4)
+        expect(parseDateTime('2024-11-03 01:30', NEW_YORK)).toBe(at('2024-11-03T05:30:00Z'));
+    });
+
+    test('returns NaN for unparseable input', () => {
+        expect(parseDateTime('next tuesday')).toBeNaN();
+    });
+});
+
+describe('parseCronExpression', () => {
+    test('expands ranges, steps, lists and names', () => {
+        const cron = parseCronExpression('*/15 9-17 1,15 jan-mar mon-fri');
+        expect([...cron.minutes]).toEqual([0, 15, 30, 45]);
+        expect([...cron.hours]).toEqual([9, 10, 11, 12, 13, 14, 15, 16, 17]);
+        expect([...cron.daysOfMonth]).toEqual([1, 15]);
+        expect([...cron.months]).toEqual([1, 2, 3]);
+        expect([...cron.daysOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    test('treats 7 as Sunday', () => {
+        expect([...parseCronExpression('0 0 * * 7').daysOfWeek]).toEqual([0]);
+    });
+
+    test('rejects malformed expressions', () => {
+        expect(() => parseCronExpression('0 0 * *')).toThrow('5 fields');
+        expect(() => parseCronExpression('60 0 * * *')).toThrow('allowed 0-59');
+        expect(() => parseCronExpression('0 0 * * mon-sun')).toThrow('Invalid value');
+        expect(() => parseCronExpression('*/0 0 * * *')).toThrow('Invalid step');
+    });
+});
+
+describe('getNextCronRun', () => {
+    test('returns the first run strictly after the given time', () => {
+        expect(getNextCronRun('0 9 * * *', 'UTC', at('2025-01-15T08:59:30Z'))).toBe(at('2025-01-15T09:00:00Z'));
+        expect(getNextCronRun('0 9 * * *', 'UTC', at('2025-01-15T09:00:00Z'))).toBe(at('2025-01-16T09:00:00Z'));
+    });
+
+    test('reads the expression in the timezone', () => {
+        expect(getNextCronRun('0 9 * * *', 'Asia/Kolkata', at('2025-01-15T00:00:00Z'))).toBe(at('2025-01-15T03:30:00Z'));
+    });
+
+    test('runs a day matching either restricted day field', () => {
+        // 2024-09-06 is a Friday, a week before the 13th
+        const after = at('2024-09-01T00:00:00Z');
+        expect(getNextCronRun('0 9 13 * 5', 'UTC', after)).toBe(at('2024-09-06T09:00:00Z'));
+        expect(getNextCronRun('0 9 13 * *', 'UTC', after)).toBe(at('2024-09-13T09:00:00Z'));
+        expect(getNextCronRun('0 9 * * 5', 'UTC', after)).toBe(at('2024-09-06T09:00:00Z'));
+    });
+
+    test('runs a time skipped by the DST start once, shifted forward', () => {
+        const skipped = getNextCronRun('30 2 * * *', NEW_YORK, at('2024-03-09T12:00:00Z'));
+        expect(skipped).toBe(at('2024-03-10T07:30:00Z'));
+        expect(getNextCronRun('30 2 * * *', NEW_YORK, skipped)).toBe(at('2024-03-11T06:30:00Z'));
+    });
+
+    test('runs a time repeated by the DST end only once', () => {
+        const first = getNextCronRun('30 1 * * *', NEW_YORK, at('2024-11-02T12:00:00Z'));
+        expect(first).toBe(at('2024-11-03T05:30:00Z'));
+        expect(getNextCronRun('30 1 * * *', NEW_YORK, first)).toBe(at('2024-11-04T06:30:00Z'));
+    });
+
+    test('gives up on expressions that can never match', () => {
+        expect(() => getNextCronRun('0 0 30 2 *', 'UTC', at('2025-01-01T00:00:00Z'))).toThrow('has no upcoming run');
+    });
+});
+
+describe('normalizeScheduleRule', () => {
+    test('turns daily and weekly rules into cron expressions', () => {
+        expect(normalizeScheduleRule({ type: 'daily', time: '09:05' }, 'UTC')).toEqual({
+            type: 'daily',
+            rule: { time: '09:05' },
+            expression: '5 9 * * *'
+        });
+        expect(normalizeScheduleRule({ type: 'weekly', time: '18:00', days: ['Friday', 'mon', 7, '1'] }, 'UTC')).toEqual({
+            type: 'weekly',
+            rule: { time: '18:00', days: ['sun', 'mon', 'fri'] },
+            expression: '0 18 * * 0,1,5'
+        });
+    });
+
+    test('keeps cron expressions and resolves one-off times in the timezone', () => {
+        expect(normalizeScheduleRule({ type: 'cron', expression: ' 0 9 * * 1-5 ' }, 'UTC')).toEqual({
+            type: 'cron',
+            rule: { expression: '0 9 * * 1-5' },
+            expression: '0 9 * * 1-5'
+        });
+        expect(normalizeScheduleRule({ type: 'once', at: '2025-01-15 09:30' }, 'Asia/Kolkata')).toEqual({
+            type: 'once',
+            rule: { at: at('2025-01-15T04:00:00Z') },
+            expression: null
+        });
+    });
+
+    test('rejects invalid rules', () => {
+        expect(() => normalizeScheduleRule(null, 'UTC')).toThrow('schedule must be an object');
+        expect(() => normalizeScheduleRule({ type: 'hourly' }, 'UTC')).toThrow('schedule.type must be one of');
+        expect(() => normalizeScheduleRule({ type: 'once' }, 'UTC')).toThrow('schedule.at');
+        expect(() => normalizeScheduleRule({ type: 'daily', time: '24:00' }, 'UTC')).toThrow('schedule.time');
+        expect(() => normalizeScheduleRule({ type: 'weekly', time: '09:00', days: [] }, 'UTC')).toThrow('at least one weekday');
+        expect(() => normalizeScheduleRule({ type: 'weekly', time: '09:00', days: ['someday'] }, 'UTC')).toThrow('schedule.days');
+        expect(() => normalizeScheduleRule({ type: 'cron', expression: '* * *' }, 'UTC')).toThrow('5 fields');
+    });
+});
+
+describe('getNextRunAt', () => {
+    test('returns a one-off time only while it is ahead', () => {
+        const rule = { type: 'once', rule: { at: at('2025-01-15T09:00:00Z') }, expression: null };
+        expect(getNextRunAt(rule, 'UTC', at('2025-01-15T08:00:00Z'))).toBe(at('2025-01-15T09:00:00Z'));
+        expect(getNextRunAt(rule, 'UTC', at('2025-01-15T09:00:00Z'))).toBeNull();
+    });
+});